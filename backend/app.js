@@ -0,0 +1,168 @@
+const express = require('express');
+const cors = require('cors');
+
+// Import route modules
+const authRoutes = require('./routes/auth');
+const dogRoutes = require('./routes/dogs');
+const parkRoutes = require('./routes/parks');
+const parkEventRoutes = require('./routes/parkEvents');
+const plannedVisitRoutes = require('./routes/plannedVisits');
+const parkSuggestionRoutes = require('./routes/parkSuggestions');
+const breedRoutes = require('./routes/breeds');
+const friendRequestRoutes = require('./routes/friendRequests');
+const notificationRoutes = require('./routes/notifications');
+const debugRoutes = require('./routes/debug');
+const cronRoutes = require('./routes/cron');
+const calendarRoutes = require('./routes/calendar');
+
+const isProduction = process.env.NODE_ENV === 'production';
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+// Enhanced CORS for development
+const corsOptions = {
+  origin: function (origin, callback) {
+    if (isDevelopment) {
+      // In development, allow all localhost ports and common development URLs
+      const allowedOrigins = [
+        /^http:\/\/localhost:\d+$/, // Any localhost port
+        /^http:\/\/127\.0\.0\.1:\d+$/, // Any 127.0.0.1 port
+        /^http:\/\/192\.168\.\d+\.\d+:\d+$/, // Local network addresses
+        /^http:\/\/10\.\d+\.\d+\.\d+:\d+$/, // Local network addresses
+        /^exp:\/\/.*/, // Expo development URLs
+        /^https?:\/\/.*\.exp\.direct/, // Expo development URLs
+        /^https?:\/\/.*\.ngrok\.io/, // ngrok tunnels
+      ];
+
+      // Allow requests with no origin (mobile apps, Postman, etc.)
+      if (!origin) return callback(null, true);
+
+      // Check if origin matches any allowed pattern
+      const isAllowed = allowedOrigins.some(allowed => {
+        if (typeof allowed === 'string') return allowed === origin;
+        return allowed.test(origin);
+      });
+
+      if (isDevelopment && !isAllowed) {
+        console.log(`🚨 CORS: Blocked origin: ${origin}`);
+      }
+
+      callback(null, isAllowed || isDevelopment); // In dev, be more permissive
+    } else {
+      // Production CORS (EC2 and Vercel frontends)
+      const allowedOrigins = [
+        'https://dogappv-deploy.vercel.app',
+        'https://dogapp-frontend.vercel.app',
+        'http://localhost:3000',
+        'https://localhost:3000'
+      ];
+      callback(null, allowedOrigins.includes(origin) || !origin);
+    }
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  optionsSuccessStatus: 200 // For legacy browser support
+};
+
+// Build the Express app shared by the long-running server (server.js)
+// and the Vercel serverless entry point (api/index.js)
+const createApp = () => {
+  const app = express();
+
+  app.use(cors(corsOptions));
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Enhanced logging for development
+  if (isDevelopment) {
+    app.use((req, res, next) => {
+      const timestamp = new Date().toLocaleTimeString();
+      console.log(`🌐 [${timestamp}] ${req.method} ${req.path} - Origin: ${req.get('origin') || 'none'}`);
+      if (req.body && Object.keys(req.body).length > 0) {
+        console.log('   📦 Body:', JSON.stringify(req.body, null, 2));
+      }
+      next();
+    });
+  } else if (isProduction) {
+    app.use((req, res, next) => {
+      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+      next();
+    });
+  }
+
+  // Health check with enhanced info for development
+  app.get('/health', (req, res) => {
+    const response = {
+      status: 'OK',
+      message: 'Dog App Backend is running!',
+      environment: process.env.NODE_ENV || 'unknown',
+      timestamp: new Date().toISOString()
+    };
+
+    if (isDevelopment) {
+      response.server = {
+        nodeVersion: process.version
+      };
+    }
+
+    res.json(response);
+  });
+
+  // Development-only endpoints
+  if (isDevelopment) {
+    // Environment info endpoint
+    app.get('/dev/env', (req, res) => {
+      res.json({
+        nodeEnv: process.env.NODE_ENV,
+        nodeVersion: process.version,
+        platform: process.platform,
+        uptime: process.uptime()
+      });
+    });
+
+    // Test endpoint for quick API testing
+    app.get('/dev/test', (req, res) => {
+      res.json({
+        message: 'Development test endpoint working!',
+        timestamp: new Date().toISOString(),
+        headers: req.headers
+      });
+    });
+
+    // Firebase, environment and token checks - never exposed in production
+    app.use('/debug', debugRoutes);
+  }
+
+  // Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/dogs', dogRoutes);
+  app.use('/api/dog-parks/:parkId/events', parkEventRoutes);
+  app.use('/api/dog-parks/:parkId/planned', plannedVisitRoutes);
+  app.use('/api/dog-parks', parkRoutes);
+  app.use('/api/park-suggestions', parkSuggestionRoutes);
+  app.use('/api/dog-breeds', breedRoutes);
+  app.use('/api/friend-requests', friendRequestRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/cron', cronRoutes);
+  app.use('/api/calendar', calendarRoutes);
+
+  // Enhanced error handling for development
+  if (isDevelopment) {
+    app.use((err, req, res, next) => {
+      console.error('🚨 Development Error:', err);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: err.message,
+        stack: err.stack
+      });
+    });
+  }
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  corsOptions
+};
@@ -1,18 +1,39 @@
-const { db, serverTimestamp } = require('../firebase-config');
+const { createStore, createRepositories } = require('../repositories');
 
-// Firestore collections
-const usersCollection = db.collection('test_users');
-const dogsCollection = db.collection('dogs');
-const dogParksCollection = db.collection('test_dogparks');
-const friendRequestsCollection = db.collection('friend_requests');
-const notificationsCollection = db.collection('notifications');
+// Data store selected by DATA_STORE: 'firestore' (default) or 'memory' for running without Firebase
+const dataStore = createStore();
+console.log(`🗄️ Using ${dataStore.name} data store`);
+
+const {
+  usersRepo,
+  dogsRepo,
+  parksRepo,
+  friendRequestsRepo,
+  notificationsRepo,
+  visitsRepo,
+  waitlistRepo,
+  suggestionsRepo,
+  reviewsRepo,
+  photosRepo,
+  reportsRepo,
+  eventsRepo,
+  plannedVisitsRepo
+} = createRepositories(dataStore);
 
 module.exports = {
-  db,
-  serverTimestamp,
-  usersCollection,
-  dogsCollection,
-  dogParksCollection,
-  friendRequestsCollection,
-  notificationsCollection
+  dataStore,
+  serverTimestamp: dataStore.serverTimestamp,
+  usersRepo,
+  dogsRepo,
+  parksRepo,
+  friendRequestsRepo,
+  notificationsRepo,
+  visitsRepo,
+  waitlistRepo,
+  suggestionsRepo,
+  reviewsRepo,
+  photosRepo,
+  reportsRepo,
+  eventsRepo,
+  plannedVisitsRepo
 };
\ No newline at end of file
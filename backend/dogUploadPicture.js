@@ -1,4 +1,4 @@
-const { S3Client, PutObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const crypto = require('crypto');
 
@@ -12,19 +12,31 @@ const s3Client = new S3Client({
 
 const BUCKET_NAME = "dogprofilepictures";
 const BUCKET_PATH = "DogPictures";
+const PRESIGNED_URL_EXPIRY_SECONDS = 604800; // 7 days
 
 // Generate unique filename
-function generateUniqueFilename(originalName, userId) {
+function generateUniqueFilename(originalName, userId, keyPrefix = BUCKET_PATH) {
   const timestamp = Date.now();
   const randomString = crypto.randomBytes(8).toString('hex');
   const extension = originalName.split('.').pop();
-  return `${BUCKET_PATH}/${userId}/${timestamp}-${randomString}.${extension}`;
+  return `${keyPrefix}/${userId}/${timestamp}-${randomString}.${extension}`;
 }
 
-// Upload function with pre-signed URL generation
-async function uploadToS3(file, userId) {
+// Pre-signed URL for reading an uploaded image (valid for 7 days)
+async function getPhotoUrl(key) {
+  const getCommand = new GetObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key
+  });
+
+  return getSignedUrl(s3Client, getCommand, { expiresIn: PRESIGNED_URL_EXPIRY_SECONDS });
+}
+
+// Upload function with pre-signed URL generation.
+// keyPrefix defaults to the dog pictures folder; park photos pass their own.
+async function uploadToS3(file, userId, keyPrefix = BUCKET_PATH) {
   try {
-    const key = generateUniqueFilename(file.originalname, userId);
+    const key = generateUniqueFilename(file.originalname, userId, keyPrefix);
     
     const command = new PutObjectCommand({
       Bucket: BUCKET_NAME,
@@ -36,12 +48,7 @@ async function uploadToS3(file, userId) {
     const result = await s3Client.send(command);
     
     // Generate a pre-signed URL for reading the image (valid for 7 days)
-    const getCommand = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key
-    });
-    
-    const photoUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 604800 }); // 7 days
+    const photoUrl = await getPhotoUrl(key);
     
     return {
       success: true,
@@ -57,6 +64,22 @@ async function uploadToS3(file, userId) {
   }
 }
 
+async function deleteFromS3(key) {
+  try {
+    await s3Client.send(new DeleteObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: key
+    }));
+    return { success: true };
+  } catch (error) {
+    console.error('S3 delete error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 // Validate file type and size
 function validateImageFile(file) {
   const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
@@ -79,4 +102,4 @@ function validateImageFile(file) {
   return { valid: true };
 }
 
-module.exports = { uploadToS3, validateImageFile };
\ No newline at end of file
+module.exports = { uploadToS3, deleteFromS3, getPhotoUrl, validateImageFile };
\ No newline at end of file
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline geocoder backed by a JSON fixture file - deterministic, for development and tests.
+// Fixture format: { "<address>": { "latitude": 40.78, "longitude": -73.96 } }
+// An entry of { "error": "..." } simulates a provider failure for that address.
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'addresses.json');
+
+// Match addresses regardless of case, spacing and trailing punctuation
+const normalizeAddress = (address) => {
+  return String(address).toLowerCase().replace(/[.,\s]+/g, ' ').trim();
+};
+
+const createFixtureGeocoder = (options = {}) => {
+  const fixturePath = path.resolve(options.fixturePath || DEFAULT_FIXTURE_PATH);
+
+  // Read on every call so fixtures can be edited without restarting the server
+  const loadFixtures = () => {
+    const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const normalized = new Map();
+    Object.entries(fixtures).forEach(([address, entry]) => {
+      normalized.set(normalizeAddress(address), { ...entry, address });
+    });
+    return normalized;
+  };
+
+  return {
+    name: 'fixture',
+    minIntervalMs: 0,
+
+    async geocode(address) {
+      const entry = loadFixtures().get(normalizeAddress(address));
+
+      if (!entry) {
+        return null;
+      }
+
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+
+      return {
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        formattedAddress: entry.formattedAddress || entry.address
+      };
+    }
+  };
+};
+
+module.exports = {
+  createFixtureGeocoder
+};
@@ -0,0 +1,27 @@
+const { createFixtureGeocoder } = require('./fixtureGeocoder');
+const { createNominatimGeocoder } = require('./nominatimGeocoder');
+
+// Every geocoder exposes { name, minIntervalMs, geocode(address) }. geocode resolves to
+// { latitude, longitude, formattedAddress } or null when the address can't be found,
+// and rejects when the provider itself fails (network errors, rate limits, ...).
+// minIntervalMs is how long batch jobs wait between lookups to respect the provider's rate limit.
+
+// Pick the geocoder from the GEOCODER env var ('fixture' or 'nominatim').
+// Outside production the offline fixture provider is the default so nothing needs the network.
+const createGeocoder = (type = process.env.GEOCODER || (process.env.NODE_ENV === 'production' ? 'nominatim' : 'fixture')) => {
+  switch (type) {
+    case 'fixture':
+      return createFixtureGeocoder({ fixturePath: process.env.GEOCODER_FIXTURE });
+    case 'nominatim':
+      return createNominatimGeocoder({
+        baseUrl: process.env.NOMINATIM_URL,
+        userAgent: process.env.GEOCODER_USER_AGENT
+      });
+    default:
+      throw new Error(`Unknown GEOCODER "${type}" - expected "fixture" or "nominatim"`);
+  }
+};
+
+module.exports = {
+  createGeocoder
+};
@@ -0,0 +1,44 @@
+// Geocoder backed by OpenStreetMap Nominatim (https://nominatim.org/release-docs/latest/api/Search/).
+// The public instance requires an identifying User-Agent and allows about one request per second.
+
+const DEFAULT_BASE_URL = 'https://nominatim.openstreetmap.org';
+const REQUEST_TIMEOUT_MS = 5000;
+// A little over a second, to stay under the public instance's limit
+const MIN_INTERVAL_MS = 1100;
+
+const createNominatimGeocoder = (options = {}) => {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const userAgent = options.userAgent || 'dogapp-backend';
+
+  return {
+    name: 'nominatim',
+    minIntervalMs: MIN_INTERVAL_MS,
+
+    async geocode(address) {
+      const url = `${baseUrl}/search?format=json&limit=1&q=${encodeURIComponent(address)}`;
+      const response = await fetch(url, {
+        headers: { 'User-Agent': userAgent },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Nominatim request failed with status ${response.status}`);
+      }
+
+      const results = await response.json();
+      if (!Array.isArray(results) || results.length === 0) {
+        return null;
+      }
+
+      return {
+        latitude: parseFloat(results[0].lat),
+        longitude: parseFloat(results[0].lon),
+        formattedAddress: results[0].display_name
+      };
+    }
+  };
+};
+
+module.exports = {
+  createNominatimGeocoder
+};
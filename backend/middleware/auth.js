@@ -1,7 +1,11 @@
 const jwt = require('jsonwebtoken');
+const { usersRepo } = require('../config/database');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
+// User roles, from least to most privileged
+const ROLES = ['user', 'moderator', 'admin'];
+
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -20,7 +24,85 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Like authenticateToken, but also accepts the token as ?token= - browsers' EventSource
+// can't set headers, so streaming endpoints need another way to receive it
+const authenticateStreamToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  authenticateToken(req, res, next);
+};
+
+// Socket.IO middleware: verify the JWT sent when the connection is made, as
+// io({ auth: { token } }) or an Authorization header, and keep its user on socket.data
+const authenticateSocket = (socket, next) => {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err) {
+      return next(new Error('Invalid or expired token'));
+    }
+    socket.data.user = user;
+    next();
+  });
+};
+
+// Middleware to replace the role in the JWT with the one stored on the user now - tokens
+// last a week, so a demoted moderator's token still claims the old role. Use after
+// authenticateToken on routes that let moderators do more.
+const refreshRole = async (req, res, next) => {
+  try {
+    const user = await usersRepo.findById(req.user.userId);
+    // Accounts created before roles existed are regular users
+    req.user.role = user?.role || 'user';
+    next();
+  } catch (error) {
+    console.error('Refresh role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Middleware to restrict a route to certain roles - use after authenticateToken.
+// Checks the user's current role, so a role change applies straight away.
+const requireRole = (...allowedRoles) => (req, res, next) => {
+  refreshRole(req, res, () => {
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    next();
+  });
+};
+
+// Middleware for scheduled jobs (Vercel Cron sends "Authorization: Bearer <CRON_SECRET>")
+const authenticateCron = (req, res, next) => {
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (!cronSecret) {
+    // Allow manual triggering on a laptop without configuring a secret
+    if (process.env.NODE_ENV === 'development') return next();
+    return res.status(503).json({ error: 'CRON_SECRET is not configured' });
+  }
+
+  if (req.headers['authorization'] !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
+  authenticateStreamToken,
+  authenticateSocket,
+  refreshRole,
+  requireRole,
+  authenticateCron,
+  ROLES,
   JWT_SECRET
 };
\ No newline at end of file
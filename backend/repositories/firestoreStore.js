@@ -0,0 +1,116 @@
+// Firestore-backed data store. Firebase is only loaded when this store is selected,
+// so the in-memory store can run without any credentials.
+
+// Convert a Firestore document snapshot into a plain record (document ID always wins)
+const toRecord = (doc) => {
+  if (!doc.exists) {
+    return null;
+  }
+  return {
+    ...doc.data(),
+    id: doc.id
+  };
+};
+
+// Wrap a Firestore collection reference in the generic collection interface
+const createFirestoreCollection = (collectionRef) => ({
+  async findById(id) {
+    const doc = await collectionRef.doc(id).get();
+    return toRecord(doc);
+  },
+
+  // conditions: array of [field, operator, value] triples, same operators as Firestore
+  async find(conditions = [], options = {}) {
+    let query = collectionRef;
+
+    conditions.forEach(([field, operator, value]) => {
+      query = query.where(field, operator, value);
+    });
+
+    if (options.orderBy) {
+      query = query.orderBy(options.orderBy, options.direction || 'asc');
+    }
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(toRecord);
+  },
+
+  async findAll() {
+    const snapshot = await collectionRef.get();
+    return snapshot.docs.map(toRecord);
+  },
+
+  async create(data) {
+    const docRef = await collectionRef.add(data);
+    return {
+      ...data,
+      id: docRef.id
+    };
+  },
+
+  async set(id, data, options = {}) {
+    await collectionRef.doc(id).set(data, options);
+  },
+
+  async update(id, data) {
+    await collectionRef.doc(id).update(data);
+  },
+
+  async delete(id) {
+    await collectionRef.doc(id).delete();
+  }
+});
+
+const createFirestoreStore = () => {
+  const { db, serverTimestamp } = require('../firebase-config');
+  const collections = new Map();
+
+  return {
+    name: 'firestore',
+    serverTimestamp,
+
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createFirestoreCollection(db.collection(name)));
+      }
+      return collections.get(name);
+    },
+
+    // Run updateFunction in a Firestore transaction (retried automatically on contention).
+    // All reads must happen before any writes.
+    runTransaction(updateFunction) {
+      return db.runTransaction(async (firestoreTransaction) => {
+        const transaction = {
+          async findById(collectionName, id) {
+            const doc = await firestoreTransaction.get(db.collection(collectionName).doc(id));
+            return toRecord(doc);
+          },
+          update(collectionName, id, data) {
+            firestoreTransaction.update(db.collection(collectionName).doc(id), data);
+          },
+          set(collectionName, id, data, options = {}) {
+            firestoreTransaction.set(db.collection(collectionName).doc(id), data, options);
+          },
+          delete(collectionName, id) {
+            firestoreTransaction.delete(db.collection(collectionName).doc(id));
+          }
+        };
+
+        return updateFunction(transaction);
+      });
+    },
+
+    // Lightweight read used by the debug endpoints to verify connectivity
+    async ping() {
+      await db.collection('test').doc('connection-test').get();
+    }
+  };
+};
+
+module.exports = {
+  createFirestoreStore
+};
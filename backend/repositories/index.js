@@ -0,0 +1,621 @@
+const { createFirestoreStore } = require('./firestoreStore');
+const { createMemoryStore } = require('./memoryStore');
+const { toDate } = require('../utils/helpers');
+const { distanceKm, geohashPrefixesForRadius } = require('../utils/geo');
+
+// Collection names shared by every store implementation
+const COLLECTIONS = {
+  users: 'test_users',
+  dogs: 'dogs',
+  dogParks: 'test_dogparks',
+  friendRequests: 'friend-requests',
+  notifications: 'notifications',
+  parkVisits: 'park_visits',
+  parkWaitlist: 'park_waitlist',
+  parkSuggestions: 'park_suggestions',
+  parkReviews: 'park_reviews',
+  parkPhotos: 'park_photos',
+  parkReports: 'park_condition_reports',
+  parkEvents: 'park_events',
+  plannedVisits: 'park_planned_visits'
+};
+
+// Sort records newest first by a timestamp field (done in JS to avoid composite indexes)
+const sortByNewest = (records, field) => {
+  return records.sort((a, b) => (toDate(b[field]) || 0) - (toDate(a[field]) || 0));
+};
+
+// Pick the data store implementation from the DATA_STORE env var ('firestore' or 'memory')
+const createStore = (type = process.env.DATA_STORE || 'firestore') => {
+  switch (type) {
+    case 'firestore':
+      return createFirestoreStore();
+    case 'memory':
+      return createMemoryStore({
+        seedPath: process.env.DATA_STORE_SEED,
+        latencyMs: parseInt(process.env.DATA_STORE_LATENCY_MS, 10) || 0
+      });
+    default:
+      throw new Error(`Unknown DATA_STORE "${type}" - expected "firestore" or "memory"`);
+  }
+};
+
+// Each repository exposes the generic collection methods
+// (findById, find, findAll, create, set, update, delete) plus domain-specific queries.
+// Stores also provide runTransaction(fn) for read-modify-write updates that must not race.
+const createRepositories = (store) => {
+  const users = store.collection(COLLECTIONS.users);
+  const dogs = store.collection(COLLECTIONS.dogs);
+  const parks = store.collection(COLLECTIONS.dogParks);
+  const friendRequests = store.collection(COLLECTIONS.friendRequests);
+  const notifications = store.collection(COLLECTIONS.notifications);
+  const parkVisits = store.collection(COLLECTIONS.parkVisits);
+  const parkWaitlist = store.collection(COLLECTIONS.parkWaitlist);
+  const parkSuggestions = store.collection(COLLECTIONS.parkSuggestions);
+  const parkReviews = store.collection(COLLECTIONS.parkReviews);
+  const parkPhotos = store.collection(COLLECTIONS.parkPhotos);
+  const parkReports = store.collection(COLLECTIONS.parkReports);
+  const parkEvents = store.collection(COLLECTIONS.parkEvents);
+  const plannedVisits = store.collection(COLLECTIONS.plannedVisits);
+
+  const usersRepo = {
+    ...users,
+
+    async findByEmail(email) {
+      const matches = await users.find([['email', '==', email]]);
+      return matches[0] || null;
+    },
+
+    // Users who follow the park (favoriteParks on their profile)
+    findByFavoritePark(parkId) {
+      return users.find([['favoriteParks', 'array-contains', parkId]]);
+    },
+
+    // Read-modify-write the user's favourite parks so simultaneous follows don't lose one.
+    // computeFavoriteParks(favoriteParks) returns the new list (unchanged: nothing is written)
+    // and may throw to abort. Resolves to the list as stored, or null if the user doesn't exist.
+    updateFavoriteParks(userId, computeFavoriteParks) {
+      return store.runTransaction(async (transaction) => {
+        const user = await transaction.findById(COLLECTIONS.users, userId);
+        if (!user) {
+          return null;
+        }
+
+        const favoriteParks = user.favoriteParks || [];
+        const updated = computeFavoriteParks(favoriteParks);
+        if (updated !== favoriteParks) {
+          transaction.update(COLLECTIONS.users, userId, {
+            favoriteParks: updated,
+            updatedAt: store.serverTimestamp()
+          });
+        }
+        return updated;
+      });
+    }
+  };
+
+  const dogsRepo = {
+    ...dogs,
+
+    findByOwner(ownerId) {
+      return dogs.find([['owner_id', '==', ownerId]]);
+    },
+
+    // Returns records in the same order as the given IDs (null for missing dogs)
+    findByIds(dogIds) {
+      return Promise.all(dogIds.map(dogId => dogs.findById(dogId)));
+    }
+  };
+
+  const parksRepo = {
+    ...parks,
+
+    // Parks whose checkedInDogs list contains any of the given dogs
+    async findByCheckedInDogs(dogIds) {
+      const matches = new Map();
+
+      // Firestore limits array-contains-any to 10 values per query
+      for (let i = 0; i < dogIds.length; i += 10) {
+        const chunk = dogIds.slice(i, i + 10);
+        const chunkParks = await parks.find([['checkedInDogs', 'array-contains-any', chunk]]);
+        chunkParks.forEach(park => matches.set(park.id, park));
+      }
+
+      return Array.from(matches.values());
+    },
+
+    // Parks within radiusKm of a point, nearest first, each with its distanceKm.
+    // Candidates come from geohash prefix range queries, then are filtered by exact distance.
+    async findNearby(latitude, longitude, radiusKm) {
+      const prefixes = geohashPrefixesForRadius(latitude, longitude, radiusKm);
+      const candidates = new Map();
+
+      if (prefixes) {
+        for (const prefix of prefixes) {
+          const matches = await parks.find([
+            ['geohash', '>=', prefix],
+            ['geohash', '<', `${prefix}~`]
+          ]);
+          matches.forEach(park => candidates.set(park.id, park));
+        }
+      } else {
+        (await parks.findAll()).forEach(park => candidates.set(park.id, park));
+      }
+
+      return Array.from(candidates.values())
+        .filter(park => typeof park.latitude === 'number' && typeof park.longitude === 'number')
+        .map(park => ({
+          ...park,
+          distanceKm: distanceKm(latitude, longitude, park.latitude, park.longitude)
+        }))
+        .filter(park => park.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+    },
+
+    // The park a dog is currently checked into, or null
+    async findCurrentPark(dogId) {
+      const matches = await parks.find([['checkedInDogs', 'array-contains', dogId]]);
+      return matches[0] || null;
+    },
+
+    // Atomically replace the checkedInDogs list of one or more parks.
+    // changes: [{ parkId, computeDogIds(currentDogIds, park), fields }] - computeDogIds returns the
+    // new list and may throw to abort (it can be re-run if the transaction retries); fields are
+    // extra values written alongside it. Resolves to [{ park, checkedInDogs }] in the same order,
+    // with each park as it was before the change, or null (nothing written) if any park is missing.
+    // A change marked optional is skipped instead when its park is missing (its result is null).
+    // With trackedDogIds, those dogs are read in the same transaction, changes may be a function
+    // of their records (so it can see which park each dog is at right now), and each dog's
+    // current_park_id is updated to match.
+    updateCheckedInDogs(changes, trackedDogIds = []) {
+      return store.runTransaction(async (transaction) => {
+        const trackedDogs = (await Promise.all(
+          trackedDogIds.map(dogId => transaction.findById(COLLECTIONS.dogs, dogId))
+        )).filter(Boolean);
+        const parkChanges = typeof changes === 'function' ? changes(trackedDogs) : changes;
+
+        const currentParks = await Promise.all(
+          parkChanges.map(change => transaction.findById(COLLECTIONS.dogParks, change.parkId))
+        );
+        if (currentParks.some((park, index) => !park && !parkChanges[index].optional)) {
+          return null;
+        }
+
+        const results = parkChanges.map((change, index) => {
+          const park = currentParks[index];
+          if (!park) {
+            return null;
+          }
+          const checkedInDogs = change.computeDogIds(park.checkedInDogs || [], park);
+          return { park, checkedInDogs };
+        });
+
+        parkChanges.forEach((change, index) => {
+          if (!results[index]) {
+            return;
+          }
+          transaction.update(COLLECTIONS.dogParks, change.parkId, {
+            ...change.fields,
+            checkedInDogs: results[index].checkedInDogs,
+            updated_at: store.serverTimestamp()
+          });
+        });
+
+        trackedDogs.forEach(dog => {
+          const joined = parkChanges.find((change, index) => results[index]?.checkedInDogs.includes(dog.id));
+          const left = results.some(result => result && (result.park.checkedInDogs || []).includes(dog.id));
+          if (joined) {
+            transaction.update(COLLECTIONS.dogs, dog.id, { current_park_id: joined.parkId });
+          } else if (left) {
+            transaction.update(COLLECTIONS.dogs, dog.id, { current_park_id: null });
+          }
+        });
+
+        return results;
+      });
+    }
+  };
+
+  const friendRequestsRepo = {
+    ...friendRequests,
+
+    findPending() {
+      return friendRequests.find([['status', '==', 'pending']]);
+    }
+  };
+
+  const notificationsRepo = {
+    ...notifications,
+
+    findByUser(userId, limit = 50) {
+      return notifications.find([['user_id', '==', userId]], {
+        orderBy: 'created_at',
+        direction: 'desc',
+        limit
+      });
+    },
+
+    // The user's notifications of one type created since the given date
+    async findRecentOfType(userId, type, since) {
+      const matches = await notifications.find([
+        ['user_id', '==', userId],
+        ['type', '==', type]
+      ]);
+      return matches.filter(notification => toDate(notification.created_at) >= since);
+    }
+  };
+
+  // Check-in sessions: one record per dog per park visit
+  const visitsRepo = {
+    ...parkVisits,
+
+    async findByDog(dogId, limit = 50) {
+      const visits = await parkVisits.find([['dog_id', '==', dogId]]);
+      return sortByNewest(visits, 'checked_in_at').slice(0, limit);
+    },
+
+    async findByPark(parkId, limit = 50) {
+      const visits = await parkVisits.find([['park_id', '==', parkId]]);
+      return sortByNewest(visits, 'checked_in_at').slice(0, limit);
+    },
+
+    async findByParkAndOwner(parkId, ownerId, limit = 50) {
+      const visits = await parkVisits.find([['park_id', '==', parkId], ['owner_id', '==', ownerId]]);
+      return sortByNewest(visits, 'checked_in_at').slice(0, limit);
+    },
+
+    // Owners who checked a dog in at the park since the given date (each owner once)
+    async findRecentVisitors(parkId, since) {
+      const visits = await parkVisits.find([['park_id', '==', parkId]]);
+      const ownerIds = visits
+        .filter(visit => toDate(visit.checked_in_at) >= since)
+        .map(visit => visit.owner_id);
+      return [...new Set(ownerIds)];
+    },
+
+    // True if the owner has ever checked a dog in at the park
+    async hasVisited(ownerId, parkId) {
+      const visits = await parkVisits.find([
+        ['owner_id', '==', ownerId],
+        ['park_id', '==', parkId]
+      ], { limit: 1 });
+      return visits.length > 0;
+    },
+
+    // Visits that have been checked in but not yet checked out, across all parks
+    findOpen() {
+      return parkVisits.find([['checked_out_at', '==', null]]);
+    },
+
+    // Visits that have been checked in but not yet checked out
+    findOpenAtPark(parkId) {
+      return parkVisits.find([
+        ['park_id', '==', parkId],
+        ['checked_out_at', '==', null]
+      ]);
+    },
+
+    // Read-modify-write a visit so overlapping sweeps can't both act on it. computeChanges(visit)
+    // returns the fields to update (nothing is written if there are none). Resolves to
+    // { visit, changes } with the visit as it was before, or null if it doesn't exist.
+    updateVisit(visitId, computeChanges) {
+      return store.runTransaction(async (transaction) => {
+        const visit = await transaction.findById(COLLECTIONS.parkVisits, visitId);
+        if (!visit) {
+          return null;
+        }
+
+        const changes = computeChanges(visit);
+        if (Object.keys(changes).length > 0) {
+          transaction.update(COLLECTIONS.parkVisits, visitId, changes);
+        }
+        return { visit, changes };
+      });
+    }
+  };
+
+  // Owners waiting for a spot at a full park: status 'waiting' -> 'notified' -> 'checked_in' (or 'left')
+  const waitlistRepo = {
+    ...parkWaitlist,
+
+    // Entries still waiting for a spot, first come first served
+    async findWaiting(parkId) {
+      const entries = await parkWaitlist.find([
+        ['park_id', '==', parkId],
+        ['status', '==', 'waiting']
+      ]);
+      return sortByNewest(entries, 'created_at').reverse();
+    },
+
+    // The owner's entry that is still waiting or has been offered a spot
+    async findActive(parkId, ownerId) {
+      const entries = await parkWaitlist.find([
+        ['park_id', '==', parkId],
+        ['owner_id', '==', ownerId],
+        ['status', 'in', ['waiting', 'notified']]
+      ]);
+      return entries[0] || null;
+    },
+
+    // Read-modify-write an entry so simultaneous check-outs can't offer the same spot twice.
+    // computeChanges(entry) returns the fields to update (nothing is written if there are none).
+    // Resolves to { entry, changes } with the entry as it was before, or null if it doesn't exist.
+    updateEntry(entryId, computeChanges) {
+      return store.runTransaction(async (transaction) => {
+        const entry = await transaction.findById(COLLECTIONS.parkWaitlist, entryId);
+        if (!entry) {
+          return null;
+        }
+
+        const changes = computeChanges(entry);
+        if (Object.keys(changes).length > 0) {
+          transaction.update(COLLECTIONS.parkWaitlist, entryId, {
+            ...changes,
+            updated_at: store.serverTimestamp()
+          });
+        }
+        return { entry, changes };
+      });
+    }
+  };
+
+  // Parks proposed by regular users, waiting for a moderator
+  const suggestionsRepo = {
+    ...parkSuggestions,
+
+    async findBySubmitter(userId) {
+      const suggestions = await parkSuggestions.find([['submitted_by', '==', userId]]);
+      return sortByNewest(suggestions, 'created_at');
+    },
+
+    // Moderation queue: oldest first so nothing waits forever
+    async findByStatus(status) {
+      const suggestions = await parkSuggestions.find([['status', '==', status]]);
+      return sortByNewest(suggestions, 'created_at').reverse();
+    },
+
+    // Record a moderator's decision only if the suggestion is still pending, so two
+    // moderators can't both approve it. Resolves to { suggestion, decided } with the
+    // suggestion as it was before, or null if it doesn't exist.
+    // With park (approvals), the park is created in the same transaction under the
+    // suggestion's ID and linked from it, so there is never one without the other.
+    decide(suggestionId, fields, park = null) {
+      return store.runTransaction(async (transaction) => {
+        const suggestion = await transaction.findById(COLLECTIONS.parkSuggestions, suggestionId);
+        if (!suggestion) {
+          return null;
+        }
+        if (suggestion.status !== 'pending') {
+          return { suggestion, decided: false };
+        }
+
+        if (park) {
+          transaction.set(COLLECTIONS.dogParks, suggestionId, park);
+        }
+        transaction.update(COLLECTIONS.parkSuggestions, suggestionId, {
+          ...fields,
+          ...(park && { park_id: suggestionId }),
+          updated_at: store.serverTimestamp()
+        });
+        return { suggestion, decided: true };
+      });
+    }
+  };
+
+  // One review per owner per park, stored under `${parkId}_${userId}`
+  const reviewsRepo = {
+    ...parkReviews,
+
+    async findByPark(parkId, limit = 50) {
+      const reviews = await parkReviews.find([['park_id', '==', parkId]]);
+      return sortByNewest(reviews, 'created_at').slice(0, limit);
+    },
+
+    // Create, edit or delete a review and keep the park's rating totals in step.
+    // computeReview(previousReview, park) returns the review to store, or null to delete it,
+    // and may throw to abort. Resolves to { park, previous, review } with the park's new
+    // rating fields, or null (nothing written) if the park is missing.
+    saveReview(parkId, reviewId, computeReview) {
+      return store.runTransaction(async (transaction) => {
+        const park = await transaction.findById(COLLECTIONS.dogParks, parkId);
+        if (!park) {
+          return null;
+        }
+
+        const previous = await transaction.findById(COLLECTIONS.parkReviews, reviewId);
+        const review = computeReview(previous, park);
+
+        const ratingTotal = (park.rating_total || 0) - (previous ? previous.rating : 0) + (review ? review.rating : 0);
+        const reviewCount = (park.review_count || 0) - (previous ? 1 : 0) + (review ? 1 : 0);
+        const ratingFields = {
+          rating_total: ratingTotal,
+          review_count: reviewCount,
+          rating_average: reviewCount > 0 ? Math.round(ratingTotal / reviewCount * 10) / 10 : null
+        };
+
+        if (review) {
+          transaction.set(COLLECTIONS.parkReviews, reviewId, review);
+        } else if (previous) {
+          transaction.delete(COLLECTIONS.parkReviews, reviewId);
+        }
+        transaction.update(COLLECTIONS.dogParks, parkId, {
+          ...ratingFields,
+          updated_at: store.serverTimestamp()
+        });
+
+        return {
+          park: { ...park, ...ratingFields },
+          previous,
+          review: review ? { ...review, id: reviewId } : null
+        };
+      });
+    }
+  };
+
+  const photosRepo = {
+    ...parkPhotos,
+
+    async findByPark(parkId, limit = 50) {
+      const photos = await parkPhotos.find([['park_id', '==', parkId]]);
+      return sortByNewest(photos, 'created_at').slice(0, limit);
+    }
+  };
+
+  // Condition reports: status 'open' -> 'acknowledged' -> 'resolved'. Parks keep a short
+  // summary of their unresolved reports in active_reports so park lists can show them.
+  const reportsRepo = {
+    ...parkReports,
+
+    async findByPark(parkId, statuses = null) {
+      const conditions = [['park_id', '==', parkId]];
+      if (statuses) {
+        conditions.push(['status', 'in', statuses]);
+      }
+      const reports = await parkReports.find(conditions);
+      return sortByNewest(reports, 'created_at');
+    },
+
+    // Create or update a report and keep the park's active_reports summary in step.
+    // computeReport(previousReport, park) returns the report to store and may throw to abort.
+    // Resolves to { park, previous, report }, or null (nothing written) if the park is missing.
+    saveReport(parkId, reportId, computeReport) {
+      return store.runTransaction(async (transaction) => {
+        const park = await transaction.findById(COLLECTIONS.dogParks, parkId);
+        if (!park) {
+          return null;
+        }
+
+        const previous = await transaction.findById(COLLECTIONS.parkReports, reportId);
+        const report = computeReport(previous, park);
+
+        const activeReports = (park.active_reports || []).filter(summary => summary.id !== reportId);
+        if (report.status !== 'resolved') {
+          activeReports.push({
+            id: reportId,
+            category: report.category,
+            critical: report.critical,
+            status: report.status,
+            created_at: report.created_at
+          });
+        }
+
+        transaction.set(COLLECTIONS.parkReports, reportId, report);
+        transaction.update(COLLECTIONS.dogParks, parkId, {
+          active_reports: activeReports,
+          updated_at: store.serverTimestamp()
+        });
+
+        return {
+          park: { ...park, active_reports: activeReports },
+          previous,
+          report: { ...report, id: reportId }
+        };
+      });
+    }
+  };
+
+  // Meetups at a park. RSVPs live on the event as an attendees list, one entry per dog.
+  const eventsRepo = {
+    ...parkEvents,
+
+    // Scheduled events at the park that haven't ended yet, soonest first
+    async findUpcoming(parkId, now = new Date()) {
+      const events = await parkEvents.find([
+        ['park_id', '==', parkId],
+        ['status', '==', 'scheduled']
+      ]);
+      return sortByNewest(events.filter(event => toDate(event.ends_at) > now), 'starts_at').reverse();
+    },
+
+    // Events the user organised or has dogs going to (including cancelled ones), soonest first
+    async findForUser(userId) {
+      const [organised, attending] = await Promise.all([
+        parkEvents.find([['organizer_id', '==', userId]]),
+        parkEvents.find([['attendee_owner_ids', 'array-contains', userId]])
+      ]);
+      const events = new Map([...organised, ...attending].map(event => [event.id, event]));
+      return sortByNewest([...events.values()], 'starts_at').reverse();
+    },
+
+    // Scheduled events starting between now and the cutoff whose reminder hasn't gone out
+    async findNeedingReminder(now, cutoff) {
+      const events = await parkEvents.find([
+        ['status', '==', 'scheduled'],
+        ['reminder_sent', '==', false]
+      ]);
+      return events.filter(event => {
+        const startsAt = toDate(event.starts_at);
+        return startsAt > now && startsAt <= cutoff;
+      });
+    },
+
+    // Read-modify-write an event so RSVPs can't overbook it. computeChanges(event) returns
+    // the fields to update and may throw to abort. Resolves to { event, changes } with the
+    // event as it was before, or null if it doesn't exist.
+    updateEvent(eventId, computeChanges) {
+      return store.runTransaction(async (transaction) => {
+        const event = await transaction.findById(COLLECTIONS.parkEvents, eventId);
+        if (!event) {
+          return null;
+        }
+
+        const changes = computeChanges(event);
+        transaction.update(COLLECTIONS.parkEvents, eventId, {
+          ...changes,
+          updated_at: store.serverTimestamp()
+        });
+        return { event, changes };
+      });
+    }
+  };
+
+  // Owners announcing when their dogs will be at a park: status 'planned' -> 'checked_in' (or 'cancelled')
+  const plannedVisitsRepo = {
+    ...plannedVisits,
+
+    // Planned visits at the park that haven't ended yet, soonest first
+    async findUpcomingAtPark(parkId, now = new Date()) {
+      const visits = await plannedVisits.find([
+        ['park_id', '==', parkId],
+        ['status', '==', 'planned']
+      ]);
+      return sortByNewest(visits.filter(visit => toDate(visit.ends_at) > now), 'starts_at').reverse();
+    },
+
+    // Every planned visit the owner has posted (including cancelled ones), soonest first
+    async findByOwner(ownerId) {
+      const visits = await plannedVisits.find([['owner_id', '==', ownerId]]);
+      return sortByNewest(visits, 'starts_at').reverse();
+    },
+
+    // The owner's planned visits that are still waiting for a check-in, at any park
+    findPendingForOwner(ownerId) {
+      return plannedVisits.find([
+        ['owner_id', '==', ownerId],
+        ['status', '==', 'planned']
+      ]);
+    }
+  };
+
+  return {
+    usersRepo,
+    dogsRepo,
+    parksRepo,
+    friendRequestsRepo,
+    notificationsRepo,
+    visitsRepo,
+    waitlistRepo,
+    suggestionsRepo,
+    reviewsRepo,
+    photosRepo,
+    reportsRepo,
+    eventsRepo,
+    plannedVisitsRepo
+  };
+};
+
+module.exports = {
+  COLLECTIONS,
+  createStore,
+  createRepositories
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// In-memory data store with the same collection interface as the Firestore store.
+// Data lives only for the lifetime of the process - intended for local development and tests.
+
+// Make values comparable (timestamps are stored as Date objects)
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const isEqual = (a, b) => toComparable(a) === toComparable(b);
+
+// Read a possibly nested field ('preferences.language')
+const getField = (data, fieldPath) => {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+};
+
+// Write a possibly nested field, creating intermediate objects as needed
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const lastKey = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (current[key] == null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, data);
+  target[lastKey] = value;
+};
+
+// Firestore query operators supported by find()
+const operators = {
+  '==': (fieldValue, value) => isEqual(fieldValue, value),
+  '!=': (fieldValue, value) => fieldValue !== undefined && !isEqual(fieldValue, value),
+  '<': (fieldValue, value) => fieldValue !== undefined && toComparable(fieldValue) < toComparable(value),
+  '<=': (fieldValue, value) => fieldValue !== undefined && toComparable(fieldValue) <= toComparable(value),
+  '>': (fieldValue, value) => fieldValue !== undefined && toComparable(fieldValue) > toComparable(value),
+  '>=': (fieldValue, value) => fieldValue !== undefined && toComparable(fieldValue) >= toComparable(value),
+  'in': (fieldValue, values) => values.some(value => isEqual(fieldValue, value)),
+  'array-contains': (fieldValue, value) => Array.isArray(fieldValue) && fieldValue.some(item => isEqual(item, value)),
+  'array-contains-any': (fieldValue, values) => Array.isArray(fieldValue) && fieldValue.some(item => values.some(value => isEqual(item, value)))
+};
+
+const compareValues = (a, b) => {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === undefined) return -1;
+  if (right === undefined) return 1;
+  return left < right ? -1 : 1;
+};
+
+const notFoundError = (collectionName, id) => {
+  const error = new Error(`No document to update: ${collectionName}/${id}`);
+  error.code = 'not-found';
+  return error;
+};
+
+// Wait a random time up to latencyMs so concurrent requests interleave the way they do against a real database
+const simulateLatency = (latencyMs) => {
+  if (!latencyMs) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => setTimeout(resolve, Math.random() * latencyMs));
+};
+
+const createMemoryCollection = (collectionName, documents, latencyMs) => {
+  const toRecord = (id) => {
+    if (!documents.has(id)) {
+      return null;
+    }
+    return {
+      ...structuredClone(documents.get(id)),
+      id
+    };
+  };
+
+  return {
+    async findById(id) {
+      await simulateLatency(latencyMs);
+      return toRecord(id);
+    },
+
+    // conditions: array of [field, operator, value] triples, same operators as Firestore
+    async find(conditions = [], options = {}) {
+      await simulateLatency(latencyMs);
+      let ids = Array.from(documents.keys()).filter(id => {
+        const data = documents.get(id);
+        return conditions.every(([field, operator, value]) => {
+          const matches = operators[operator];
+          if (!matches) {
+            throw new Error(`Unsupported query operator: ${operator}`);
+          }
+          return matches(getField(data, field), value);
+        });
+      });
+
+      if (options.orderBy) {
+        const direction = options.direction === 'desc' ? -1 : 1;
+        ids.sort((a, b) => direction * compareValues(
+          getField(documents.get(a), options.orderBy),
+          getField(documents.get(b), options.orderBy)
+        ));
+      }
+
+      if (options.limit) {
+        ids = ids.slice(0, options.limit);
+      }
+
+      return ids.map(toRecord);
+    },
+
+    async findAll() {
+      await simulateLatency(latencyMs);
+      return Array.from(documents.keys()).map(toRecord);
+    },
+
+    async create(data) {
+      await simulateLatency(latencyMs);
+      const id = uuidv4();
+      documents.set(id, structuredClone(data));
+      return toRecord(id);
+    },
+
+    async set(id, data, options = {}) {
+      await simulateLatency(latencyMs);
+      const existing = options.merge && documents.has(id) ? documents.get(id) : {};
+      documents.set(id, {
+        ...existing,
+        ...structuredClone(data)
+      });
+    },
+
+    async update(id, data) {
+      await simulateLatency(latencyMs);
+      if (!documents.has(id)) {
+        throw notFoundError(collectionName, id);
+      }
+      const updated = structuredClone(documents.get(id));
+      Object.entries(structuredClone(data)).forEach(([fieldPath, value]) => {
+        setField(updated, fieldPath, value);
+      });
+      documents.set(id, updated);
+    },
+
+    async delete(id) {
+      await simulateLatency(latencyMs);
+      documents.delete(id);
+    }
+  };
+};
+
+// Optional seed file: { "<collection name>": { "<document id>": { ...fields } } }
+const loadSeed = (seedPath) => {
+  const resolvedPath = path.resolve(seedPath);
+  console.log('🌱 Seeding in-memory data store from:', resolvedPath);
+  return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+};
+
+const createMemoryStore = (options = {}) => {
+  const collections = new Map();
+
+  const collection = (name, documents = new Map()) => {
+    if (!collections.has(name)) {
+      collections.set(name, createMemoryCollection(name, documents, options.latencyMs));
+    }
+    return collections.get(name);
+  };
+
+  // Transactions run one at a time; writes are buffered and applied only if the callback succeeds
+  let transactionQueue = Promise.resolve();
+
+  const executeTransaction = async (updateFunction) => {
+    const writes = [];
+    const transaction = {
+      findById: (collectionName, id) => collection(collectionName).findById(id),
+      update: (collectionName, id, data) => {
+        writes.push(() => collection(collectionName).update(id, data));
+      },
+      set: (collectionName, id, data, setOptions) => {
+        writes.push(() => collection(collectionName).set(id, data, setOptions));
+      },
+      delete: (collectionName, id) => {
+        writes.push(() => collection(collectionName).delete(id));
+      }
+    };
+
+    const result = await updateFunction(transaction);
+    for (const write of writes) {
+      await write();
+    }
+    return result;
+  };
+
+  const store = {
+    name: 'memory',
+    serverTimestamp: () => new Date(),
+    collection,
+
+    runTransaction(updateFunction) {
+      const run = transactionQueue.then(() => executeTransaction(updateFunction));
+      transactionQueue = run.catch(() => {});
+      return run;
+    },
+
+    async ping() {
+      return true;
+    }
+  };
+
+  if (options.seedPath) {
+    const seed = loadSeed(options.seedPath);
+    // Seed documents directly so they are available before the first request
+    Object.entries(seed).forEach(([collectionName, docs]) => {
+      collection(collectionName, new Map(Object.entries(docs)));
+    });
+  }
+
+  return store;
+};
+
+module.exports = {
+  createMemoryStore
+};
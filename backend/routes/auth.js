@@ -1,8 +1,8 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { usersCollection, serverTimestamp } = require('../config/database');
-const { authenticateToken, JWT_SECRET } = require('../middleware/auth');
+const { usersRepo, serverTimestamp } = require('../config/database');
+const { authenticateToken, requireRole, ROLES, JWT_SECRET } = require('../middleware/auth');
 const { calculateAge } = require('../utils/helpers');
 
 const router = express.Router();
@@ -13,13 +13,16 @@ router.post('/register', async (req, res) => {
     const { 
       email, 
       password, 
-      fullName, 
+      name,
       dateOfBirth, 
       gender,
       profileImageUrl,
       preferences 
     } = req.body;
 
+    // Accept 'name' as an alias of 'fullName' for older clients
+    const fullName = req.body.fullName || name;
+
     // Validation - required fields
     if (!email || !password || !fullName || !dateOfBirth || !gender) {
       return res.status(400).json({ 
@@ -44,8 +47,8 @@ router.post('/register', async (req, res) => {
     }
 
     // Check if user already exists
-    const existingUserSnapshot = await usersCollection.where('email', '==', email).get();
-    if (!existingUserSnapshot.empty) {
+    const existingUser = await usersRepo.findByEmail(email);
+    if (existingUser) {
       return res.status(409).json({ 
         error: 'An account with this email already exists. Would you like to sign in instead?',
         code: 'EMAIL_ALREADY_EXISTS'
@@ -69,6 +72,7 @@ router.post('/register', async (req, res) => {
       gender,
       uid: '',
       isActive: true,
+      role: 'user',
       CreatedAt: currentTime,
       updatedAt: currentTime,
       lastLoginAt: currentTime,
@@ -80,17 +84,17 @@ router.post('/register', async (req, res) => {
       }
     };
 
-    // Create user in Firestore
-    const userDoc = await usersCollection.add(userData);
+    // Create user in the data store
+    const userDoc = await usersRepo.create(userData);
 
     // Update the uid field with the document ID
-    await usersCollection.doc(userDoc.id).update({
+    await usersRepo.update(userDoc.id, {
       uid: userDoc.id
     });
 
     // Generate JWT token
     const token = jwt.sign(
-      { userId: userDoc.id, email },
+      { userId: userDoc.id, email, role: userData.role },
       JWT_SECRET,
       { expiresIn: '7d' }
     );
@@ -125,14 +129,13 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user
-    const userSnapshot = await usersCollection.where('email', '==', email).get();
+    const userDoc = await usersRepo.findByEmail(email);
     
-    if (userSnapshot.empty) {
+    if (!userDoc) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const userDoc = userSnapshot.docs[0];
-    const userData = userDoc.data();
+    const { id: _id, ...userData } = userDoc;
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, userData.password);
@@ -141,15 +144,18 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Accounts created before roles existed are regular users
+    const role = userData.role || 'user';
+
     // Generate JWT token
     const token = jwt.sign(
-      { userId: userDoc.id, email },
+      { userId: userDoc.id, email, role },
       JWT_SECRET,
       { expiresIn: '7d' }
     );
 
     // Update last login
-    await usersCollection.doc(userDoc.id).update({
+    await usersRepo.update(userDoc.id, {
       lastLoginAt: serverTimestamp()
     });
 
@@ -162,7 +168,8 @@ router.post('/login', async (req, res) => {
       user: {
         id: userDoc.id,
         uid: userDoc.id,
-        ...userDataResponse
+        ...userDataResponse,
+        role
       }
     });
 
@@ -175,13 +182,13 @@ router.post('/login', async (req, res) => {
 // Get current user (protected route)
 router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const userDoc = await usersCollection.doc(req.user.userId).get();
+    const userDoc = await usersRepo.findById(req.user.userId);
     
-    if (!userDoc.exists) {
+    if (!userDoc) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const userData = userDoc.data();
+    const { id: _id, ...userData } = userDoc;
     
     // Return complete user profile (excluding password)
     const { password: _, ...userProfile } = userData;
@@ -190,7 +197,8 @@ router.get('/me', authenticateToken, async (req, res) => {
       user: {
         id: userDoc.id,
         uid: userDoc.id,
-        ...userProfile
+        ...userProfile,
+        role: userProfile.role || 'user'
       }
     });
 
@@ -200,6 +208,43 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Change a user's role (admin only). Takes effect on the user's next request.
+router.put('/users/:userId/role', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    // Keep at least the acting admin in place so the app can't be locked out
+    if (userId === req.user.userId && role !== 'admin') {
+      return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+    }
+
+    const userDoc = await usersRepo.findById(userId);
+    if (!userDoc) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await usersRepo.update(userId, {
+      role,
+      updatedAt: serverTimestamp()
+    });
+
+    console.log(`🛡️ User ${userId} role changed to ${role} by ${req.user.userId}`);
+    res.json({
+      message: 'Role updated successfully',
+      user: { id: userId, role }
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Logout
 router.post('/logout', authenticateToken, (req, res) => {
   res.json({ message: 'Logout successful' });
@@ -6,8 +6,9 @@ const router = express.Router();
 // Get all dog breeds from external API
 router.get('/', async (req, res) => {
   try {
-    const apiKey = process.env.DOG_BREEDS_API_KEY;
-    const apiUrl = process.env.DOG_BREEDS_API_URL;
+    // DOG_API_KEY is the older name used by the Vercel deployment
+    const apiKey = process.env.DOG_BREEDS_API_KEY || process.env.DOG_API_KEY;
+    const apiUrl = process.env.DOG_BREEDS_API_URL || 'https://api.thedogapi.com/v1';
     
     if (!apiKey || apiKey === 'your-dog-breeds-api-key-here' || apiKey.length < 10) {
       // Return a fallback list if API key is not configured
@@ -0,0 +1,86 @@
+const express = require('express');
+const { parksRepo } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  calendarFeedToken,
+  isValidCalendarFeedToken,
+  buildUserFeed,
+  buildParkFeed
+} = require('../services/calendarFeeds');
+
+const router = express.Router();
+
+// Calendar apps poll feeds; let them cache for a few minutes
+const FEED_CACHE_SECONDS = 300;
+
+const sendCalendar = (res, filename, body) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': `private, max-age=${FEED_CACHE_SECONDS}`
+  });
+  res.send(body);
+};
+
+// Public base URL for feed links (set PUBLIC_API_URL when running behind a proxy)
+const apiBaseUrl = (req) => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+// The signed subscription URL for the user's personal calendar (protected route)
+router.get('/feed-url', authenticateToken, (req, res) => {
+  const { userId } = req.user;
+  const url = `${apiBaseUrl(req)}/api/calendar/users/${encodeURIComponent(userId)}.ics?token=${calendarFeedToken(userId)}`;
+
+  res.json({
+    success: true,
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  });
+});
+
+// Personal feed of the user's events - calendar apps can't send an Authorization header,
+// so the signed token in the URL stands in for it
+router.get('/users/:userId.ics', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidCalendarFeedToken(userId, req.query.token)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid calendar token'
+      });
+    }
+
+    sendCalendar(res, 'my-park-events.ics', await buildUserFeed(userId));
+  } catch (error) {
+    console.error('❌ Error building personal calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Public feed of a park's upcoming events
+router.get('/parks/:parkId.ics', async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const parkData = await parksRepo.findById(parkId);
+
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    sendCalendar(res, 'park-events.ics', await buildParkFeed(parkData));
+  } catch (error) {
+    console.error('❌ Error building park calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
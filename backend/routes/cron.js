@@ -0,0 +1,63 @@
+const express = require('express');
+const { authenticateCron } = require('../middleware/auth');
+const { sweepExpiredCheckIns } = require('../services/checkInSweeper');
+const { retryFailedGeocoding } = require('../services/parkGeocoding');
+const { sendEventReminders } = require('../services/parkEvents');
+
+const router = express.Router();
+
+// Expire stale check-ins - called by Vercel Cron (GET) or any external scheduler
+router.all('/sweep-checkins', authenticateCron, async (req, res) => {
+  try {
+    const result = await sweepExpiredCheckIns();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error sweeping expired check-ins:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Retry parks whose address couldn't be geocoded when they were saved
+router.all('/retry-geocoding', authenticateCron, async (req, res) => {
+  try {
+    const result = await retryFailedGeocoding();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error retrying park geocoding:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Remind attendees about park events starting soon
+router.all('/event-reminders', authenticateCron, async (req, res) => {
+  try {
+    const result = await sendEventReminders();
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error sending event reminders:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { dataStore, usersRepo, serverTimestamp } = require('../config/database');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Debug endpoint to test the data store connection
+router.get('/firebase', async (req, res) => {
+  try {
+    console.log('🔍 Testing Firebase connection...');
+    
+    // Test basic connection to the configured data store
+    await dataStore.ping();
+    console.log('✅ Firebase connection successful');
+    
+    res.json({ 
+      success: true, 
+      message: 'Firebase connection working',
+      dataStore: dataStore.name,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Firebase connection failed:', error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Firebase connection failed',
+      details: error.message,
+      code: error.code || 'UNKNOWN_ERROR'
+    });
+  }
+});
+
+// Debug environment variables endpoint
+router.get('/env', (req, res) => {
+  const firebaseVars = {
+    hasProjectId: !!process.env.FIREBASE_PROJECT_ID,
+    hasPrivateKey: !!process.env.FIREBASE_PRIVATE_KEY,
+    hasClientEmail: !!process.env.FIREBASE_CLIENT_EMAIL,
+    hasClientId: !!process.env.FIREBASE_CLIENT_ID,
+    hasPrivateKeyId: !!process.env.FIREBASE_PRIVATE_KEY_ID,
+    hasCertUrl: !!process.env.FIREBASE_CLIENT_X509_CERT_URL,
+    nodeEnv: process.env.NODE_ENV,
+    dataStore: dataStore.name,
+    projectId: process.env.FIREBASE_PROJECT_ID ? 'SET' : 'NOT SET'
+  };
+  
+  res.json({
+    success: true,
+    firebase: firebaseVars,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Test user creation and authentication endpoint
+router.post('/test-auth', async (req, res) => {
+  try {
+    const testEmail = 'test@dogapp.com';
+    const testPassword = 'testpassword123';
+    const testName = 'Test User';
+    
+    console.log('🧪 Testing user authentication flow...');
+    
+    // Step 1: Check if test user already exists and delete if found
+    console.log('📋 Step 1: Checking for existing test user...');
+    const existingUsers = await usersRepo.find([['email', '==', testEmail]]);
+    
+    if (existingUsers.length > 0) {
+      console.log('🗑️ Found existing test user, deleting...');
+      await Promise.all(existingUsers.map(user => usersRepo.delete(user.id)));
+      console.log('✅ Existing test user deleted');
+    }
+    
+    // Step 2: Create test user with hashed password
+    console.log('👤 Step 2: Creating test user...');
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(testPassword, saltRounds);
+    
+    const userDoc = await usersRepo.create({
+      email: testEmail,
+      password: hashedPassword,
+      name: testName,
+      created_at: serverTimestamp()
+    });
+    
+    console.log('✅ Test user created with ID:', userDoc.id);
+    
+    // Step 3: Verify user was created correctly
+    console.log('🔍 Step 3: Verifying user creation...');
+    const createdUser = await usersRepo.findById(userDoc.id);
+    
+    if (!createdUser) {
+      throw new Error('User document was not created');
+    }
+    
+    console.log('✅ User verification passed');
+    
+    // Step 4: Test login with the created user
+    console.log('🔐 Step 4: Testing login...');
+    
+    // Find user by email (simulating login process)
+    const userDataFromLogin = await usersRepo.findByEmail(testEmail);
+    
+    if (!userDataFromLogin) {
+      throw new Error('User not found during login test');
+    }
+    
+    // Test password verification
+    const isPasswordValid = await bcrypt.compare(testPassword, userDataFromLogin.password);
+    
+    if (!isPasswordValid) {
+      throw new Error('Password verification failed');
+    }
+    
+    console.log('✅ Password verification passed');
+    
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId: userDataFromLogin.id, email: userDataFromLogin.email },
+      JWT_SECRET,
+      { expiresIn: '7d' }
+    );
+    
+    console.log('✅ JWT token generated successfully');
+    
+    // Step 5: Test token verification
+    console.log('🎫 Step 5: Testing token verification...');
+    
+    const decoded = jwt.verify(token, JWT_SECRET);
+    console.log('✅ Token verification passed');
+    
+    res.json({
+      success: true,
+      message: 'Authentication flow test completed successfully',
+      testResults: {
+        userCreated: true,
+        userFound: true,
+        passwordVerified: true,
+        tokenGenerated: true,
+        tokenVerified: true,
+        userId: userDataFromLogin.id,
+        testCredentials: {
+          email: testEmail,
+          password: testPassword,
+          note: 'You can use these credentials to test login via /api/auth/login'
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Authentication test failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication test failed',
+      details: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,18 @@
 const express = require('express');
 const multer = require('multer');
-const { dogsCollection, serverTimestamp } = require('../config/database');
+const {
+  dogsRepo,
+  parksRepo,
+  friendRequestsRepo,
+  notificationsRepo,
+  visitsRepo,
+  serverTimestamp
+} = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { uploadToS3, validateImageFile } = require('../dogUploadPicture');
+const { formatVisit } = require('../services/parkVisits');
+const { broadcastDogUpdate } = require('../services/parkBroadcast');
+const { DOG_SIZES, normaliseSize, isValidSize } = require('../utils/dogSizes');
 
 const router = express.Router();
 
@@ -17,15 +27,7 @@ const upload = multer({
 // Get all dogs for the authenticated user
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const dogsSnapshot = await dogsCollection.where('owner_id', '==', req.user.userId).get();
-    
-    const userDogs = [];
-    dogsSnapshot.forEach(doc => {
-      userDogs.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const userDogs = await dogsRepo.findByOwner(req.user.userId);
 
     res.json({ dogs: userDogs });
   } catch (error) {
@@ -38,38 +40,40 @@ router.get('/', authenticateToken, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
   try {
     const { name, breed, age, energyLevel, playStyle, emoji } = req.body;
+    const size = normaliseSize(req.body.size ?? '');
 
     // Validation
     if (!name || !breed || !age) {
       return res.status(400).json({ error: 'Name, breed, and age are required' });
     }
 
-    // Create new dog in Firestore matching your schema
-    const dogDoc = await dogsCollection.add({
+    if (!isValidSize(size)) {
+      return res.status(400).json({ error: `Size must be one of: ${DOG_SIZES.join(', ')}` });
+    }
+
+    // Create new dog matching your schema
+    const newDog = await dogsRepo.create({
       owner_id: req.user.userId,
       name,
       breed,
       age: parseFloat(age), // Allow decimals for age
       energy_level: energyLevel || '',
       play_style: playStyle || [],
-      size: '',
+      size,
       photo_url: '', 
       friends: [],
       gets_along_with: [],
+      emoji: emoji || '🐕',
       created_at: serverTimestamp(),
       updated_at: serverTimestamp()
     });
 
     // Get the created dog data
-    const createdDog = await dogDoc.get();
-    const dogData = createdDog.data();
+    const createdDog = await dogsRepo.findById(newDog.id);
 
     res.status(201).json({
       message: 'Dog added successfully',
-      dog: {
-        id: dogDoc.id,
-        ...dogData
-      }
+      dog: createdDog
     });
 
   } catch (error) {
@@ -83,14 +87,19 @@ router.put('/:dogId', authenticateToken, async (req, res) => {
   try {
     const { dogId } = req.params;
     const { name, breed, age, energyLevel, playStyle, emoji } = req.body;
+    const size = normaliseSize(req.body.size);
 
     // Find the dog and verify ownership
-    const dogDoc = await dogsCollection.doc(dogId).get();
+    const dog = await dogsRepo.findById(dogId);
     
-    if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    if (!dog || dog.owner_id !== req.user.userId) {
       return res.status(404).json({ error: 'Dog not found or not authorized' });
     }
 
+    if (size !== undefined && !isValidSize(size)) {
+      return res.status(400).json({ error: `Size must be one of: ${DOG_SIZES.join(', ')}` });
+    }
+
     // Prepare update data matching your schema
     const updateData = {
       updated_at: serverTimestamp()
@@ -102,20 +111,20 @@ router.put('/:dogId', authenticateToken, async (req, res) => {
     if (energyLevel !== undefined) updateData.energy_level = energyLevel;
     if (playStyle !== undefined) updateData.play_style = playStyle;
     if (emoji !== undefined) updateData.emoji = emoji;
+    if (size !== undefined) updateData.size = size;
 
     // Update the dog
-    await dogsCollection.doc(dogId).update(updateData);
+    await dogsRepo.update(dogId, updateData);
 
     // Get updated dog data
-    const updatedDog = await dogsCollection.doc(dogId).get();
-    const updatedData = updatedDog.data();
+    const updatedDog = await dogsRepo.findById(dogId);
+
+    // Anyone watching the park this dog is at sees the change
+    await broadcastDogUpdate(dogId);
 
     res.json({
       message: 'Dog updated successfully',
-      dog: {
-        id: dogId,
-        ...updatedData
-      }
+      dog: updatedDog
     });
 
   } catch (error) {
@@ -130,14 +139,14 @@ router.delete('/:dogId', authenticateToken, async (req, res) => {
     const { dogId } = req.params;
 
     // Find the dog and verify ownership
-    const dogDoc = await dogsCollection.doc(dogId).get();
+    const dog = await dogsRepo.findById(dogId);
     
-    if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    if (!dog || dog.owner_id !== req.user.userId) {
       return res.status(404).json({ error: 'Dog not found or not authorized' });
     }
 
     // Delete the dog
-    await dogsCollection.doc(dogId).delete();
+    await dogsRepo.delete(dogId);
 
     res.json({ message: 'Dog deleted successfully' });
 
@@ -152,20 +161,13 @@ router.get('/:dogId', authenticateToken, async (req, res) => {
   try {
     const { dogId } = req.params;
 
-    const dogDoc = await dogsCollection.doc(dogId).get();
+    const dog = await dogsRepo.findById(dogId);
     
-    if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    if (!dog || dog.owner_id !== req.user.userId) {
       return res.status(404).json({ error: 'Dog not found or not authorized' });
     }
 
-    const dogData = dogDoc.data();
-
-    res.json({ 
-      dog: {
-        id: dogId,
-        ...dogData
-      }
-    });
+    res.json({ dog });
 
   } catch (error) {
     console.error('Get dog error:', error);
@@ -180,9 +182,9 @@ router.post('/:dogId/photo', authenticateToken, upload.single('photo'), async (r
     console.log('📸 Photo upload request received for dog ID:', dogId);
 
     // Find the dog and verify ownership
-    const dogDoc = await dogsCollection.doc(dogId).get();
+    const dog = await dogsRepo.findById(dogId);
     
-    if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    if (!dog || dog.owner_id !== req.user.userId) {
       console.log('❌ Dog not found or unauthorized access for dog ID:', dogId);
       return res.status(404).json({ error: 'Dog not found or not authorized' });
     }
@@ -219,12 +221,13 @@ router.post('/:dogId/photo', authenticateToken, upload.single('photo'), async (r
     console.log('✅ S3 upload successful, photo URL:', uploadResult.photoUrl);
 
     // Update the dog document with the new photo URL
-    await dogsCollection.doc(dogId).update({
+    await dogsRepo.update(dogId, {
       photo_url: uploadResult.photoUrl,
       updated_at: serverTimestamp()
     });
 
-    console.log('✅ Firestore updated with photo URL for dog:', dogId);
+    console.log('✅ Dog updated with photo URL:', dogId);
+    await broadcastDogUpdate(dogId);
 
     res.json({
       message: 'Photo uploaded successfully',
@@ -237,6 +240,180 @@ router.post('/:dogId/photo', authenticateToken, upload.single('photo'), async (r
   }
 });
 
+// Send friend request (both dogs must be checked into the same park)
+router.post('/:dogId/friends/:friendDogId', authenticateToken, async (req, res) => {
+  try {
+    const { dogId, friendDogId } = req.params;
+
+    console.log(`🤝 Processing friend request: ${dogId} wants to befriend ${friendDogId}`);
+
+    // Get both dog documents
+    const [myDogData, friendDogData] = await dogsRepo.findByIds([dogId, friendDogId]);
+
+    // Verify my dog exists and belongs to user
+    if (!myDogData || myDogData.owner_id !== req.user.userId) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Your dog not found or not authorized' 
+      });
+    }
+
+    // Verify friend dog exists
+    if (!friendDogData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Friend dog not found' 
+      });
+    }
+
+    // Check if both dogs are currently in the same park (a dog is checked into at most one park)
+    const currentPark = await parksRepo.findCurrentPark(dogId);
+    const bothDogsInSamePark = !!currentPark && (currentPark.checkedInDogs || []).includes(friendDogId);
+    const parkName = currentPark ? currentPark.name : '';
+
+    if (!bothDogsInSamePark) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Dogs can only send friend requests when they are both checked into the same park' 
+      });
+    }
+
+    // Check if they are already friends
+    const currentFriends = myDogData.friends || [];
+    if (currentFriends.includes(friendDogId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `${myDogData.name} and ${friendDogData.name} are already friends!` 
+      });
+    }
+
+    // Check if a friend request already exists (in either direction)
+    const pendingRequests = await friendRequestsRepo.findPending();
+
+    let requestExists = false;
+    pendingRequests.forEach(requestData => {
+      if ((requestData.from_dog_id === dogId && requestData.to_dog_id === friendDogId) ||
+          (requestData.from_dog_id === friendDogId && requestData.to_dog_id === dogId)) {
+        requestExists = true;
+      }
+    });
+
+    if (requestExists) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A friend request already exists between these dogs' 
+      });
+    }
+
+    // Create friend request
+    const friendRequestDoc = await friendRequestsRepo.create({
+      from_dog_id: dogId,
+      to_dog_id: friendDogId,
+      status: 'pending',
+      created_at: serverTimestamp()
+    });
+
+    // Create notification for the recipient
+    await notificationsRepo.create({
+      user_id: friendDogData.owner_id,
+      type: 'friend_request',
+      title: 'New Friend Request!',
+      message: `${myDogData.name} wants to be friends with ${friendDogData.name} at ${parkName}`,
+      data: {
+        friend_request_id: friendRequestDoc.id,
+        from_dog_id: dogId,
+        from_dog_name: myDogData.name,
+        to_dog_id: friendDogId,
+        to_dog_name: friendDogData.name,
+        park_name: parkName
+      },
+      read: false,
+      created_at: serverTimestamp()
+    });
+
+    console.log(`✅ Friend request sent: ${myDogData.name} → ${friendDogData.name} at ${parkName}`);
+
+    res.json({
+      success: true,
+      message: `Friend request sent to ${friendDogData.name}'s owner! 🐕💌`,
+      friend_request_id: friendRequestDoc.id,
+      parkName
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending friend request:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Remove friend
+router.delete('/:dogId/friends/:friendDogId', authenticateToken, async (req, res) => {
+  try {
+    const { dogId, friendDogId } = req.params;
+
+    console.log(`💔 Processing unfriend request: ${dogId} wants to remove ${friendDogId}`);
+
+    // Get both dog documents
+    const [myDogData, friendDogData] = await dogsRepo.findByIds([dogId, friendDogId]);
+
+    // Verify my dog exists and belongs to user
+    if (!myDogData || myDogData.owner_id !== req.user.userId) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Your dog not found or not authorized' 
+      });
+    }
+
+    // Verify friend dog exists
+    if (!friendDogData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Friend dog not found' 
+      });
+    }
+
+    // Check if they are actually friends
+    const myDogFriends = myDogData.friends || [];
+    const friendDogFriends = friendDogData.friends || [];
+
+    if (!myDogFriends.includes(friendDogId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `${myDogData.name} and ${friendDogData.name} are not friends` 
+      });
+    }
+
+    // Remove each dog from the other's friends list
+    await Promise.all([
+      dogsRepo.update(dogId, {
+        friends: myDogFriends.filter(id => id !== friendDogId),
+        updated_at: serverTimestamp()
+      }),
+      dogsRepo.update(friendDogId, {
+        friends: friendDogFriends.filter(id => id !== dogId),
+        updated_at: serverTimestamp()
+      })
+    ]);
+
+    console.log(`💔 Friendship ended: ${myDogData.name} ↔ ${friendDogData.name}`);
+
+    res.json({
+      success: true,
+      message: `${myDogData.name} and ${friendDogData.name} are no longer friends`
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing friend:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
 // Get friends list for a specific dog
 router.get('/:dogId/friends', authenticateToken, async (req, res) => {
   try {
@@ -245,17 +422,16 @@ router.get('/:dogId/friends', authenticateToken, async (req, res) => {
     console.log(`👥 Getting friends for dog: ${dogId}`);
 
     // Get the dog document and verify ownership
-    const dogDoc = await dogsCollection.doc(dogId).get();
+    const dog = await dogsRepo.findById(dogId);
     
-    if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    if (!dog || dog.owner_id !== req.user.userId) {
       return res.status(404).json({ 
         success: false,
         error: 'Dog not found or not authorized' 
       });
     }
 
-    const dogData = dogDoc.data();
-    const friendIds = dogData.friends || [];
+    const friendIds = dog.friends || [];
 
     if (friendIds.length === 0) {
       return res.json({
@@ -266,15 +442,13 @@ router.get('/:dogId/friends', authenticateToken, async (req, res) => {
     }
 
     // Fetch friend dog documents
-    const friendPromises = friendIds.map(friendId => dogsCollection.doc(friendId).get());
-    const friendDocs = await Promise.all(friendPromises);
+    const friendDogs = await dogsRepo.findByIds(friendIds);
     
     const friends = [];
-    friendDocs.forEach((friendDoc, index) => {
-      if (friendDoc.exists) {
-        const friendData = friendDoc.data();
+    friendDogs.forEach((friendData, index) => {
+      if (friendData) {
         friends.push({
-          id: friendDoc.id,
+          id: friendData.id,
           name: friendData.name,
           breed: friendData.breed,
           age: friendData.age,
@@ -306,4 +480,41 @@ router.get('/:dogId/friends', authenticateToken, async (req, res) => {
   }
 });
 
+// Get park visit history for a specific dog, newest first
+router.get('/:dogId/visits', authenticateToken, async (req, res) => {
+  try {
+    const { dogId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    console.log(`📜 Getting visit history for dog: ${dogId}`);
+
+    // Get the dog document and verify ownership
+    const dog = await dogsRepo.findById(dogId);
+    
+    if (!dog || dog.owner_id !== req.user.userId) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Dog not found or not authorized' 
+      });
+    }
+
+    const visits = await visitsRepo.findByDog(dogId, limit);
+
+    console.log(`✅ Found ${visits.length} visits for dog ${dogId}`);
+
+    res.json({
+      success: true,
+      visits: visits.map(formatVisit),
+      count: visits.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting dog visits:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,175 @@
+const express = require('express');
+const { notificationsRepo, usersRepo, serverTimestamp } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getFriendArrivalPreferences, validateFriendArrivalPreferences } = require('../services/friendArrivals');
+const { getFavoriteParkAlertPreferences, validateFavoriteParkAlertPreferences } = require('../services/favoriteParks');
+
+const router = express.Router();
+
+// Get notifications for user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    console.log('🔔 Getting notifications for user:', req.user.userId);
+
+    const notifications = await notificationsRepo.findByUser(req.user.userId, 50);
+
+    console.log(`✅ Found ${notifications.length} notifications`);
+
+    res.json({
+      success: true,
+      notifications,
+      count: notifications.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting notifications:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get the user's notification settings (protected route)
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const user = await usersRepo.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      preferences: {
+        friendArrivals: getFriendArrivalPreferences(user),
+        favoriteParks: getFavoriteParkAlertPreferences(user)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error getting notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Change the user's notification settings (protected route). Either section can be sent alone:
+// { friendArrivals: { enabled, quietHours: { start, end, timezone } | null },
+//   favoriteParks: { firstArrival, sizeAlert: { size, moreThan } | null } }
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { friendArrivals, favoriteParks } = req.body;
+    const isSettings = (value) => value !== undefined && value !== null && typeof value === 'object';
+
+    if (!isSettings(friendArrivals) && !isSettings(favoriteParks)) {
+      return res.status(400).json({
+        success: false,
+        error: 'friendArrivals or favoriteParks settings are required'
+      });
+    }
+
+    const validationError = (isSettings(friendArrivals) && validateFriendArrivalPreferences(friendArrivals)) ||
+      (isSettings(favoriteParks) && validateFavoriteParkAlertPreferences(favoriteParks));
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const user = await usersRepo.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Fields left out keep their saved values
+    const updatedPreferences = { ...user.preferences };
+    if (isSettings(friendArrivals)) {
+      const saved = updatedPreferences.friendArrivals || {};
+      const { quietHours } = friendArrivals;
+      updatedPreferences.friendArrivals = {
+        enabled: friendArrivals.enabled ?? saved.enabled ?? true,
+        quietHours: quietHours === undefined
+          ? saved.quietHours || null
+          : quietHours && { start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone || null }
+      };
+    }
+    if (isSettings(favoriteParks)) {
+      const saved = updatedPreferences.favoriteParkAlerts || {};
+      const { sizeAlert } = favoriteParks;
+      updatedPreferences.favoriteParkAlerts = {
+        firstArrival: favoriteParks.firstArrival ?? saved.firstArrival ?? false,
+        sizeAlert: sizeAlert === undefined
+          ? saved.sizeAlert || null
+          : sizeAlert && { size: sizeAlert.size, moreThan: sizeAlert.moreThan }
+      };
+    }
+
+    await usersRepo.update(req.user.userId, {
+      preferences: updatedPreferences,
+      updatedAt: serverTimestamp()
+    });
+
+    const updatedUser = { ...user, preferences: updatedPreferences };
+    console.log('✅ Notification preferences updated for user:', req.user.userId);
+    res.json({
+      success: true,
+      message: 'Notification settings saved',
+      preferences: {
+        friendArrivals: getFriendArrivalPreferences(updatedUser),
+        favoriteParks: getFavoriteParkAlertPreferences(updatedUser)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Mark notification as read
+router.put('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    // Verify notification exists and belongs to user
+    const notification = await notificationsRepo.findById(notificationId);
+    if (!notification || notification.user_id !== req.user.userId) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Notification not found' 
+      });
+    }
+
+    // Mark as read
+    await notificationsRepo.update(notificationId, {
+      read: true,
+      read_at: serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+
+  } catch (error) {
+    console.error('❌ Error marking notification as read:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
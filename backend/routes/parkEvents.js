@@ -0,0 +1,239 @@
+const express = require('express');
+const { parksRepo, dogsRepo, eventsRepo } = require('../config/database');
+const { authenticateToken, refreshRole } = require('../middleware/auth');
+const {
+  validateEvent,
+  formatEvent,
+  createEvent,
+  findParkEvent,
+  rsvpDogs,
+  cancelRsvp,
+  cancelEvent
+} = require('../services/parkEvents');
+
+// Mounted at /api/dog-parks/:parkId/events
+const router = express.Router({ mergeParams: true });
+
+// HTTP status for each error code thrown by the events service
+const EVENT_ERROR_STATUSES = {
+  'forbidden': 403,
+  'not-eligible': 403,
+  'not-found': 404,
+  'event-closed': 409,
+  'event-full': 409
+};
+
+const sendEventError = (res, error) => {
+  return res.status(EVENT_ERROR_STATUSES[error.code]).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.code === 'event-full' && { spotsLeft: error.spotsLeft }),
+    ...(error.code === 'not-eligible' && { ineligibleDogs: error.ineligibleDogs })
+  });
+};
+
+// Upcoming events at a park, soonest first (public)
+router.get('/', async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const parkData = await parksRepo.findById(parkId);
+
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    const events = await eventsRepo.findUpcoming(parkId);
+
+    res.json({
+      success: true,
+      events: events.map(formatEvent)
+    });
+  } catch (error) {
+    console.error('❌ Error getting park events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// One event with the dogs that are coming (public)
+router.get('/:eventId', async (req, res) => {
+  try {
+    const { parkId, eventId } = req.params;
+    const event = await findParkEvent(parkId, eventId);
+
+    res.json({
+      success: true,
+      event: formatEvent(event)
+    });
+  } catch (error) {
+    if (EVENT_ERROR_STATUSES[error.code]) {
+      return sendEventError(res, error);
+    }
+    console.error('❌ Error getting park event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Organise an event at a park (protected route)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { title, description, startsAt, endsAt, maxAttendees, restrictions } = req.body;
+
+    const validationError = validateEvent({ title, description, startsAt, endsAt, maxAttendees, restrictions });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    const event = await createEvent(parkData, req.user.userId, {
+      title,
+      description,
+      startsAt,
+      endsAt,
+      maxAttendees,
+      restrictions
+    });
+
+    console.log('✅ Park event created:', event.id, 'at park:', parkId);
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      event: formatEvent(event)
+    });
+  } catch (error) {
+    console.error('❌ Error creating park event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// RSVP some of your dogs to an event (protected route)
+router.post('/:eventId/rsvp', authenticateToken, async (req, res) => {
+  try {
+    const { parkId, eventId } = req.params;
+    const { dogIds } = req.body;
+
+    if (!dogIds || !Array.isArray(dogIds) || dogIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'dogIds array is required and must contain at least one dog ID'
+      });
+    }
+
+    // Verify that all dogs belong to the authenticated user
+    const dogs = await dogsRepo.findByIds(dogIds);
+
+    for (let i = 0; i < dogs.length; i++) {
+      const dog = dogs[i];
+      if (!dog || dog.owner_id !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          error: `Dog with ID ${dogIds[i]} not found or not authorized`
+        });
+      }
+    }
+
+    const event = await rsvpDogs(parkId, eventId, req.user.userId, dogs);
+
+    console.log('✅ RSVP recorded for event:', eventId, 'Dogs:', dogIds);
+    res.json({
+      success: true,
+      message: `${dogs.map(dog => dog.name).join(', ')} ${dogs.length === 1 ? 'is' : 'are'} going!`,
+      event: formatEvent(event)
+    });
+  } catch (error) {
+    if (EVENT_ERROR_STATUSES[error.code]) {
+      return sendEventError(res, error);
+    }
+    console.error('❌ Error recording RSVP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Withdraw your dogs from an event - all of them unless dogIds is given (protected route)
+router.delete('/:eventId/rsvp', authenticateToken, async (req, res) => {
+  try {
+    const { parkId, eventId } = req.params;
+    const { dogIds } = req.body || {};
+
+    if (dogIds !== undefined && !Array.isArray(dogIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'dogIds must be an array of dog IDs'
+      });
+    }
+
+    const event = await cancelRsvp(parkId, eventId, req.user.userId, dogIds || null);
+
+    console.log('✅ RSVP withdrawn for event:', eventId);
+    res.json({
+      success: true,
+      message: 'RSVP cancelled',
+      event: formatEvent(event)
+    });
+  } catch (error) {
+    if (EVENT_ERROR_STATUSES[error.code]) {
+      return sendEventError(res, error);
+    }
+    console.error('❌ Error cancelling RSVP:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Cancel an event - organiser, moderators and admins (protected route)
+router.post('/:eventId/cancel', authenticateToken, refreshRole, async (req, res) => {
+  try {
+    const { parkId, eventId } = req.params;
+    const { reason } = req.body;
+
+    const event = await cancelEvent(parkId, eventId, req.user, typeof reason === 'string' ? reason.trim() : '');
+
+    console.log('✅ Park event cancelled:', eventId);
+    res.json({
+      success: true,
+      message: 'Event cancelled - everyone who RSVP\'d has been told',
+      event: formatEvent(event)
+    });
+  } catch (error) {
+    if (EVENT_ERROR_STATUSES[error.code]) {
+      return sendEventError(res, error);
+    }
+    console.error('❌ Error cancelling park event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const { suggestionsRepo } = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { isValidLatitude, isValidLongitude, locationFields } = require('../utils/geo');
+const { parseAmenities } = require('../utils/amenities');
+const { geocodeParkAddress, manualGeocoding } = require('../services/parkGeocoding');
+const { findDuplicateParks, approveSuggestion, rejectSuggestion } = require('../services/parkSuggestions');
+
+const router = express.Router();
+
+const SUGGESTION_STATUSES = ['pending', 'approved', 'rejected'];
+const MODERATION_ERROR_CODES = ['not-found', 'already-decided', 'possible-duplicate'];
+
+// Map moderation errors from the service to HTTP responses
+const sendSuggestionError = (res, error) => {
+  if (error.code === 'not-found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.code === 'possible-duplicate') {
+    return res.status(409).json({
+      success: false,
+      error: `${error.message} - approve again with force: true to add it anyway`,
+      code: error.code,
+      duplicates: error.duplicates
+    });
+  }
+  return res.status(409).json({ success: false, error: error.message, code: error.code });
+};
+
+// Suggest a new dog park for moderators to review (any logged-in user)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, address, amenities, latitude, longitude, notes } = req.body;
+
+    // Validation
+    if (!name || !address) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Name and address are required' 
+      });
+    }
+
+    const hasCoordinates = latitude !== undefined && latitude !== null;
+    if (hasCoordinates && (!isValidLatitude(latitude) || !isValidLongitude(longitude))) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'latitude (-90 to 90) and longitude (-180 to 180) must be provided together as numbers' 
+      });
+    }
+
+    const parsedAmenities = parseAmenities(amenities || []);
+    if (parsedAmenities.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: parsedAmenities.error 
+      });
+    }
+
+    // Locate the park the same way POST /api/dog-parks does, so moderators see it on the map
+    const geoFields = hasCoordinates
+      ? { ...locationFields(latitude, longitude), geocoding: manualGeocoding() }
+      : await geocodeParkAddress(address);
+    const location = { ...locationFields(null), ...geoFields };
+
+    // Flag likely duplicates for the moderator (the submitter sees them too)
+    const possibleDuplicates = await findDuplicateParks({ name, ...location });
+
+    console.log('💡 Saving park suggestion from user:', req.user.userId);
+    const suggestion = await suggestionsRepo.create({
+      name,
+      address,
+      amenities: parsedAmenities.amenities,
+      ...location,
+      notes: notes || '',
+      possible_duplicates: possibleDuplicates,
+      submitted_by: req.user.userId,
+      status: 'pending',
+      created_at: new Date()
+    });
+
+    console.log('✅ Park suggestion saved with ID:', suggestion.id);
+    res.status(201).json({
+      success: true,
+      message: possibleDuplicates.length > 0
+        ? 'Thanks! This looks similar to a park we already have - a moderator will take a look.'
+        : 'Thanks! A moderator will review your suggestion.',
+      suggestion,
+      possibleDuplicates
+    });
+  } catch (error) {
+    console.error('❌ Error saving park suggestion:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get the current user's suggestions, newest first
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const suggestions = await suggestionsRepo.findBySubmitter(req.user.userId);
+
+    res.json({
+      success: true,
+      suggestions,
+      count: suggestions.length
+    });
+  } catch (error) {
+    console.error('❌ Error getting park suggestions:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Moderation queue: suggestions with the given status (default pending), oldest first
+router.get('/', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `status must be one of: ${SUGGESTION_STATUSES.join(', ')}` 
+      });
+    }
+
+    const suggestions = await suggestionsRepo.findByStatus(status);
+
+    res.json({
+      success: true,
+      suggestions,
+      count: suggestions.length
+    });
+  } catch (error) {
+    console.error('❌ Error getting moderation queue:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Approve a suggestion and create the park. Likely duplicates block approval
+// with a 409 unless the moderator confirms with { force: true }.
+router.post('/:suggestionId/approve', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const { suggestionId } = req.params;
+    const { suggestion, park } = await approveSuggestion(suggestionId, req.user.userId, {
+      force: req.body.force === true
+    });
+
+    res.json({
+      success: true,
+      message: 'Park suggestion approved',
+      suggestion,
+      park
+    });
+  } catch (error) {
+    if (MODERATION_ERROR_CODES.includes(error.code)) {
+      return sendSuggestionError(res, error);
+    }
+    console.error('❌ Error approving park suggestion:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Reject a suggestion; the reason is sent to the submitter
+router.post('/:suggestionId/reject', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const { suggestionId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A reason is required when rejecting a suggestion' 
+      });
+    }
+
+    const suggestion = await rejectSuggestion(suggestionId, req.user.userId, reason);
+
+    res.json({
+      success: true,
+      message: 'Park suggestion rejected',
+      suggestion
+    });
+  } catch (error) {
+    if (MODERATION_ERROR_CODES.includes(error.code)) {
+      return sendSuggestionError(res, error);
+    }
+    console.error('❌ Error rejecting park suggestion:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
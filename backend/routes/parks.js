@@ -1,31 +1,197 @@
 const express = require('express');
-const { dogParksCollection, dogsCollection, serverTimestamp } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const multer = require('multer');
+const { parksRepo, dogsRepo, usersRepo, visitsRepo, waitlistRepo, reviewsRepo, photosRepo, reportsRepo, serverTimestamp } = require('../config/database');
+const { authenticateToken, authenticateStreamToken, refreshRole, requireRole } = require('../middleware/auth');
+const { isValidLatitude, isValidLongitude, locationFields } = require('../utils/geo');
+const { AMENITIES, parseAmenities, hasAmenities } = require('../utils/amenities');
+const { isValidTimeZone, validateOpeningHours, validateClosures, getOpenStatus } = require('../utils/openingHours');
+const { formatVisit } = require('../services/parkVisits');
+const { getOccupancy } = require('../services/parkOccupancy');
+const { newParkRecord } = require('../services/parkRecords');
+const { formatPlannedVisit } = require('../services/plannedVisits');
+const { validateImageFile } = require('../dogUploadPicture');
+const {
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  ACTIVE_REPORT_STATUSES,
+  validateReport,
+  formatReport,
+  createReport,
+  updateReportStatus
+} = require('../services/parkReports');
+const {
+  PHOTO_CATEGORIES,
+  formatPhoto,
+  withCoverPhotoUrl,
+  addParkPhoto,
+  deleteParkPhoto,
+  setCoverPhoto
+} = require('../services/parkPhotos');
+const { joinWaitlist, leaveWaitlist, getWaitlistPosition } = require('../services/parkWaitlist');
+const { getFavoriteParkAlertPreferences, followPark, unfollowPark } = require('../services/favoriteParks');
+const { addSseClient, sendParkSnapshot, addOccupancyClient, sendOccupancySnapshot } = require('../services/parkBroadcast');
+const { geocodeParkAddress, manualGeocoding, retryParkGeocoding } = require('../services/parkGeocoding');
+const {
+  validateReview,
+  formatReview,
+  parkRatingSummary,
+  createReview,
+  updateReview,
+  deleteReview
+} = require('../services/parkReviews');
+const {
+  MIN_VISIT_MINUTES,
+  MAX_VISIT_MINUTES,
+  isValidVisitMinutes,
+  isValidCapacity,
+  checkInDogs,
+  checkOutDogs
+} = require('../services/checkIns');
 
 const router = express.Router();
 
-// Get all dog parks
+// Configure multer for park photo uploads (same limit as dog pictures)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
+const invalidVisitMinutesError = (field) => {
+  return `${field} must be a whole number of minutes between ${MIN_VISIT_MINUTES} and ${MAX_VISIT_MINUTES}`;
+};
+
+const INVALID_CAPACITY_ERROR = 'capacity must be a positive whole number of dogs, or null for no limit';
+
+// Comment lines keep idle streams from being closed by proxies along the way
+const STREAM_HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25;
+
+// Turn the response into an SSE stream that sends heartbeats until the client goes away.
+// register adds the response to a broadcast list and returns the function that removes it.
+const openEventStream = (req, res, label, register) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  console.log('📡 Client subscribed to', label);
+
+  const removeClient = register(res);
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient();
+    console.log('📡 Client left', label);
+  });
+};
+
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 100;
+
+// Latitude and longitude are set together; null for both clears the location
+const validateCoordinates = (latitude, longitude) => {
+  if (latitude === undefined && longitude === undefined) return null;
+  if (latitude === null && longitude === null) return null;
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+    return 'latitude (-90 to 90) and longitude (-180 to 180) must be provided together as numbers';
+  }
+  return null;
+};
+
+// HTTP status for each error code thrown by the review service
+const REVIEW_ERROR_STATUSES = {
+  'not-visited': 403,
+  'forbidden': 403,
+  'not-found': 404,
+  'already-reviewed': 409
+};
+
+// ?amenities=fenced,water - parks must offer all of them. Returns { amenities } or { error }.
+const parseAmenityFilter = (query) => {
+  if (!query.amenities) {
+    return { amenities: [] };
+  }
+  return parseAmenities(String(query.amenities).split(',').map(value => value.trim()).filter(Boolean));
+};
+
+// Returns an error message for invalid timezone/openingHours/closures, or null
+const validateHoursFields = ({ timezone, openingHours, closures }) => {
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    return 'timezone must be an IANA time zone such as "America/New_York"';
+  }
+  if (openingHours !== undefined) {
+    const hoursError = validateOpeningHours(openingHours);
+    if (hoursError) return hoursError;
+  }
+  if (closures !== undefined && closures !== null) {
+    const closuresError = validateClosures(closures);
+    if (closuresError) return closuresError;
+  }
+  return null;
+};
+
+// Computed open/closed fields added to every park in list responses
+const withOpenStatus = (park, now) => {
+  const { isOpen, closesAt, opensAt, closedReason } = getOpenStatus(park, now);
+  return { ...park, isOpen, closesAt, opensAt, closedReason };
+};
+
+// HTTP status for each error code thrown by the photo service
+const PHOTO_ERROR_STATUSES = {
+  'forbidden': 403,
+  'not-found': 404,
+  'upload-failed': 502
+};
+
+const sendPhotoError = (res, error) => {
+  return res.status(PHOTO_ERROR_STATUSES[error.code]).json({ 
+    success: false,
+    error: error.message,
+    code: error.code 
+  });
+};
+
+// HTTP status for each error code thrown by the condition report service
+const REPORT_ERROR_STATUSES = {
+  'not-found': 404,
+  'invalid-status': 409,
+  'upload-failed': 502
+};
+
+// Get all dog parks, optionally only those with every amenity in ?amenities= (and open, with ?openNow=true)
 router.get('/', async (req, res) => {
   try {
-    console.log('🏞️ Fetching dog parks from Firestore...');
-    const parksSnapshot = await dogParksCollection.get();
-    
-    const parks = [];
-    parksSnapshot.forEach(doc => {
-      const docData = doc.data();
-      // Remove any id field from document data to prevent conflicts
-      const { id: _, ...cleanDocData } = docData;
-      
-      parks.push({
-        id: doc.id,  // Always use Firestore document ID
-        ...cleanDocData
+    const filter = parseAmenityFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: filter.error 
       });
-    });
+    }
+
+    console.log('🏞️ Fetching dog parks...');
+    // Repository records always carry the document ID, overriding any stored id field
+    const now = new Date();
+    const parks = (await parksRepo.findAll())
+      .filter(park => hasAmenities(park, filter.amenities))
+      .map(park => withOpenStatus(park, now))
+      .filter(park => req.query.openNow !== 'true' || park.isOpen);
+    const parksWithCovers = await Promise.all(parks.map(withCoverPhotoUrl));
 
     console.log('✅ Dog parks loaded successfully:', parks.length, 'parks found');
     res.json({ 
       success: true,
-      parks 
+      parks: parksWithCovers 
     });
   } catch (error) {
     console.error('❌ Error fetching dog parks:', error);
@@ -36,10 +202,133 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Add a new dog park (protected route)
-router.post('/', authenticateToken, async (req, res) => {
+// The amenity catalogue used for park amenities and the ?amenities= filter
+router.get('/amenities', (req, res) => {
+  res.json({
+    success: true,
+    amenities: AMENITIES.map(({ id, label, emoji }) => ({ id, label, emoji }))
+  });
+});
+
+// Categories for condition reports (public)
+router.get('/report-categories', (req, res) => {
+  res.json({
+    success: true,
+    categories: REPORT_CATEGORIES
+  });
+});
+
+// The parks the user follows and their alert settings (protected route)
+router.get('/favorites', authenticateToken, async (req, res) => {
+  try {
+    const user = await usersRepo.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      parkIds: user.favoriteParks || [],
+      alerts: getFavoriteParkAlertPreferences(user)
+    });
+  } catch (error) {
+    console.error('❌ Error getting favourite parks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Live occupancy of every park as Server-Sent Events (protected route), so the park list can
+// stay current with one connection. Sends an occupancy_snapshot for all parks on connect, then an
+// occupancy_update for a park after each check-in or check-out there.
+router.get('/occupancy/stream', authenticateStreamToken, async (req, res) => {
+  try {
+    openEventStream(req, res, 'park occupancy stream', addOccupancyClient);
+    await sendOccupancySnapshot(res);
+  } catch (error) {
+    console.error('❌ Error opening park occupancy stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get parks near a location, nearest first: /nearby?lat=..&lng=..&radiusKm=..&amenities=..&openNow=true
+router.get('/nearby', async (req, res) => {
+  try {
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lng);
+    const radiusKm = req.query.radiusKm === undefined ? DEFAULT_NEARBY_RADIUS_KM : parseFloat(req.query.radiusKm);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    // Validation
+    if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'lat and lng query parameters are required and must be valid coordinates' 
+      });
+    }
+
+    if (!(radiusKm > 0 && radiusKm <= MAX_NEARBY_RADIUS_KM)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `radiusKm must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM}` 
+      });
+    }
+
+    const filter = parseAmenityFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: filter.error 
+      });
+    }
+
+    console.log('📍 Finding parks within', radiusKm, 'km of', latitude, longitude);
+    const nearbyParks = await parksRepo.findNearby(latitude, longitude, radiusKm);
+
+    const now = new Date();
+    const parks = nearbyParks
+      .filter(park => hasAmenities(park, filter.amenities))
+      .map(park => withOpenStatus(park, now))
+      .filter(park => req.query.openNow !== 'true' || park.isOpen)
+      .slice(0, limit)
+      .map(park => ({
+        ...park,
+        distanceKm: Math.round(park.distanceKm * 100) / 100,
+        occupancy: getOccupancy(park)
+      }));
+    const parksWithCovers = await Promise.all(parks.map(withCoverPhotoUrl));
+
+    console.log('✅ Found', parks.length, 'nearby parks');
+    res.json({
+      success: true,
+      parks: parksWithCovers,
+      count: parks.length
+    });
+  } catch (error) {
+    console.error('❌ Error finding nearby parks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Add a new dog park (moderators and admins - other users suggest parks via /api/park-suggestions)
+router.post('/', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
   try {
-    const { name, address, amenities } = req.body;
+    const { name, address, amenities, defaultVisitMinutes, capacity, latitude, longitude, timezone, openingHours, closures } = req.body;
 
     // Validation
     if (!name || !address) {
@@ -49,25 +338,82 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log('🏞️ Adding new dog park to Firestore...');
-    const parkDoc = await dogParksCollection.add({
+    const coordinatesError = validateCoordinates(latitude, longitude);
+    if (coordinatesError) {
+      return res.status(400).json({ 
+        success: false,
+        error: coordinatesError 
+      });
+    }
+
+    if (defaultVisitMinutes !== undefined && defaultVisitMinutes !== null && !isValidVisitMinutes(defaultVisitMinutes)) {
+      return res.status(400).json({ 
+        success: false,
+        error: invalidVisitMinutesError('defaultVisitMinutes') 
+      });
+    }
+
+    if (capacity !== undefined && !isValidCapacity(capacity)) {
+      return res.status(400).json({ 
+        success: false,
+        error: INVALID_CAPACITY_ERROR 
+      });
+    }
+
+    const parsedAmenities = parseAmenities(amenities || []);
+    if (parsedAmenities.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: parsedAmenities.error 
+      });
+    }
+
+    const hoursError = validateHoursFields({ timezone, openingHours, closures });
+    if (hoursError) {
+      return res.status(400).json({ 
+        success: false,
+        error: hoursError 
+      });
+    }
+
+    // Use the coordinates given, otherwise look the address up (failures are saved for retry)
+    const hasCoordinates = latitude !== undefined && latitude !== null;
+    const geoFields = hasCoordinates
+      ? { ...locationFields(latitude, longitude), geocoding: manualGeocoding() }
+      : await geocodeParkAddress(address);
+
+    console.log('🏞️ Adding new dog park...');
+    const newPark = await parksRepo.create(newParkRecord({
       name,
       address,
-      amenities: amenities || [],
-      created_at: serverTimestamp(),
-      updated_at: serverTimestamp()
-    });
+      amenities: parsedAmenities.amenities,
+      default_visit_minutes: defaultVisitMinutes || null,
+      capacity: capacity || null,
+      timezone: timezone || null,
+      opening_hours: openingHours || null,
+      closures: closures || [],
+      ...geoFields
+    }));
 
-    console.log('✅ Dog park added successfully with ID:', parkDoc.id);
+    console.log('✅ Dog park added successfully with ID:', newPark.id);
     res.status(201).json({
       success: true,
       message: 'Dog park added successfully',
-      park: {
-        id: parkDoc.id,
+      park: withOpenStatus({
+        id: newPark.id,
         name,
         address,
-        amenities: amenities || []
-      }
+        amenities: parsedAmenities.amenities,
+        default_visit_minutes: defaultVisitMinutes || null,
+        capacity: capacity || null,
+        latitude: newPark.latitude,
+        longitude: newPark.longitude,
+        geohash: newPark.geohash,
+        geocoding: newPark.geocoding,
+        timezone: newPark.timezone,
+        opening_hours: newPark.opening_hours,
+        closures: newPark.closures
+      }, new Date())
     });
   } catch (error) {
     console.error('❌ Error adding dog park:', error);
@@ -78,27 +424,96 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Update a dog park (protected route)
-router.put('/:parkId', authenticateToken, async (req, res) => {
+// Update a dog park (moderators and admins)
+router.put('/:parkId', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
   try {
     const { parkId } = req.params;
-    const { name, address, amenities } = req.body;
+    const { name, address, amenities, defaultVisitMinutes, capacity, latitude, longitude, timezone, openingHours, closures } = req.body;
+
+    const coordinatesError = validateCoordinates(latitude, longitude);
+    if (coordinatesError) {
+      return res.status(400).json({ 
+        success: false,
+        error: coordinatesError 
+      });
+    }
+
+    // null clears the park default so the global default applies
+    if (defaultVisitMinutes !== undefined && defaultVisitMinutes !== null && !isValidVisitMinutes(defaultVisitMinutes)) {
+      return res.status(400).json({ 
+        success: false,
+        error: invalidVisitMinutesError('defaultVisitMinutes') 
+      });
+    }
+
+    // null removes the capacity limit
+    if (capacity !== undefined && !isValidCapacity(capacity)) {
+      return res.status(400).json({ 
+        success: false,
+        error: INVALID_CAPACITY_ERROR 
+      });
+    }
+
+    const parsedAmenities = amenities === undefined ? null : parseAmenities(amenities);
+    if (parsedAmenities && parsedAmenities.error) {
+      return res.status(400).json({ 
+        success: false,
+        error: parsedAmenities.error 
+      });
+    }
+
+    // openingHours: null means always open; closures: null clears them
+    const hoursError = validateHoursFields({ timezone, openingHours, closures });
+    if (hoursError) {
+      return res.status(400).json({ 
+        success: false,
+        error: hoursError 
+      });
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
 
-    console.log('🏞️ Updating dog park in Firestore...');
+    console.log('🏞️ Updating dog park...');
     const updateData = {
       updated_at: serverTimestamp()
     };
 
     if (name !== undefined) updateData.name = name;
     if (address !== undefined) updateData.address = address;
-    if (amenities !== undefined) updateData.amenities = amenities;
+    if (parsedAmenities) updateData.amenities = parsedAmenities.amenities;
+    if (defaultVisitMinutes !== undefined) updateData.default_visit_minutes = defaultVisitMinutes;
+    if (capacity !== undefined) updateData.capacity = capacity;
+    if (timezone !== undefined) updateData.timezone = timezone;
+    if (openingHours !== undefined) updateData.opening_hours = openingHours;
+    if (closures !== undefined) updateData.closures = closures || [];
 
-    await dogParksCollection.doc(parkId).update(updateData);
+    if (latitude !== undefined && latitude !== null) {
+      // Coordinates set by hand always win
+      Object.assign(updateData, locationFields(latitude, longitude), { geocoding: manualGeocoding() });
+    } else if ((address !== undefined && address !== parkData.address) || latitude === null) {
+      // New address, or coordinates cleared - look the address up again. The old coordinates
+      // belong to the old address, so if the lookup fails the park is left without a location
+      // (geocoding.status 'failed') for the retry job to fill in.
+      Object.assign(
+        updateData,
+        locationFields(null),
+        await geocodeParkAddress(address !== undefined ? address : parkData.address)
+      );
+    }
+
+    await parksRepo.update(parkId, updateData);
 
     console.log('✅ Dog park updated successfully');
     res.json({
       success: true,
-      message: 'Dog park updated successfully'
+      message: 'Dog park updated successfully',
+      geocoding: updateData.geocoding
     });
   } catch (error) {
     console.error('❌ Error updating dog park:', error);
@@ -109,13 +524,45 @@ router.put('/:parkId', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete a dog park (protected route)
-router.delete('/:parkId', authenticateToken, async (req, res) => {
+// Retry geocoding a park's address, e.g. after a provider failure (moderators and admins)
+router.post('/:parkId/geocode', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('🧭 Geocoding park address:', parkId);
+    const updatedPark = await retryParkGeocoding(parkData);
+
+    res.json({
+      success: true,
+      latitude: updatedPark.latitude,
+      longitude: updatedPark.longitude,
+      geocoding: updatedPark.geocoding
+    });
+  } catch (error) {
+    console.error('❌ Error geocoding park:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Delete a dog park (moderators and admins)
+router.delete('/:parkId', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
   try {
     const { parkId } = req.params;
 
-    console.log('🏞️ Deleting dog park from Firestore...');
-    await dogParksCollection.doc(parkId).delete();
+    console.log('🏞️ Deleting dog park...');
+    await parksRepo.delete(parkId);
 
     console.log('✅ Dog park deleted successfully');
     res.json({
@@ -135,7 +582,7 @@ router.delete('/:parkId', authenticateToken, async (req, res) => {
 router.post('/:parkId/checkin', authenticateToken, async (req, res) => {
   try {
     const { parkId } = req.params;
-    const { dogIds } = req.body;
+    const { dogIds, expectedDurationMinutes } = req.body;
 
     // Validation
     if (!dogIds || !Array.isArray(dogIds) || dogIds.length === 0) {
@@ -145,12 +592,20 @@ router.post('/:parkId/checkin', authenticateToken, async (req, res) => {
       });
     }
 
+    // Optional - falls back to the park's default visit length
+    if (expectedDurationMinutes !== undefined && expectedDurationMinutes !== null && !isValidVisitMinutes(expectedDurationMinutes)) {
+      return res.status(400).json({ 
+        success: false,
+        error: invalidVisitMinutesError('expectedDurationMinutes') 
+      });
+    }
+
     console.log('🏞️ Checking in dogs to park:', parkId, 'Dogs:', dogIds);
 
     // Verify the park exists
-    const parkDoc = await dogParksCollection.doc(parkId).get();
+    const parkData = await parksRepo.findById(parkId);
     
-    if (!parkDoc.exists) {
+    if (!parkData) {
       return res.status(404).json({ 
         success: false,
         error: 'Park not found' 
@@ -158,12 +613,11 @@ router.post('/:parkId/checkin', authenticateToken, async (req, res) => {
     }
 
     // Verify that all dogs belong to the authenticated user
-    const dogPromises = dogIds.map(dogId => dogsCollection.doc(dogId).get());
-    const dogDocs = await Promise.all(dogPromises);
+    const dogs = await dogsRepo.findByIds(dogIds);
     
-    for (let i = 0; i < dogDocs.length; i++) {
-      const dogDoc = dogDocs[i];
-      if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    for (let i = 0; i < dogs.length; i++) {
+      const dog = dogs[i];
+      if (!dog || dog.owner_id !== req.user.userId) {
         return res.status(403).json({ 
           success: false,
           error: `Dog with ID ${dogIds[i]} not found or not authorized` 
@@ -171,26 +625,52 @@ router.post('/:parkId/checkin', authenticateToken, async (req, res) => {
       }
     }
 
-    // Get current checked in dogs or initialize empty array
-    const parkData = parkDoc.data();
-    const currentCheckedInDogs = parkData.checkedInDogs || [];
-    
-    // Add new dog IDs to the array (avoid duplicates)
-    const updatedCheckedInDogs = [...new Set([...currentCheckedInDogs, ...dogIds])];
+    // Update the park and record a visit session for each dog - Firestore real-time listeners will handle notifications
+    const result = await checkInDogs(parkId, dogs, req.user.userId, expectedDurationMinutes);
 
-    // Update the park with new checked in dogs - Firestore real-time listeners will handle notifications
-    await dogParksCollection.doc(parkId).update({
-      checkedInDogs: updatedCheckedInDogs,
-      updated_at: serverTimestamp()
-    });
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
 
+    result.movedFrom.forEach(move => {
+      console.log('🔀 Moved dogs from park:', move.parkId, 'Dogs:', move.dogIds);
+    });
     console.log('✅ Dogs checked in successfully at park:', parkId);
     res.json({
       success: true,
       message: 'Dogs checked in successfully',
-      checkedInDogs: updatedCheckedInDogs
+      checkedInDogs: result.checkedInDogs,
+      expectedDurationMinutes: result.expectedDurationMinutes,
+      visits: result.visits,
+      movedFrom: result.movedFrom,
+      plannedVisits: result.plannedVisits.map(formatPlannedVisit)
     });
   } catch (error) {
+    if (error.code === 'park-closed') {
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        code: error.code,
+        opensAt: error.opensAt,
+        closedReason: error.closedReason
+      });
+    }
+
+    // Over capacity - the owner can join the waitlist instead
+    if (error.code === 'park-full') {
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        code: error.code,
+        capacity: error.capacity,
+        checkedInCount: error.checkedInCount,
+        spotsLeft: error.spotsLeft
+      });
+    }
+
     console.error('❌ Error checking in dogs:', error);
     res.status(500).json({ 
       success: false,
@@ -216,9 +696,9 @@ router.post('/:parkId/checkout', authenticateToken, async (req, res) => {
     console.log('🚪 Checking out dogs from park:', parkId, 'Dogs:', dogIds);
 
     // Verify the park exists
-    const parkDoc = await dogParksCollection.doc(parkId).get();
+    const parkData = await parksRepo.findById(parkId);
     
-    if (!parkDoc.exists) {
+    if (!parkData) {
       return res.status(404).json({ 
         success: false,
         error: 'Park not found' 
@@ -226,12 +706,11 @@ router.post('/:parkId/checkout', authenticateToken, async (req, res) => {
     }
 
     // Verify that all dogs belong to the authenticated user
-    const dogPromises = dogIds.map(dogId => dogsCollection.doc(dogId).get());
-    const dogDocs = await Promise.all(dogPromises);
+    const dogs = await dogsRepo.findByIds(dogIds);
     
-    for (let i = 0; i < dogDocs.length; i++) {
-      const dogDoc = dogDocs[i];
-      if (!dogDoc.exists || dogDoc.data().owner_id !== req.user.userId) {
+    for (let i = 0; i < dogs.length; i++) {
+      const dog = dogs[i];
+      if (!dog || dog.owner_id !== req.user.userId) {
         return res.status(403).json({ 
           success: false,
           error: `Dog with ID ${dogIds[i]} not found or not authorized` 
@@ -239,24 +718,22 @@ router.post('/:parkId/checkout', authenticateToken, async (req, res) => {
       }
     }
 
-    // Get current checked in dogs
-    const parkData = parkDoc.data();
-    const currentCheckedInDogs = parkData.checkedInDogs || [];
-    
-    // Remove the dog IDs from the array
-    const updatedCheckedInDogs = currentCheckedInDogs.filter(dogId => !dogIds.includes(dogId));
+    // Update the park and close the visit sessions - Firestore real-time listeners will handle notifications
+    const result = await checkOutDogs(parkId, dogIds);
 
-    // Update the park with the updated checked in dogs list - Firestore real-time listeners will handle notifications
-    await dogParksCollection.doc(parkId).update({
-      checkedInDogs: updatedCheckedInDogs,
-      updated_at: serverTimestamp()
-    });
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
 
     console.log('✅ Dogs checked out successfully from park:', parkId);
     res.json({
       success: true,
       message: 'Dogs checked out successfully',
-      checkedInDogs: updatedCheckedInDogs
+      checkedInDogs: result.checkedInDogs,
+      visits: result.visits
     });
   } catch (error) {
     console.error('❌ Error checking out dogs:', error);
@@ -275,9 +752,9 @@ router.get('/:parkId/dogs', authenticateToken, async (req, res) => {
     console.log('🐕 Getting dogs checked into park:', parkId);
 
     // Verify the park exists
-    const parkDoc = await dogParksCollection.doc(parkId).get();
+    const parkData = await parksRepo.findById(parkId);
     
-    if (!parkDoc.exists) {
+    if (!parkData) {
       return res.status(404).json({ 
         success: false,
         error: 'Park not found' 
@@ -285,7 +762,6 @@ router.get('/:parkId/dogs', authenticateToken, async (req, res) => {
     }
 
     // Get the list of checked in dog IDs
-    const parkData = parkDoc.data();
     const checkedInDogIds = parkData.checkedInDogs || [];
     
     if (checkedInDogIds.length === 0) {
@@ -296,15 +772,13 @@ router.get('/:parkId/dogs', authenticateToken, async (req, res) => {
     }
 
     // Fetch all the dog documents
-    const dogPromises = checkedInDogIds.map(dogId => dogsCollection.doc(dogId).get());
-    const dogDocs = await Promise.all(dogPromises);
+    const dogs = await dogsRepo.findByIds(checkedInDogIds);
     
     const checkedInDogs = [];
-    dogDocs.forEach((dogDoc, index) => {
-      if (dogDoc.exists) {
-        const dogData = dogDoc.data();
+    dogs.forEach((dogData, index) => {
+      if (dogData) {
         checkedInDogs.push({
-          id: dogDoc.id,
+          id: dogData.id,
           name: dogData.name,
           breed: dogData.breed,
           age: dogData.age,
@@ -333,4 +807,733 @@ router.get('/:parkId/dogs', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Live updates of the dogs in a park as Server-Sent Events (protected route).
+// Sends a park_snapshot on connect, then a park_update after every check-in or check-out.
+router.get('/:parkId/stream', authenticateStreamToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const parkData = await parksRepo.findById(parkId);
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    openEventStream(req, res, `park stream ${parkId}`, (stream) => addSseClient(parkId, stream));
+    await sendParkSnapshot(parkId, res);
+  } catch (error) {
+    console.error('❌ Error opening park stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get visit history for a park, newest first (protected route). Owners see their own
+// visits; moderators and admins see everyone's.
+router.get('/:parkId/visits', authenticateToken, refreshRole, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    console.log('📜 Getting visit history for park:', parkId);
+
+    // Verify the park exists
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    const canSeeAll = ['moderator', 'admin'].includes(req.user.role);
+    const visits = canSeeAll
+      ? await visitsRepo.findByPark(parkId, limit)
+      : await visitsRepo.findByParkAndOwner(parkId, req.user.userId, limit);
+
+    console.log('✅ Found', visits.length, 'visits for park');
+    res.json({
+      success: true,
+      visits: visits.map(formatVisit),
+      count: visits.length
+    });
+  } catch (error) {
+    console.error('❌ Error getting park visits:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Follow a park - it's pinned to the top of the user's park list (protected route)
+router.put('/:parkId/favorite', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const parkData = await parksRepo.findById(parkId);
+
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    const parkIds = await followPark(req.user.userId, parkId);
+
+    console.log('⭐ User followed park:', parkId);
+    res.json({
+      success: true,
+      message: `You're following ${parkData.name}`,
+      parkIds
+    });
+  } catch (error) {
+    if (error.code === 'not-found' || error.code === 'too-many') {
+      return res.status(error.code === 'not-found' ? 404 : 409).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('❌ Error following park:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Stop following a park (protected route)
+router.delete('/:parkId/favorite', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const parkIds = await unfollowPark(req.user.userId, parkId);
+
+    console.log('⭐ User unfollowed park:', parkId);
+    res.json({
+      success: true,
+      message: 'Park removed from favourites',
+      parkIds
+    });
+  } catch (error) {
+    if (error.code === 'not-found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('❌ Error unfollowing park:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Join the waitlist for a full park (protected route)
+router.post('/:parkId/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { dogIds } = req.body;
+
+    // Validation
+    if (!dogIds || !Array.isArray(dogIds) || dogIds.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'dogIds array is required and must contain at least one dog ID' 
+      });
+    }
+
+    // Verify the park exists
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    if (!parkData.capacity) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This park has no capacity limit, so there is no waitlist' 
+      });
+    }
+
+    // Verify that all dogs belong to the authenticated user
+    const dogs = await dogsRepo.findByIds(dogIds);
+    
+    for (let i = 0; i < dogs.length; i++) {
+      const dog = dogs[i];
+      if (!dog || dog.owner_id !== req.user.userId) {
+        return res.status(403).json({ 
+          success: false,
+          error: `Dog with ID ${dogIds[i]} not found or not authorized` 
+        });
+      }
+    }
+
+    console.log('⏳ Adding user to waitlist for park:', parkId);
+    const entry = await joinWaitlist(parkData, req.user.userId, dogIds);
+    const position = await getWaitlistPosition(entry);
+
+    console.log('✅ User added to waitlist at position:', position);
+    res.status(201).json({
+      success: true,
+      message: `You're on the waitlist for ${parkData.name}. We'll notify you when a spot opens up.`,
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('❌ Error joining waitlist:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get the user's waitlist status for a park (protected route)
+router.get('/:parkId/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const waiting = await waitlistRepo.findWaiting(parkId);
+    const entry = await waitlistRepo.findActive(parkId, req.user.userId);
+
+    res.json({
+      success: true,
+      waitingCount: waiting.length,
+      entry,
+      position: entry ? await getWaitlistPosition(entry) : null
+    });
+  } catch (error) {
+    console.error('❌ Error getting waitlist:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Leave the waitlist for a park (protected route)
+router.delete('/:parkId/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const entry = await leaveWaitlist(parkId, req.user.userId);
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'You are not on the waitlist for this park' 
+      });
+    }
+
+    console.log('✅ User left waitlist for park:', parkId);
+    res.json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    console.error('❌ Error leaving waitlist:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get a park's reviews, newest first, with its average rating
+router.get('/:parkId/reviews', async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    const reviews = await reviewsRepo.findByPark(parkId, limit);
+
+    res.json({
+      success: true,
+      ...parkRatingSummary(parkData),
+      reviews: reviews.map(formatReview)
+    });
+  } catch (error) {
+    console.error('❌ Error getting park reviews:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Review a park the user has checked in at (protected route)
+router.post('/:parkId/reviews', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { rating, text } = req.body;
+
+    const validationError = validateReview({ rating, text });
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false,
+        error: validationError 
+      });
+    }
+
+    console.log('⭐ Saving review for park:', parkId);
+    const result = await createReview(parkId, req.user.userId, { rating, text });
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('✅ Review saved:', result.review.id);
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your review!',
+      review: formatReview(result.review),
+      ...parkRatingSummary(result.park)
+    });
+  } catch (error) {
+    if (REVIEW_ERROR_STATUSES[error.code]) {
+      return res.status(REVIEW_ERROR_STATUSES[error.code]).json({ 
+        success: false,
+        error: error.message,
+        code: error.code 
+      });
+    }
+    console.error('❌ Error saving review:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Edit your own review (protected route)
+router.put('/:parkId/reviews/:reviewId', authenticateToken, async (req, res) => {
+  try {
+    const { parkId, reviewId } = req.params;
+    const { rating, text } = req.body;
+
+    // Either field can be left out to keep its current value
+    const validationError = validateReview({ rating, text }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false,
+        error: validationError 
+      });
+    }
+
+    const result = await updateReview(parkId, reviewId, req.user.userId, { rating, text });
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('✅ Review updated:', reviewId);
+    res.json({
+      success: true,
+      message: 'Review updated',
+      review: formatReview(result.review),
+      ...parkRatingSummary(result.park)
+    });
+  } catch (error) {
+    if (REVIEW_ERROR_STATUSES[error.code]) {
+      return res.status(REVIEW_ERROR_STATUSES[error.code]).json({ 
+        success: false,
+        error: error.message,
+        code: error.code 
+      });
+    }
+    console.error('❌ Error updating review:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Delete your own review; moderators and admins can remove any review (protected route)
+router.delete('/:parkId/reviews/:reviewId', authenticateToken, refreshRole, async (req, res) => {
+  try {
+    const { parkId, reviewId } = req.params;
+
+    const result = await deleteReview(parkId, reviewId, req.user);
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('✅ Review deleted:', reviewId);
+    res.json({
+      success: true,
+      message: 'Review deleted',
+      ...parkRatingSummary(result.park)
+    });
+  } catch (error) {
+    if (REVIEW_ERROR_STATUSES[error.code]) {
+      return res.status(REVIEW_ERROR_STATUSES[error.code]).json({ 
+        success: false,
+        error: error.message,
+        code: error.code 
+      });
+    }
+    console.error('❌ Error deleting review:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get a park's photos, newest first
+router.get('/:parkId/photos', async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    const photos = await photosRepo.findByPark(parkId, limit);
+
+    res.json({
+      success: true,
+      coverPhotoId: parkData.cover_photo_id || null,
+      photos: await Promise.all(photos.map(formatPhoto))
+    });
+  } catch (error) {
+    console.error('❌ Error getting park photos:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Upload a photo of a park (protected route). Multipart field "photo", plus optional caption and category.
+router.post('/:parkId/photos', authenticateToken, upload.single('photo'), async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { caption, category } = req.body;
+
+    // Validate file upload
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'No photo file uploaded' 
+      });
+    }
+
+    const validation = validateImageFile(req.file);
+    if (!validation.valid) {
+      return res.status(400).json({ 
+        success: false,
+        error: validation.error 
+      });
+    }
+
+    if (category !== undefined && !PHOTO_CATEGORIES.includes(category)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `category must be one of: ${PHOTO_CATEGORIES.join(', ')}` 
+      });
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('📸 Uploading photo for park:', parkId);
+    const photo = await addParkPhoto(parkData, req.file, req.user.userId, { caption, category });
+
+    console.log('✅ Park photo uploaded:', photo.id);
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded successfully',
+      photo: {
+        ...(await formatPhoto(photo)),
+        url: photo.url
+      },
+      isCover: !parkData.cover_photo_id
+    });
+  } catch (error) {
+    if (PHOTO_ERROR_STATUSES[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('❌ Error uploading park photo:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Delete a park photo - uploaders can delete their own, moderators and admins any (protected route)
+router.delete('/:parkId/photos/:photoId', authenticateToken, refreshRole, async (req, res) => {
+  try {
+    const { parkId, photoId } = req.params;
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    await deleteParkPhoto(parkData, photoId, req.user);
+
+    console.log('✅ Park photo deleted:', photoId);
+    res.json({
+      success: true,
+      message: 'Photo deleted successfully'
+    });
+  } catch (error) {
+    if (PHOTO_ERROR_STATUSES[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('❌ Error deleting park photo:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Choose the park's cover photo (moderators and admins)
+router.put('/:parkId/cover-photo', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { photoId } = req.body;
+
+    if (!photoId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'photoId is required' 
+      });
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    await setCoverPhoto(parkData, photoId);
+
+    console.log('✅ Cover photo set for park:', parkId);
+    res.json({
+      success: true,
+      message: 'Cover photo updated',
+      coverPhotoId: photoId
+    });
+  } catch (error) {
+    if (PHOTO_ERROR_STATUSES[error.code]) {
+      return sendPhotoError(res, error);
+    }
+    console.error('❌ Error setting cover photo:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get a park's condition reports - unresolved ones unless ?status=open|acknowledged|resolved|all
+router.get('/:parkId/reports', async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const status = req.query.status || 'active';
+
+    if (status !== 'active' && status !== 'all' && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `status must be active, all or one of: ${REPORT_STATUSES.join(', ')}` 
+      });
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    const statuses = status === 'all' ? null : status === 'active' ? ACTIVE_REPORT_STATUSES : [status];
+    const reports = await reportsRepo.findByPark(parkId, statuses);
+
+    res.json({
+      success: true,
+      reports: await Promise.all(reports.map(formatReport))
+    });
+  } catch (error) {
+    console.error('❌ Error getting condition reports:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// File a condition report (protected route). JSON, or multipart with an optional "photo" field.
+router.post('/:parkId/reports', authenticateToken, upload.single('photo'), async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { category, description } = req.body;
+
+    const validationError = validateReport({ category, description });
+    if (validationError) {
+      return res.status(400).json({ 
+        success: false,
+        error: validationError 
+      });
+    }
+
+    if (req.file) {
+      const validation = validateImageFile(req.file);
+      if (!validation.valid) {
+        return res.status(400).json({ 
+          success: false,
+          error: validation.error 
+        });
+      }
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+    
+    if (!parkData) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('🚧 Filing condition report for park:', parkId, 'category:', category);
+    const result = await createReport(parkId, req.user.userId, { category, description }, req.file);
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('✅ Condition report filed:', result.report.id);
+    res.status(201).json({
+      success: true,
+      message: result.report.critical
+        ? 'Report filed - recent visitors have been warned'
+        : 'Report filed - thanks for letting everyone know',
+      report: await formatReport(result.report),
+      notifiedCount: result.notifiedCount
+    });
+  } catch (error) {
+    if (REPORT_ERROR_STATUSES[error.code]) {
+      return res.status(REPORT_ERROR_STATUSES[error.code]).json({ 
+        success: false,
+        error: error.message,
+        code: error.code 
+      });
+    }
+    console.error('❌ Error filing condition report:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Acknowledge, resolve or reopen a condition report (moderators and admins)
+router.put('/:parkId/reports/:reportId/status', authenticateToken, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const { parkId, reportId } = req.params;
+    const { status, note } = req.body;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `status must be one of: ${REPORT_STATUSES.join(', ')}` 
+      });
+    }
+
+    const result = await updateReportStatus(parkId, reportId, req.user.userId, { status, note });
+
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Park not found' 
+      });
+    }
+
+    console.log('✅ Condition report', reportId, 'is now', status);
+    res.json({
+      success: true,
+      message: `Report marked ${status}`,
+      report: await formatReport(result.report),
+      activeReports: result.park.active_reports
+    });
+  } catch (error) {
+    if (REPORT_ERROR_STATUSES[error.code]) {
+      return res.status(REPORT_ERROR_STATUSES[error.code]).json({ 
+        success: false,
+        error: error.message,
+        code: error.code 
+      });
+    }
+    console.error('❌ Error updating condition report:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const { parksRepo, dogsRepo, plannedVisitsRepo } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validatePlannedVisit,
+  formatPlannedVisit,
+  createPlannedVisit,
+  cancelPlannedVisit
+} = require('../services/plannedVisits');
+
+// Mounted at /api/dog-parks/:parkId/planned
+const router = express.Router({ mergeParams: true });
+
+// HTTP status for each error code thrown by the planned visits service
+const PLANNED_VISIT_ERROR_STATUSES = {
+  'forbidden': 403,
+  'not-found': 404,
+  'not-planned': 409,
+  'overlapping-plan': 409
+};
+
+const sendPlannedVisitError = (res, error) => {
+  return res.status(PLANNED_VISIT_ERROR_STATUSES[error.code]).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+};
+
+// Upcoming planned visits at a park, soonest first (protected route)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+
+    const parkData = await parksRepo.findById(parkId);
+
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    const plannedVisits = await plannedVisitsRepo.findUpcomingAtPark(parkId);
+
+    res.json({
+      success: true,
+      plannedVisits: plannedVisits.map(formatPlannedVisit)
+    });
+  } catch (error) {
+    console.error('❌ Error getting planned visits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Announce when some of your dogs will be at the park (protected route)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { parkId } = req.params;
+    const { dogIds, startsAt, endsAt, note } = req.body;
+
+    if (!dogIds || !Array.isArray(dogIds) || dogIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'dogIds array is required and must contain at least one dog ID'
+      });
+    }
+
+    const validationError = validatePlannedVisit({ startsAt, endsAt, note });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const parkData = await parksRepo.findById(parkId);
+
+    if (!parkData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Park not found'
+      });
+    }
+
+    // Verify that all dogs belong to the authenticated user
+    const dogs = await dogsRepo.findByIds(dogIds);
+
+    for (let i = 0; i < dogs.length; i++) {
+      const dog = dogs[i];
+      if (!dog || dog.owner_id !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          error: `Dog with ID ${dogIds[i]} not found or not authorized`
+        });
+      }
+    }
+
+    const { plannedVisit, notified } = await createPlannedVisit(parkData, req.user.userId, dogs, { startsAt, endsAt, note });
+
+    console.log('✅ Planned visit created:', plannedVisit.id, 'at park:', parkId, 'Friends notified:', notified);
+    res.status(201).json({
+      success: true,
+      message: notified > 0
+        ? `Planned visit saved - ${notified} ${notified === 1 ? 'friend has' : 'friends have'} been told`
+        : 'Planned visit saved',
+      plannedVisit: formatPlannedVisit(plannedVisit)
+    });
+  } catch (error) {
+    if (PLANNED_VISIT_ERROR_STATUSES[error.code]) {
+      return sendPlannedVisitError(res, error);
+    }
+    console.error('❌ Error creating planned visit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Call off one of your planned visits (protected route)
+router.delete('/:plannedVisitId', authenticateToken, async (req, res) => {
+  try {
+    const { parkId, plannedVisitId } = req.params;
+
+    const plannedVisit = await cancelPlannedVisit(parkId, plannedVisitId, req.user.userId);
+
+    console.log('✅ Planned visit cancelled:', plannedVisitId);
+    res.json({
+      success: true,
+      message: 'Planned visit cancelled',
+      plannedVisit: formatPlannedVisit(plannedVisit)
+    });
+  } catch (error) {
+    if (PLANNED_VISIT_ERROR_STATUSES[error.code]) {
+      return sendPlannedVisitError(res, error);
+    }
+    console.error('❌ Error cancelling planned visit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
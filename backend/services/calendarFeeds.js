@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { eventsRepo, plannedVisitsRepo } = require('../config/database');
+const { JWT_SECRET } = require('../middleware/auth');
+const { buildCalendar } = require('../utils/ical');
+const { toDate } = require('../utils/helpers');
+
+// Feed tokens are HMACs rather than JWTs so a leaked calendar URL can't be used as an API login
+const FEED_SECRET = process.env.CALENDAR_FEED_SECRET || JWT_SECRET;
+// Past events stay in personal feeds this long so calendars keep recent history
+const FEED_HISTORY_DAYS = 30;
+
+const calendarFeedToken = (userId) => {
+  return crypto.createHmac('sha256', FEED_SECRET).update(`calendar-feed:${userId}`).digest('base64url');
+};
+
+const isValidCalendarFeedToken = (userId, token) => {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(calendarFeedToken(userId));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const describeEvent = (event) => {
+  const attendees = event.attendees || [];
+  const lines = [];
+  if (event.description) lines.push(event.description);
+  if (event.organizer_name) lines.push(`Organised by ${event.organizer_name}`);
+  const count = `${attendees.length}${event.max_attendees ? `/${event.max_attendees}` : ''}`;
+  lines.push(`${count} ${attendees.length === 1 && !event.max_attendees ? 'dog' : 'dogs'} going` +
+    (attendees.length > 0 ? `: ${attendees.map(attendee => attendee.dog_name).join(', ')}` : ''));
+  return lines.join('\n');
+};
+
+const eventEntry = (event, location) => ({
+  uid: `park-event-${event.id}@dogapp`,
+  start: toDate(event.starts_at),
+  end: toDate(event.ends_at),
+  summary: event.title,
+  description: describeEvent(event),
+  location: location || event.park_name,
+  status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  updatedAt: toDate(event.updated_at)
+});
+
+const plannedVisitEntry = (visit) => ({
+  uid: `planned-visit-${visit.id}@dogapp`,
+  start: toDate(visit.starts_at),
+  end: toDate(visit.ends_at),
+  summary: `${visit.dog_names.join(', ')} at ${visit.park_name || 'the park'}`,
+  description: visit.note,
+  location: visit.park_name,
+  status: visit.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  updatedAt: toDate(visit.updated_at)
+});
+
+// The user's own calendar: events they organised or RSVP'd to and visits they planned,
+// including recent past ones. Cancelled entries stay in the feed marked CANCELLED so
+// subscribed calendars drop them.
+const buildUserFeed = async (userId, now = new Date()) => {
+  const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const [events, plannedVisits] = await Promise.all([
+    eventsRepo.findForUser(userId),
+    plannedVisitsRepo.findByOwner(userId)
+  ]);
+
+  const entries = [
+    ...events.map(event => eventEntry(event)),
+    ...plannedVisits.map(plannedVisitEntry)
+  ]
+    .filter(entry => entry.end >= since)
+    .sort((a, b) => a.start - b.start);
+
+  return buildCalendar({
+    name: 'Dog App - My park events',
+    events: entries
+  }, now);
+};
+
+// Public calendar of a park's upcoming events
+const buildParkFeed = async (park, now = new Date()) => {
+  const events = await eventsRepo.findUpcoming(park.id, now);
+  const location = [park.name, park.address].filter(Boolean).join(', ');
+
+  return buildCalendar({
+    name: `${park.name || 'Dog park'} events`,
+    events: events.map(event => eventEntry(event, location))
+  }, now);
+};
+
+module.exports = {
+  calendarFeedToken,
+  isValidCalendarFeedToken,
+  buildUserFeed,
+  buildParkFeed
+};
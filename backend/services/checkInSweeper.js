@@ -0,0 +1,145 @@
+const { visitsRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { toDate, runFollowUp } = require('../utils/helpers');
+const { checkOutDogs } = require('./checkIns');
+
+// Owners get a heads-up this long before their dogs are checked out automatically
+const EXPIRY_WARNING_MINUTES = parseInt(process.env.CHECKIN_EXPIRY_WARNING_MINUTES, 10) || 10;
+const SWEEP_INTERVAL_MS = parseInt(process.env.CHECKIN_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+const notifyOwner = (visit, type, title, message) => {
+  return notificationsRepo.create({
+    user_id: visit.owner_id,
+    type,
+    title,
+    message,
+    data: {
+      visit_id: visit.id,
+      dog_id: visit.dog_id,
+      dog_name: visit.dog_name,
+      park_id: visit.park_id,
+      park_name: visit.park_name
+    },
+    read: false,
+    created_at: serverTimestamp()
+  });
+};
+
+// Mark a visit as handled by this sweep in a transaction, so when sweeps overlap (the timer
+// and a cron request, or two instances) only one of them checks it out or warns its owner.
+// Resolves to the visit if this sweep got it, or null.
+const claimVisit = async (visitId, isDue, flag) => {
+  let claimed = false;
+  const result = await visitsRepo.updateVisit(visitId, (visit) => {
+    claimed = !visit.checked_out_at && !visit[flag] && isDue(visit);
+    return claimed ? { [flag]: true } : {};
+  });
+  return result && claimed ? result.visit : null;
+};
+
+// Check out the dogs of a park's expired visits, or close the visits if the park is gone
+const expireParkVisits = async (parkId, visits) => {
+  const dogIds = visits.map(visit => visit.dog_id);
+  const result = await checkOutDogs(parkId, dogIds, 'expired');
+  if (result) {
+    return;
+  }
+
+  // Park was deleted while dogs were checked in - just close the visits when they ran out
+  await Promise.all(visits.map(visit => {
+    const checkedInAt = toDate(visit.checked_in_at);
+    const expiresAt = toDate(visit.expires_at);
+    return visitsRepo.update(visit.id, {
+      checked_out_at: expiresAt,
+      duration_seconds: checkedInAt ? Math.max(0, Math.round((expiresAt - checkedInAt) / 1000)) : null,
+      checkout_reason: 'expired'
+    });
+  }));
+};
+
+// Check out every dog whose visit has run past its expected duration and warn
+// owners whose visits are about to expire. Safe to run from a timer or a cron request.
+const sweepExpiredCheckIns = async (now = new Date()) => {
+  const warningCutoff = new Date(now.getTime() + EXPIRY_WARNING_MINUTES * 60 * 1000);
+  // Visits recorded before expiry existed have no expires_at and are left alone
+  const hasExpired = (visit) => {
+    const expiresAt = toDate(visit.expires_at);
+    return Boolean(expiresAt) && expiresAt <= now;
+  };
+  const expiresSoon = (visit) => {
+    const expiresAt = toDate(visit.expires_at);
+    return Boolean(expiresAt) && expiresAt > now && expiresAt <= warningCutoff;
+  };
+  const openVisits = await visitsRepo.findOpen();
+
+  const expiredByPark = new Map();
+  const expiringSoon = [];
+
+  for (const candidate of openVisits) {
+    if (hasExpired(candidate) && !candidate.expiry_claimed) {
+      // Re-checked inside the claim: the owner may have checked in again since
+      const visit = await claimVisit(candidate.id, hasExpired, 'expiry_claimed');
+      if (!visit) continue;
+      if (!expiredByPark.has(visit.park_id)) expiredByPark.set(visit.park_id, []);
+      expiredByPark.get(visit.park_id).push(visit);
+    } else if (expiresSoon(candidate) && !candidate.expiry_warning_sent) {
+      const visit = await claimVisit(candidate.id, expiresSoon, 'expiry_warning_sent');
+      if (visit) expiringSoon.push(visit);
+    }
+  }
+
+  let expired = 0;
+  for (const [parkId, visits] of expiredByPark) {
+    try {
+      await expireParkVisits(parkId, visits);
+    } catch (error) {
+      // Hand the visits back so the next sweep tries again, and carry on with the other parks
+      console.error(`❌ Error expiring check-ins at park ${parkId}:`, error);
+      await runFollowUp('releasing expired visits', () => Promise.all(visits.map(visit => {
+        return visitsRepo.update(visit.id, { expiry_claimed: false });
+      })));
+      continue;
+    }
+
+    await runFollowUp('notifying owners of expired check-ins', () => Promise.all(visits.map(visit => notifyOwner(
+      visit,
+      'checkin_expired',
+      'Checked Out Automatically',
+      `${visit.dog_name} was checked out of ${visit.park_name || 'the park'} because the visit time ran out`
+    ))));
+    expired += visits.length;
+  }
+
+  await runFollowUp('warning owners of expiring check-ins', () => Promise.all(expiringSoon.map(visit => notifyOwner(
+    visit,
+    'checkin_expiring',
+    'Still at the Park? ⏰',
+    `${visit.dog_name} will be checked out of ${visit.park_name || 'the park'} in ${EXPIRY_WARNING_MINUTES} minutes. Check in again to stay longer.`
+  ))));
+
+  if (expired > 0 || expiringSoon.length > 0) {
+    console.log(`⏰ Check-in sweep: ${expired} expired, ${expiringSoon.length} warned`);
+  }
+
+  return { expired, warned: expiringSoon.length };
+};
+
+// Run the sweep on a timer for the long-running server (serverless deployments use the cron route)
+const startCheckInSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sweepExpiredCheckIns().catch(error => {
+      console.error('❌ Error sweeping expired check-ins:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  console.log(`⏰ Check-in sweeper running every ${Math.round(intervalMs / 1000)}s`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  EXPIRY_WARNING_MINUTES,
+  sweepExpiredCheckIns,
+  startCheckInSweeper
+};
@@ -0,0 +1,236 @@
+const { parksRepo } = require('../config/database');
+const { startVisits, endVisits } = require('./parkVisits');
+const { broadcastParkUpdate } = require('./parkBroadcast');
+const { completeWaitlistEntry, notifyNextOnWaitlist } = require('./parkWaitlist');
+const { convertPlannedVisits } = require('./plannedVisits');
+const { notifyFriendsOfArrival } = require('./friendArrivals');
+const { notifyFavoriteParkFollowers } = require('./favoriteParks');
+const { getOpenStatus } = require('../utils/openingHours');
+const { runFollowUp } = require('../utils/helpers');
+
+// How long a check-in lasts when neither the owner nor the park picks a duration
+const DEFAULT_VISIT_MINUTES = parseInt(process.env.CHECKIN_DEFAULT_MINUTES, 10) || 120;
+const MIN_VISIT_MINUTES = 5;
+const MAX_VISIT_MINUTES = 12 * 60;
+
+// Returns true if value is a whole number of minutes within the allowed visit range
+const isValidVisitMinutes = (value) => {
+  return Number.isInteger(value) && value >= MIN_VISIT_MINUTES && value <= MAX_VISIT_MINUTES;
+};
+
+// Returns true if value can be stored as a park capacity (null means unlimited)
+const isValidCapacity = (value) => {
+  return value === null || (Number.isInteger(value) && value > 0);
+};
+
+// Thrown from inside the check-in transaction when the new dogs don't fit
+const parkFullError = (park, checkedInCount) => {
+  const spotsLeft = Math.max(0, park.capacity - checkedInCount);
+  const error = new Error(
+    `${park.name || 'This park'} is full (${checkedInCount}/${park.capacity} dogs)` +
+    (spotsLeft > 0 ? ` - only ${spotsLeft} more ${spotsLeft === 1 ? 'dog' : 'dogs'} can check in` : '')
+  );
+  error.code = 'park-full';
+  error.capacity = park.capacity;
+  error.checkedInCount = checkedInCount;
+  error.spotsLeft = spotsLeft;
+  return error;
+};
+
+// Thrown from inside the check-in transaction when the park is outside its opening hours
+const parkClosedError = (park, openStatus) => {
+  const name = park.name || 'This park';
+  let message = openStatus.closedReason
+    ? `${name} is closed today (${openStatus.closedReason})`
+    : `${name} is closed right now`;
+  if (openStatus.opensAtLocal) {
+    message += ` - it opens ${openStatus.opensAtLocal}`;
+  }
+
+  const error = new Error(message);
+  error.code = 'park-closed';
+  error.opensAt = openStatus.opensAt;
+  error.closedReason = openStatus.closedReason;
+  return error;
+};
+
+// Owner's choice first, then the park's default, then the global default
+const resolveVisitMinutes = (park, requestedMinutes) => {
+  if (requestedMinutes !== undefined && requestedMinutes !== null) return requestedMinutes;
+  if (isValidVisitMinutes(park.default_visit_minutes)) return park.default_visit_minutes;
+  return DEFAULT_VISIT_MINUTES;
+};
+
+// Add dogs to the park's checkedInDogs list and open a visit for each new arrival.
+// A dog can only be at one park, so any dog still checked in elsewhere is moved:
+// removed from the previous park in the same transaction and its visit there closed.
+// Rejects with code 'park-closed' outside the park's opening hours, or 'park-full'
+// if the arrivals would exceed the park's capacity.
+// Resolves to null if the park no longer exists.
+const checkInDogs = async (parkId, dogs, ownerId, expectedDurationMinutes) => {
+  const dogIds = dogs.map(dog => dog.id);
+  const changedAt = new Date();
+  // Dogs that weren't already here - only they count as arriving
+  let arrivedDogIds = [];
+
+  // Dogs checked in before current_park_id was recorded are found by searching the parks
+  const listedParks = (await parksRepo.findByCheckedInDogs(dogIds))
+    .filter(park => park.id !== parkId);
+  let moves = [];
+
+  const results = await parksRepo.updateCheckedInDogs((currentDogs) => {
+    // Where each dog is is read inside the transaction, so two check-ins racing for the
+    // same dog can't both leave it checked in - the later one moves it from the earlier's park
+    const previousParks = new Map(listedParks.map(park => [
+      park.id,
+      (park.checkedInDogs || []).filter(dogId => dogIds.includes(dogId))
+    ]));
+    currentDogs
+      .filter(dog => dog.current_park_id && dog.current_park_id !== parkId)
+      .forEach(dog => {
+        const movingDogIds = previousParks.get(dog.current_park_id) || [];
+        previousParks.set(dog.current_park_id, [...new Set([...movingDogIds, dog.id])]);
+      });
+    moves = Array.from(previousParks, ([previousParkId, movingDogIds]) => ({
+      parkId: previousParkId,
+      dogIds: movingDogIds
+    }));
+
+    return [
+      {
+        parkId,
+        // Add new dog IDs to the array (avoid duplicates)
+        computeDogIds: (currentDogIds, park) => {
+          const openStatus = getOpenStatus(park, changedAt);
+          if (!openStatus.isOpen) {
+            throw parkClosedError(park, openStatus);
+          }
+
+          const updatedDogIds = [...new Set([...currentDogIds, ...dogIds])];
+          arrivedDogIds = dogIds.filter(dogId => !currentDogIds.includes(dogId));
+          const arrivals = updatedDogIds.length - currentDogIds.length;
+          if (park.capacity && arrivals > 0 && updatedDogIds.length > park.capacity) {
+            throw parkFullError(park, currentDogIds.length);
+          }
+          return updatedDogIds;
+        },
+        fields: {
+          last_change: {
+            type: 'check_in',
+            dog_ids: dogIds,
+            from_park_ids: moves.map(move => move.parkId),
+            at: changedAt
+          }
+        }
+      },
+      ...moves.map(move => ({
+        parkId: move.parkId,
+        // A park that has since been deleted has nothing to move the dogs out of
+        optional: true,
+        computeDogIds: (currentDogIds) => currentDogIds.filter(dogId => !dogIds.includes(dogId)),
+        fields: {
+          last_change: {
+            type: 'check_out',
+            dog_ids: move.dogIds,
+            reason: 'moved',
+            to_park_id: parkId,
+            at: changedAt
+          }
+        }
+      }))
+    ];
+  }, dogIds);
+
+  if (!results) {
+    return null;
+  }
+
+  const [target, ...movedResults] = results;
+  const previous = movedResults.filter(Boolean);
+  moves = moves
+    .filter((move, index) => movedResults[index])
+    .map((move, index) => ({ ...move, parkName: previous[index].park.name || '' }));
+
+  const movedFrom = await Promise.all(moves.map(async (move, index) => ({
+    ...move,
+    checkedInDogs: previous[index].checkedInDogs,
+    visits: await endVisits(move.parkId, move.dogIds, 'moved')
+  })));
+
+  const visitMinutes = resolveVisitMinutes(target.park, expectedDurationMinutes);
+  const visits = await startVisits(target.park, dogs, ownerId, visitMinutes);
+
+  // The owner no longer needs their place in line here, and anyone leaving a
+  // full park frees a spot for the next owner waiting there
+  await runFollowUp('completing waitlist entry', () => completeWaitlistEntry(parkId, ownerId));
+  const plannedVisits = await runFollowUp('converting planned visits', () => {
+    return convertPlannedVisits(parkId, ownerId, visits);
+  }, []);
+  await runFollowUp('notifying friends of arrival', () => {
+    return notifyFriendsOfArrival(target.park, ownerId, dogs.filter(dog => arrivedDogIds.includes(dog.id)));
+  });
+  await runFollowUp('notifying favourite park followers', () => {
+    return notifyFavoriteParkFollowers(target.park, target.park.checkedInDogs || [], target.checkedInDogs, ownerId);
+  });
+  await Promise.all(moves.map((move, index) => runFollowUp('notifying next on waitlist', () => {
+    return notifyNextOnWaitlist(previous[index].park, previous[index].checkedInDogs.length);
+  })));
+
+  await Promise.all([
+    broadcastParkUpdate(parkId, { type: 'check_in', dogIds, fromParkIds: moves.map(move => move.parkId) }),
+    ...moves.map(move => broadcastParkUpdate(move.parkId, {
+      type: 'check_out',
+      dogIds: move.dogIds,
+      reason: 'moved',
+      toParkId: parkId
+    }))
+  ]);
+
+  return {
+    checkedInDogs: target.checkedInDogs,
+    visits,
+    expectedDurationMinutes: visitMinutes,
+    movedFrom,
+    plannedVisits
+  };
+};
+
+// Remove dogs from the park's checkedInDogs list and close their visits.
+// reason: 'manual' when the owner checks out, 'expired' when the sweeper does.
+// Resolves to null if the park no longer exists.
+const checkOutDogs = async (parkId, dogIds, reason = 'manual') => {
+  const results = await parksRepo.updateCheckedInDogs([{
+    parkId,
+    computeDogIds: (currentDogIds) => currentDogIds.filter(dogId => !dogIds.includes(dogId)),
+    fields: {
+      last_change: {
+        type: 'check_out',
+        dog_ids: dogIds,
+        reason,
+        at: new Date()
+      }
+    }
+  }], dogIds);
+
+  if (!results) {
+    return null;
+  }
+
+  const visits = await endVisits(parkId, dogIds, reason);
+  await runFollowUp('notifying next on waitlist', () => {
+    return notifyNextOnWaitlist(results[0].park, results[0].checkedInDogs.length);
+  });
+  await broadcastParkUpdate(parkId, { type: 'check_out', dogIds, reason });
+
+  return { checkedInDogs: results[0].checkedInDogs, visits };
+};
+
+module.exports = {
+  DEFAULT_VISIT_MINUTES,
+  MIN_VISIT_MINUTES,
+  MAX_VISIT_MINUTES,
+  isValidVisitMinutes,
+  isValidCapacity,
+  checkInDogs,
+  checkOutDogs
+};
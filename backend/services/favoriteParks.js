@@ -0,0 +1,156 @@
+const { usersRepo, dogsRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { DOG_SIZES } = require('../utils/dogSizes');
+const { dogSizeOf } = require('./parkOccupancy');
+
+// The same alert about the same park goes to a user at most once per this many minutes
+const ALERT_THROTTLE_MINUTES = parseInt(process.env.FAVORITE_PARK_ALERT_THROTTLE_MINUTES, 10) || 60;
+const MAX_FAVORITE_PARKS = 50;
+
+// Stored on the user as preferences.favoriteParkAlerts. Following a park pins it in the app;
+// alerts are opt-in. sizeAlert: { size: 'small' | 'medium' | 'large', moreThan: N } or null.
+const DEFAULT_ALERT_PREFERENCES = {
+  firstArrival: false,
+  sizeAlert: null
+};
+
+const getFavoriteParkAlertPreferences = (user) => {
+  const preferences = user?.preferences || {};
+  const alerts = { ...DEFAULT_ALERT_PREFERENCES, ...preferences.favoriteParkAlerts };
+  // Turning notifications off altogether turns these off too
+  return preferences.notifications === false ? { ...alerts, firstArrival: false, sizeAlert: null } : alerts;
+};
+
+// Returns an error message for invalid alert settings, or null if they can be saved
+const validateFavoriteParkAlertPreferences = ({ firstArrival, sizeAlert }) => {
+  if (firstArrival !== undefined && typeof firstArrival !== 'boolean') {
+    return 'firstArrival must be true or false';
+  }
+  if (sizeAlert !== undefined && sizeAlert !== null) {
+    if (typeof sizeAlert !== 'object' || !DOG_SIZES.includes(sizeAlert.size)) {
+      return `sizeAlert.size must be one of: ${DOG_SIZES.join(', ')}`;
+    }
+    if (!Number.isInteger(sizeAlert.moreThan) || sizeAlert.moreThan < 0) {
+      return 'sizeAlert.moreThan must be a whole number of dogs';
+    }
+  }
+  return null;
+};
+
+const favoriteParksError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Add a park to the user's favourites. Rejects with code 'not-found' for an unknown
+// user or 'too-many' past the limit. Resolves to the updated list of park IDs.
+const followPark = async (userId, parkId) => {
+  const updated = await usersRepo.updateFavoriteParks(userId, (favoriteParks) => {
+    if (favoriteParks.includes(parkId)) {
+      return favoriteParks;
+    }
+    if (favoriteParks.length >= MAX_FAVORITE_PARKS) {
+      throw favoriteParksError(`You can follow at most ${MAX_FAVORITE_PARKS} parks`, 'too-many');
+    }
+    return [...favoriteParks, parkId];
+  });
+  if (!updated) {
+    throw favoriteParksError('User not found', 'not-found');
+  }
+  return updated;
+};
+
+// Remove a park from the user's favourites. Resolves to the updated list of park IDs.
+const unfollowPark = async (userId, parkId) => {
+  const updated = await usersRepo.updateFavoriteParks(userId, (favoriteParks) => {
+    return favoriteParks.includes(parkId) ? favoriteParks.filter(id => id !== parkId) : favoriteParks;
+  });
+  if (!updated) {
+    throw favoriteParksError('User not found', 'not-found');
+  }
+  return updated;
+};
+
+// Alert followers of a park when a check-in changes it from empty to having dogs, or takes
+// the number of dogs of their preferred size above their threshold. Only the crossing alerts,
+// so a park has to drop back (dogs checking out) before the same alert can fire again.
+// The owner who checked in isn't alerted about their own dogs. Resolves to the number sent.
+const notifyFavoriteParkFollowers = async (park, previousDogIds, currentDogIds, changedBy, now = new Date()) => {
+  if (currentDogIds.length <= previousDogIds.length) {
+    return 0;
+  }
+
+  const followers = (await usersRepo.findByFavoritePark(park.id))
+    .filter(user => user.id !== changedBy)
+    .map(user => ({ user, alerts: getFavoriteParkAlertPreferences(user) }))
+    .filter(({ alerts }) => alerts.firstArrival || alerts.sizeAlert);
+  if (followers.length === 0) {
+    return 0;
+  }
+
+  // Dog sizes are only looked up when someone cares about them
+  let sizes = null;
+  if (followers.some(({ alerts }) => alerts.sizeAlert)) {
+    const dogs = await dogsRepo.findByIds(currentDogIds);
+    sizes = new Map(currentDogIds.map((dogId, index) => [dogId, dogSizeOf(dogs[index])]));
+  }
+  const countOfSize = (dogIds, size) => dogIds.filter(dogId => sizes.get(dogId) === size).length;
+
+  const parkName = park.name || 'Your favourite park';
+  const since = new Date(now.getTime() - ALERT_THROTTLE_MINUTES * 60 * 1000);
+
+  const sent = await Promise.all(followers.map(async ({ user, alerts }) => {
+    let alert = null;
+    if (alerts.firstArrival && previousDogIds.length === 0) {
+      alert = {
+        reason: 'first_arrival',
+        title: 'Dogs at Your Park 🐕',
+        message: `Dogs have arrived at ${parkName} - ${currentDogIds.length} there now`
+      };
+    } else if (alerts.sizeAlert) {
+      const { size, moreThan } = alerts.sizeAlert;
+      const count = countOfSize(currentDogIds, size);
+      if (count > moreThan && countOfSize(previousDogIds, size) <= moreThan) {
+        alert = {
+          reason: 'size',
+          title: 'Your Park is Busy 🐕',
+          message: `${count} ${size} ${count === 1 ? 'dog is' : 'dogs are'} at ${parkName} right now`
+        };
+      }
+    }
+    if (!alert) {
+      return false;
+    }
+
+    const recent = await notificationsRepo.findRecentOfType(user.id, 'favorite_park_alert', since);
+    if (recent.some(notification => notification.data?.park_id === park.id && notification.data?.reason === alert.reason)) {
+      return false;
+    }
+
+    await notificationsRepo.create({
+      user_id: user.id,
+      type: 'favorite_park_alert',
+      title: alert.title,
+      message: alert.message,
+      data: {
+        park_id: park.id,
+        park_name: park.name || '',
+        reason: alert.reason,
+        dog_count: currentDogIds.length
+      },
+      read: false,
+      created_at: serverTimestamp()
+    });
+    return true;
+  }));
+
+  return sent.filter(Boolean).length;
+};
+
+module.exports = {
+  getFavoriteParkAlertPreferences,
+  validateFavoriteParkAlertPreferences,
+  followPark,
+  unfollowPark,
+  notifyFavoriteParkFollowers
+};
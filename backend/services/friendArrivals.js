@@ -0,0 +1,135 @@
+const { dogsRepo, usersRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { DEFAULT_TIMEZONE, isValidClockTime, isValidTimeZone, isWithinDailyWindow } = require('../utils/openingHours');
+const { joinNames } = require('../utils/helpers');
+
+// A friend is announced to the same owner at most once per this many minutes,
+// so a dog popping in and out of parks doesn't flood their phone
+const THROTTLE_MINUTES = parseInt(process.env.FRIEND_ARRIVAL_THROTTLE_MINUTES, 10) || 60;
+
+// Stored on the user as preferences.friendArrivals. Everyone is opted in until they say otherwise.
+const DEFAULT_PREFERENCES = {
+  enabled: true,
+  quietHours: null
+};
+
+// The user's friend arrival settings with defaults filled in. Turning notifications
+// off altogether (preferences.notifications = false) turns these off too.
+const getFriendArrivalPreferences = (user) => {
+  const preferences = user?.preferences || {};
+  const saved = preferences.friendArrivals || {};
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...saved,
+    enabled: preferences.notifications !== false && saved.enabled !== false
+  };
+};
+
+// Returns an error message for invalid settings, or null if they can be saved.
+// quietHours: { start: 'HH:MM', end: 'HH:MM', timezone } or null for none. Without a
+// timezone, quiet hours follow the time zone of the park the friend arrives at.
+const validateFriendArrivalPreferences = ({ enabled, quietHours }) => {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+
+  if (quietHours !== undefined && quietHours !== null) {
+    if (typeof quietHours !== 'object' || !isValidClockTime(quietHours.start) || !isValidClockTime(quietHours.end)) {
+      return 'quietHours must be { start, end } times as HH:MM (24-hour), or null';
+    }
+    if (quietHours.start === quietHours.end) {
+      return 'quietHours start and end must be different';
+    }
+    if (quietHours.timezone !== undefined && quietHours.timezone !== null && !isValidTimeZone(quietHours.timezone)) {
+      return 'quietHours.timezone must be an IANA time zone such as Europe/London';
+    }
+  }
+
+  return null;
+};
+
+// The dogs' friends that belong to other owners than ownerId
+const findFriendDogs = async (dogs, ownerId) => {
+  const ownDogIds = dogs.map(dog => dog.id);
+  const friendDogIds = [...new Set(dogs.flatMap(dog => dog.friends || []))]
+    .filter(dogId => !ownDogIds.includes(dogId));
+  const friendDogs = await dogsRepo.findByIds(friendDogIds);
+
+  return friendDogs.filter(friendDog => friendDog && friendDog.owner_id && friendDog.owner_id !== ownerId);
+};
+
+// Owners of the dogs' friends, without ownerId themselves
+const friendOwnerIds = async (dogs, ownerId) => {
+  const friendDogs = await findFriendDogs(dogs, ownerId);
+  return [...new Set(friendDogs.map(friendDog => friendDog.owner_id))];
+};
+
+// Recipients and the arriving dogs each should hear about: owners of the dogs' friends,
+// without the arriving owner themselves. Resolves to a Map of owner ID -> [dog].
+const arrivalsByFriendOwner = async (dogs, ownerId) => {
+  const friendDogs = await findFriendDogs(dogs, ownerId);
+
+  const arrivals = new Map();
+  friendDogs.forEach(friendDog => {
+    const known = arrivals.get(friendDog.owner_id) || [];
+    const newFriends = dogs.filter(dog => (dog.friends || []).includes(friendDog.id) && !known.includes(dog));
+    arrivals.set(friendDog.owner_id, [...known, ...newFriends]);
+  });
+  return arrivals;
+};
+
+// Tell the owners of the arriving dogs' friends that they just got to the park, e.g.
+// "Max just arrived at Riverside Park". Skips owners who opted out or are in their quiet
+// hours, and dogs they already heard about within the throttle window.
+// Resolves to the number of notifications sent.
+const notifyFriendsOfArrival = async (park, ownerId, dogs, now = new Date()) => {
+  if (dogs.length === 0) {
+    return 0;
+  }
+
+  const arrivals = await arrivalsByFriendOwner(dogs, ownerId);
+  const since = new Date(now.getTime() - THROTTLE_MINUTES * 60 * 1000);
+
+  const sent = await Promise.all([...arrivals.entries()].map(async ([userId, arrivingDogs]) => {
+    const preferences = getFriendArrivalPreferences(await usersRepo.findById(userId));
+    if (!preferences.enabled) {
+      return false;
+    }
+    const { quietHours } = preferences;
+    if (quietHours && isWithinDailyWindow(quietHours, quietHours.timezone || park.timezone || DEFAULT_TIMEZONE, now)) {
+      return false;
+    }
+
+    const recent = await notificationsRepo.findRecentOfType(userId, 'friend_arrival', since);
+    const announced = new Set(recent.flatMap(notification => notification.data?.dog_ids || []));
+    const newArrivals = arrivingDogs.filter(dog => !announced.has(dog.id));
+    if (newArrivals.length === 0) {
+      return false;
+    }
+
+    const names = newArrivals.map(dog => dog.name);
+    await notificationsRepo.create({
+      user_id: userId,
+      type: 'friend_arrival',
+      title: 'Friend at the Park 🐾',
+      message: `${joinNames(names)} just arrived at ${park.name || 'the park'}`,
+      data: {
+        park_id: park.id,
+        park_name: park.name || '',
+        dog_ids: newArrivals.map(dog => dog.id),
+        dog_names: names
+      },
+      read: false,
+      created_at: serverTimestamp()
+    });
+    return true;
+  }));
+
+  return sent.filter(Boolean).length;
+};
+
+module.exports = {
+  getFriendArrivalPreferences,
+  validateFriendArrivalPreferences,
+  friendOwnerIds,
+  notifyFriendsOfArrival
+};
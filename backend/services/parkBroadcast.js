@@ -1,81 +1,207 @@
-const { dogParksCollection, dogsCollection } = require('../config/database');
+const { parksRepo, dogsRepo } = require('../config/database');
+const { formatParkOccupancy, getAllParkOccupancy } = require('./parkOccupancy');
+const { getPubSub } = require('./pubsub');
+
+// Check-ins on any instance are published here; every instance with clients of its own
+// subscribes and delivers them. Connections below are local to this process.
+const PARK_UPDATES_CHANNEL = 'park-updates';
 
 // Store SSE connections for real-time updates
 const sseConnections = new Map(); // parkId -> Set of response objects
 
-// Store active connections for each park
-const parkConnections = new Map(); // parkId -> Set of socket IDs
+// SSE responses following the occupancy of every park (the park list)
+const occupancyConnections = new Set();
+
+// Socket.IO server, once server.js has attached one. Subscribers to a park are in its room.
+let socketServer = null;
+
+const parkRoom = (parkId) => `park:${parkId}`;
+const OCCUPANCY_ROOM = 'parks:occupancy';
+
+const setSocketServer = (io) => {
+  socketServer = io;
+  listenForParkUpdates();
+};
+
+const hasSocketSubscribers = (roomName) => {
+  const room = socketServer && socketServer.sockets.adapter.rooms.get(roomName);
+  return Boolean(room && room.size > 0);
+};
+
+// The fields of a checked-in dog that live updates carry - the same as GET /:parkId/dogs
+const formatParkDog = (dogData) => ({
+  id: dogData.id,
+  name: dogData.name,
+  breed: dogData.breed,
+  age: dogData.age,
+  emoji: dogData.emoji,
+  owner_id: dogData.owner_id,
+  energy_level: dogData.energy_level,
+  photo_url: dogData.photo_url,
+  friends: dogData.friends || []
+});
+
+// Resolves to { park, dogs } with the dog records checked into the park, or null if it doesn't exist
+const loadParkWithDogs = async (parkId) => {
+  const park = await parksRepo.findById(parkId);
+  if (!park) {
+    return null;
+  }
+
+  const checkedInDogIds = park.checkedInDogs || [];
+  const dogs = checkedInDogIds.length > 0 ? await dogsRepo.findByIds(checkedInDogIds) : [];
+  return { park, dogs: dogs.filter(Boolean) };
+};
+
+// Resolves to the dogs currently checked into a park, or null if the park doesn't exist
+const getParkDogs = async (parkId) => {
+  const loaded = await loadParkWithDogs(parkId);
+  return loaded && loaded.dogs.map(formatParkDog);
+};
+
+const writeSseEvent = (res, payload) => {
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Register an open SSE response to receive updates for a park.
+// Returns a function that unregisters it again, for when the client disconnects.
+const addSseClient = (parkId, res) => {
+  listenForParkUpdates();
+  if (!sseConnections.has(parkId)) {
+    sseConnections.set(parkId, new Set());
+  }
+  sseConnections.get(parkId).add(res);
+
+  return () => {
+    const connections = sseConnections.get(parkId);
+    if (!connections) {
+      return;
+    }
+    connections.delete(res);
+    if (connections.size === 0) {
+      sseConnections.delete(parkId);
+    }
+  };
+};
+
+// Register an open SSE response to receive the occupancy of every park. Returns a function
+// that unregisters it again.
+const addOccupancyClient = (res) => {
+  listenForParkUpdates();
+  occupancyConnections.add(res);
+  return () => {
+    occupancyConnections.delete(res);
+  };
+};
+
+// Send a newly connected occupancy client every park's counts
+const sendOccupancySnapshot = async (res) => {
+  writeSseEvent(res, {
+    type: 'occupancy_snapshot',
+    parks: await getAllParkOccupancy()
+  });
+};
+
+// Send a newly connected SSE client the dogs in the park right now, so it doesn't
+// have to wait for the next check-in to have something to show
+const sendParkSnapshot = async (parkId, res) => {
+  const dogs = await getParkDogs(parkId);
+  writeSseEvent(res, {
+    type: 'park_snapshot',
+    parkId,
+    dogs: dogs || []
+  });
+};
+
+// Socket.IO clients get only what changed: dogArrived / dogLeft / dogUpdated, one per dog.
+// Without a change to describe, they get the whole list as parkDogs.
+const emitParkChanges = (parkId, dogs, change) => {
+  const room = socketServer.to(parkRoom(parkId));
+  const changedDogIds = change?.dogIds || [];
 
-// Helper function to broadcast park updates to SSE clients
-const broadcastParkUpdate = async (parkId) => {
+  switch (change?.type) {
+    case 'check_in':
+      dogs.filter(dog => changedDogIds.includes(dog.id)).forEach(dog => {
+        room.emit('dogArrived', { parkId, dog });
+      });
+      break;
+    case 'check_out':
+      changedDogIds.forEach(dogId => {
+        room.emit('dogLeft', { parkId, dogId, reason: change.reason, toParkId: change.toParkId || null });
+      });
+      break;
+    case 'dog_updated':
+      dogs.filter(dog => changedDogIds.includes(dog.id)).forEach(dog => {
+        room.emit('dogUpdated', { parkId, dog });
+      });
+      break;
+    default:
+      room.emit('parkDogs', { parkId, dogs });
+  }
+};
+
+// Push a park's new occupancy to everyone following the park list, over SSE and Socket.IO
+const broadcastOccupancy = (occupancy) => {
+  if (hasSocketSubscribers(OCCUPANCY_ROOM)) {
+    socketServer.to(OCCUPANCY_ROOM).emit('parkOccupancy', { parks: [occupancy] });
+  }
+
+  const updateData = { type: 'occupancy_update', parks: [occupancy] };
+  occupancyConnections.forEach(res => {
+    try {
+      writeSseEvent(res, updateData);
+    } catch (error) {
+      console.log('Error sending occupancy update to client:', error);
+      occupancyConnections.delete(res);
+    }
+  });
+};
+
+// Send a park update to this instance's SSE and Socket.IO clients
+const deliverParkUpdate = async (parkId, change) => {
   const connections = sseConnections.get(parkId);
-  if (!connections || connections.size === 0) {
+  const hasSseClients = Boolean(connections && connections.size > 0);
+  const hasSocketClients = hasSocketSubscribers(parkRoom(parkId));
+  // Profile changes count too: the feed carries size breakdowns and a preview of the dogs
+  const hasOccupancyClients = occupancyConnections.size > 0 || hasSocketSubscribers(OCCUPANCY_ROOM);
+  if (!hasSseClients && !hasSocketClients && !hasOccupancyClients) {
     return;
   }
 
   try {
     // Get updated dogs list for this park
-    const parkDoc = await dogParksCollection.doc(parkId).get();
-    if (!parkDoc.exists) {
+    const loaded = await loadParkWithDogs(parkId);
+    if (!loaded) {
       return;
     }
+    const dogs = loaded.dogs.map(formatParkDog);
 
-    const parkData = parkDoc.data();
-    const checkedInDogIds = parkData.checkedInDogs || [];
-    
-    if (checkedInDogIds.length === 0) {
-      // Send empty list to all clients
-      const updateData = JSON.stringify({
-        type: 'park_update',
-        parkId,
-        dogs: []
-      });
+    if (hasOccupancyClients) {
+      broadcastOccupancy(formatParkOccupancy(loaded.park, loaded.dogs));
+    }
 
-      connections.forEach(res => {
-        try {
-          res.write(`data: ${updateData}\n\n`);
-        } catch (error) {
-          console.log('Error sending SSE update to client:', error);
-          connections.delete(res);
-        }
-      });
-      return;
+    if (hasSocketClients) {
+      console.log(`📡 Sending park changes to Socket.IO room ${parkRoom(parkId)}`);
+      emitParkChanges(parkId, dogs, change);
     }
 
-    // Fetch all the dog documents
-    const dogPromises = checkedInDogIds.map(dogId => dogsCollection.doc(dogId).get());
-    const dogDocs = await Promise.all(dogPromises);
-    
-    const checkedInDogs = [];
-    dogDocs.forEach((dogDoc, index) => {
-      if (dogDoc.exists) {
-        const dogData = dogDoc.data();
-        checkedInDogs.push({
-          id: dogDoc.id,
-          name: dogData.name,
-          breed: dogData.breed,
-          age: dogData.age,
-          emoji: dogData.emoji,
-          owner_id: dogData.owner_id,
-          energy_level: dogData.energy_level,
-          photo_url: dogData.photo_url,
-          friends: dogData.friends || []
-        });
-      }
-    });
+    if (!hasSseClients) {
+      return;
+    }
 
-    const updateData = JSON.stringify({
+    const updateData = {
       type: 'park_update',
       parkId,
-      dogs: checkedInDogs
-    });
+      dogs,
+      change
+    };
 
     console.log(`📡 Broadcasting park update to ${connections.size} clients for park ${parkId}`);
 
     // Send update to all connected clients for this park
     connections.forEach(res => {
       try {
-        res.write(`data: ${updateData}\n\n`);
+        writeSseEvent(res, updateData);
       } catch (error) {
         console.log('Error sending SSE update to client:', error);
         connections.delete(res);
@@ -87,82 +213,55 @@ const broadcastParkUpdate = async (parkId) => {
   }
 };
 
-// Helper function to broadcast park updates via WebSocket
-const broadcastParkUpdateWebSocket = async (parkId, io) => {
-  const connections = parkConnections.get(parkId);
-  if (!connections || connections.size === 0) {
-    return;
+// Subscribed the first time this instance has someone to deliver to
+let subscribed = null;
+
+const listenForParkUpdates = () => {
+  if (!subscribed) {
+    subscribed = getPubSub()
+      .subscribe(PARK_UPDATES_CHANNEL, ({ parkId, change }) => deliverParkUpdate(parkId, change))
+      .catch(error => {
+        console.error('❌ Error subscribing to park updates:', error);
+        // Try again when the next client connects or joins a room
+        subscribed = null;
+      });
   }
+  return subscribed;
+};
 
+// Broadcast a park update to clients on every instance.
+// change (optional) describes what triggered the update, e.g. { type: 'check_out', dogIds, reason: 'moved', toParkId }
+const broadcastParkUpdate = async (parkId, change = null) => {
   try {
-    // Get updated dogs list for this park
-    const parkDoc = await dogParksCollection.doc(parkId).get();
-    if (!parkDoc.exists) {
-      return;
-    }
+    await getPubSub().publish(PARK_UPDATES_CHANNEL, { parkId, change });
+  } catch (error) {
+    console.error('Error publishing park update:', error);
+  }
+};
 
-    const parkData = parkDoc.data();
-    const checkedInDogIds = parkData.checkedInDogs || [];
-    
-    if (checkedInDogIds.length === 0) {
-      // Send empty list to all connected clients
-      const updateData = {
-        type: 'park_update',
-        parkId,
-        dogs: []
-      };
-
-      connections.forEach(socketId => {
-        io.to(socketId).emit('parkUpdate', updateData);
-      });
-      
-      console.log(`📡 Broadcasted empty park update to ${connections.size} WebSocket clients for park ${parkId}`);
-      return;
+// Tell anyone watching the park a dog is checked into that its profile changed
+const broadcastDogUpdate = async (dogId) => {
+  try {
+    const park = await parksRepo.findCurrentPark(dogId);
+    if (park) {
+      await broadcastParkUpdate(park.id, { type: 'dog_updated', dogIds: [dogId] });
     }
-
-    // Fetch all the dog documents
-    const dogPromises = checkedInDogIds.map(dogId => dogsCollection.doc(dogId).get());
-    const dogDocs = await Promise.all(dogPromises);
-    
-    const checkedInDogs = [];
-    dogDocs.forEach((dogDoc, index) => {
-      if (dogDoc.exists) {
-        const dogData = dogDoc.data();
-        checkedInDogs.push({
-          id: dogDoc.id,
-          name: dogData.name,
-          breed: dogData.breed,
-          age: dogData.age,
-          emoji: dogData.emoji,
-          owner_id: dogData.owner_id,
-          energy_level: dogData.energy_level,
-          photo_url: dogData.photo_url,
-          friends: dogData.friends || []
-        });
-      }
-    });
-
-    const updateData = {
-      type: 'park_update',
-      parkId,
-      dogs: checkedInDogs
-    };
-
-    console.log(`📡 Broadcasting park update to ${connections.size} WebSocket clients for park ${parkId}`);
-
-    // Send update to all connected clients for this park
-    connections.forEach(socketId => {
-      io.to(socketId).emit('parkUpdate', updateData);
-    });
-
   } catch (error) {
-    console.error('Error broadcasting WebSocket park update:', error);
+    console.error('Error broadcasting dog update:', error);
   }
 };
 
 module.exports = {
+  parkRoom,
+  OCCUPANCY_ROOM,
+  setSocketServer,
+  listenForParkUpdates,
+  getParkDogs,
+  addSseClient,
+  sendParkSnapshot,
+  addOccupancyClient,
+  sendOccupancySnapshot,
   broadcastParkUpdate,
-  broadcastParkUpdateWebSocket,
-  sseConnections,
-  parkConnections
-};
\ No newline at end of file
+  broadcastDogUpdate,
+  sseConnections
+};
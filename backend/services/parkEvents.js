@@ -0,0 +1,346 @@
+const { eventsRepo, usersRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { toDate, toIsoString, runFollowUp } = require('../utils/helpers');
+const { DOG_SIZES } = require('../utils/dogSizes');
+
+// Attendees get a reminder this long before an event starts
+const REMINDER_MINUTES = parseInt(process.env.EVENT_REMINDER_MINUTES, 10) || 60;
+const REMINDER_INTERVAL_MS = parseInt(process.env.EVENT_REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_EVENT_HOURS = 12;
+const MAX_ATTENDEES_LIMIT = 500;
+
+const isValidTime = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isNumberOrNull = (value) => value === undefined || value === null || (typeof value === 'number' && value >= 0);
+
+// Returns an error message for an invalid event, or null if it can be saved.
+// restrictions: { sizes: ['small', ...], minAgeYears, maxAgeYears } - all optional.
+const validateEvent = ({ title, description, startsAt, endsAt, maxAttendees, restrictions }, now = new Date()) => {
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return 'title is required';
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return `title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (!isValidTime(startsAt) || !isValidTime(endsAt)) {
+    return 'startsAt and endsAt must be ISO date-times';
+  }
+
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (start <= now) {
+    return 'startsAt must be in the future';
+  }
+  if (end <= start) {
+    return 'endsAt must be after startsAt';
+  }
+  if (end - start > MAX_EVENT_HOURS * 60 * 60 * 1000) {
+    return `Events can last at most ${MAX_EVENT_HOURS} hours`;
+  }
+
+  if (maxAttendees !== undefined && maxAttendees !== null &&
+      (!Number.isInteger(maxAttendees) || maxAttendees < 1 || maxAttendees > MAX_ATTENDEES_LIMIT)) {
+    return `maxAttendees must be a whole number of dogs from 1 to ${MAX_ATTENDEES_LIMIT}, or null for no limit`;
+  }
+
+  if (restrictions !== undefined && restrictions !== null) {
+    const { sizes, minAgeYears, maxAgeYears } = restrictions;
+    if (sizes !== undefined && sizes !== null &&
+        (!Array.isArray(sizes) || sizes.length === 0 || sizes.some(size => !DOG_SIZES.includes(size)))) {
+      return `restrictions.sizes must be a list of: ${DOG_SIZES.join(', ')}`;
+    }
+    if (!isNumberOrNull(minAgeYears) || !isNumberOrNull(maxAgeYears)) {
+      return 'restrictions.minAgeYears and maxAgeYears must be ages in years';
+    }
+    if (typeof minAgeYears === 'number' && typeof maxAgeYears === 'number' && maxAgeYears < minAgeYears) {
+      return 'restrictions.maxAgeYears must be at least minAgeYears';
+    }
+  }
+
+  return null;
+};
+
+const eventError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const formatEvent = (event) => {
+  const attendees = event.attendees || [];
+  return {
+    id: event.id,
+    parkId: event.park_id,
+    parkName: event.park_name,
+    title: event.title,
+    description: event.description,
+    startsAt: toIsoString(event.starts_at),
+    endsAt: toIsoString(event.ends_at),
+    maxAttendees: event.max_attendees,
+    restrictions: {
+      sizes: event.restrictions.sizes,
+      minAgeYears: event.restrictions.min_age_years,
+      maxAgeYears: event.restrictions.max_age_years
+    },
+    organizerId: event.organizer_id,
+    organizerName: event.organizer_name,
+    status: event.status,
+    attendees: attendees.map(attendee => ({
+      dogId: attendee.dog_id,
+      dogName: attendee.dog_name,
+      ownerId: attendee.owner_id
+    })),
+    attendeeCount: attendees.length,
+    spotsLeft: event.max_attendees ? Math.max(0, event.max_attendees - attendees.length) : null
+  };
+};
+
+// Why a dog can't come to the event, or null if it can. Dogs without a recorded
+// size or age aren't turned away - owners are trusted to read the restrictions.
+const ineligibleReason = (event, dog) => {
+  const { sizes, min_age_years: minAge, max_age_years: maxAge } = event.restrictions;
+  const size = typeof dog.size === 'string' ? dog.size.toLowerCase() : '';
+  const age = typeof dog.age === 'number' ? dog.age : null;
+
+  if (sizes && size && !sizes.includes(size)) {
+    return `${dog.name} is ${size} - this event is for ${sizes.join('/')} dogs`;
+  }
+  if (age !== null && typeof minAge === 'number' && age < minAge) {
+    return `${dog.name} is younger than ${minAge}`;
+  }
+  if (age !== null && typeof maxAge === 'number' && age > maxAge) {
+    return `${dog.name} is older than ${maxAge}`;
+  }
+  return null;
+};
+
+const notifyUsers = (userIds, event, type, title, message) => {
+  return Promise.all(userIds.map(userId => notificationsRepo.create({
+    user_id: userId,
+    type,
+    title,
+    message,
+    data: {
+      event_id: event.id,
+      event_title: event.title,
+      park_id: event.park_id,
+      park_name: event.park_name,
+      starts_at: event.starts_at
+    },
+    read: false,
+    created_at: serverTimestamp()
+  })));
+};
+
+const attendingOwnerIds = (event) => [...new Set((event.attendees || []).map(attendee => attendee.owner_id))];
+
+const createEvent = async (park, userId, fields) => {
+  const user = await usersRepo.findById(userId);
+  const restrictions = fields.restrictions || {};
+  const now = new Date();
+
+  return eventsRepo.create({
+    park_id: park.id,
+    park_name: park.name || '',
+    organizer_id: userId,
+    organizer_name: user?.fullName || user?.name || '',
+    title: fields.title.trim(),
+    description: fields.description || '',
+    starts_at: new Date(fields.startsAt),
+    ends_at: new Date(fields.endsAt),
+    max_attendees: fields.maxAttendees || null,
+    restrictions: {
+      sizes: restrictions.sizes || null,
+      min_age_years: restrictions.minAgeYears ?? null,
+      max_age_years: restrictions.maxAgeYears ?? null
+    },
+    attendees: [],
+    attendee_owner_ids: [],
+    status: 'scheduled',
+    reminder_sent: false,
+    created_at: now,
+    updated_at: now
+  });
+};
+
+// The event if it belongs to the park, else rejects with code 'not-found'
+const findParkEvent = async (parkId, eventId) => {
+  const event = await eventsRepo.findById(eventId);
+  if (!event || event.park_id !== parkId) {
+    throw eventError('Event not found', 'not-found');
+  }
+  return event;
+};
+
+// RSVP the owner's dogs (already checked for ownership). Dogs already going are skipped.
+// Rejects with code 'not-found', 'event-closed', 'not-eligible' (with ineligibleDogs)
+// or 'event-full' (with spotsLeft). Resolves to the updated event.
+const rsvpDogs = async (parkId, eventId, ownerId, dogs) => {
+  await findParkEvent(parkId, eventId);
+  const now = new Date();
+
+  const result = await eventsRepo.updateEvent(eventId, (event) => {
+    if (event.status !== 'scheduled' || toDate(event.ends_at) <= now) {
+      throw eventError('This event is no longer taking RSVPs', 'event-closed');
+    }
+
+    const ineligibleDogs = dogs
+      .map(dog => ({ dogId: dog.id, reason: ineligibleReason(event, dog) }))
+      .filter(entry => entry.reason);
+    if (ineligibleDogs.length > 0) {
+      throw eventError(ineligibleDogs.map(entry => entry.reason).join('; '), 'not-eligible', { ineligibleDogs });
+    }
+
+    const attendees = event.attendees || [];
+    const newDogs = dogs.filter(dog => !attendees.some(attendee => attendee.dog_id === dog.id));
+    if (event.max_attendees && attendees.length + newDogs.length > event.max_attendees) {
+      const spotsLeft = Math.max(0, event.max_attendees - attendees.length);
+      throw eventError(
+        `${event.title} is full` + (spotsLeft > 0 ? ` - only ${spotsLeft} more ${spotsLeft === 1 ? 'dog' : 'dogs'} can come` : ''),
+        'event-full',
+        { spotsLeft }
+      );
+    }
+
+    const updatedAttendees = [
+      ...attendees,
+      ...newDogs.map(dog => ({ dog_id: dog.id, dog_name: dog.name, owner_id: ownerId, rsvped_at: now }))
+    ];
+    return {
+      attendees: updatedAttendees,
+      attendee_owner_ids: attendingOwnerIds({ attendees: updatedAttendees })
+    };
+  });
+
+  return { ...result.event, ...result.changes };
+};
+
+// Withdraw the owner's dogs from an event - all of them unless dogIds is given.
+// Rejects with code 'not-found'. Resolves to the updated event.
+const cancelRsvp = async (parkId, eventId, ownerId, dogIds = null) => {
+  await findParkEvent(parkId, eventId);
+
+  const result = await eventsRepo.updateEvent(eventId, (event) => {
+    const attendees = (event.attendees || []).filter(attendee => (
+      attendee.owner_id !== ownerId || (dogIds && !dogIds.includes(attendee.dog_id))
+    ));
+    return {
+      attendees,
+      attendee_owner_ids: attendingOwnerIds({ attendees })
+    };
+  });
+
+  return { ...result.event, ...result.changes };
+};
+
+// Cancel an event and tell everyone who RSVP'd. Only the organiser, moderators and
+// admins can cancel. Rejects with code 'not-found', 'forbidden' or 'event-closed'.
+const cancelEvent = async (parkId, eventId, user, reason = '') => {
+  const existing = await findParkEvent(parkId, eventId);
+
+  const canModerate = ['moderator', 'admin'].includes(user.role);
+  if (existing.organizer_id !== user.userId && !canModerate) {
+    throw eventError('Only the organiser can cancel this event', 'forbidden');
+  }
+
+  const result = await eventsRepo.updateEvent(eventId, (event) => {
+    if (event.status !== 'scheduled') {
+      throw eventError('This event has already been cancelled', 'event-closed');
+    }
+    return {
+      status: 'cancelled',
+      cancelled_by: user.userId,
+      cancelled_at: new Date(),
+      cancel_reason: reason
+    };
+  });
+  const event = { ...result.event, ...result.changes };
+
+  // The cancellation is saved; a failed notification shouldn't turn it into an error
+  const ownerIds = attendingOwnerIds(event).filter(ownerId => ownerId !== user.userId);
+  await runFollowUp('notifying attendees of a cancelled event', () => notifyUsers(
+    ownerIds,
+    event,
+    'park_event_cancelled',
+    'Event Cancelled',
+    `${event.title} at ${event.park_name || 'the park'} has been cancelled${reason ? `: ${reason}` : ''}`
+  ));
+
+  return event;
+};
+
+// Remind attendees and the organiser about events starting soon. Each event is claimed
+// in a transaction first, so overlapping runs never send a reminder twice.
+const sendEventReminders = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+  const events = await eventsRepo.findNeedingReminder(now, cutoff);
+
+  let reminded = 0;
+  for (const candidate of events) {
+    let claimed = false;
+    const result = await eventsRepo.updateEvent(candidate.id, (event) => {
+      claimed = event.status === 'scheduled' && !event.reminder_sent;
+      return claimed ? { reminder_sent: true } : {};
+    });
+    if (!result || !claimed) continue;
+
+    const event = result.event;
+    const minutes = Math.max(1, Math.round((toDate(event.starts_at) - now) / 60000));
+    const userIds = [...new Set([event.organizer_id, ...attendingOwnerIds(event)])];
+    const sent = await runFollowUp(`sending reminders for event ${event.id}`, async () => {
+      await notifyUsers(
+        userIds,
+        event,
+        'park_event_reminder',
+        'Meetup Starting Soon 🐾',
+        `${event.title} at ${event.park_name || 'the park'} starts in ${minutes} minutes`
+      );
+      return true;
+    }, false);
+    if (!sent) {
+      // Hand the event back so the next run tries again, and carry on with the others
+      await runFollowUp('releasing an event reminder', () => eventsRepo.update(event.id, { reminder_sent: false }));
+      continue;
+    }
+    reminded += 1;
+  }
+
+  if (reminded > 0) {
+    console.log(`📅 Sent reminders for ${reminded} events`);
+  }
+
+  return { reminded };
+};
+
+// Send reminders on a timer for the long-running server (serverless deployments use the cron route)
+const startEventReminders = (intervalMs = REMINDER_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sendEventReminders().catch(error => {
+      console.error('❌ Error sending event reminders:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for reminders
+  timer.unref();
+  console.log(`📅 Event reminders running every ${Math.round(intervalMs / 1000)}s`);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  validateEvent,
+  formatEvent,
+  createEvent,
+  findParkEvent,
+  rsvpDogs,
+  cancelRsvp,
+  cancelEvent,
+  sendEventReminders,
+  startEventReminders
+};
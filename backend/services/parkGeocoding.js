@@ -0,0 +1,105 @@
+const { parksRepo } = require('../config/database');
+const { createGeocoder } = require('../geocoding');
+const { locationFields } = require('../utils/geo');
+const { toDate } = require('../utils/helpers');
+
+// Geocoder selected by GEOCODER: 'fixture' (offline, default outside production) or 'nominatim'
+const geocoder = createGeocoder();
+console.log(`🧭 Using ${geocoder.name} geocoder`);
+
+// Parks whose geocoding failed this many times are left for manual coordinates
+const MAX_GEOCODING_ATTEMPTS = 5;
+// Parks retried per cron run. Lookups are spaced out for the provider's rate limit
+// (about a second apart for Nominatim), so this keeps a run short; the rest wait for the next.
+const RETRY_BATCH_SIZE = parseInt(process.env.GEOCODING_RETRY_BATCH_SIZE, 10) || 5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolve an address to the park fields to store. Never throws - a provider failure is
+// recorded in geocoding.status = 'failed' so the park can still be saved and retried later.
+// previousGeocoding is the park's current geocoding record (used to count attempts).
+const geocodeParkAddress = async (address, previousGeocoding = null) => {
+  const attempts = (previousGeocoding && previousGeocoding.status === 'failed' ? previousGeocoding.attempts || 0 : 0) + 1;
+  const geocoding = {
+    provider: geocoder.name,
+    attempts,
+    last_attempt_at: new Date()
+  };
+
+  try {
+    const result = await geocoder.geocode(address);
+
+    if (!result) {
+      console.log('🧭 Address not found by geocoder:', address);
+      return {
+        ...locationFields(null),
+        geocoding: { ...geocoding, status: 'not_found', error: null }
+      };
+    }
+
+    return {
+      ...locationFields(result.latitude, result.longitude),
+      geocoding: {
+        ...geocoding,
+        status: 'ok',
+        error: null,
+        formatted_address: result.formattedAddress || null
+      }
+    };
+  } catch (error) {
+    console.error('❌ Geocoding failed for address:', address, error.message);
+    return {
+      geocoding: { ...geocoding, status: 'failed', error: error.message }
+    };
+  }
+};
+
+// Coordinates supplied by the user take precedence over geocoding
+const manualGeocoding = () => ({
+  status: 'manual',
+  provider: null,
+  attempts: 0,
+  error: null,
+  last_attempt_at: null
+});
+
+// Geocode a single park again and save the outcome
+const retryParkGeocoding = async (park) => {
+  const fields = await geocodeParkAddress(park.address, park.geocoding);
+  await parksRepo.update(park.id, fields);
+  return { ...park, ...fields };
+};
+
+// Retry parks whose geocoding failed, longest-waiting first (called from the cron route)
+const retryFailedGeocoding = async () => {
+  const failedParks = await parksRepo.find([['geocoding.status', '==', 'failed']]);
+  const retryable = failedParks
+    .filter(park => (park.geocoding.attempts || 0) < MAX_GEOCODING_ATTEMPTS)
+    .sort((a, b) => (toDate(a.geocoding.last_attempt_at) || 0) - (toDate(b.geocoding.last_attempt_at) || 0));
+  const batch = retryable.slice(0, RETRY_BATCH_SIZE);
+
+  let resolved = 0;
+  for (const [index, park] of batch.entries()) {
+    if (index > 0 && geocoder.minIntervalMs > 0) {
+      await wait(geocoder.minIntervalMs);
+    }
+    const updatedPark = await retryParkGeocoding(park);
+    if (updatedPark.geocoding.status !== 'failed') {
+      resolved++;
+    }
+  }
+
+  if (batch.length > 0) {
+    console.log(`🧭 Geocoding retry: ${resolved}/${batch.length} parks resolved, ${retryable.length - batch.length} left for later`);
+  }
+
+  return { retried: batch.length, resolved };
+};
+
+module.exports = {
+  MAX_GEOCODING_ATTEMPTS,
+  geocodeParkAddress,
+  manualGeocoding,
+  retryParkGeocoding,
+  retryFailedGeocoding
+};
@@ -0,0 +1,63 @@
+const { parksRepo, dogsRepo } = require('../config/database');
+const { DOG_SIZES } = require('../utils/dogSizes');
+
+// Dogs store their size as entered ('Small', 'large', ...); '' when unset
+const dogSizeOf = (dog) => (typeof dog?.size === 'string' ? dog.size.toLowerCase() : '');
+
+const getOccupancy = (park) => {
+  const checkedInCount = (park.checkedInDogs || []).length;
+  return {
+    checkedInCount,
+    capacity: park.capacity || null,
+    spotsLeft: park.capacity ? Math.max(0, park.capacity - checkedInCount) : null
+  };
+};
+
+// { small, medium, large } counts for the dogs given. Dogs without a size are only in the total.
+const countDogSizes = (dogs) => {
+  const sizes = Object.fromEntries(DOG_SIZES.map(size => [size, 0]));
+  dogs.forEach(dog => {
+    const size = dogSizeOf(dog);
+    if (size in sizes) {
+      sizes[size] += 1;
+    }
+  });
+  return sizes;
+};
+
+// How many checked-in dogs each feed entry shows; the park list shows the rest as "+N"
+const DOG_PREVIEW_LIMIT = 5;
+
+// The occupancy feed entry for one park; dogs are the dog records checked into it
+const formatParkOccupancy = (park, dogs) => ({
+  parkId: park.id,
+  ...getOccupancy(park),
+  sizes: countDogSizes(dogs),
+  dogs: dogs.slice(0, DOG_PREVIEW_LIMIT).map(dog => ({
+    id: dog.id,
+    name: dog.name,
+    emoji: dog.emoji,
+    photo_url: dog.photo_url
+  }))
+});
+
+// Occupancy of every park, looking up all checked-in dogs in one go
+const getAllParkOccupancy = async () => {
+  const parks = await parksRepo.findAll();
+  const dogIds = [...new Set(parks.flatMap(park => park.checkedInDogs || []))];
+  const dogs = dogIds.length > 0 ? await dogsRepo.findByIds(dogIds) : [];
+  const dogsById = new Map(dogs.filter(Boolean).map(dog => [dog.id, dog]));
+
+  return parks.map(park => formatParkOccupancy(
+    park,
+    (park.checkedInDogs || []).map(dogId => dogsById.get(dogId)).filter(Boolean)
+  ));
+};
+
+module.exports = {
+  dogSizeOf,
+  getOccupancy,
+  countDogSizes,
+  formatParkOccupancy,
+  getAllParkOccupancy
+};
@@ -0,0 +1,117 @@
+const { parksRepo, photosRepo, serverTimestamp } = require('../config/database');
+const { uploadToS3, deleteFromS3, getPhotoUrl } = require('../dogUploadPicture');
+const { toIsoString } = require('../utils/helpers');
+
+// What a park photo shows; anything else is 'other'
+const PHOTO_CATEGORIES = ['entrance', 'facilities', 'conditions', 'other'];
+
+// Park photos live under their own folder in the pictures bucket, one sub-folder per park
+const parkPhotoKeyPrefix = (parkId) => `ParkPictures/${parkId}`;
+
+const photoError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Stored photos keep only the S3 key; read URLs are signed fresh because they expire
+const signedUrl = async (key) => {
+  try {
+    return await getPhotoUrl(key);
+  } catch (error) {
+    console.error('❌ Error signing photo URL:', error.message);
+    return null;
+  }
+};
+
+const formatPhoto = async (photo) => ({
+  id: photo.id,
+  parkId: photo.park_id,
+  uploadedBy: photo.uploaded_by,
+  caption: photo.caption,
+  category: photo.category,
+  url: await signedUrl(photo.key),
+  createdAt: toIsoString(photo.created_at)
+});
+
+// Adds coverPhotoUrl to a park for list responses
+const withCoverPhotoUrl = async (park) => ({
+  ...park,
+  coverPhotoUrl: park.cover_photo_key ? await signedUrl(park.cover_photo_key) : null
+});
+
+const coverFields = (photo) => ({
+  cover_photo_id: photo ? photo.id : null,
+  cover_photo_key: photo ? photo.key : null,
+  updated_at: serverTimestamp()
+});
+
+// Upload a validated image file for a park. The first photo becomes the cover.
+// Rejects with code 'upload-failed' if S3 refuses the file.
+const addParkPhoto = async (park, file, userId, { caption, category }) => {
+  const uploadResult = await uploadToS3(file, userId, parkPhotoKeyPrefix(park.id));
+  if (!uploadResult.success) {
+    throw photoError(uploadResult.error, 'upload-failed');
+  }
+
+  const photo = await photosRepo.create({
+    park_id: park.id,
+    uploaded_by: userId,
+    key: uploadResult.key,
+    caption: caption || '',
+    category: category || 'other',
+    created_at: new Date()
+  });
+
+  if (!park.cover_photo_id) {
+    await parksRepo.update(park.id, coverFields(photo));
+  }
+
+  return { ...photo, url: uploadResult.photoUrl };
+};
+
+// Delete a photo. Uploaders can delete their own; moderators and admins can delete any.
+// If it was the cover, the newest remaining photo takes its place.
+// Rejects with code 'not-found' or 'forbidden'.
+const deleteParkPhoto = async (park, photoId, user) => {
+  const photo = await photosRepo.findById(photoId);
+  if (!photo || photo.park_id !== park.id) {
+    throw photoError('Photo not found', 'not-found');
+  }
+
+  const canModerate = ['moderator', 'admin'].includes(user.role);
+  if (photo.uploaded_by !== user.userId && !canModerate) {
+    throw photoError('You can only delete photos you uploaded', 'forbidden');
+  }
+
+  await photosRepo.delete(photo.id);
+  await deleteFromS3(photo.key);
+
+  if (park.cover_photo_id === photo.id) {
+    const [nextCover] = await photosRepo.findByPark(park.id, 1);
+    await parksRepo.update(park.id, coverFields(nextCover || null));
+  }
+
+  return photo;
+};
+
+// Make one of the park's photos its cover. Rejects with code 'not-found'.
+const setCoverPhoto = async (park, photoId) => {
+  const photo = await photosRepo.findById(photoId);
+  if (!photo || photo.park_id !== park.id) {
+    throw photoError('Photo not found', 'not-found');
+  }
+
+  await parksRepo.update(park.id, coverFields(photo));
+  return photo;
+};
+
+module.exports = {
+  PHOTO_CATEGORIES,
+  signedUrl,
+  formatPhoto,
+  withCoverPhotoUrl,
+  addParkPhoto,
+  deleteParkPhoto,
+  setCoverPhoto
+};
@@ -0,0 +1,23 @@
+const { serverTimestamp } = require('../config/database');
+const { locationFields } = require('../utils/geo');
+
+// A new park document: fields (at least name and address) over the defaults every park
+// starts with, so parks added directly and approved suggestions look the same
+const newParkRecord = (fields) => ({
+  amenities: [],
+  default_visit_minutes: null,
+  capacity: null,
+  timezone: null,
+  opening_hours: null,
+  closures: [],
+  checkedInDogs: [],
+  ...locationFields(null),
+  geocoding: null,
+  ...fields,
+  created_at: serverTimestamp(),
+  updated_at: serverTimestamp()
+});
+
+module.exports = {
+  newParkRecord
+};
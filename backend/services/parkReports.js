@@ -0,0 +1,174 @@
+const { v4: uuidv4 } = require('uuid');
+const { reportsRepo, visitsRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { uploadToS3 } = require('../dogUploadPicture');
+const { toIsoString } = require('../utils/helpers');
+const { signedUrl } = require('./parkPhotos');
+
+// What is wrong at the park. Critical categories are safety problems that visitors are warned about.
+const REPORT_CATEGORIES = [
+  { id: 'broken_fence', label: 'Broken fence', critical: true },
+  { id: 'broken_gate', label: 'Broken gate', critical: true },
+  { id: 'hazard', label: 'Hazard (glass, chemicals, wildlife)', critical: true },
+  { id: 'water', label: 'No water', critical: false },
+  { id: 'flooding', label: 'Flooding or mud', critical: false },
+  { id: 'lighting', label: 'Lighting out', critical: false },
+  { id: 'litter', label: 'Litter or full bins', critical: false },
+  { id: 'other', label: 'Other', critical: false }
+];
+const REPORT_CATEGORY_IDS = REPORT_CATEGORIES.map(category => category.id);
+
+const REPORT_STATUSES = ['open', 'acknowledged', 'resolved'];
+// Unresolved reports are shown on the park
+const ACTIVE_REPORT_STATUSES = ['open', 'acknowledged'];
+// Which status a moderator can move a report to from each status (resolved reports can be reopened)
+const STATUS_TRANSITIONS = {
+  open: ['acknowledged', 'resolved'],
+  acknowledged: ['open', 'resolved'],
+  resolved: ['open']
+};
+
+const MAX_DESCRIPTION_LENGTH = 1000;
+// Owners who checked in this recently are warned about critical reports
+const ALERT_LOOKBACK_DAYS = parseInt(process.env.REPORT_ALERT_LOOKBACK_DAYS, 10) || 7;
+
+const isCriticalCategory = (categoryId) => REPORT_CATEGORIES.some(category => category.id === categoryId && category.critical);
+
+// Returns an error message for an invalid report, or null if it can be filed
+const validateReport = ({ category, description }) => {
+  if (!REPORT_CATEGORY_IDS.includes(category)) {
+    return `category must be one of: ${REPORT_CATEGORY_IDS.join(', ')}`;
+  }
+  if (!description || typeof description !== 'string' || !description.trim()) {
+    return 'description is required';
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+};
+
+const reportError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const formatReport = async (report) => ({
+  id: report.id,
+  parkId: report.park_id,
+  category: report.category,
+  critical: report.critical,
+  description: report.description,
+  status: report.status,
+  reportedBy: report.reported_by,
+  photoUrl: report.photo_key ? await signedUrl(report.photo_key) : null,
+  resolutionNote: report.resolution_note || null,
+  createdAt: toIsoString(report.created_at),
+  updatedAt: toIsoString(report.updated_at)
+});
+
+// Warn owners who were at the park recently (other than the reporter)
+const notifyRecentVisitors = async (park, report) => {
+  const since = new Date(Date.now() - ALERT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const ownerIds = (await visitsRepo.findRecentVisitors(park.id, since))
+    .filter(ownerId => ownerId !== report.reported_by);
+  const label = REPORT_CATEGORIES.find(category => category.id === report.category).label;
+
+  await Promise.all(ownerIds.map(ownerId => notificationsRepo.create({
+    user_id: ownerId,
+    type: 'park_condition_alert',
+    title: `⚠️ Safety Alert: ${park.name || 'Dog park'}`,
+    message: `${label} reported at ${park.name || 'a park you visited'}: ${report.description}`,
+    data: {
+      report_id: report.id,
+      park_id: park.id,
+      park_name: park.name,
+      category: report.category
+    },
+    read: false,
+    created_at: serverTimestamp()
+  })));
+
+  return ownerIds.length;
+};
+
+// File a report against a park, with an optional already-validated image file.
+// Critical reports notify recent visitors. Rejects with code 'upload-failed';
+// resolves to null if the park is missing.
+const createReport = async (parkId, userId, { category, description }, file = null) => {
+  let photoKey = null;
+  if (file) {
+    const uploadResult = await uploadToS3(file, userId, `ParkReports/${parkId}`);
+    if (!uploadResult.success) {
+      throw reportError(uploadResult.error, 'upload-failed');
+    }
+    photoKey = uploadResult.key;
+  }
+
+  const now = new Date();
+  const result = await reportsRepo.saveReport(parkId, uuidv4(), () => ({
+    park_id: parkId,
+    reported_by: userId,
+    category,
+    critical: isCriticalCategory(category),
+    description: description.trim(),
+    photo_key: photoKey,
+    status: 'open',
+    created_at: now,
+    updated_at: now
+  }));
+
+  if (!result) {
+    return null;
+  }
+
+  let notifiedCount = 0;
+  if (result.report.critical) {
+    try {
+      notifiedCount = await notifyRecentVisitors(result.park, result.report);
+      console.log(`📢 Warned ${notifiedCount} recent visitors about report ${result.report.id}`);
+    } catch (error) {
+      // The report is filed either way
+      console.error('❌ Error notifying recent visitors:', error);
+    }
+  }
+
+  return { ...result, notifiedCount };
+};
+
+// Move a report through its lifecycle (moderators). Rejects with code 'not-found' or
+// 'invalid-status'; resolves to null if the park is missing.
+const updateReportStatus = async (parkId, reportId, moderatorId, { status, note }) => {
+  const now = new Date();
+
+  return reportsRepo.saveReport(parkId, reportId, (previous) => {
+    if (!previous || previous.park_id !== parkId) {
+      throw reportError('Report not found', 'not-found');
+    }
+    if (!STATUS_TRANSITIONS[previous.status].includes(status)) {
+      throw reportError(`A ${previous.status} report can't be marked ${status}`, 'invalid-status');
+    }
+
+    // Recorded as acknowledged_by/at, resolved_by/at or reopened_by/at
+    const action = status === 'open' ? 'reopened' : status;
+    const { id, ...stored } = previous;
+    return {
+      ...stored,
+      status,
+      [`${action}_by`]: moderatorId,
+      [`${action}_at`]: now,
+      resolution_note: status === 'resolved' ? note || '' : stored.resolution_note || null,
+      updated_at: now
+    };
+  });
+};
+
+module.exports = {
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  ACTIVE_REPORT_STATUSES,
+  validateReport,
+  formatReport,
+  createReport,
+  updateReportStatus
+};
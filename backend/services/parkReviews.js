@@ -0,0 +1,119 @@
+const { reviewsRepo, visitsRepo, usersRepo } = require('../config/database');
+const { toIsoString } = require('../utils/helpers');
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_REVIEW_LENGTH = 2000;
+
+// Returns an error message for an invalid rating/text pair, or null if it can be saved.
+// When editing (partial), a missing rating keeps the current one.
+const validateReview = ({ rating, text }, { partial = false } = {}) => {
+  const ratingGiven = rating !== undefined || !partial;
+  if (ratingGiven && (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING)) {
+    return `rating must be a whole number of stars from ${MIN_RATING} to ${MAX_RATING}`;
+  }
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    return 'text must be a string';
+  }
+  if (text && text.length > MAX_REVIEW_LENGTH) {
+    return `text must be at most ${MAX_REVIEW_LENGTH} characters`;
+  }
+  return null;
+};
+
+const reviewError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Each owner has at most one review per park
+const reviewIdFor = (parkId, userId) => `${parkId}_${userId}`;
+
+const formatReview = (review) => ({
+  id: review.id,
+  parkId: review.park_id,
+  userId: review.user_id,
+  authorName: review.author_name,
+  rating: review.rating,
+  text: review.text,
+  createdAt: toIsoString(review.created_at),
+  updatedAt: toIsoString(review.updated_at)
+});
+
+// Rating fields returned with a park after its reviews change
+const parkRatingSummary = (park) => ({
+  ratingAverage: park.rating_average ?? null,
+  reviewCount: park.review_count || 0
+});
+
+// Leave a review. Only owners who have checked in at the park can review it.
+// Rejects with code 'not-visited' or 'already-reviewed'; resolves to null if the park is missing.
+const createReview = async (parkId, userId, { rating, text }) => {
+  if (!(await visitsRepo.hasVisited(userId, parkId))) {
+    throw reviewError('You can only review parks you have checked in at', 'not-visited');
+  }
+
+  const user = await usersRepo.findById(userId);
+  const now = new Date();
+
+  return reviewsRepo.saveReview(parkId, reviewIdFor(parkId, userId), (previous) => {
+    if (previous) {
+      throw reviewError('You have already reviewed this park - edit your review instead', 'already-reviewed');
+    }
+    return {
+      park_id: parkId,
+      user_id: userId,
+      author_name: user?.fullName || user?.name || '',
+      rating,
+      text: text || '',
+      created_at: now,
+      updated_at: now
+    };
+  });
+};
+
+// Change the rating and/or text of a review. Only its author can edit it.
+// Rejects with code 'not-found' or 'forbidden'; resolves to null if the park is missing.
+const updateReview = async (parkId, reviewId, userId, changes) => {
+  return reviewsRepo.saveReview(parkId, reviewId, (previous) => {
+    if (!previous || previous.park_id !== parkId) {
+      throw reviewError('Review not found', 'not-found');
+    }
+    if (previous.user_id !== userId) {
+      throw reviewError('You can only edit your own reviews', 'forbidden');
+    }
+    return {
+      ...previous,
+      rating: changes.rating ?? previous.rating,
+      text: changes.text ?? previous.text,
+      updated_at: new Date()
+    };
+  });
+};
+
+// Remove a review. Authors can delete their own; moderators and admins can delete any.
+const deleteReview = async (parkId, reviewId, user) => {
+  const canModerate = ['moderator', 'admin'].includes(user.role);
+
+  return reviewsRepo.saveReview(parkId, reviewId, (previous) => {
+    if (!previous || previous.park_id !== parkId) {
+      throw reviewError('Review not found', 'not-found');
+    }
+    if (previous.user_id !== user.userId && !canModerate) {
+      throw reviewError('You can only delete your own reviews', 'forbidden');
+    }
+    return null;
+  });
+};
+
+module.exports = {
+  MIN_RATING,
+  MAX_RATING,
+  validateReview,
+  formatReview,
+  parkRatingSummary,
+  createReview,
+  updateReview,
+  deleteReview
+};
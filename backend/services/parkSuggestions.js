@@ -0,0 +1,168 @@
+const { parksRepo, suggestionsRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { distanceKm } = require('../utils/geo');
+const { runFollowUp } = require('../utils/helpers');
+const { newParkRecord } = require('./parkRecords');
+
+// An existing park this close to a proposal is probably the same place
+const DUPLICATE_RADIUS_KM = 0.3;
+// Parks with the same name only count as duplicates within this distance (names repeat across cities)
+const DUPLICATE_NAME_RADIUS_KM = 25;
+
+// Words that say nothing about which park it is ("Riverside Dog Park" == "Riverside Park")
+const GENERIC_NAME_WORDS = ['the', 'dog', 'dogs', 'park', 'run', 'area', 'off', 'leash'];
+
+// Lowercased name without punctuation or generic words, used to compare park names
+const normalizeParkName = (name) => {
+  const words = String(name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const specificWords = words.filter(word => !GENERIC_NAME_WORDS.includes(word));
+  return (specificWords.length > 0 ? specificWords : words).join(' ');
+};
+
+const hasCoordinates = (place) => typeof place.latitude === 'number' && typeof place.longitude === 'number';
+
+// Existing parks that look like the proposed one, by name and/or proximity.
+// Returns [{ park_id, name, address, distance_km, reasons: ['name'|'nearby'] }], closest first.
+const findDuplicateParks = async (proposal) => {
+  const nameKey = normalizeParkName(proposal.name);
+  const parks = await parksRepo.findAll();
+
+  return parks
+    .map(park => {
+      const distance = hasCoordinates(proposal) && hasCoordinates(park)
+        ? distanceKm(proposal.latitude, proposal.longitude, park.latitude, park.longitude)
+        : null;
+
+      const reasons = [];
+      if (normalizeParkName(park.name) === nameKey && (distance === null || distance <= DUPLICATE_NAME_RADIUS_KM)) {
+        reasons.push('name');
+      }
+      if (distance !== null && distance <= DUPLICATE_RADIUS_KM) {
+        reasons.push('nearby');
+      }
+
+      return {
+        park_id: park.id,
+        name: park.name,
+        address: park.address,
+        distance_km: distance === null ? null : Math.round(distance * 100) / 100,
+        reasons
+      };
+    })
+    .filter(match => match.reasons.length > 0)
+    .sort((a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity));
+};
+
+const suggestionError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+const notifySubmitter = (suggestion, type, title, message, data = {}) => {
+  return notificationsRepo.create({
+    user_id: suggestion.submitted_by,
+    type,
+    title,
+    message,
+    data: {
+      suggestion_id: suggestion.id,
+      park_name: suggestion.name,
+      ...data
+    },
+    read: false,
+    created_at: serverTimestamp()
+  });
+};
+
+// Move a pending suggestion to its decision. Rejects with code 'not-found' or 'already-decided'.
+const decideSuggestion = async (suggestionId, fields, park = null) => {
+  const result = await suggestionsRepo.decide(suggestionId, fields, park);
+  if (!result) {
+    throw suggestionError('Park suggestion not found', 'not-found');
+  }
+  if (!result.decided) {
+    throw suggestionError(`This suggestion has already been ${result.suggestion.status}`, 'already-decided');
+  }
+  return { ...result.suggestion, ...fields };
+};
+
+// Create a park from a pending suggestion and tell the submitter.
+// Rejects with code 'possible-duplicate' (and the matches) unless force is set.
+const approveSuggestion = async (suggestionId, moderatorId, { force = false } = {}) => {
+  const pending = await suggestionsRepo.findById(suggestionId);
+  if (!pending) {
+    throw suggestionError('Park suggestion not found', 'not-found');
+  }
+  if (pending.status !== 'pending') {
+    throw suggestionError(`This suggestion has already been ${pending.status}`, 'already-decided');
+  }
+
+  // Parks may have been added since the suggestion came in, so check again
+  const duplicates = await findDuplicateParks(pending);
+  if (duplicates.length > 0 && !force) {
+    throw suggestionError('This park may already exist', 'possible-duplicate', { duplicates });
+  }
+
+  const parkData = newParkRecord({
+    name: pending.name,
+    address: pending.address,
+    amenities: pending.amenities || [],
+    latitude: pending.latitude ?? null,
+    longitude: pending.longitude ?? null,
+    geohash: pending.geohash ?? null,
+    geocoding: pending.geocoding || null,
+    suggestion_id: pending.id
+  });
+
+  // The park is created together with the decision, so a failure can't leave an
+  // approved suggestion without its park
+  const suggestion = await decideSuggestion(suggestionId, {
+    status: 'approved',
+    reviewed_by: moderatorId,
+    reviewed_at: new Date(),
+    possible_duplicates: duplicates
+  }, parkData);
+  const park = await parksRepo.findById(suggestion.id);
+
+  // The decision is saved; a failed notification shouldn't turn it into an error
+  await runFollowUp('notifying the park suggester of the approval', () => notifySubmitter(
+    suggestion,
+    'park_suggestion_approved',
+    'Park Approved! 🎉',
+    `${suggestion.name} has been added to the park list. Thanks for the suggestion!`,
+    { park_id: park.id }
+  ));
+
+  console.log('✅ Park suggestion approved:', suggestion.id, '→ park', park.id);
+  return { suggestion: { ...suggestion, park_id: park.id }, park };
+};
+
+// Turn a pending suggestion down with a reason the submitter will see
+const rejectSuggestion = async (suggestionId, moderatorId, reason) => {
+  const suggestion = await decideSuggestion(suggestionId, {
+    status: 'rejected',
+    rejection_reason: reason,
+    reviewed_by: moderatorId,
+    reviewed_at: new Date()
+  });
+
+  await runFollowUp('notifying the park suggester of the rejection', () => notifySubmitter(
+    suggestion,
+    'park_suggestion_rejected',
+    'Park Suggestion Declined',
+    `${suggestion.name} wasn't added: ${reason}`,
+    { reason }
+  ));
+
+  console.log('🚫 Park suggestion rejected:', suggestion.id);
+  return suggestion;
+};
+
+module.exports = {
+  DUPLICATE_RADIUS_KM,
+  normalizeParkName,
+  findDuplicateParks,
+  approveSuggestion,
+  rejectSuggestion
+};
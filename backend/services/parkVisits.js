@@ -0,0 +1,94 @@
+const { visitsRepo } = require('../config/database');
+const { toDate } = require('../utils/helpers');
+
+// Format a visit record for API responses (timestamps as ISO strings)
+const formatVisit = (visit) => {
+  const checkedInAt = toDate(visit.checked_in_at);
+  const checkedOutAt = toDate(visit.checked_out_at);
+  const expiresAt = toDate(visit.expires_at);
+
+  return {
+    ...visit,
+    checked_in_at: checkedInAt ? checkedInAt.toISOString() : null,
+    checked_out_at: checkedOutAt ? checkedOutAt.toISOString() : null,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    is_active: !checkedOutAt
+  };
+};
+
+// Open a visit for every dog that doesn't already have an open visit at this park.
+// The visit expires after expectedDurationMinutes unless the owner checks out first;
+// checking in again while a visit is open pushes its expiry out instead.
+const startVisits = async (park, dogs, ownerId, expectedDurationMinutes) => {
+  const openVisits = await visitsRepo.findOpenAtPark(park.id);
+  const dogIds = dogs.map(dog => dog.id);
+  const alreadyOpen = new Set(openVisits.map(visit => visit.dog_id));
+  const checkedInAt = new Date();
+  const expiresAt = new Date(checkedInAt.getTime() + expectedDurationMinutes * 60 * 1000);
+
+  const extendedVisits = await Promise.all(
+    openVisits
+      .filter(visit => dogIds.includes(visit.dog_id))
+      .map(async (visit) => {
+        const updateData = {
+          expected_duration_minutes: expectedDurationMinutes,
+          expires_at: expiresAt,
+          expiry_warning_sent: false
+        };
+
+        await visitsRepo.update(visit.id, updateData);
+        return { ...visit, ...updateData };
+      })
+  );
+
+  const newVisits = await Promise.all(
+    dogs
+      .filter(dog => !alreadyOpen.has(dog.id))
+      .map(dog => visitsRepo.create({
+        dog_id: dog.id,
+        dog_name: dog.name,
+        owner_id: ownerId,
+        park_id: park.id,
+        park_name: park.name || '',
+        checked_in_at: checkedInAt,
+        checked_out_at: null,
+        duration_seconds: null,
+        expected_duration_minutes: expectedDurationMinutes,
+        expires_at: expiresAt,
+        expiry_warning_sent: false
+      }))
+  );
+
+  return [...extendedVisits, ...newVisits].map(formatVisit);
+};
+
+// Close the open visits of the given dogs at this park and record how long they stayed.
+// reason: 'manual' (owner checked out) or 'expired' (closed by the check-in sweeper)
+const endVisits = async (parkId, dogIds, reason = 'manual') => {
+  const openVisits = await visitsRepo.findOpenAtPark(parkId);
+  const checkedOutAt = new Date();
+
+  const closedVisits = await Promise.all(
+    openVisits
+      .filter(visit => dogIds.includes(visit.dog_id))
+      .map(async (visit) => {
+        const checkedInAt = toDate(visit.checked_in_at) || checkedOutAt;
+        const updateData = {
+          checked_out_at: checkedOutAt,
+          duration_seconds: Math.max(0, Math.round((checkedOutAt - checkedInAt) / 1000)),
+          checkout_reason: reason
+        };
+
+        await visitsRepo.update(visit.id, updateData);
+        return { ...visit, ...updateData };
+      })
+  );
+
+  return closedVisits.map(formatVisit);
+};
+
+module.exports = {
+  formatVisit,
+  startVisits,
+  endVisits
+};
@@ -0,0 +1,116 @@
+const { waitlistRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+
+// Add the owner to a park's waitlist (or update the dogs on their existing entry)
+const joinWaitlist = async (park, ownerId, dogIds) => {
+  const existing = await waitlistRepo.findActive(park.id, ownerId);
+
+  if (existing) {
+    await waitlistRepo.update(existing.id, {
+      dog_ids: dogIds,
+      updated_at: serverTimestamp()
+    });
+    return { ...existing, dog_ids: dogIds };
+  }
+
+  return waitlistRepo.create({
+    park_id: park.id,
+    park_name: park.name || '',
+    owner_id: ownerId,
+    dog_ids: dogIds,
+    status: 'waiting',
+    created_at: new Date(),
+    notified_at: null,
+    updated_at: serverTimestamp()
+  });
+};
+
+// 1-based position of an entry among the owners still waiting (0 once a spot has been offered)
+const getWaitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') {
+    return 0;
+  }
+  const waiting = await waitlistRepo.findWaiting(entry.park_id);
+  return waiting.findIndex(waitingEntry => waitingEntry.id === entry.id) + 1;
+};
+
+const leaveWaitlist = async (parkId, ownerId) => {
+  const entry = await waitlistRepo.findActive(parkId, ownerId);
+  if (!entry) {
+    return null;
+  }
+
+  await waitlistRepo.update(entry.id, {
+    status: 'left',
+    updated_at: serverTimestamp()
+  });
+  return entry;
+};
+
+// Called after a successful check-in so the owner's spot in the queue is released
+const completeWaitlistEntry = async (parkId, ownerId) => {
+  const entry = await waitlistRepo.findActive(parkId, ownerId);
+  if (!entry) {
+    return;
+  }
+
+  await waitlistRepo.update(entry.id, {
+    status: 'checked_in',
+    updated_at: serverTimestamp()
+  });
+};
+
+// Mark the first entry in line that is still waiting as offered a spot, in a transaction, so
+// when check-outs overlap each one offers its spot to a different owner. Resolves to the
+// entry this call got, or null if nobody is waiting.
+const claimNextEntry = async (parkId) => {
+  const waiting = await waitlistRepo.findWaiting(parkId);
+  for (const candidate of waiting) {
+    let claimed = false;
+    const result = await waitlistRepo.updateEntry(candidate.id, (entry) => {
+      claimed = entry.status === 'waiting';
+      return claimed ? { status: 'notified', notified_at: new Date() } : {};
+    });
+    if (result && claimed) {
+      return result.entry;
+    }
+  }
+  return null;
+};
+
+// Tell the first owner in line that a spot has opened up at a park with a capacity limit
+const notifyNextOnWaitlist = async (park, checkedInCount) => {
+  if (!park.capacity || checkedInCount >= park.capacity) {
+    return null;
+  }
+
+  const nextEntry = await claimNextEntry(park.id);
+  if (!nextEntry) {
+    return null;
+  }
+
+  await notificationsRepo.create({
+    user_id: nextEntry.owner_id,
+    type: 'waitlist_spot_available',
+    title: 'A Spot Opened Up! 🐾',
+    message: `There's room at ${park.name || 'the park'} now - check in soon before it fills up again`,
+    data: {
+      park_id: park.id,
+      park_name: park.name || '',
+      waitlist_entry_id: nextEntry.id,
+      dog_ids: nextEntry.dog_ids
+    },
+    read: false,
+    created_at: serverTimestamp()
+  });
+
+  console.log('📣 Notified next owner on waitlist for park:', park.id);
+  return nextEntry;
+};
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  getWaitlistPosition,
+  completeWaitlistEntry,
+  notifyNextOnWaitlist
+};
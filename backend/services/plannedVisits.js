@@ -0,0 +1,175 @@
+const { plannedVisitsRepo, usersRepo, notificationsRepo, serverTimestamp } = require('../config/database');
+const { toDate, toIsoString, joinNames, runFollowUp } = require('../utils/helpers');
+const { formatLocalWindow } = require('../utils/openingHours');
+const { friendOwnerIds } = require('./friendArrivals');
+
+// Visits can be planned this far ahead and last as long as a check-in can
+const MAX_DAYS_AHEAD = 14;
+const MAX_PLANNED_MINUTES = 12 * 60;
+const MAX_NOTE_LENGTH = 200;
+// A check-in this long before the planned start still counts as turning up
+const EARLY_CHECKIN_MINUTES = 30;
+
+const isValidTime = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Returns an error message for an invalid planned visit, or null if it can be saved
+const validatePlannedVisit = ({ startsAt, endsAt, note }, now = new Date()) => {
+  if (!isValidTime(startsAt) || !isValidTime(endsAt)) {
+    return 'startsAt and endsAt must be ISO date-times';
+  }
+
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (end <= start) {
+    return 'endsAt must be after startsAt';
+  }
+  if (end <= now) {
+    return 'endsAt must be in the future';
+  }
+  if (end - start > MAX_PLANNED_MINUTES * 60 * 1000) {
+    return `Planned visits can last at most ${MAX_PLANNED_MINUTES / 60} hours`;
+  }
+  if (start - now > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return `Visits can be planned at most ${MAX_DAYS_AHEAD} days ahead`;
+  }
+
+  if (note !== undefined && note !== null &&
+      (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return `note must be text of at most ${MAX_NOTE_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+const plannedVisitError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const formatPlannedVisit = (visit) => ({
+  id: visit.id,
+  parkId: visit.park_id,
+  parkName: visit.park_name,
+  ownerId: visit.owner_id,
+  ownerName: visit.owner_name,
+  dogs: visit.dog_ids.map((dogId, index) => ({ dogId, dogName: visit.dog_names[index] })),
+  startsAt: toIsoString(visit.starts_at),
+  endsAt: toIsoString(visit.ends_at),
+  note: visit.note,
+  status: visit.status,
+  visitIds: visit.visit_ids || []
+});
+
+const overlaps = (visit, start, end) => toDate(visit.starts_at) < end && toDate(visit.ends_at) > start;
+
+// Announce that the owner's dogs (already checked for ownership) will be at the park, and tell
+// the owners of their friends. Rejects with code 'overlapping-plan' if one of the dogs already
+// has a visit planned at the same time.
+const createPlannedVisit = async (park, ownerId, dogs, { startsAt, endsAt, note }) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  const dogIds = dogs.map(dog => dog.id);
+
+  const pending = await plannedVisitsRepo.findPendingForOwner(ownerId);
+  const clash = pending.find(visit => overlaps(visit, start, end) && visit.dog_ids.some(dogId => dogIds.includes(dogId)));
+  if (clash) {
+    throw plannedVisitError(
+      `${joinNames(clash.dog_names)} ${clash.dog_names.length === 1 ? 'is' : 'are'} already planning to be at ${clash.park_name || 'a park'} then`,
+      'overlapping-plan'
+    );
+  }
+
+  const user = await usersRepo.findById(ownerId);
+  const now = new Date();
+  const visit = await plannedVisitsRepo.create({
+    park_id: park.id,
+    park_name: park.name || '',
+    owner_id: ownerId,
+    owner_name: user?.fullName || user?.name || '',
+    dog_ids: dogIds,
+    dog_names: dogs.map(dog => dog.name),
+    starts_at: start,
+    ends_at: end,
+    note: note ? note.trim() : '',
+    status: 'planned',
+    visit_ids: [],
+    created_at: now,
+    updated_at: now
+  });
+
+  // The plan is saved; a failed notification shouldn't turn it into an error
+  const names = joinNames(visit.dog_names);
+  const notified = await runFollowUp('notifying friends of a planned visit', async () => {
+    const recipients = await friendOwnerIds(dogs, ownerId);
+    await Promise.all(recipients.map(userId => notificationsRepo.create({
+      user_id: userId,
+      type: 'planned_visit',
+      title: 'Friends Heading to the Park 🐾',
+      message: `${names} will be at ${visit.park_name || 'the park'} ${formatLocalWindow(park, start, end, now)}`,
+      data: {
+        planned_visit_id: visit.id,
+        park_id: visit.park_id,
+        park_name: visit.park_name,
+        dog_ids: visit.dog_ids,
+        starts_at: visit.starts_at,
+        ends_at: visit.ends_at
+      },
+      read: false,
+      created_at: serverTimestamp()
+    })));
+    return recipients.length;
+  }, 0);
+
+  return { plannedVisit: visit, notified };
+};
+
+// Call off a planned visit. Only the owner who posted it can.
+// Rejects with code 'not-found', 'forbidden' or 'not-planned'.
+const cancelPlannedVisit = async (parkId, plannedVisitId, ownerId) => {
+  const visit = await plannedVisitsRepo.findById(plannedVisitId);
+  if (!visit || visit.park_id !== parkId) {
+    throw plannedVisitError('Planned visit not found', 'not-found');
+  }
+  if (visit.owner_id !== ownerId) {
+    throw plannedVisitError('Only the owner can cancel this planned visit', 'forbidden');
+  }
+  if (visit.status !== 'planned') {
+    throw plannedVisitError(`This visit is already ${visit.status.replace('_', ' ')}`, 'not-planned');
+  }
+
+  const updateData = { status: 'cancelled', updated_at: new Date() };
+  await plannedVisitsRepo.update(plannedVisitId, updateData);
+  return { ...visit, ...updateData };
+};
+
+// Mark the owner's planned visits to this park as checked in when any of their dogs checks in
+// during the window (or a little early). visits are the check-in's visit records.
+// Resolves to the converted planned visits.
+const convertPlannedVisits = async (parkId, ownerId, visits, now = new Date()) => {
+  const earliest = new Date(now.getTime() + EARLY_CHECKIN_MINUTES * 60 * 1000);
+  const pending = await plannedVisitsRepo.findPendingForOwner(ownerId);
+
+  return Promise.all(pending
+    .filter(plan => plan.park_id === parkId && toDate(plan.starts_at) <= earliest && toDate(plan.ends_at) > now)
+    .map(plan => ({ plan, matched: visits.filter(visit => plan.dog_ids.includes(visit.dog_id)) }))
+    .filter(({ matched }) => matched.length > 0)
+    .map(async ({ plan, matched }) => {
+      const updateData = {
+        status: 'checked_in',
+        visit_ids: matched.map(visit => visit.id),
+        checked_in_at: now,
+        updated_at: now
+      };
+      await plannedVisitsRepo.update(plan.id, updateData);
+      return { ...plan, ...updateData };
+    }));
+};
+
+module.exports = {
+  validatePlannedVisit,
+  formatPlannedVisit,
+  createPlannedVisit,
+  cancelPlannedVisit,
+  convertPlannedVisits
+};
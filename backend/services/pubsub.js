@@ -0,0 +1,152 @@
+const { EventEmitter } = require('events');
+
+// How long a publish waits for Redis before giving up, so a Redis outage drops live updates
+// rather than holding up the check-ins that trigger them
+const REDIS_PUBLISH_TIMEOUT_MS = 2000;
+
+// Publish/subscribe used to fan real-time events out to every backend instance.
+// Both drivers have the same shape:
+//   publish(channel, message)     - message is anything JSON can carry
+//   subscribe(channel, handler)   - resolves to an async unsubscribe function
+//   close()
+// 'memory' only reaches this process, which is all a single instance needs.
+// 'redis' goes through Redis (REDIS_URL), so instances behind a load balancer hear each other.
+
+const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'in-memory',
+
+    async publish(channel, message) {
+      // Copy through JSON so subscribers see what they would get from Redis
+      emitter.emit(channel, JSON.parse(JSON.stringify(message)));
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => {
+        emitter.off(channel, handler);
+      };
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    }
+  };
+};
+
+const createRedisPubSub = (url) => {
+  // Only required when used, so the in-memory driver works without a Redis client configured
+  const { createClient } = require('redis');
+
+  // A connection in subscribe mode can't publish, so there are two. Commands fail while
+  // disconnected instead of queueing, and reconnects back off to every 5 seconds.
+  const publisher = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { reconnectStrategy: (retries) => Math.min((retries + 1) * 500, 5000) }
+  });
+  const subscriber = publisher.duplicate();
+  [publisher, subscriber].forEach(client => {
+    // Log each outage once, not every reconnect attempt
+    let lastError = null;
+    client.on('error', (error) => {
+      if (error.message !== lastError) {
+        console.error('❌ Redis pub/sub error:', error.message);
+        lastError = error.message;
+      }
+    });
+    client.on('ready', () => {
+      lastError = null;
+    });
+  });
+
+  let connecting = null;
+  const connect = () => {
+    if (!connecting) {
+      connecting = Promise.all([publisher.connect(), subscriber.connect()]).catch(error => {
+        // Let the next call try again
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  };
+
+  return {
+    name: 'Redis',
+
+    async publish(channel, message) {
+      let timeout;
+      await Promise.race([
+        connect(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error('Redis is not connected')), REDIS_PUBLISH_TIMEOUT_MS);
+        })
+      ]).finally(() => clearTimeout(timeout));
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+
+    async subscribe(channel, handler) {
+      await connect();
+      const listener = (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (error) {
+          console.error(`❌ Ignoring malformed message on ${channel}:`, error.message);
+          return;
+        }
+        handler(message);
+      };
+      await subscriber.subscribe(channel, listener);
+      return async () => {
+        await subscriber.unsubscribe(channel, listener);
+      };
+    },
+
+    async close() {
+      if (!connecting) {
+        return;
+      }
+      await connecting.catch(() => {});
+      await Promise.all([publisher, subscriber].filter(client => client.isOpen).map(client => client.close()));
+      connecting = null;
+    }
+  };
+};
+
+// Pub/sub selected by PUBSUB: 'memory' (default) or 'redis', which needs REDIS_URL
+const createPubSub = (type = process.env.PUBSUB || 'memory', url = process.env.REDIS_URL) => {
+  switch (type) {
+    case 'memory':
+      return createMemoryPubSub();
+    case 'redis':
+      if (!url) {
+        throw new Error('PUBSUB=redis requires REDIS_URL');
+      }
+      return createRedisPubSub(url);
+    default:
+      throw new Error(`Unknown PUBSUB "${type}" - expected "memory" or "redis"`);
+  }
+};
+
+let pubsub = null;
+
+// The process-wide pub/sub, created from the environment on first use
+const getPubSub = () => {
+  if (!pubsub) {
+    pubsub = createPubSub();
+    console.log(`📡 Using ${pubsub.name} pub/sub for real-time events`);
+  }
+  return pubsub;
+};
+
+module.exports = {
+  createPubSub,
+  createMemoryPubSub,
+  createRedisPubSub,
+  getPubSub
+};
@@ -1,56 +1,83 @@
-const { parkConnections } = require('../services/parkBroadcast');
-const { broadcastParkUpdate } = require('../services/parkBroadcast');
+const { Server } = require('socket.io');
+const { authenticateSocket } = require('../middleware/auth');
+const { parkRoom, OCCUPANCY_ROOM, setSocketServer, listenForParkUpdates, getParkDogs } = require('../services/parkBroadcast');
+const { getAllParkOccupancy } = require('../services/parkOccupancy');
+
+// Acknowledgements are optional for clients, so handlers reply through this
+const replyWith = (ack) => (typeof ack === 'function' ? ack : () => {});
 
 const setupSocketHandlers = (io) => {
   // Socket.IO connection handler
   io.on('connection', (socket) => {
-    console.log('🟢 New WebSocket connection:', socket.id);
-
-    // Handle park join request
-    socket.on('joinPark', (parkId) => {
-      console.log(`🏞️ Socket ${socket.id} joining park ${parkId}`);
-      
-      // Initialize park connection set if it doesn't exist
-      if (!parkConnections.has(parkId)) {
-        parkConnections.set(parkId, new Set());
-      }
-
-      // Add socket to park's connection set
-      const connections = parkConnections.get(parkId);
-      connections.add(socket.id);
-
-      // Send current dogs list to the newly joined client
-      broadcastParkUpdate(parkId);
+    console.log('🟢 New WebSocket connection:', socket.id, 'user:', socket.data.user.userId);
 
-      // Handle socket disconnect
-      socket.on('disconnect', () => {
-        console.log('🔴 Socket disconnected:', socket.id);
-        connections.delete(socket.id);
+    // Join a park's room. Replies with the dogs there now; after that the socket
+    // receives dogArrived, dogLeft and dogUpdated for the park.
+    socket.on('joinPark', async (parkId, ack) => {
+      const reply = replyWith(ack);
+      try {
+        console.log(`🏞️ Socket ${socket.id} joining park ${parkId}`);
+        // In case subscribing failed when the server started
+        listenForParkUpdates();
 
-        // Clean up empty connection sets
-        if (connections.size === 0) {
-          parkConnections.delete(parkId);
+        // Join before reading the snapshot so no change can fall between the two
+        await socket.join(parkRoom(parkId));
+        const dogs = await getParkDogs(parkId);
+        if (!dogs) {
+          await socket.leave(parkRoom(parkId));
+          return reply({ success: false, error: 'Park not found' });
         }
-      });
+
+        reply({ success: true, parkId, dogs });
+      } catch (error) {
+        console.error('❌ Error joining park room:', error);
+        reply({ success: false, error: 'Internal server error' });
+      }
     });
 
     // Handle park leave request
-    socket.on('leavePark', (parkId) => {
+    socket.on('leavePark', async (parkId, ack) => {
       console.log(`🚪 Socket ${socket.id} leaving park ${parkId}`);
-      
-      const connections = parkConnections.get(parkId);
-      if (connections) {
-        connections.delete(socket.id);
-
-        // Clean up empty connection sets
-        if (connections.size === 0) {
-          parkConnections.delete(parkId);
-        }
+      await socket.leave(parkRoom(parkId));
+      replyWith(ack)({ success: true, parkId });
+    });
+
+    // Follow the occupancy of every park (the park list). Replies with all parks' counts;
+    // after that the socket receives parkOccupancy for each park that changes.
+    socket.on('joinOccupancy', async (ack) => {
+      const reply = replyWith(ack);
+      try {
+        listenForParkUpdates();
+        await socket.join(OCCUPANCY_ROOM);
+        reply({ success: true, parks: await getAllParkOccupancy() });
+      } catch (error) {
+        console.error('❌ Error joining park occupancy room:', error);
+        reply({ success: false, error: 'Internal server error' });
       }
     });
+
+    socket.on('leaveOccupancy', async (ack) => {
+      await socket.leave(OCCUPANCY_ROOM);
+      replyWith(ack)({ success: true });
+    });
+
+    // Socket.IO takes the socket out of its rooms by itself
+    socket.on('disconnect', (reason) => {
+      console.log('🔴 Socket disconnected:', socket.id, reason);
+    });
   });
 };
 
+// Attach Socket.IO to the HTTP server. Only clients with a valid JWT can connect.
+const createSocketServer = (httpServer, options = {}) => {
+  const io = new Server(httpServer, options);
+  io.use(authenticateSocket);
+  setupSocketHandlers(io);
+  setSocketServer(io);
+  return io;
+};
+
 module.exports = {
+  createSocketServer,
   setupSocketHandlers
-};
\ No newline at end of file
+};
@@ -0,0 +1,63 @@
+// Calendar feeds: RFC 5545 output that calendar apps accept, and personal feeds
+// that only open with the signed token from /api/calendar/feed-url.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo } = require('../config/database');
+const { buildCalendar } = require('../utils/ical');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Calendar Park', address: '1 Feed St', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  const dog = await dogsRepo.create({ owner_id: 'attendee', name: 'Biscuit', age: 2 });
+
+  const startsAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const { body } = await request('POST', `/api/dog-parks/${parkId}/events`, {
+    title: 'Saturday social',
+    startsAt: startsAt.toISOString(),
+    endsAt: new Date(startsAt.getTime() + 60 * 60 * 1000).toISOString()
+  }, 'organiser');
+  await request('POST', `/api/dog-parks/${parkId}/events/${body.event.id}/rsvp`, { dogIds: [dog.id] }, 'attendee');
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const ics = buildCalendar({
+    name: 'Test',
+    events: [{
+      uid: 'fold@test',
+      start: new Date('2026-10-24T10:00:00Z'),
+      end: new Date('2026-10-24T11:00:00Z'),
+      summary: `Puppies; treats, ${'🐶'.repeat(40)}`
+    }]
+  });
+
+  assert.ok(ics.endsWith('\r\n'));
+  ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.match(ics, /DTSTART:20261024T100000Z/);
+  const summary = ics.split('\r\n').filter(line => line.startsWith('SUMMARY:') || line.startsWith(' ')).join('\r\n');
+  assert.strictEqual(summary.replace(/\r\n /g, ''), `SUMMARY:Puppies\\; treats\\, ${'🐶'.repeat(40)}`);
+});
+
+test('the personal feed lists RSVP\'d events and needs the signed token', async () => {
+  const { body } = await request('GET', '/api/calendar/feed-url', null, 'attendee');
+
+  const feed = await fetch(body.url);
+  assert.strictEqual(feed.status, 200);
+  assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+  assert.match(await feed.text(), /SUMMARY:Saturday social/);
+
+  const forged = await fetch(body.url.replace('attendee', 'organiser'));
+  assert.strictEqual(forged.status, 403);
+});
+
+test('the park feed is public', async () => {
+  const feed = await fetch(`${testServer.baseUrl}/api/calendar/parks/${parkId}.ics`);
+  assert.strictEqual(feed.status, 200);
+  assert.match(await feed.text(), /LOCATION:Calendar Park\\, 1 Feed St/);
+});
@@ -0,0 +1,95 @@
+// Fires many simultaneous check-ins/check-outs at one park against the in-memory store
+// and verifies that no update to the park's checkedInDogs list is lost.
+process.env.DATA_STORE_LATENCY_MS = '20';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { usersRepo, dogsRepo, parksRepo } = require('../config/database');
+
+const OWNER_COUNT = 30;
+
+const testServer = useTestServer();
+const post = (path, user, body) => testServer.request('POST', path, body, user.id);
+
+let park;
+let owners;
+
+before(async () => {
+  park = await parksRepo.create({ name: 'Concurrency Park', address: '1 Test St', checkedInDogs: [] });
+
+  owners = await Promise.all(Array.from({ length: OWNER_COUNT }, async (_, i) => {
+    const user = await usersRepo.create({ email: `owner${i}@example.com`, full_name: `Owner ${i}` });
+    const dog = await dogsRepo.create({ name: `Dog ${i}`, owner_id: user.id });
+    return { user, dog };
+  }));
+});
+
+test('simultaneous check-ins at the same park keep every dog', async () => {
+  const responses = await Promise.all(owners.map(({ user, dog }) => {
+    return post(`/api/dog-parks/${park.id}/checkin`, user, { dogIds: [dog.id] });
+  }));
+
+  responses.forEach(response => assert.strictEqual(response.status, 200));
+
+  const updatedPark = await parksRepo.findById(park.id);
+  assert.deepStrictEqual(
+    [...updatedPark.checkedInDogs].sort(),
+    owners.map(({ dog }) => dog.id).sort()
+  );
+});
+
+test('simultaneous check-outs and check-ins do not lose updates', async () => {
+  const leaving = owners.slice(0, OWNER_COUNT / 2);
+  const staying = owners.slice(OWNER_COUNT / 2);
+
+  const responses = await Promise.all([
+    ...leaving.map(({ user, dog }) => post(`/api/dog-parks/${park.id}/checkout`, user, { dogIds: [dog.id] })),
+    // Checking in again while already checked in must not drop anyone either
+    ...staying.map(({ user, dog }) => post(`/api/dog-parks/${park.id}/checkin`, user, { dogIds: [dog.id] }))
+  ]);
+
+  responses.forEach(response => assert.strictEqual(response.status, 200));
+
+  const updatedPark = await parksRepo.findById(park.id);
+  assert.deepStrictEqual(
+    [...updatedPark.checkedInDogs].sort(),
+    staying.map(({ dog }) => dog.id).sort()
+  );
+});
+
+test('a dog checked in at two parks at once ends up at only one of them', async () => {
+  const [{ user, dog }] = owners;
+  await post(`/api/dog-parks/${park.id}/checkout`, user, { dogIds: [dog.id] });
+  const [north, south] = await Promise.all(['North', 'South'].map(name => (
+    parksRepo.create({ name: `${name} Park`, address: `${name} St`, checkedInDogs: [] })
+  )));
+
+  const responses = await Promise.all([north, south].map(target => (
+    post(`/api/dog-parks/${target.id}/checkin`, user, { dogIds: [dog.id] })
+  )));
+  responses.forEach(response => assert.strictEqual(response.status, 200));
+
+  const parksWithDog = (await parksRepo.findByCheckedInDogs([dog.id])).map(found => found.id);
+  assert.strictEqual(parksWithDog.length, 1);
+  assert.strictEqual((await dogsRepo.findById(dog.id)).current_park_id, parksWithDog[0]);
+  // The later check-in moved the dog out of the park the earlier one put it in
+  const moves = responses.flatMap(response => response.body.movedFrom);
+  assert.deepStrictEqual(moves.map(move => move.parkId), [north.id, south.id].filter(id => id !== parksWithDog[0]));
+
+  await post(`/api/dog-parks/${parksWithDog[0]}/checkout`, user, { dogIds: [dog.id] });
+  assert.strictEqual((await dogsRepo.findById(dog.id)).current_park_id, null);
+});
+
+test('a dog whose park was deleted can still check in elsewhere', async () => {
+  const [, { user, dog }] = owners;
+  const doomed = await parksRepo.create({ name: 'Doomed Park', address: 'Gone St', checkedInDogs: [] });
+  await post(`/api/dog-parks/${doomed.id}/checkin`, user, { dogIds: [dog.id] });
+  await parksRepo.delete(doomed.id);
+
+  const response = await post(`/api/dog-parks/${park.id}/checkin`, user, { dogIds: [dog.id] });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.movedFrom, []);
+  assert.strictEqual((await dogsRepo.findById(dog.id)).current_park_id, park.id);
+});
@@ -0,0 +1,115 @@
+// Check-in sweeper: expired visits are checked out, owners are warned before expiry, and
+// overlapping sweeps (the timer plus a cron request) only notify each owner once.
+process.env.CRON_SECRET = 'sweeper-test-secret';
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo, visitsRepo, notificationsRepo } = require('../config/database');
+const { sweepExpiredCheckIns, EXPIRY_WARNING_MINUTES } = require('../services/checkInSweeper');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+const MINUTE_MS = 60 * 1000;
+
+let parkId;
+
+const notificationsOfType = (userId, type) => notificationsRepo.find([
+  ['user_id', '==', userId],
+  ['type', '==', type]
+]);
+
+// Checks a new dog in for 30 minutes and returns its open visit
+const checkInFor30Minutes = async (ownerId, atParkId = parkId) => {
+  const dog = await dogsRepo.create({ owner_id: ownerId, name: `${ownerId}'s dog`, friends: [] });
+  const { body } = await request('POST', `/api/dog-parks/${atParkId}/checkin`, {
+    dogIds: [dog.id],
+    expectedDurationMinutes: 30
+  }, ownerId);
+  return { dog, visit: await visitsRepo.findById(body.visits[0].id) };
+};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Sweep Park', address: '8 Broom St', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+});
+
+test('owners are warned once before expiry, however many sweeps overlap', async () => {
+  const { visit } = await checkInFor30Minutes('warned-owner');
+  const nearlyUp = new Date(visit.expires_at.getTime() - (EXPIRY_WARNING_MINUTES - 1) * MINUTE_MS);
+
+  const results = await Promise.all([sweepExpiredCheckIns(nearlyUp), sweepExpiredCheckIns(nearlyUp)]);
+  assert.strictEqual(results.reduce((total, result) => total + result.warned, 0), 1);
+  assert.strictEqual((await notificationsOfType('warned-owner', 'checkin_expiring')).length, 1);
+});
+
+test('expired visits are checked out once, however many sweeps overlap', async () => {
+  const { dog, visit } = await checkInFor30Minutes('expired-owner');
+  const afterExpiry = new Date(visit.expires_at.getTime() + MINUTE_MS);
+
+  await Promise.all([sweepExpiredCheckIns(afterExpiry), sweepExpiredCheckIns(afterExpiry)]);
+  assert.strictEqual((await notificationsOfType('expired-owner', 'checkin_expired')).length, 1);
+
+  const park = await parksRepo.findById(parkId);
+  assert.ok(!park.checkedInDogs.includes(dog.id));
+  const closed = await visitsRepo.findById(visit.id);
+  assert.strictEqual(closed.checkout_reason, 'expired');
+});
+
+test('visits at a deleted park are closed at the time they ran out', async () => {
+  const doomed = await parksRepo.create({ name: 'Doomed Park', address: '9 Gone Rd', amenities: [], checkedInDogs: [] });
+  const { visit } = await checkInFor30Minutes('orphaned-owner', doomed.id);
+  await parksRepo.delete(doomed.id);
+
+  await sweepExpiredCheckIns(new Date(visit.expires_at.getTime() + 60 * MINUTE_MS));
+
+  const closed = await visitsRepo.findById(visit.id);
+  assert.strictEqual(closed.checked_out_at.getTime(), visit.expires_at.getTime());
+  assert.strictEqual(closed.duration_seconds, 30 * 60);
+  assert.strictEqual(closed.checkout_reason, 'expired');
+});
+
+test('a park that fails to check out does not stop the sweep and is retried next time', async () => {
+  const failing = await parksRepo.create({ name: 'Flaky Park', address: '10 Glitch Ave', amenities: [], checkedInDogs: [] });
+  const working = await parksRepo.create({ name: 'Steady Park', address: '11 Calm Ave', amenities: [], checkedInDogs: [] });
+  const stuck = await checkInFor30Minutes('stuck-owner', failing.id);
+  const freed = await checkInFor30Minutes('freed-owner', working.id);
+  const afterExpiry = new Date(stuck.visit.expires_at.getTime() + MINUTE_MS);
+
+  const updateCheckedInDogs = parksRepo.updateCheckedInDogs;
+  const checkOut = mock.method(parksRepo, 'updateCheckedInDogs', async (updates, ...rest) => {
+    if (updates[0].parkId === failing.id) {
+      throw new Error('store unavailable');
+    }
+    return updateCheckedInDogs.call(parksRepo, updates, ...rest);
+  });
+  try {
+    const result = await sweepExpiredCheckIns(afterExpiry);
+    assert.strictEqual(result.expired, 1);
+  } finally {
+    checkOut.mock.restore();
+  }
+
+  assert.strictEqual((await visitsRepo.findById(freed.visit.id)).checkout_reason, 'expired');
+  const released = await visitsRepo.findById(stuck.visit.id);
+  assert.strictEqual(released.checked_out_at, null);
+  assert.strictEqual(released.expiry_claimed, false);
+
+  const retry = await sweepExpiredCheckIns(afterExpiry);
+  assert.strictEqual(retry.expired, 1);
+  assert.ok(!(await parksRepo.findById(failing.id)).checkedInDogs.includes(stuck.dog.id));
+  assert.strictEqual((await visitsRepo.findById(stuck.visit.id)).checkout_reason, 'expired');
+});
+
+test('the cron route needs the cron secret and reports what it swept', async () => {
+  const anonymous = await request('GET', '/api/cron/sweep-checkins');
+  assert.strictEqual(anonymous.status, 401);
+
+  const response = await fetch(`${testServer.baseUrl}/api/cron/sweep-checkins`, {
+    headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { success: true, expired: 0, warned: 0 });
+});
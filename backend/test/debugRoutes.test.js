@@ -0,0 +1,17 @@
+// Debug endpoints reveal environment and token details, so they only exist in development
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+
+const { request } = useTestServer();
+
+test('debug endpoints are not mounted outside development', async () => {
+  assert.notStrictEqual(process.env.NODE_ENV, 'development');
+
+  const env = await request('GET', '/debug/env');
+  assert.strictEqual(env.status, 404);
+
+  const testAuth = await request('POST', '/debug/test-auth', { token: 'anything' });
+  assert.strictEqual(testAuth.status, 404);
+});
@@ -0,0 +1,45 @@
+// Dog profiles: size is optional but validated, since park occupancy, event restrictions
+// and favourite-park alerts all group dogs by it.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+
+const { request } = useTestServer();
+
+test('a dog\'s size is validated and stored in lower case on create', async () => {
+  const invalid = await request('POST', '/api/dogs', { name: 'Moose', breed: 'Great Dane', age: 4, size: 'huge' }, 'owner');
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.error, 'Size must be one of: small, medium, large');
+
+  const created = await request('POST', '/api/dogs', { name: 'Moose', breed: 'Great Dane', age: 4, size: 'Large' }, 'owner');
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.dog.size, 'large');
+
+  const unsized = await request('POST', '/api/dogs', { name: 'Scout', breed: 'Mixed', age: 1 }, 'owner');
+  assert.strictEqual(unsized.body.dog.size, '');
+});
+
+test('a dog\'s size can be changed or cleared on update', async () => {
+  const { body } = await request('POST', '/api/dogs', { name: 'Biscuit', breed: 'Beagle', age: 2 }, 'owner');
+  const dogId = body.dog.id;
+
+  const invalid = await request('PUT', `/api/dogs/${dogId}`, { size: 'tiny' }, 'owner');
+  assert.strictEqual(invalid.status, 400);
+
+  const sized = await request('PUT', `/api/dogs/${dogId}`, { size: 'Medium' }, 'owner');
+  assert.strictEqual(sized.status, 200);
+  assert.strictEqual(sized.body.dog.size, 'medium');
+
+  // Other edits leave the size alone
+  const renamed = await request('PUT', `/api/dogs/${dogId}`, { name: 'Biscuit II' }, 'owner');
+  assert.strictEqual(renamed.body.dog.size, 'medium');
+
+  const cleared = await request('PUT', `/api/dogs/${dogId}`, { size: '' }, 'owner');
+  assert.strictEqual(cleared.body.dog.size, '');
+
+  await request('PUT', `/api/dogs/${dogId}`, { size: 'small' }, 'owner');
+  const nulled = await request('PUT', `/api/dogs/${dogId}`, { size: null }, 'owner');
+  assert.strictEqual(nulled.status, 200);
+  assert.strictEqual(nulled.body.dog.size, '');
+});
@@ -0,0 +1,86 @@
+// Favourite parks: users follow parks (simultaneous follows all stick) and can opt in to alerts when a followed park
+// gets its first dogs or more dogs of their preferred size than they asked for.
+process.env.DATA_STORE_LATENCY_MS = '10';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, usersRepo, notificationsRepo } = require('../config/database');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+let smallDogs;
+
+const alertsFor = (userId) => notificationsRepo.find([
+  ['user_id', '==', userId],
+  ['type', '==', 'favorite_park_alert']
+]);
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Central Bark', address: '1 Bark Ave', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+
+  await Promise.all(['first-fan', 'small-fan', 'owner'].map(userId => usersRepo.set(userId, {
+    email: `${userId}@example.com`,
+    preferences: { notifications: true }
+  })));
+  smallDogs = await Promise.all(['Pip', 'Dot', 'Bean'].map(async (name) => {
+    const { body } = await request('POST', '/api/dogs', { name, breed: 'Terrier', age: 3, size: 'Small' }, 'owner');
+    return body.dog;
+  }));
+});
+
+test('following a park saves it on the user\'s profile', async () => {
+  const followed = await request('PUT', `/api/dog-parks/${parkId}/favorite`, null, 'first-fan');
+  assert.strictEqual(followed.status, 200);
+  assert.deepStrictEqual(followed.body.parkIds, [parkId]);
+
+  const missing = await request('PUT', '/api/dog-parks/no-such-park/favorite', null, 'first-fan');
+  assert.strictEqual(missing.status, 404);
+
+  await request('PUT', `/api/dog-parks/${parkId}/favorite`, null, 'small-fan');
+  const { body } = await request('GET', '/api/dog-parks/favorites', null, 'small-fan');
+  assert.deepStrictEqual(body.parkIds, [parkId]);
+  assert.deepStrictEqual(body.alerts, { firstArrival: false, sizeAlert: null });
+});
+
+test('following several parks at once keeps every one', async () => {
+  await usersRepo.set('busy-fan', { email: 'busy-fan@example.com' });
+  const parkIds = await Promise.all([1, 2, 3, 4, 5].map(async (i) => {
+    const park = await parksRepo.create({ name: `Park ${i}`, address: `${i} Fan St`, amenities: [], checkedInDogs: [] });
+    return park.id;
+  }));
+
+  const responses = await Promise.all(parkIds.map(id => request('PUT', `/api/dog-parks/${id}/favorite`, null, 'busy-fan')));
+  responses.forEach(response => assert.strictEqual(response.status, 200));
+
+  const user = await usersRepo.findById('busy-fan');
+  assert.deepStrictEqual([...user.favoriteParks].sort(), [...parkIds].sort());
+});
+
+test('followers are alerted when the park gets its first dogs or passes their size threshold', async () => {
+  const invalid = await request('PUT', '/api/notifications/preferences', {
+    favoriteParks: { sizeAlert: { size: 'huge', moreThan: 1 } }
+  }, 'small-fan');
+  assert.strictEqual(invalid.status, 400);
+
+  await request('PUT', '/api/notifications/preferences', { favoriteParks: { firstArrival: true } }, 'first-fan');
+  await request('PUT', '/api/notifications/preferences', {
+    favoriteParks: { sizeAlert: { size: 'small', moreThan: 1 } }
+  }, 'small-fan');
+
+  await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [smallDogs[0].id] }, 'owner');
+  const firstAlerts = await alertsFor('first-fan');
+  assert.strictEqual(firstAlerts.length, 1);
+  assert.strictEqual(firstAlerts[0].message, 'Dogs have arrived at Central Bark - 1 there now');
+  assert.strictEqual((await alertsFor('small-fan')).length, 0);
+
+  await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [smallDogs[1].id, smallDogs[2].id] }, 'owner');
+  const sizeAlerts = await alertsFor('small-fan');
+  assert.strictEqual(sizeAlerts.length, 1);
+  assert.strictEqual(sizeAlerts[0].message, '3 small dogs are at Central Bark right now');
+  assert.strictEqual((await alertsFor('first-fan')).length, 1);
+});
@@ -0,0 +1,87 @@
+// Friend arrivals: owners of a dog's friends hear when it checks in, unless they opted out,
+// it's their quiet hours, or they were told about that dog recently.
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo, usersRepo, notificationsRepo } = require('../config/database');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+let max;
+
+const arrivalsFor = (userId) => notificationsRepo.find([
+  ['user_id', '==', userId],
+  ['type', '==', 'friend_arrival']
+]);
+
+// A quiet-hours window that covers the current UTC time
+const quietNow = () => {
+  const hour = new Date().getUTCHours();
+  const pad = (value) => String(value).padStart(2, '0');
+  return { start: `${pad(hour)}:00`, end: `${pad((hour + 1) % 24)}:00`, timezone: 'UTC' };
+};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Riverside Park', address: '2 River Rd', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+
+  await Promise.all(['max-owner', 'keen', 'quiet', 'opted-out'].map(userId => usersRepo.set(userId, {
+    email: `${userId}@example.com`,
+    preferences: { notifications: true }
+  })));
+  const friends = await Promise.all(['keen', 'quiet', 'opted-out'].map(ownerId => (
+    dogsRepo.create({ owner_id: ownerId, name: `${ownerId} dog`, friends: [] })
+  )));
+  max = await dogsRepo.create({ owner_id: 'max-owner', name: 'Max', friends: friends.map(dog => dog.id) });
+});
+
+test('settings are validated and saved on the user', async () => {
+  const invalid = await request('PUT', '/api/notifications/preferences', {
+    friendArrivals: { quietHours: { start: '25:00', end: '07:00' } }
+  }, 'quiet');
+  assert.strictEqual(invalid.status, 400);
+
+  const quiet = await request('PUT', '/api/notifications/preferences', { friendArrivals: { quietHours: quietNow() } }, 'quiet');
+  assert.strictEqual(quiet.status, 200);
+  assert.strictEqual(quiet.body.preferences.friendArrivals.enabled, true);
+
+  await request('PUT', '/api/notifications/preferences', { friendArrivals: { enabled: false } }, 'opted-out');
+  const { body } = await request('GET', '/api/notifications/preferences', null, 'opted-out');
+  assert.deepStrictEqual(body.preferences.friendArrivals, { enabled: false, quietHours: null });
+});
+
+test('checking in notifies friends\' owners who want to hear, once per throttle window', async () => {
+  const checkIn = await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [max.id] }, 'max-owner');
+  assert.strictEqual(checkIn.status, 200);
+
+  const keen = await arrivalsFor('keen');
+  assert.strictEqual(keen.length, 1);
+  assert.strictEqual(keen[0].message, 'Max just arrived at Riverside Park');
+  assert.strictEqual((await arrivalsFor('quiet')).length, 0);
+  assert.strictEqual((await arrivalsFor('opted-out')).length, 0);
+
+  // Popping out and back in doesn't notify again
+  await request('POST', `/api/dog-parks/${parkId}/checkout`, { dogIds: [max.id] }, 'max-owner');
+  await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [max.id] }, 'max-owner');
+  assert.strictEqual((await arrivalsFor('keen')).length, 1);
+});
+
+test('a failing notification does not fail the check-in', async () => {
+  const park = await parksRepo.create({ name: 'Hillside Park', address: '3 Hill Rd', amenities: [], checkedInDogs: [] });
+  const bella = await dogsRepo.create({ owner_id: 'bella-owner', name: 'Bella', friends: [max.id] });
+  const findRecent = mock.method(notificationsRepo, 'findRecentOfType', async () => {
+    throw new Error('Notifications unavailable');
+  });
+
+  try {
+    const checkIn = await request('POST', `/api/dog-parks/${park.id}/checkin`, { dogIds: [bella.id] }, 'bella-owner');
+    assert.strictEqual(checkIn.status, 200);
+    assert.strictEqual(findRecent.mock.callCount(), 1);
+    assert.deepStrictEqual((await parksRepo.findById(park.id)).checkedInDogs, [bella.id]);
+  } finally {
+    findRecent.mock.restore();
+  }
+});
@@ -0,0 +1,90 @@
+// Shared setup for the route tests. Require it before anything that loads config/database,
+// so every test file runs against the in-memory store.
+process.env.DATA_STORE = 'memory';
+
+// The test runner reads each file's results from its stdout, and route handlers log from
+// async code that can land in the middle of one; keep their logs, but on stderr
+console.log = console.error;
+
+const { before, after } = require('node:test');
+const jwt = require('jsonwebtoken');
+
+const { createApp } = require('../app');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const tokenFor = (userId, role = 'user') => jwt.sign({ userId, email: `${userId}@example.com`, role }, JWT_SECRET);
+
+// Start a server for the file's tests and stop it when they finish. listen returns a
+// listening (or about to listen) http.Server; by default the plain Express app.
+// Returns { server, baseUrl, request }, filled in once the server is up.
+// request(method, path, body, userId, role) sends JSON as that user (no token without a
+// userId) and resolves to { status, body }, with the body parsed when it's JSON.
+const useTestServer = (listen = () => createApp().listen(0)) => {
+  const testServer = {
+    server: null,
+    baseUrl: null,
+
+    async request(method, urlPath, body, userId, role) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (userId) {
+        headers.Authorization = `Bearer ${tokenFor(userId, role)}`;
+      }
+      const response = await fetch(`${testServer.baseUrl}${urlPath}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const isJson = (response.headers.get('content-type') || '').includes('application/json');
+      return { status: response.status, body: isJson ? await response.json() : await response.text() };
+    }
+  };
+
+  before(async () => {
+    testServer.server = listen();
+    if (!testServer.server.listening) {
+      await new Promise(resolve => testServer.server.once('listening', resolve));
+    }
+    testServer.baseUrl = `http://127.0.0.1:${testServer.server.address().port}`;
+  });
+
+  after(() => {
+    if (testServer.server.listening) {
+      testServer.server.close();
+    }
+  });
+
+  return testServer;
+};
+
+// Reads `data:` events off an open Server-Sent Events response one at a time,
+// skipping heartbeats and retry hints. Resolves to null when the stream ends.
+const eventReader = (response) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  return async () => {
+    for (;;) {
+      const end = buffered.indexOf('\n\n');
+      if (end !== -1) {
+        const frame = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        if (frame.startsWith('data: ')) {
+          return JSON.parse(frame.slice('data: '.length));
+        }
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        return null;
+      }
+      buffered += decoder.decode(value, { stream: true });
+    }
+  };
+};
+
+module.exports = {
+  tokenFor,
+  useTestServer,
+  eventReader
+};
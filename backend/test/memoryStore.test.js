@@ -0,0 +1,76 @@
+// Memory store: queries behave like their Firestore counterparts, and a transaction that
+// throws leaves nothing written.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryStore } = require('../repositories/memoryStore');
+
+// A fresh store with a few dogs in it
+const dogStore = async () => {
+  const store = createMemoryStore();
+  const dogs = store.collection('dogs');
+  await dogs.set('max', { name: 'Max', age: 3, size: 'large', tags: ['ball', 'swim'], owner: { city: 'Leeds' }, born: new Date('2021-04-01') });
+  await dogs.set('bella', { name: 'Bella', age: 7, size: 'small', tags: ['nap'], owner: { city: 'York' }, born: new Date('2017-09-12') });
+  await dogs.set('rocky', { name: 'Rocky', age: 5, size: 'medium', tags: [], born: new Date('2019-01-20') });
+  return { store, dogs };
+};
+
+const names = (records) => records.map(record => record.name);
+
+test('where conditions support the Firestore operators, nested fields and dates', async () => {
+  const { dogs } = await dogStore();
+  const find = async (...conditions) => names(await dogs.find(conditions)).sort();
+
+  assert.deepStrictEqual(await find(['size', '==', 'small']), ['Bella']);
+  assert.deepStrictEqual(await find(['size', '!=', 'small']), ['Max', 'Rocky']);
+  assert.deepStrictEqual(await find(['age', '<', 5]), ['Max']);
+  assert.deepStrictEqual(await find(['age', '<=', 5]), ['Max', 'Rocky']);
+  assert.deepStrictEqual(await find(['age', '>', 5]), ['Bella']);
+  assert.deepStrictEqual(await find(['age', '>=', 5]), ['Bella', 'Rocky']);
+  assert.deepStrictEqual(await find(['size', 'in', ['small', 'medium']]), ['Bella', 'Rocky']);
+  assert.deepStrictEqual(await find(['tags', 'array-contains', 'swim']), ['Max']);
+  assert.deepStrictEqual(await find(['tags', 'array-contains-any', ['nap', 'swim']]), ['Bella', 'Max']);
+  assert.deepStrictEqual(await find(['owner.city', '==', 'York']), ['Bella']);
+  assert.deepStrictEqual(await find(['born', '==', new Date('2019-01-20')]), ['Rocky']);
+  assert.deepStrictEqual(await find(['born', '>=', new Date('2019-01-01')]), ['Max', 'Rocky']);
+
+  // Conditions combine, and documents without the field never match a comparison
+  assert.deepStrictEqual(await find(['age', '>', 2], ['size', '!=', 'large']), ['Bella', 'Rocky']);
+  assert.deepStrictEqual(await find(['owner.city', '!=', 'Leeds']), ['Bella']);
+
+  await assert.rejects(dogs.find([['name', 'like', 'M%']]), /Unsupported query operator: like/);
+});
+
+test('orderBy sorts either way and limit keeps the first results', async () => {
+  const { dogs } = await dogStore();
+
+  assert.deepStrictEqual(names(await dogs.find([], { orderBy: 'age' })), ['Max', 'Rocky', 'Bella']);
+  assert.deepStrictEqual(names(await dogs.find([], { orderBy: 'born', direction: 'desc' })), ['Max', 'Rocky', 'Bella']);
+  assert.deepStrictEqual(names(await dogs.find([], { orderBy: 'age', direction: 'desc', limit: 2 })), ['Bella', 'Rocky']);
+  assert.deepStrictEqual(names(await dogs.find([['age', '>', 3]], { orderBy: 'age', limit: 1 })), ['Rocky']);
+});
+
+test('a transaction that throws leaves nothing written', async () => {
+  const { store, dogs } = await dogStore();
+
+  await assert.rejects(store.runTransaction(async (transaction) => {
+    const max = await transaction.findById('dogs', 'max');
+    transaction.update('dogs', 'max', { age: max.age + 1 });
+    transaction.set('dogs', 'luna', { name: 'Luna', age: 1 });
+    transaction.delete('dogs', 'bella');
+    throw new Error('Changed my mind');
+  }), /Changed my mind/);
+
+  assert.strictEqual((await dogs.findById('max')).age, 3);
+  assert.strictEqual(await dogs.findById('luna'), null);
+  assert.strictEqual((await dogs.findById('bella')).name, 'Bella');
+
+  // The store keeps working after a failed transaction, and a successful one applies its writes
+  const result = await store.runTransaction(async (transaction) => {
+    const max = await transaction.findById('dogs', 'max');
+    transaction.update('dogs', 'max', { age: max.age + 1 });
+    return 'done';
+  });
+  assert.strictEqual(result, 'done');
+  assert.strictEqual((await dogs.findById('max')).age, 4);
+});
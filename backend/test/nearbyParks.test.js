@@ -0,0 +1,56 @@
+// Nearby search: parks within a radius of a point, nearest first, found through geohash ranges
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo } = require('../config/database');
+const { locationFields } = require('../utils/geo');
+
+const { request } = useTestServer();
+
+// Roughly 1 km per 0.009 degrees of latitude
+const ORIGIN = { lat: 51.5, lng: -0.12 };
+const parkNorthOf = (name, km) => parksRepo.create({
+  name,
+  address: `${name} Rd`,
+  amenities: [],
+  checkedInDogs: [],
+  ...locationFields(ORIGIN.lat + km * 0.009, ORIGIN.lng)
+});
+
+const nearby = (query) => request('GET', `/api/dog-parks/nearby?${new URLSearchParams(query)}`);
+
+before(async () => {
+  await parkNorthOf('Far Park', 50);
+  await parkNorthOf('Middle Park', 5);
+  await parkNorthOf('Corner Park', 0.5);
+  // No coordinates yet (e.g. geocoding failed) - never in nearby results
+  await parksRepo.create({ name: 'Unplaced Park', address: 'Unknown', amenities: [], checkedInDogs: [], ...locationFields(null) });
+});
+
+test('parks within the default radius come back nearest first with their distance', async () => {
+  const { status, body } = await nearby(ORIGIN);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.parks.map(park => park.name), ['Corner Park', 'Middle Park']);
+  assert.ok(Math.abs(body.parks[0].distanceKm - 0.5) < 0.05);
+  assert.ok(Math.abs(body.parks[1].distanceKm - 5) < 0.1);
+  assert.strictEqual(body.parks[0].occupancy.checkedInCount, 0);
+});
+
+test('the radius and limit narrow or widen the search', async () => {
+  const wide = await nearby({ ...ORIGIN, radiusKm: 100 });
+  assert.deepStrictEqual(wide.body.parks.map(park => park.name), ['Corner Park', 'Middle Park', 'Far Park']);
+
+  const narrow = await nearby({ ...ORIGIN, radiusKm: 1 });
+  assert.deepStrictEqual(narrow.body.parks.map(park => park.name), ['Corner Park']);
+
+  const limited = await nearby({ ...ORIGIN, radiusKm: 100, limit: 2 });
+  assert.strictEqual(limited.body.count, 2);
+});
+
+test('coordinates and radius are validated', async () => {
+  assert.strictEqual((await nearby({ lat: ORIGIN.lat })).status, 400);
+  assert.strictEqual((await nearby({ lat: 95, lng: 0 })).status, 400);
+  assert.strictEqual((await nearby({ ...ORIGIN, radiusKm: 0 })).status, 400);
+  assert.strictEqual((await nearby({ ...ORIGIN, radiusKm: 101 })).status, 400);
+});
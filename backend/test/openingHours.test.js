@@ -0,0 +1,61 @@
+// Opening hours are evaluated in the park's own time zone, with dated closures on top.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getOpenStatus, validateOpeningHours } = require('../utils/openingHours');
+
+// Mon-Fri 06:00-22:00, Saturday with a midday break, closed Sundays
+const park = {
+  name: 'Hours Park',
+  timezone: 'America/New_York',
+  opening_hours: {
+    mon: [{ open: '06:00', close: '22:00' }],
+    tue: [{ open: '06:00', close: '22:00' }],
+    wed: [{ open: '06:00', close: '22:00' }],
+    thu: [{ open: '06:00', close: '22:00' }],
+    fri: [{ open: '06:00', close: '22:00' }],
+    sat: [{ open: '08:00', close: '12:00' }, { open: '14:00', close: '20:00' }]
+  },
+  closures: [{ date: '2026-10-21', reason: 'Maintenance' }]
+};
+
+test('open during the local opening hours, with the closing time', () => {
+  // Monday 11:00 in New York
+  const status = getOpenStatus(park, new Date('2026-10-19T15:00:00Z'));
+  assert.strictEqual(status.isOpen, true);
+  assert.strictEqual(status.closesAt, '2026-10-20T02:00:00.000Z');
+});
+
+test('uses the park time zone rather than UTC', () => {
+  // 01:00 UTC Tuesday is still Monday 21:00 in New York
+  assert.strictEqual(getOpenStatus(park, new Date('2026-10-20T01:00:00Z')).isOpen, true);
+  // 15:00 UTC Monday is open in New York (11:00) but midnight Tuesday in Tokyo
+  assert.strictEqual(getOpenStatus({ ...park, timezone: 'Asia/Tokyo' }, new Date('2026-10-19T15:00:00Z')).isOpen, false);
+});
+
+test('closed between split opening hours says when it opens again', () => {
+  // Saturday 13:00 in New York
+  const status = getOpenStatus(park, new Date('2026-10-24T17:00:00Z'));
+  assert.strictEqual(status.isOpen, false);
+  assert.strictEqual(status.opensAtLocal, 'today at 14:00');
+  assert.strictEqual(status.opensAt, '2026-10-24T18:00:00.000Z');
+});
+
+test('dated closures shut the park for the whole local day', () => {
+  // Wednesday 12:00 in New York, a maintenance day
+  const status = getOpenStatus(park, new Date('2026-10-21T16:00:00Z'));
+  assert.strictEqual(status.isOpen, false);
+  assert.strictEqual(status.closedReason, 'Maintenance');
+  assert.strictEqual(status.opensAtLocal, 'tomorrow at 06:00');
+});
+
+test('parks without opening hours are always open', () => {
+  assert.strictEqual(getOpenStatus({ name: 'Anytime Park' }).isOpen, true);
+});
+
+test('rejects malformed opening hours', () => {
+  assert.match(validateOpeningHours({ monday: [] }), /Unknown day/);
+  assert.match(validateOpeningHours({ mon: [{ open: '6am', close: '22:00' }] }), /HH:MM/);
+  assert.match(validateOpeningHours({ mon: [{ open: '22:00', close: '06:00' }] }), /close must be after open/);
+  assert.strictEqual(validateOpeningHours(null), null);
+});
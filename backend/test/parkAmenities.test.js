@@ -0,0 +1,73 @@
+// Park amenities: a fixed catalogue, free-text names mapped onto it, and filtering park lists
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, usersRepo } = require('../config/database');
+const { locationFields } = require('../utils/geo');
+
+const testServer = useTestServer();
+
+// Creating and editing parks is restricted to moderators and admins
+const request = (method, urlPath, body) => testServer.request(method, urlPath, body, 'amenity-moderator', 'moderator');
+
+const parkNames = (body) => body.parks.map(park => park.name).sort();
+
+before(async () => {
+  await usersRepo.set('amenity-moderator', { email: 'amenity-moderator@example.com', role: 'moderator' });
+  // Saved before the catalogue existed, with free-text amenities
+  await parksRepo.create({
+    name: 'Legacy Park',
+    address: '12 Old Rd',
+    amenities: ['Water fountain', 'Fully fenced'],
+    checkedInDogs: [],
+    ...locationFields(40.7, -74)
+  });
+});
+
+test('the catalogue lists every amenity with its label', async () => {
+  const { status, body } = await request('GET', '/api/dog-parks/amenities');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.amenities.find(amenity => amenity.id === 'fenced'), { id: 'fenced', label: 'Fenced', emoji: '🚧' });
+});
+
+test('amenities are stored as catalogue ids and unknown ones are rejected', async () => {
+  const unknown = await request('POST', '/api/dog-parks', { name: 'Odd Park', address: '13 Odd St', amenities: ['water', 'hot tub'] });
+  assert.strictEqual(unknown.status, 400);
+  assert.match(unknown.body.error, /Unknown amenities: hot tub/);
+
+  const notAList = await request('POST', '/api/dog-parks', { name: 'Odd Park', address: '13 Odd St', amenities: 'water' });
+  assert.strictEqual(notAList.status, 400);
+
+  const created = await request('POST', '/api/dog-parks', {
+    name: 'Shady Park',
+    address: '14 Elm St',
+    amenities: ['Shade trees', 'shade', 'Small-Dog Area'],
+    latitude: 40.7,
+    longitude: -74
+  });
+  assert.strictEqual(created.status, 201);
+  assert.deepStrictEqual(created.body.park.amenities, ['shade', 'small_dog_area']);
+
+  const badUpdate = await request('PUT', `/api/dog-parks/${created.body.park.id}`, { amenities: ['jacuzzi'] });
+  assert.strictEqual(badUpdate.status, 400);
+
+  const updated = await request('PUT', `/api/dog-parks/${created.body.park.id}`, { amenities: ['shade', 'water'] });
+  assert.strictEqual(updated.status, 200);
+  assert.deepStrictEqual((await parksRepo.findById(created.body.park.id)).amenities, ['shade', 'water']);
+});
+
+test('park lists can be filtered to parks offering every requested amenity', async () => {
+  const withWater = await request('GET', '/api/dog-parks?amenities=water');
+  assert.deepStrictEqual(parkNames(withWater.body), ['Legacy Park', 'Shady Park']);
+
+  // Legacy free text matches through the aliases
+  const fencedWithWater = await request('GET', '/api/dog-parks?amenities=fenced,water');
+  assert.deepStrictEqual(parkNames(fencedWithWater.body), ['Legacy Park']);
+
+  const nearbyWithShade = await request('GET', '/api/dog-parks/nearby?lat=40.7&lng=-74&amenities=shade');
+  assert.deepStrictEqual(parkNames(nearbyWithShade.body), ['Shady Park']);
+
+  const unknown = await request('GET', '/api/dog-parks?amenities=moat');
+  assert.strictEqual(unknown.status, 400);
+});
@@ -0,0 +1,109 @@
+// Park capacity: full parks turn check-ins away, owners queue on the waitlist, and the
+// first in line is told when a spot opens up.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo, usersRepo, notificationsRepo, waitlistRepo } = require('../config/database');
+const { notifyNextOnWaitlist } = require('../services/parkWaitlist');
+
+const { request } = useTestServer();
+
+let parkId;
+let openParkId;
+const dogOf = {};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Snug Park', address: '10 Small Sq', amenities: [], checkedInDogs: [] });
+  const open = await parksRepo.create({ name: 'Open Field', address: '11 Wide Rd', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  openParkId = open.id;
+  await usersRepo.set('capacity-moderator', { email: 'capacity-moderator@example.com', role: 'moderator' });
+
+  for (const ownerId of ['ann', 'bob', 'cat', 'dan']) {
+    dogOf[ownerId] = (await dogsRepo.create({ owner_id: ownerId, name: `${ownerId}'s dog`, friends: [] })).id;
+  }
+});
+
+const checkIn = (ownerId) => request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [dogOf[ownerId]] }, ownerId);
+const waitlistStatus = (ownerId) => request('GET', `/api/dog-parks/${parkId}/waitlist`, null, ownerId);
+
+test('moderators set a capacity, which must be a positive whole number or null', async () => {
+  const invalid = await request('PUT', `/api/dog-parks/${parkId}`, { capacity: 0 }, 'capacity-moderator', 'moderator');
+  assert.strictEqual(invalid.status, 400);
+
+  const set = await request('PUT', `/api/dog-parks/${parkId}`, { capacity: 2 }, 'capacity-moderator', 'moderator');
+  assert.strictEqual(set.status, 200);
+  assert.strictEqual((await parksRepo.findById(parkId)).capacity, 2);
+});
+
+test('a full park turns check-ins away and parks without a limit have no waitlist', async () => {
+  assert.strictEqual((await checkIn('ann')).status, 200);
+  assert.strictEqual((await checkIn('bob')).status, 200);
+
+  const full = await checkIn('cat');
+  assert.strictEqual(full.status, 409);
+  assert.strictEqual(full.body.code, 'park-full');
+  assert.strictEqual(full.body.checkedInCount, 2);
+  assert.strictEqual(full.body.spotsLeft, 0);
+
+  const noLimit = await request('POST', `/api/dog-parks/${openParkId}/waitlist`, { dogIds: [dogOf.cat] }, 'cat');
+  assert.strictEqual(noLimit.status, 400);
+});
+
+test('owners queue in order and the first is offered the next free spot', async () => {
+  const someoneElsesDog = await request('POST', `/api/dog-parks/${parkId}/waitlist`, { dogIds: [dogOf.ann] }, 'cat');
+  assert.strictEqual(someoneElsesDog.status, 403);
+
+  const first = await request('POST', `/api/dog-parks/${parkId}/waitlist`, { dogIds: [dogOf.cat] }, 'cat');
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.position, 1);
+  const second = await request('POST', `/api/dog-parks/${parkId}/waitlist`, { dogIds: [dogOf.dan] }, 'dan');
+  assert.strictEqual(second.body.position, 2);
+  assert.strictEqual((await waitlistStatus('dan')).body.waitingCount, 2);
+
+  await request('POST', `/api/dog-parks/${parkId}/checkout`, { dogIds: [dogOf.ann] }, 'ann');
+
+  const offers = await notificationsRepo.find([['user_id', '==', 'cat'], ['type', '==', 'waitlist_spot_available']]);
+  assert.strictEqual(offers.length, 1);
+  const cat = await waitlistStatus('cat');
+  assert.strictEqual(cat.body.entry.status, 'notified');
+  assert.strictEqual(cat.body.position, 0);
+  assert.strictEqual((await waitlistStatus('dan')).body.position, 1);
+
+  // Checking in takes the owner off the waitlist
+  assert.strictEqual((await checkIn('cat')).status, 200);
+  assert.strictEqual((await waitlistStatus('cat')).body.entry, null);
+});
+
+test('owners can leave the waitlist', async () => {
+  const left = await request('DELETE', `/api/dog-parks/${parkId}/waitlist`, null, 'dan');
+  assert.strictEqual(left.status, 200);
+  assert.strictEqual((await waitlistStatus('dan')).body.entry, null);
+
+  const again = await request('DELETE', `/api/dog-parks/${parkId}/waitlist`, null, 'dan');
+  assert.strictEqual(again.status, 404);
+});
+
+test('spots freed at the same time go to different owners in line', async () => {
+  const park = await parksRepo.create({ name: 'Busy Corner', address: '12 Rush Rd', amenities: [], capacity: 2, checkedInDogs: [] });
+  const joinedAt = Date.now();
+  for (const [index, ownerId] of ['eve', 'fay', 'gus'].entries()) {
+    await waitlistRepo.create({
+      park_id: park.id,
+      park_name: park.name,
+      owner_id: ownerId,
+      dog_ids: [`${ownerId}-dog`],
+      status: 'waiting',
+      created_at: new Date(joinedAt + index * 1000),
+      notified_at: null
+    });
+  }
+
+  // Two check-outs leave the park with no dogs, each offering its spot
+  const offered = await Promise.all([notifyNextOnWaitlist(park, 0), notifyNextOnWaitlist(park, 0)]);
+  assert.deepStrictEqual(offered.map(entry => entry.owner_id).sort(), ['eve', 'fay']);
+
+  const waiting = await waitlistRepo.findWaiting(park.id);
+  assert.deepStrictEqual(waiting.map(entry => entry.owner_id), ['gus']);
+});
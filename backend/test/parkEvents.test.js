@@ -0,0 +1,159 @@
+// Park events: simultaneous RSVPs never overbook an event, restrictions turn dogs
+// away, and each event's reminder goes out exactly once.
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_LATENCY_MS = '10';
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo, eventsRepo, notificationsRepo, usersRepo } = require('../config/database');
+const { sendEventReminders, formatEvent } = require('../services/parkEvents');
+
+const OWNER_COUNT = 6;
+const MAX_ATTENDEES = 4;
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+let eventId;
+const dogIdsByOwner = {};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Event Park', address: '1 Event Rd', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+
+  for (let i = 0; i < OWNER_COUNT; i++) {
+    const dog = await dogsRepo.create({ owner_id: `owner-${i}`, name: `Puppy ${i}`, age: 0.5 });
+    dogIdsByOwner[`owner-${i}`] = dog.id;
+  }
+  const olderDog = await dogsRepo.create({ owner_id: 'owner-old', name: 'Grandpa', age: 9 });
+  dogIdsByOwner['owner-old'] = olderDog.id;
+
+  const { body } = await request('POST', `/api/dog-parks/${parkId}/events`, {
+    title: 'Puppy social',
+    startsAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+    endsAt: new Date(Date.now() + 90 * 60 * 1000).toISOString(),
+    maxAttendees: MAX_ATTENDEES,
+    restrictions: { maxAgeYears: 1 }
+  }, 'organiser');
+  eventId = body.event.id;
+});
+
+test('dogs outside the age restriction are turned away', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/events/${eventId}/rsvp`, {
+    dogIds: [dogIdsByOwner['owner-old']]
+  }, 'owner-old');
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.code, 'not-eligible');
+});
+
+test('simultaneous RSVPs never exceed maxAttendees', async () => {
+  const results = await Promise.all(Array.from({ length: OWNER_COUNT }, (_, i) => (
+    request('POST', `/api/dog-parks/${parkId}/events/${eventId}/rsvp`, { dogIds: [dogIdsByOwner[`owner-${i}`]] }, `owner-${i}`)
+  )));
+
+  assert.strictEqual(results.filter(({ status }) => status === 200).length, MAX_ATTENDEES);
+  results.filter(({ status }) => status !== 200).forEach(({ status, body }) => {
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.code, 'event-full');
+  });
+
+  const event = await eventsRepo.findById(eventId);
+  assert.strictEqual(event.attendees.length, MAX_ATTENDEES);
+});
+
+test('reminders reach the organiser and every attending owner once', async () => {
+  const [first, second] = await Promise.all([sendEventReminders(), sendEventReminders()]);
+  assert.strictEqual(first.reminded + second.reminded, 1);
+
+  const reminders = (await notificationsRepo.findAll())
+    .filter(notification => notification.type === 'park_event_reminder');
+  assert.strictEqual(reminders.length, MAX_ATTENDEES + 1);
+  assert.ok(reminders.some(notification => notification.user_id === 'organiser'));
+});
+
+test('events carry the organiser\'s name, including accounts that only have `name`', async () => {
+  await usersRepo.set('name-only-organiser', { email: 'name-only-organiser@example.com', name: 'Sam Test' });
+
+  // A day out, so it stays clear of the reminder window
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/events`, {
+    title: 'Sunday stroll',
+    startsAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    endsAt: new Date(Date.now() + 25 * 60 * 60 * 1000).toISOString()
+  }, 'name-only-organiser');
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.event.organizerName, 'Sam Test');
+});
+
+test('a cancellation is saved even if attendees can\'t be notified', async () => {
+  const { body } = await request('POST', `/api/dog-parks/${parkId}/events`, {
+    title: 'Rainy day meetup',
+    startsAt: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+    endsAt: new Date(Date.now() + 49 * 60 * 60 * 1000).toISOString()
+  }, 'organiser');
+  await request('POST', `/api/dog-parks/${parkId}/events/${body.event.id}/rsvp`, { dogIds: [dogIdsByOwner['owner-old']] }, 'owner-old');
+
+  const create = mock.method(notificationsRepo, 'create', async () => {
+    throw new Error('notifications unavailable');
+  });
+  try {
+    const cancelled = await request('POST', `/api/dog-parks/${parkId}/events/${body.event.id}/cancel`, { reason: 'Rain' }, 'organiser');
+    assert.strictEqual(cancelled.status, 200);
+  } finally {
+    create.mock.restore();
+  }
+
+  const event = await eventsRepo.findById(body.event.id);
+  assert.strictEqual(event.status, 'cancelled');
+});
+
+test('event times come back as ISO strings whatever the store returns', () => {
+  // Firestore returns Timestamps, which would serialize as { _seconds, _nanoseconds }
+  const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+  const event = formatEvent({
+    id: 'stored-event',
+    title: 'Stored event',
+    starts_at: timestamp('2026-11-01T10:00:00.000Z'),
+    ends_at: timestamp('2026-11-01T11:00:00.000Z'),
+    restrictions: {},
+    attendees: []
+  });
+
+  assert.strictEqual(event.startsAt, '2026-11-01T10:00:00.000Z');
+  assert.strictEqual(event.endsAt, '2026-11-01T11:00:00.000Z');
+});
+
+test('a reminder that fails to send does not stop the others and is sent next time', async () => {
+  const soon = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  const create = async (title) => (await request('POST', `/api/dog-parks/${parkId}/events`, {
+    title,
+    startsAt: soon(20),
+    endsAt: soon(80)
+  }, 'organiser')).body.event.id;
+  const failingId = await create('Flaky meetup');
+  const workingId = await create('Steady meetup');
+
+  const createNotification = notificationsRepo.create;
+  const notify = mock.method(notificationsRepo, 'create', async (notification) => {
+    if (notification.data.event_id === failingId) {
+      throw new Error('notifications unavailable');
+    }
+    return createNotification.call(notificationsRepo, notification);
+  });
+  try {
+    const result = await sendEventReminders();
+    assert.strictEqual(result.reminded, 1);
+  } finally {
+    notify.mock.restore();
+  }
+  assert.strictEqual((await eventsRepo.findById(workingId)).reminder_sent, true);
+  assert.strictEqual((await eventsRepo.findById(failingId)).reminder_sent, false);
+
+  const retry = await sendEventReminders();
+  assert.strictEqual(retry.reminded, 1);
+  assert.strictEqual((await eventsRepo.findById(failingId)).reminder_sent, true);
+});
@@ -0,0 +1,171 @@
+// Park geocoding against the offline fixture geocoder: lookups on create/update,
+// failures saved on the park, and the retry job picking them up later.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixturePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dogapp-geocoder-')), 'addresses.json');
+const writeFixtures = (fixtures) => fs.writeFileSync(fixturePath, JSON.stringify(fixtures));
+
+writeFixtures({
+  'Central Park, New York, NY': { latitude: 40.7812, longitude: -73.9665 },
+  'Prospect Park, Brooklyn, NY': { latitude: 40.6602, longitude: -73.969 },
+  'Flaky Ave': { error: 'Service unavailable' }
+});
+
+process.env.GEOCODER = 'fixture';
+process.env.GEOCODER_FIXTURE = fixturePath;
+process.env.GEOCODING_RETRY_BATCH_SIZE = '2';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, usersRepo } = require('../config/database');
+const { retryFailedGeocoding } = require('../services/parkGeocoding');
+
+const testServer = useTestServer();
+
+// Creating and editing parks is restricted to moderators and admins
+const request = (method, urlPath, body) => testServer.request(method, urlPath, body, 'geocoding-test-user', 'moderator');
+
+before(async () => {
+  await usersRepo.set('geocoding-test-user', { email: 'geocoding-test-user@example.com', role: 'moderator' });
+});
+
+test('creating a park geocodes its address', async () => {
+  const { status, body } = await request('POST', '/api/dog-parks', {
+    name: 'Central Bark',
+    address: 'central park, new york, ny'
+  });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.park.latitude, 40.7812);
+  assert.strictEqual(body.park.longitude, -73.9665);
+  assert.strictEqual(body.park.geocoding.status, 'ok');
+  assert.ok(body.park.geohash);
+});
+
+test('unknown addresses are saved without coordinates', async () => {
+  const { status, body } = await request('POST', '/api/dog-parks', {
+    name: 'Mystery Park',
+    address: 'Nowhere Lane'
+  });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.park.latitude, null);
+  assert.strictEqual(body.park.geocoding.status, 'not_found');
+});
+
+test('changing the address geocodes it again', async () => {
+  const created = await request('POST', '/api/dog-parks', {
+    name: 'Moving Park',
+    address: 'Central Park, New York, NY'
+  });
+
+  const updated = await request('PUT', `/api/dog-parks/${created.body.park.id}`, {
+    address: 'Prospect Park, Brooklyn, NY'
+  });
+  assert.strictEqual(updated.status, 200);
+
+  const park = await parksRepo.findById(created.body.park.id);
+  assert.strictEqual(park.latitude, 40.6602);
+  assert.strictEqual(park.geocoding.status, 'ok');
+});
+
+test('a new address that fails to geocode clears the old coordinates', async () => {
+  const created = await request('POST', '/api/dog-parks', {
+    name: 'Relocated Park',
+    address: 'Central Park, New York, NY'
+  });
+  const parkId = created.body.park.id;
+
+  // Sending the same address again doesn't look it up or touch the coordinates
+  const unchanged = await request('PUT', `/api/dog-parks/${parkId}`, { address: 'Central Park, New York, NY' });
+  assert.strictEqual(unchanged.status, 200);
+  assert.strictEqual((await parksRepo.findById(parkId)).latitude, 40.7812);
+
+  const moved = await request('PUT', `/api/dog-parks/${parkId}`, { address: 'Flaky Ave' });
+  assert.strictEqual(moved.status, 200);
+  assert.strictEqual(moved.body.geocoding.status, 'failed');
+
+  const park = await parksRepo.findById(parkId);
+  assert.strictEqual(park.address, 'Flaky Ave');
+  assert.strictEqual(park.latitude, null);
+  assert.strictEqual(park.geohash, null);
+
+  // A moderator placing it by hand takes it out of the retry queue
+  await request('PUT', `/api/dog-parks/${parkId}`, { latitude: 40.76, longitude: -73.97 });
+  assert.strictEqual((await parksRepo.findById(parkId)).geocoding.status, 'manual');
+});
+
+test('updating a park that does not exist is a 404', async () => {
+  const renamed = await request('PUT', '/api/dog-parks/no-such-park', { name: 'Ghost Park' });
+  assert.strictEqual(renamed.status, 404);
+
+  const readdressed = await request('PUT', '/api/dog-parks/no-such-park', { address: 'Central Park, New York, NY' });
+  assert.strictEqual(readdressed.status, 404);
+});
+
+test('geocoder failures do not block creation and are retried later', async () => {
+  const { status, body } = await request('POST', '/api/dog-parks', {
+    name: 'Flaky Park',
+    address: 'Flaky Ave'
+  });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.park.latitude, null);
+  assert.strictEqual(body.park.geocoding.status, 'failed');
+  assert.strictEqual(body.park.geocoding.error, 'Service unavailable');
+
+  // Still failing - the attempt is counted
+  await retryFailedGeocoding();
+  let park = await parksRepo.findById(body.park.id);
+  assert.strictEqual(park.geocoding.status, 'failed');
+  assert.strictEqual(park.geocoding.attempts, 2);
+
+  // Provider recovers
+  writeFixtures({ 'Flaky Ave': { latitude: 47.6275, longitude: -122.3372 } });
+  const result = await retryFailedGeocoding();
+  assert.strictEqual(result.resolved, 1);
+
+  park = await parksRepo.findById(body.park.id);
+  assert.strictEqual(park.latitude, 47.6275);
+  assert.strictEqual(park.geocoding.status, 'ok');
+});
+
+test('coordinates supplied by the user skip geocoding', async () => {
+  const { status, body } = await request('POST', '/api/dog-parks', {
+    name: 'Pinned Park',
+    address: 'Flaky Ave',
+    latitude: 10,
+    longitude: 20
+  });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.park.latitude, 10);
+  assert.strictEqual(body.park.geocoding.status, 'manual');
+});
+
+test('each retry run takes a limited batch, longest-waiting first', async () => {
+  writeFixtures({
+    'Outage Rd 1': { error: 'Service unavailable' },
+    'Outage Rd 2': { error: 'Service unavailable' },
+    'Outage Rd 3': { error: 'Service unavailable' }
+  });
+  const parkIds = [];
+  for (const number of [1, 2, 3]) {
+    const { body } = await request('POST', '/api/dog-parks', { name: `Outage Park ${number}`, address: `Outage Rd ${number}` });
+    parkIds.push(body.park.id);
+  }
+
+  const first = await retryFailedGeocoding();
+  assert.strictEqual(first.retried, 2);
+  const attempts = async () => Promise.all(parkIds.map(async (id) => (await parksRepo.findById(id)).geocoding.attempts));
+  assert.deepStrictEqual(await attempts(), [2, 2, 1]);
+
+  // The park left out last time goes first
+  const second = await retryFailedGeocoding();
+  assert.strictEqual(second.retried, 2);
+  assert.strictEqual((await attempts())[2], 2);
+});
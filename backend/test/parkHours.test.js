@@ -0,0 +1,71 @@
+// Park hours at check-in: a closed park turns dogs away with when it opens again and why
+// it's shut, while a park within its opening hours lets them in.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo } = require('../config/database');
+
+const { request } = useTestServer();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALL_DAY = [{ open: '00:00', close: '24:00' }];
+
+// YYYY-MM-DD in UTC, the time zone of both test parks
+const utcDate = (date) => date.toISOString().slice(0, 10);
+
+let closedParkId;
+let openParkId;
+let dogId;
+
+before(async () => {
+  // Shut today and tomorrow, so the test still sees it closed if it runs across midnight
+  const now = new Date();
+  const closed = await parksRepo.create({
+    name: 'Resurfacing Park',
+    address: '12 Gravel Rd',
+    amenities: [],
+    checkedInDogs: [],
+    timezone: 'UTC',
+    opening_hours: null,
+    closures: [
+      { date: utcDate(now), reason: 'Resurfacing' },
+      { date: utcDate(new Date(now.getTime() + DAY_MS)), reason: 'Resurfacing' }
+    ]
+  });
+  const open = await parksRepo.create({
+    name: 'Round the Clock Park',
+    address: '13 Late Ln',
+    amenities: [],
+    checkedInDogs: [],
+    timezone: 'UTC',
+    opening_hours: { sun: ALL_DAY, mon: ALL_DAY, tue: ALL_DAY, wed: ALL_DAY, thu: ALL_DAY, fri: ALL_DAY, sat: ALL_DAY },
+    closures: []
+  });
+  closedParkId = closed.id;
+  openParkId = open.id;
+  dogId = (await dogsRepo.create({ owner_id: 'hours-owner', name: 'Scout', friends: [] })).id;
+});
+
+test('checking in at a closed park is refused with when it opens and why', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${closedParkId}/checkin`, { dogIds: [dogId] }, 'hours-owner');
+
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.code, 'park-closed');
+  assert.strictEqual(body.closedReason, 'Resurfacing');
+  assert.ok(new Date(body.opensAt) > new Date());
+  assert.match(body.error, /Resurfacing Park is closed today \(Resurfacing\)/);
+
+  const park = await parksRepo.findById(closedParkId);
+  assert.deepStrictEqual(park.checkedInDogs, []);
+});
+
+test('a park within its opening hours accepts the check-in', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${openParkId}/checkin`, { dogIds: [dogId] }, 'hours-owner');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.visits.length, 1);
+
+  const park = await parksRepo.findById(openParkId);
+  assert.deepStrictEqual(park.checkedInDogs, [dogId]);
+});
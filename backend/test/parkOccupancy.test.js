@@ -0,0 +1,81 @@
+// Park occupancy feed: one stream keeps the whole park list's counts and size breakdowns live
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer, tokenFor, eventReader } = require('./helpers');
+const { parksRepo } = require('../config/database');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let busyParkId;
+let quietParkId;
+let pip;
+let bruno;
+
+before(async () => {
+  pip = (await request('POST', '/api/dogs', { name: 'Pip', breed: 'Terrier', age: 2, size: 'Small' }, 'owner')).body.dog;
+  bruno = (await request('POST', '/api/dogs', { name: 'Bruno', breed: 'Mastiff', age: 5, size: 'large' }, 'owner')).body.dog;
+  const busy = await parksRepo.create({ name: 'Busy Park', address: '5 Main St', amenities: [], capacity: 10, checkedInDogs: [pip.id] });
+  const quiet = await parksRepo.create({ name: 'Quiet Park', address: '6 Side St', amenities: [], checkedInDogs: [] });
+  busyParkId = busy.id;
+  quietParkId = quiet.id;
+});
+
+test('the feed needs a valid token', async () => {
+  const anonymous = await fetch(`${testServer.baseUrl}/api/dog-parks/occupancy/stream`);
+  assert.strictEqual(anonymous.status, 401);
+});
+
+test('subscribers get every park\'s counts, then each park that changes', async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${testServer.baseUrl}/api/dog-parks/occupancy/stream?token=${tokenFor('lister')}`, {
+    signal: controller.signal
+  });
+  assert.strictEqual(response.status, 200);
+  const nextEvent = eventReader(response);
+
+  const snapshot = await nextEvent();
+  assert.strictEqual(snapshot.type, 'occupancy_snapshot');
+  const byPark = new Map(snapshot.parks.map(park => [park.parkId, park]));
+  assert.deepStrictEqual(byPark.get(busyParkId), {
+    parkId: busyParkId,
+    checkedInCount: 1,
+    capacity: 10,
+    spotsLeft: 9,
+    sizes: { small: 1, medium: 0, large: 0 },
+    dogs: [{ id: pip.id, name: 'Pip', emoji: pip.emoji, photo_url: pip.photo_url }]
+  });
+  assert.strictEqual(byPark.get(quietParkId).checkedInCount, 0);
+
+  await request('POST', `/api/dog-parks/${busyParkId}/checkin`, { dogIds: [bruno.id] }, 'owner');
+  const update = await nextEvent();
+  assert.strictEqual(update.type, 'occupancy_update');
+  assert.strictEqual(update.parks.length, 1);
+  assert.strictEqual(update.parks[0].parkId, busyParkId);
+  assert.strictEqual(update.parks[0].checkedInCount, 2);
+  assert.deepStrictEqual(update.parks[0].sizes, { small: 1, medium: 0, large: 1 });
+  assert.deepStrictEqual(update.parks[0].dogs.map(dog => dog.name), ['Pip', 'Bruno']);
+
+  controller.abort();
+});
+
+test('a checked-in dog\'s size or name change reaches the feed', async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${testServer.baseUrl}/api/dog-parks/occupancy/stream?token=${tokenFor('lister')}`, {
+    signal: controller.signal
+  });
+  const nextEvent = eventReader(response);
+  assert.strictEqual((await nextEvent()).type, 'occupancy_snapshot');
+
+  const edited = await request('PUT', `/api/dogs/${pip.id}`, { name: 'Pippa', size: 'medium' }, 'owner');
+  assert.strictEqual(edited.status, 200);
+
+  const update = await nextEvent();
+  assert.strictEqual(update.type, 'occupancy_update');
+  assert.strictEqual(update.parks[0].parkId, busyParkId);
+  assert.deepStrictEqual(update.parks[0].sizes, { small: 0, medium: 1, large: 1 });
+  assert.ok(update.parks[0].dogs.some(dog => dog.name === 'Pippa'));
+
+  controller.abort();
+});
@@ -0,0 +1,95 @@
+// Park photos: uploads become the cover when they're first, only uploaders (or moderators)
+// can delete them, and deleting the cover promotes the next photo. S3 is replaced by an
+// in-process fake, installed before the app loads the upload helpers.
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const s3 = require('../dogUploadPicture');
+const storedKeys = new Set();
+mock.method(s3, 'uploadToS3', async (file, userId, keyPrefix) => {
+  const key = `${keyPrefix}/${userId}-${storedKeys.size}-${file.originalname}`;
+  storedKeys.add(key);
+  return { success: true, key, photoUrl: `https://photos.test/${key}` };
+});
+mock.method(s3, 'deleteFromS3', async (key) => {
+  storedKeys.delete(key);
+  return { success: true };
+});
+mock.method(s3, 'getPhotoUrl', async (key) => `https://photos.test/${key}`);
+
+const { useTestServer, tokenFor } = require('./helpers');
+const { parksRepo, usersRepo } = require('../config/database');
+const { formatPhoto } = require('../services/parkPhotos');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+
+const upload = async (userId, caption, type = 'image/jpeg') => {
+  const form = new FormData();
+  form.append('photo', new Blob([Buffer.from('not really a jpeg')], { type }), 'photo.jpg');
+  form.append('caption', caption);
+  const response = await fetch(`${testServer.baseUrl}/api/dog-parks/${parkId}/photos`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${tokenFor(userId)}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Photo Park', address: '15 Lens Ln', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  await usersRepo.set('photo-moderator', { email: 'photo-moderator@example.com', role: 'moderator' });
+});
+
+test('uploads are validated and the first photo becomes the cover', async () => {
+  const wrongType = await upload('ava', 'A document', 'application/pdf');
+  assert.strictEqual(wrongType.status, 400);
+
+  const first = await upload('ava', 'The entrance');
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(first.body.isCover, true);
+  assert.strictEqual(first.body.photo.uploadedBy, 'ava');
+
+  const second = await upload('ben', 'The pond');
+  assert.strictEqual(second.body.isCover, false);
+
+  const { body } = await request('GET', `/api/dog-parks/${parkId}/photos`);
+  assert.strictEqual(body.coverPhotoId, first.body.photo.id);
+  assert.strictEqual(body.photos.length, 2);
+});
+
+test('only the uploader or a moderator can delete a photo, and the cover moves on', async () => {
+  const { body } = await request('GET', `/api/dog-parks/${parkId}/photos`);
+  const cover = body.photos.find(photo => photo.id === body.coverPhotoId);
+  const other = body.photos.find(photo => photo.id !== body.coverPhotoId);
+
+  const notTheirs = await request('DELETE', `/api/dog-parks/${parkId}/photos/${cover.id}`, null, 'ben');
+  assert.strictEqual(notTheirs.status, 403);
+
+  const own = await request('DELETE', `/api/dog-parks/${parkId}/photos/${cover.id}`, null, 'ava');
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual((await parksRepo.findById(parkId)).cover_photo_id, other.id);
+  assert.strictEqual(storedKeys.size, 1);
+
+  const moderated = await request('DELETE', `/api/dog-parks/${parkId}/photos/${other.id}`, null, 'photo-moderator', 'moderator');
+  assert.strictEqual(moderated.status, 200);
+  assert.strictEqual((await parksRepo.findById(parkId)).cover_photo_id, null);
+  assert.strictEqual(storedKeys.size, 0);
+
+  const gone = await request('DELETE', `/api/dog-parks/${parkId}/photos/${other.id}`, null, 'photo-moderator', 'moderator');
+  assert.strictEqual(gone.status, 404);
+});
+
+test('photo times come back as ISO strings whatever the store returns', async () => {
+  // Firestore returns Timestamps, which would serialize as { _seconds, _nanoseconds }
+  const photo = await formatPhoto({
+    id: 'stored-photo',
+    key: 'ParkPictures/stored.jpg',
+    created_at: { toDate: () => new Date('2026-11-01T10:00:00.000Z') }
+  });
+
+  assert.strictEqual(photo.createdAt, '2026-11-01T10:00:00.000Z');
+});
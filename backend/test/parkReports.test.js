@@ -0,0 +1,100 @@
+// Condition reports: critical ones warn recent visitors, and the park's active_reports
+// summary follows each report through open -> acknowledged -> resolved.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, visitsRepo, notificationsRepo, usersRepo } = require('../config/database');
+const { formatReport } = require('../services/parkReports');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+
+const visit = (ownerId, daysAgo) => visitsRepo.create({
+  dog_id: `${ownerId}-dog`,
+  owner_id: ownerId,
+  park_id: parkId,
+  checked_in_at: new Date(Date.now() - daysAgo * DAY_MS),
+  checked_out_at: new Date(Date.now() - daysAgo * DAY_MS)
+});
+
+const alertsFor = async (userId) => {
+  const notifications = await notificationsRepo.findByUser(userId);
+  return notifications.filter(notification => notification.type === 'park_condition_alert');
+};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Report Park', address: '1 Report Rd', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  await usersRepo.set('moderator-1', { email: 'moderator-1@example.com', role: 'moderator' });
+
+  await visit('recent-visitor', 1);
+  await visit('old-visitor', 30);
+  await visit('reporter', 0);
+});
+
+test('a critical report warns recent visitors other than the reporter', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/reports`, {
+    category: 'broken_fence',
+    description: 'Gap in the fence by the pond'
+  }, 'reporter');
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.report.critical, true);
+  assert.strictEqual(body.notifiedCount, 1);
+  assert.strictEqual((await alertsFor('recent-visitor')).length, 1);
+  assert.strictEqual((await alertsFor('old-visitor')).length, 0);
+  assert.strictEqual((await alertsFor('reporter')).length, 0);
+});
+
+test('non-critical reports notify nobody', async () => {
+  const { body } = await request('POST', `/api/dog-parks/${parkId}/reports`, {
+    category: 'water',
+    description: 'Fountain is dry'
+  }, 'reporter');
+
+  assert.strictEqual(body.notifiedCount, 0);
+  assert.strictEqual((await alertsFor('recent-visitor')).length, 1);
+});
+
+test('moderators move reports through their lifecycle and the park summary follows', async () => {
+    const { body: filed } = await request('POST', `/api/dog-parks/${parkId}/reports`, {
+    category: 'flooding',
+    description: 'Small-dog area under water'
+  }, 'reporter');
+  const reportId = filed.report.id;
+
+  const forbidden = await request('PUT', `/api/dog-parks/${parkId}/reports/${reportId}/status`, { status: 'resolved' }, 'reporter');
+  assert.strictEqual(forbidden.status, 403);
+
+  await request('PUT', `/api/dog-parks/${parkId}/reports/${reportId}/status`, { status: 'acknowledged' }, 'moderator-1', 'moderator');
+  let park = await parksRepo.findById(parkId);
+  assert.strictEqual(park.active_reports.find(summary => summary.id === reportId).status, 'acknowledged');
+
+  const resolved = await request('PUT', `/api/dog-parks/${parkId}/reports/${reportId}/status`, { status: 'resolved', note: 'Drained' }, 'moderator-1', 'moderator');
+  assert.strictEqual(resolved.body.report.resolutionNote, 'Drained');
+  park = await parksRepo.findById(parkId);
+  assert.strictEqual(park.active_reports.some(summary => summary.id === reportId), false);
+
+  const invalid = await request('PUT', `/api/dog-parks/${parkId}/reports/${reportId}/status`, { status: 'acknowledged' }, 'moderator-1', 'moderator');
+  assert.strictEqual(invalid.status, 409);
+  assert.strictEqual(invalid.body.code, 'invalid-status');
+});
+
+test('report times come back as ISO strings whatever the store returns', async () => {
+  // Firestore returns Timestamps, which would serialize as { _seconds, _nanoseconds }
+  const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+  const report = await formatReport({
+    id: 'stored-report',
+    category: 'water',
+    created_at: timestamp('2026-11-01T10:00:00.000Z'),
+    updated_at: timestamp('2026-11-02T10:00:00.000Z')
+  });
+
+  assert.strictEqual(report.createdAt, '2026-11-01T10:00:00.000Z');
+  assert.strictEqual(report.updatedAt, '2026-11-02T10:00:00.000Z');
+});
@@ -0,0 +1,102 @@
+// Park reviews: only visitors can review, and the park's rating totals stay
+// correct as reviews are added, edited and deleted - including at the same time.
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_LATENCY_MS = '10';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, visitsRepo, usersRepo } = require('../config/database');
+const { formatReview } = require('../services/parkReviews');
+
+const REVIEWER_COUNT = 8;
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Review Park', address: '1 Review Rd', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+
+  for (let i = 0; i < REVIEWER_COUNT; i++) {
+    await visitsRepo.create({
+      dog_id: `review-dog-${i}`,
+      owner_id: `reviewer-${i}`,
+      park_id: parkId,
+      checked_in_at: new Date(),
+      checked_out_at: new Date()
+    });
+  }
+});
+
+test('owners who never checked in cannot review the park', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/reviews`, { rating: 5 }, 'stranger');
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.code, 'not-visited');
+});
+
+test('concurrent reviews, edits and deletes keep the park rating in step', async () => {
+  const created = await Promise.all(Array.from({ length: REVIEWER_COUNT }, (_, i) => (
+    request('POST', `/api/dog-parks/${parkId}/reviews`, { rating: (i % 5) + 1, text: `Review ${i}` }, `reviewer-${i}`)
+  )));
+  created.forEach(({ status }) => assert.strictEqual(status, 201));
+
+  // Everyone bumps their rating to 5 while the first two delete theirs
+  await Promise.all(created.map(({ body }, i) => (
+    i < 2
+      ? request('DELETE', `/api/dog-parks/${parkId}/reviews/${body.review.id}`, null, `reviewer-${i}`)
+      : request('PUT', `/api/dog-parks/${parkId}/reviews/${body.review.id}`, { rating: 5 }, `reviewer-${i}`)
+  )));
+
+  const park = await parksRepo.findById(parkId);
+  assert.strictEqual(park.review_count, REVIEWER_COUNT - 2);
+  assert.strictEqual(park.rating_total, (REVIEWER_COUNT - 2) * 5);
+  assert.strictEqual(park.rating_average, 5);
+
+  const { body } = await request('GET', `/api/dog-parks/${parkId}/reviews`, null, 'stranger');
+  assert.strictEqual(body.reviews.length, REVIEWER_COUNT - 2);
+  assert.strictEqual(body.ratingAverage, 5);
+});
+
+test('a second review by the same owner is rejected', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/reviews`, { rating: 1 }, 'reviewer-5');
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.code, 'already-reviewed');
+});
+
+test('owners can only edit their own review', async () => {
+  const { status } = await request('PUT', `/api/dog-parks/${parkId}/reviews/${parkId}_reviewer-5`, { rating: 1 }, 'reviewer-6');
+  assert.strictEqual(status, 403);
+});
+
+test('reviews carry the author\'s name, including accounts that only have `name`', async () => {
+  await usersRepo.set('full-name-reviewer', { email: 'full@example.com', fullName: 'Jo Bloggs' });
+  await usersRepo.set('name-only-reviewer', { email: 'name-only@example.com', name: 'Sam Test' });
+
+  for (const ownerId of ['full-name-reviewer', 'name-only-reviewer']) {
+    await visitsRepo.create({ dog_id: `${ownerId}-dog`, owner_id: ownerId, park_id: parkId, checked_in_at: new Date(), checked_out_at: new Date() });
+  }
+
+  const full = await request('POST', `/api/dog-parks/${parkId}/reviews`, { rating: 4 }, 'full-name-reviewer');
+  assert.strictEqual(full.body.review.authorName, 'Jo Bloggs');
+
+  const nameOnly = await request('POST', `/api/dog-parks/${parkId}/reviews`, { rating: 4 }, 'name-only-reviewer');
+  assert.strictEqual(nameOnly.body.review.authorName, 'Sam Test');
+});
+
+test('review times come back as ISO strings whatever the store returns', () => {
+  // Firestore returns Timestamps, which would serialize as { _seconds, _nanoseconds }
+  const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+  const review = formatReview({
+    id: 'stored-review',
+    rating: 4,
+    created_at: timestamp('2026-11-01T10:00:00.000Z'),
+    updated_at: timestamp('2026-11-02T10:00:00.000Z')
+  });
+
+  assert.strictEqual(review.createdAt, '2026-11-01T10:00:00.000Z');
+  assert.strictEqual(review.updatedAt, '2026-11-02T10:00:00.000Z');
+});
@@ -0,0 +1,149 @@
+// Park sockets: authenticated Socket.IO clients join a park's room and get per-dog changes
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('http');
+// ws ships with socket.io (engine.io runs on it); there's no Socket.IO client in the backend
+const WebSocket = require('ws');
+
+const { useTestServer, tokenFor } = require('./helpers');
+const { createApp } = require('../app');
+const { createSocketServer } = require('../sockets/parkSocket');
+const { parksRepo, dogsRepo } = require('../config/database');
+const { getPubSub } = require('../services/pubsub');
+
+// The first subscription to park updates (when the server starts) fails, as it would with
+// Redis unreachable; sockets joining a room have to subscribe again
+const subscribe = mock.method(getPubSub(), 'subscribe');
+subscribe.mock.mockImplementationOnce(async () => {
+  throw new Error('Redis unavailable');
+});
+
+let io;
+const testServer = useTestServer(() => {
+  const server = createServer(createApp());
+  io = createSocketServer(server);
+  return server.listen(0);
+});
+const { request } = testServer;
+
+let parkId;
+let rex;
+
+// Just enough of the Socket.IO protocol (v5 over engine.io v4) to connect, emit with
+// acknowledgements and receive events. Resolves to { error } if the handshake is refused.
+const connect = (token) => new Promise((resolve) => {
+  const ws = new WebSocket(`${testServer.baseUrl.replace('http', 'ws')}/socket.io/?EIO=4&transport=websocket`);
+  const pendingAcks = new Map();
+  const received = [];
+  const waiting = [];
+  let nextAckId = 0;
+
+  const client = {
+    emit: (event, data) => new Promise(resolveAck => {
+      const ackId = nextAckId++;
+      pendingAcks.set(ackId, resolveAck);
+      const args = data === undefined ? [event] : [event, data];
+      ws.send(`42${ackId}${JSON.stringify(args)}`);
+    }),
+    nextEvent: () => new Promise(resolveEvent => {
+      if (received.length > 0) {
+        return resolveEvent(received.shift());
+      }
+      waiting.push(resolveEvent);
+    }),
+    close: () => ws.close()
+  };
+
+  ws.on('message', (raw) => {
+    const packet = raw.toString();
+    if (packet.startsWith('0')) {
+      ws.send(`40${JSON.stringify(token ? { token } : {})}`);
+    } else if (packet === '2') {
+      ws.send('3');
+    } else if (packet.startsWith('40')) {
+      resolve(client);
+    } else if (packet.startsWith('44')) {
+      ws.close();
+      resolve({ error: JSON.parse(packet.slice(2)).message });
+    } else if (packet.startsWith('42')) {
+      const [name, data] = JSON.parse(packet.slice(2));
+      const event = { name, data };
+      if (waiting.length > 0) {
+        waiting.shift()(event);
+      } else {
+        received.push(event);
+      }
+    } else if (packet.startsWith('43')) {
+      const [, ackId, payload] = packet.match(/^43(\d+)(.*)$/);
+      pendingAcks.get(Number(ackId))(JSON.parse(payload)[0]);
+      pendingAcks.delete(Number(ackId));
+    }
+  });
+});
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Socket Park', address: '4 Wire St', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  rex = await dogsRepo.create({ owner_id: 'rex-owner', name: 'Rex', breed: 'Boxer', friends: [] });
+});
+
+after(() => {
+  io.close();
+});
+
+test('connections without a valid token are refused', async () => {
+  assert.deepStrictEqual(await connect(null), { error: 'Access token required' });
+  assert.deepStrictEqual(await connect('not-a-token'), { error: 'Invalid or expired token' });
+});
+
+test('joining a room retries a subscription that failed', async () => {
+  assert.strictEqual(subscribe.mock.callCount(), 1);
+  const client = await connect(tokenFor('occupancy-watcher'));
+
+  const joined = await client.emit('joinOccupancy');
+  assert.strictEqual(joined.success, true);
+  assert.strictEqual(subscribe.mock.callCount(), 2);
+
+  await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [rex.id] }, 'rex-owner');
+  const occupancy = await client.nextEvent();
+  assert.strictEqual(occupancy.name, 'parkOccupancy');
+  assert.strictEqual(occupancy.data.parks[0].parkId, parkId);
+  assert.strictEqual(occupancy.data.parks[0].checkedInCount, 1);
+
+  await request('POST', `/api/dog-parks/${parkId}/checkout`, { dogIds: [rex.id] }, 'rex-owner');
+  await client.nextEvent();
+  await client.emit('leaveOccupancy');
+  client.close();
+});
+
+test('room members get arrivals, profile changes and departures for their park', async () => {
+  const client = await connect(tokenFor('watcher'));
+
+  const missing = await client.emit('joinPark', 'no-such-park');
+  assert.deepStrictEqual(missing, { success: false, error: 'Park not found' });
+
+  const joined = await client.emit('joinPark', parkId);
+  assert.deepStrictEqual(joined, { success: true, parkId, dogs: [] });
+
+  await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [rex.id] }, 'rex-owner');
+  const arrived = await client.nextEvent();
+  assert.strictEqual(arrived.name, 'dogArrived');
+  assert.strictEqual(arrived.data.dog.name, 'Rex');
+
+  await request('PUT', `/api/dogs/${rex.id}`, { name: 'Rex the Great' }, 'rex-owner');
+  const updated = await client.nextEvent();
+  assert.strictEqual(updated.name, 'dogUpdated');
+  assert.strictEqual(updated.data.dog.name, 'Rex the Great');
+
+  await request('POST', `/api/dog-parks/${parkId}/checkout`, { dogIds: [rex.id] }, 'rex-owner');
+  const left = await client.nextEvent();
+  assert.deepStrictEqual(left, {
+    name: 'dogLeft',
+    data: { parkId, dogId: rex.id, reason: 'manual', toParkId: null }
+  });
+
+  // Leaving the room (or disconnecting) stops the updates
+  await client.emit('leavePark', parkId);
+  assert.strictEqual(io.sockets.adapter.rooms.has(`park:${parkId}`), false);
+  client.close();
+});
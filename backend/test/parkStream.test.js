@@ -0,0 +1,66 @@
+// Park stream: clients without Firestore follow a park's dogs over Server-Sent Events
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer, tokenFor, eventReader } = require('./helpers');
+const { parksRepo, dogsRepo } = require('../config/database');
+const { sseConnections } = require('../services/parkBroadcast');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+let rex;
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 50 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Stream Park', address: '3 Brook Ln', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  rex = await dogsRepo.create({ owner_id: 'rex-owner', name: 'Rex', breed: 'Boxer', friends: [] });
+});
+
+test('the stream needs a valid token and an existing park', async () => {
+  const anonymous = await fetch(`${testServer.baseUrl}/api/dog-parks/${parkId}/stream`);
+  assert.strictEqual(anonymous.status, 401);
+
+  const forged = await fetch(`${testServer.baseUrl}/api/dog-parks/${parkId}/stream?token=not-a-token`);
+  assert.strictEqual(forged.status, 403);
+
+  const missing = await fetch(`${testServer.baseUrl}/api/dog-parks/no-such-park/stream?token=${tokenFor('watcher')}`);
+  assert.strictEqual(missing.status, 404);
+});
+
+test('subscribers get a snapshot, then an update on every check-in and check-out', async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${testServer.baseUrl}/api/dog-parks/${parkId}/stream?token=${tokenFor('watcher')}`, {
+    signal: controller.signal
+  });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const nextEvent = eventReader(response);
+  const snapshot = await nextEvent();
+  assert.strictEqual(snapshot.type, 'park_snapshot');
+  assert.deepStrictEqual(snapshot.dogs, []);
+
+  await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [rex.id] }, 'rex-owner');
+  const arrived = await nextEvent();
+  assert.strictEqual(arrived.type, 'park_update');
+  assert.strictEqual(arrived.change.type, 'check_in');
+  assert.deepStrictEqual(arrived.dogs.map(dog => dog.name), ['Rex']);
+
+  await request('POST', `/api/dog-parks/${parkId}/checkout`, { dogIds: [rex.id] }, 'rex-owner');
+  const left = await nextEvent();
+  assert.strictEqual(left.change.type, 'check_out');
+  assert.deepStrictEqual(left.dogs, []);
+
+  // Disconnecting unregisters the client
+  controller.abort();
+  await waitFor(() => !sseConnections.has(parkId));
+  assert.strictEqual(sseConnections.has(parkId), false);
+});
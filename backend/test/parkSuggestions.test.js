@@ -0,0 +1,136 @@
+// Park suggestions: duplicate detection, the moderator queue, and the submitter
+// being notified of approvals and rejections.
+process.env.GEOCODER = 'fixture';
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, notificationsRepo, usersRepo } = require('../config/database');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+const suggest = (park) => request('POST', '/api/park-suggestions', { address: 'Somewhere', ...park }, 'suggestion-submitter');
+
+before(async () => {
+  await usersRepo.set('suggestion-moderator', { email: 'suggestion-moderator@example.com', role: 'moderator' });
+  await parksRepo.create({
+    name: 'Riverside Dog Park',
+    address: 'Riverside Dr',
+    amenities: [],
+    checkedInDogs: [],
+    latitude: 40.8,
+    longitude: -73.97,
+    geohash: null
+  });
+});
+
+test('regular users cannot see the moderation queue', async () => {
+  const { status } = await request('GET', '/api/park-suggestions', null, 'suggestion-submitter');
+  assert.strictEqual(status, 403);
+});
+
+test('suggestions matching an existing park by name or distance are flagged', async () => {
+  const sameName = await suggest({ name: 'The Riverside Park', latitude: 40.81, longitude: -73.97 });
+  assert.strictEqual(sameName.status, 201);
+  assert.deepStrictEqual(sameName.body.possibleDuplicates.map(match => match.reasons), [['name']]);
+
+  const nextDoor = await suggest({ name: 'Hudson Run', latitude: 40.8005, longitude: -73.9702 });
+  assert.deepStrictEqual(nextDoor.body.possibleDuplicates.map(match => match.reasons), [['nearby']]);
+
+  // Same name in another city is a different park
+  const elsewhere = await suggest({ name: 'Riverside', latitude: 34.05, longitude: -118.24 });
+  assert.deepStrictEqual(elsewhere.body.possibleDuplicates, []);
+});
+
+test('approving a likely duplicate needs confirmation, then creates the park', async () => {
+  const { body } = await suggest({ name: 'Riverside Off Leash Area', latitude: 40.8001, longitude: -73.9701 });
+  const suggestionId = body.suggestion.id;
+
+  const blocked = await request('POST', `/api/park-suggestions/${suggestionId}/approve`, {}, 'suggestion-moderator', 'moderator');
+  assert.strictEqual(blocked.status, 409);
+  assert.strictEqual(blocked.body.code, 'possible-duplicate');
+
+  const approved = await request('POST', `/api/park-suggestions/${suggestionId}/approve`, { force: true }, 'suggestion-moderator', 'moderator');
+  assert.strictEqual(approved.status, 200);
+  assert.strictEqual(approved.body.suggestion.status, 'approved');
+
+  const park = await parksRepo.findById(approved.body.park.id);
+  assert.strictEqual(park.name, 'Riverside Off Leash Area');
+  assert.strictEqual(park.suggestion_id, suggestionId);
+  // Same defaults as a park added directly
+  assert.deepStrictEqual(park.checkedInDogs, []);
+  assert.deepStrictEqual(park.closures, []);
+  assert.strictEqual(park.timezone, null);
+  assert.strictEqual(park.opening_hours, null);
+
+  const again = await request('POST', `/api/park-suggestions/${suggestionId}/approve`, { force: true }, 'suggestion-moderator', 'moderator');
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.code, 'already-decided');
+});
+
+test('rejecting needs a reason and tells the submitter why', async () => {
+  const { body } = await suggest({ name: 'Backyard', latitude: 10, longitude: 10 });
+  const suggestionId = body.suggestion.id;
+
+  const noReason = await request('POST', `/api/park-suggestions/${suggestionId}/reject`, {}, 'suggestion-moderator', 'moderator');
+  assert.strictEqual(noReason.status, 400);
+
+  const rejected = await request('POST', `/api/park-suggestions/${suggestionId}/reject`, { reason: 'Private property' }, 'suggestion-moderator', 'moderator');
+  assert.strictEqual(rejected.status, 200);
+  assert.strictEqual(rejected.body.suggestion.rejection_reason, 'Private property');
+
+  const notifications = await notificationsRepo.findByUser('suggestion-submitter');
+  const decision = notifications.find(notification => notification.data.suggestion_id === suggestionId);
+  assert.strictEqual(decision.type, 'park_suggestion_rejected');
+  assert.match(decision.message, /Private property/);
+
+  const queue = await request('GET', '/api/park-suggestions', null, 'suggestion-moderator', 'moderator');
+  assert.ok(!queue.body.suggestions.some(suggestion => suggestion.id === suggestionId));
+});
+
+test('a demoted moderator loses access straight away, even with their old token', async () => {
+  await usersRepo.set('demoted-moderator', { email: 'demoted-moderator@example.com', role: 'moderator' });
+  const whileModerator = await request('GET', '/api/park-suggestions', null, 'demoted-moderator', 'moderator');
+  assert.strictEqual(whileModerator.status, 200);
+
+  await usersRepo.update('demoted-moderator', { role: 'user' });
+  const afterDemotion = await request('GET', '/api/park-suggestions', null, 'demoted-moderator', 'moderator');
+  assert.strictEqual(afterDemotion.status, 403);
+});
+
+test('two moderators approving at once create the park exactly once', async () => {
+  const { body } = await suggest({ name: 'Hilltop Dog Run', latitude: 41.5, longitude: -74.5 });
+  const suggestionId = body.suggestion.id;
+
+  const responses = await Promise.all([1, 2].map(() => (
+    request('POST', `/api/park-suggestions/${suggestionId}/approve`, {}, 'suggestion-moderator', 'moderator')
+  )));
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 409]);
+
+  const parks = (await parksRepo.findAll()).filter(park => park.suggestion_id === suggestionId);
+  assert.strictEqual(parks.length, 1);
+  const approved = responses.find(response => response.status === 200);
+  assert.strictEqual(approved.body.suggestion.park_id, parks[0].id);
+});
+
+test('a decision is saved even if the submitter can\'t be notified', async () => {
+  const approvable = (await suggest({ name: 'Lakeside Dog Run', latitude: 42.5, longitude: -75.5 })).body.suggestion;
+  const rejectable = (await suggest({ name: 'Car Park', latitude: 43.5, longitude: -76.5 })).body.suggestion;
+
+  const create = mock.method(notificationsRepo, 'create', async () => {
+    throw new Error('notifications unavailable');
+  });
+  try {
+    const approved = await request('POST', `/api/park-suggestions/${approvable.id}/approve`, {}, 'suggestion-moderator', 'moderator');
+    assert.strictEqual(approved.status, 200);
+    assert.ok(await parksRepo.findById(approved.body.park.id));
+
+    const rejected = await request('POST', `/api/park-suggestions/${rejectable.id}/reject`, { reason: 'Not a park' }, 'suggestion-moderator', 'moderator');
+    assert.strictEqual(rejected.status, 200);
+    assert.strictEqual(rejected.body.suggestion.status, 'rejected');
+  } finally {
+    create.mock.restore();
+  }
+});
@@ -0,0 +1,37 @@
+// Park visit history: owners only see their own visits, moderators see everyone's
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo, usersRepo } = require('../config/database');
+
+const { request } = useTestServer();
+
+let parkId;
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'History Park', address: '7 Past Ln', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  await usersRepo.set('history-moderator', { email: 'history-moderator@example.com', role: 'moderator' });
+
+  for (const ownerId of ['ada', 'ben']) {
+    const dog = await dogsRepo.create({ owner_id: ownerId, name: `${ownerId}'s dog`, friends: [] });
+    await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [dog.id] }, ownerId);
+    await request('POST', `/api/dog-parks/${parkId}/checkout`, { dogIds: [dog.id] }, ownerId);
+  }
+});
+
+test('owners only see their own visits to a park', async () => {
+  const { status, body } = await request('GET', `/api/dog-parks/${parkId}/visits`, null, 'ada');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.count, 1);
+  assert.strictEqual(body.visits[0].owner_id, 'ada');
+
+  const stranger = await request('GET', `/api/dog-parks/${parkId}/visits`, null, 'stranger');
+  assert.deepStrictEqual(stranger.body.visits, []);
+});
+
+test('moderators see every owner\'s visits', async () => {
+  const { body } = await request('GET', `/api/dog-parks/${parkId}/visits`, null, 'history-moderator', 'moderator');
+  assert.strictEqual(body.count, 2);
+});
@@ -0,0 +1,104 @@
+// Planned visits: friends of the dogs hear about them, and checking in during the
+// window turns the plan into a real visit.
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, dogsRepo, notificationsRepo, usersRepo } = require('../config/database');
+const { formatPlannedVisit } = require('../services/plannedVisits');
+
+const testServer = useTestServer();
+const { request } = testServer;
+
+let parkId;
+let bella;
+let max;
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+before(async () => {
+  const park = await parksRepo.create({ name: 'Central Bark', address: '1 Bark Ave', amenities: [], checkedInDogs: [] });
+  parkId = park.id;
+  bella = await dogsRepo.create({ owner_id: 'bella-owner', name: 'Bella', friends: [] });
+  max = await dogsRepo.create({ owner_id: 'max-owner', name: 'Max', friends: [bella.id] });
+  await dogsRepo.update(bella.id, { friends: [max.id] });
+  bella = await dogsRepo.findById(bella.id);
+  // An account with only `name`, like the test users routes/debug.js creates
+  await usersRepo.set('bella-owner', { email: 'bella-owner@example.com', name: 'Bella\'s Owner' });
+});
+
+test('posting a planned visit tells the owners of the dog\'s friends', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/planned`, {
+    dogIds: [bella.id],
+    startsAt: inMinutes(10),
+    endsAt: inMinutes(70)
+  }, 'bella-owner');
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.plannedVisit.status, 'planned');
+  assert.strictEqual(body.plannedVisit.ownerName, 'Bella\'s Owner');
+
+  const notifications = await notificationsRepo.find([['user_id', '==', 'max-owner']]);
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(notifications[0].type, 'planned_visit');
+  assert.match(notifications[0].message, /^Bella will be at Central Bark (today|tomorrow) \d\d:\d\d–\d\d:\d\d$/);
+
+  const listed = await request('GET', `/api/dog-parks/${parkId}/planned`, null, 'max-owner');
+  assert.deepStrictEqual(listed.body.plannedVisits.map(visit => visit.id), [body.plannedVisit.id]);
+});
+
+test('a dog can\'t be planned into two overlapping visits', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/planned`, {
+    dogIds: [bella.id],
+    startsAt: inMinutes(30),
+    endsAt: inMinutes(90)
+  }, 'bella-owner');
+
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.code, 'overlapping-plan');
+});
+
+test('checking in during the window converts the plan into a check-in', async () => {
+  const { status, body } = await request('POST', `/api/dog-parks/${parkId}/checkin`, { dogIds: [bella.id] }, 'bella-owner');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.plannedVisits.length, 1);
+  assert.strictEqual(body.plannedVisits[0].status, 'checked_in');
+  assert.deepStrictEqual(body.plannedVisits[0].visitIds, [body.visits[0].id]);
+
+  const listed = await request('GET', `/api/dog-parks/${parkId}/planned`, null, 'max-owner');
+  assert.strictEqual(listed.body.plannedVisits.length, 0);
+});
+
+test('a plan is saved even if friends can\'t be notified', async () => {
+  const create = mock.method(notificationsRepo, 'create', async () => {
+    throw new Error('notifications unavailable');
+  });
+  try {
+    const { status, body } = await request('POST', `/api/dog-parks/${parkId}/planned`, {
+      dogIds: [max.id],
+      startsAt: inMinutes(200),
+      endsAt: inMinutes(260)
+    }, 'max-owner');
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.plannedVisit.status, 'planned');
+  } finally {
+    create.mock.restore();
+  }
+});
+
+test('planned visit times come back as ISO strings whatever the store returns', () => {
+  // Firestore returns Timestamps, which would serialize as { _seconds, _nanoseconds }
+  const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+  const plannedVisit = formatPlannedVisit({
+    id: 'stored-plan',
+    dog_ids: [bella.id],
+    dog_names: ['Bella'],
+    starts_at: timestamp('2026-11-01T10:00:00.000Z'),
+    ends_at: timestamp('2026-11-01T11:00:00.000Z')
+  });
+
+  assert.strictEqual(plannedVisit.startsAt, '2026-11-01T10:00:00.000Z');
+  assert.strictEqual(plannedVisit.endsAt, '2026-11-01T11:00:00.000Z');
+});
@@ -0,0 +1,60 @@
+// Pub/sub: real-time park events reach subscribers in this process (memory) or on every
+// instance (Redis). The Redis test runs against REDIS_URL, e.g. a local container:
+//   docker run --rm -p 6379:6379 redis:7 && REDIS_URL=redis://localhost:6379 npm test
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+require('./helpers');
+const { createPubSub, createMemoryPubSub, createRedisPubSub } = require('../services/pubsub');
+
+// Resolves with the next message the handler list receives, or rejects after a second
+const nextMessage = (received) => new Promise((resolve, reject) => {
+  const timeout = setTimeout(() => reject(new Error('No message received')), 1000);
+  received.push((message) => {
+    clearTimeout(timeout);
+    resolve(message);
+  });
+});
+
+test('the driver is chosen from PUBSUB and Redis needs a URL', () => {
+  assert.strictEqual(createPubSub('memory').name, 'in-memory');
+  assert.throws(() => createPubSub('redis', ''), /requires REDIS_URL/);
+  assert.throws(() => createPubSub('kafka'), /Unknown PUBSUB "kafka"/);
+});
+
+test('the in-memory driver delivers copies of messages until unsubscribed', async () => {
+  const pubsub = createMemoryPubSub();
+  const messages = [];
+  const unsubscribe = await pubsub.subscribe('park-updates', message => messages.push(message));
+
+  const published = { parkId: 'park-1', change: { type: 'check_in', dogIds: ['dog-1'] } };
+  await pubsub.publish('park-updates', published);
+  await pubsub.publish('other-channel', { parkId: 'park-2' });
+  assert.deepStrictEqual(messages, [published]);
+  assert.notStrictEqual(messages[0], published);
+
+  await unsubscribe();
+  await pubsub.publish('park-updates', published);
+  assert.strictEqual(messages.length, 1);
+});
+
+test('the Redis driver fans messages out between instances', { skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }, async () => {
+  // Two connections stand in for two backend instances behind the load balancer
+  const instanceA = createRedisPubSub(process.env.REDIS_URL);
+  const instanceB = createRedisPubSub(process.env.REDIS_URL);
+  const waiting = [];
+  const channel = `park-updates-test-${process.pid}`;
+
+  try {
+    const unsubscribe = await instanceB.subscribe(channel, message => waiting.shift()(message));
+
+    const received = nextMessage(waiting);
+    await instanceA.publish(channel, { parkId: 'park-1', change: { type: 'check_out', dogIds: ['dog-1'] } });
+    assert.deepStrictEqual(await received, { parkId: 'park-1', change: { type: 'check_out', dogIds: ['dog-1'] } });
+
+    await unsubscribe();
+  } finally {
+    await instanceA.close();
+    await instanceB.close();
+  }
+});
@@ -0,0 +1,81 @@
+// Roles: admins change a user's role, park management is limited to moderators and admins,
+// and the role is read from the user on every request rather than trusted from the token.
+process.env.GEOCODER = 'fixture';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+
+const { useTestServer } = require('./helpers');
+const { parksRepo, usersRepo } = require('../config/database');
+
+const { request } = useTestServer();
+
+const newPark = { name: 'Role Call Park', address: '1 Permission Pl', latitude: 40.7, longitude: -74 };
+
+before(async () => {
+  await usersRepo.set('role-admin', { email: 'role-admin@example.com', role: 'admin' });
+  await usersRepo.set('role-user', { email: 'role-user@example.com', role: 'user' });
+  await usersRepo.set('role-promoted', { email: 'role-promoted@example.com', role: 'user' });
+});
+
+test('only admins can change roles, to a known role, and not their own', async () => {
+  const byUser = await request('PUT', '/api/auth/users/role-user/role', { role: 'admin' }, 'role-user');
+  assert.strictEqual(byUser.status, 403);
+
+  const unknownRole = await request('PUT', '/api/auth/users/role-user/role', { role: 'superuser' }, 'role-admin');
+  assert.strictEqual(unknownRole.status, 400);
+
+  const ownRole = await request('PUT', '/api/auth/users/role-admin/role', { role: 'user' }, 'role-admin');
+  assert.strictEqual(ownRole.status, 400);
+
+  const missing = await request('PUT', '/api/auth/users/no-such-user/role', { role: 'moderator' }, 'role-admin');
+  assert.strictEqual(missing.status, 404);
+
+  const { status, body } = await request('PUT', '/api/auth/users/role-promoted/role', { role: 'moderator' }, 'role-admin');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.user, { id: 'role-promoted', role: 'moderator' });
+  assert.strictEqual((await usersRepo.findById('role-promoted')).role, 'moderator');
+});
+
+test('regular users cannot add, edit or delete parks, even with an admin token', async () => {
+  const park = await parksRepo.create({ ...newPark, amenities: [], checkedInDogs: [] });
+
+  // The token claims admin, but the stored role is what counts
+  const created = await request('POST', '/api/dog-parks', newPark, 'role-user', 'admin');
+  assert.strictEqual(created.status, 403);
+
+  const updated = await request('PUT', `/api/dog-parks/${park.id}`, { name: 'Renamed' }, 'role-user', 'admin');
+  assert.strictEqual(updated.status, 403);
+
+  const deleted = await request('DELETE', `/api/dog-parks/${park.id}`, null, 'role-user', 'admin');
+  assert.strictEqual(deleted.status, 403);
+
+  assert.strictEqual((await parksRepo.findById(park.id)).name, newPark.name);
+});
+
+test('admins can add, edit and delete parks', async () => {
+  const created = await request('POST', '/api/dog-parks', newPark, 'role-admin');
+  assert.strictEqual(created.status, 201);
+  const parkId = created.body.park.id;
+
+  const updated = await request('PUT', `/api/dog-parks/${parkId}`, { name: 'Renamed Park' }, 'role-admin');
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual((await parksRepo.findById(parkId)).name, 'Renamed Park');
+
+  const deleted = await request('DELETE', `/api/dog-parks/${parkId}`, null, 'role-admin');
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual(await parksRepo.findById(parkId), null);
+});
+
+test('a role change applies to tokens issued before it', async () => {
+  await usersRepo.set('role-demoted', { email: 'role-demoted@example.com', role: 'moderator' });
+  const asModerator = await request('POST', '/api/dog-parks', newPark, 'role-demoted', 'moderator');
+  assert.strictEqual(asModerator.status, 201);
+
+  const demoted = await request('PUT', '/api/auth/users/role-demoted/role', { role: 'user' }, 'role-admin');
+  assert.strictEqual(demoted.status, 200);
+
+  // Same token, still claiming moderator
+  const afterDemotion = await request('POST', '/api/dog-parks', newPark, 'role-demoted', 'moderator');
+  assert.strictEqual(afterDemotion.status, 403);
+});
@@ -0,0 +1,78 @@
+// Canonical park amenities. Parks store the ids; aliases let older free-text
+// values ("Water fountain", "Fenced area") map onto the same id.
+
+const AMENITIES = [
+  { id: 'water', label: 'Water', emoji: '💧', aliases: ['water fountain', 'fountain', 'drinking water', 'water bowls'] },
+  { id: 'fenced', label: 'Fenced', emoji: '🚧', aliases: ['fence', 'fully fenced', 'fenced area', 'enclosed'] },
+  { id: 'small_dog_area', label: 'Small-dog area', emoji: '🐩', aliases: ['small dog area', 'small dogs', 'small dog section'] },
+  { id: 'off_leash', label: 'Off-leash', emoji: '🦮', aliases: ['off leash', 'off leash area'] },
+  { id: 'lighting', label: 'Lighting', emoji: '💡', aliases: ['lights', 'lit', 'night lighting'] },
+  { id: 'shade', label: 'Shade', emoji: '🌳', aliases: ['shaded', 'trees', 'shade trees'] },
+  { id: 'agility', label: 'Agility equipment', emoji: '🏃', aliases: ['agility equipment', 'agility course'] },
+  { id: 'benches', label: 'Benches', emoji: '🪑', aliases: ['seating', 'bench'] },
+  { id: 'parking', label: 'Parking', emoji: '🅿️', aliases: ['car park', 'parking lot'] },
+  { id: 'waste_bins', label: 'Waste bins', emoji: '🗑️', aliases: ['bins', 'trash', 'waste bags', 'poop bags', 'dog waste bags'] },
+  { id: 'restrooms', label: 'Restrooms', emoji: '🚻', aliases: ['toilets', 'bathrooms', 'restroom'] },
+  { id: 'wash_station', label: 'Dog wash station', emoji: '🚿', aliases: ['dog wash', 'wash station'] }
+];
+
+const AMENITY_IDS = AMENITIES.map(amenity => amenity.id);
+
+// Lowercase and collapse punctuation so "Small-Dog Area" matches "small dog area"
+const simplify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const lookup = new Map();
+AMENITIES.forEach(amenity => {
+  [amenity.id, amenity.label, ...amenity.aliases].forEach(name => lookup.set(simplify(name), amenity.id));
+});
+
+// Canonical id for an amenity name or alias, or null if it isn't in the catalogue
+const normalizeAmenity = (value) => {
+  if (typeof value !== 'string') return null;
+  return lookup.get(simplify(value)) || null;
+};
+
+// Map a list of amenity names onto catalogue ids (duplicates removed).
+// Returns { amenities, invalid } where invalid lists the values that didn't match.
+const normalizeAmenities = (values) => {
+  const amenities = [];
+  const invalid = [];
+
+  values.forEach(value => {
+    const id = normalizeAmenity(value);
+    if (!id) {
+      invalid.push(value);
+    } else if (!amenities.includes(id)) {
+      amenities.push(id);
+    }
+  });
+
+  return { amenities, invalid };
+};
+
+// Validate submitted amenities against the catalogue. Returns { amenities } or { error }.
+const parseAmenities = (values) => {
+  if (!Array.isArray(values)) {
+    return { error: 'amenities must be an array' };
+  }
+  const { amenities, invalid } = normalizeAmenities(values);
+  if (invalid.length > 0) {
+    return { error: `Unknown amenities: ${invalid.join(', ')}. Use any of: ${AMENITY_IDS.join(', ')}` };
+  }
+  return { amenities };
+};
+
+// True if the park offers every requested amenity (older parks may still store free text)
+const hasAmenities = (park, requiredIds) => {
+  const parkIds = (park.amenities || []).map(normalizeAmenity);
+  return requiredIds.every(id => parkIds.includes(id));
+};
+
+module.exports = {
+  AMENITIES,
+  AMENITY_IDS,
+  normalizeAmenity,
+  normalizeAmenities,
+  parseAmenities,
+  hasAmenities
+};
@@ -0,0 +1,17 @@
+// Dog sizes the park features understand (occupancy breakdowns, event restrictions,
+// favourite-park size alerts). A dog's size is optional; '' is stored when it has none.
+const DOG_SIZES = ['small', 'medium', 'large'];
+
+// Sizes are compared in lower case; null (clearing the size) becomes ''
+const normaliseSize = (size) => {
+  if (size === null) return '';
+  return typeof size === 'string' ? size.trim().toLowerCase() : size;
+};
+
+const isValidSize = (size) => size === '' || DOG_SIZES.includes(size);
+
+module.exports = {
+  DOG_SIZES,
+  normaliseSize,
+  isValidSize
+};
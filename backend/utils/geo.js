@@ -0,0 +1,115 @@
+// Geohash and distance helpers for location-based park queries
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+const MAX_GEOHASH_PRECISION = 9;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidLatitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+const isValidLongitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Encode a coordinate as a geohash string (nearby points share a prefix)
+const encodeGeohash = (latitude, longitude, precision = MAX_GEOHASH_PRECISION) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLongitudeBit = true;
+
+  while (hash.length < precision) {
+    const range = isLongitudeBit ? lngRange : latRange;
+    const value = isLongitudeBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLongitudeBit = !isLongitudeBit;
+    bitCount++;
+
+    if (bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Location fields stored on a park document (the geohash powers the nearby search)
+const locationFields = (latitude, longitude) => {
+  if (latitude === null || latitude === undefined) {
+    return { latitude: null, longitude: null, geohash: null };
+  }
+  return { latitude, longitude, geohash: encodeGeohash(latitude, longitude) };
+};
+
+// Size of a geohash cell in degrees at the given precision
+const geohashCellSize = (precision) => {
+  const totalBits = precision * 5;
+  return {
+    latDegrees: 180 / Math.pow(2, Math.floor(totalBits / 2)),
+    lngDegrees: 360 / Math.pow(2, Math.ceil(totalBits / 2))
+  };
+};
+
+// Great-circle distance between two coordinates in kilometres
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Geohash prefixes whose cells together cover every point within radiusKm of the centre:
+// the centre cell plus its 8 neighbours, at the finest precision whose cells are at least radiusKm across.
+// Returns null when the radius is too large for a prefix search to help.
+const geohashPrefixesForRadius = (latitude, longitude, radiusKm) => {
+  const kmPerLngDegree = KM_PER_DEGREE * Math.max(Math.cos(toRadians(latitude)), 0.01);
+
+  let precision = 0;
+  for (let candidate = MAX_GEOHASH_PRECISION; candidate >= 1; candidate--) {
+    const { latDegrees, lngDegrees } = geohashCellSize(candidate);
+    if (latDegrees * KM_PER_DEGREE >= radiusKm && lngDegrees * kmPerLngDegree >= radiusKm) {
+      precision = candidate;
+      break;
+    }
+  }
+
+  if (precision === 0) {
+    return null;
+  }
+
+  const { latDegrees, lngDegrees } = geohashCellSize(precision);
+  const prefixes = new Set();
+
+  [-1, 0, 1].forEach(latStep => {
+    [-1, 0, 1].forEach(lngStep => {
+      const lat = Math.max(-90, Math.min(90, latitude + latStep * latDegrees));
+      // Wrap around the antimeridian
+      const lng = ((longitude + lngStep * lngDegrees + 540) % 360) - 180;
+      prefixes.add(encodeGeohash(lat, lng, precision));
+    });
+  });
+
+  return Array.from(prefixes);
+};
+
+module.exports = {
+  isValidLatitude,
+  isValidLongitude,
+  encodeGeohash,
+  locationFields,
+  distanceKm,
+  geohashPrefixesForRadius
+};
@@ -12,6 +12,44 @@ const calculateAge = (dateOfBirth) => {
   return age;
 };
 
+// Helper function to normalize stored timestamps (Firestore Timestamp, Date or ISO string) to a Date
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value._seconds === 'number') return new Date(value._seconds * 1000);
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Stored timestamp as an ISO string for API responses (null when missing). Firestore
+// Timestamps would otherwise serialize as { _seconds, _nanoseconds }.
+const toIsoString = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+};
+
+// Dog names for a notification, e.g. "Max", "Max and Bella" or "Max, Bella and Rocky"
+const joinNames = (names) => {
+  return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+// Runs a follow-up to a change that has already been saved. A failure is logged and
+// fallback returned instead, so the caller still gets their success response.
+const runFollowUp = async (description, followUp, fallback = null) => {
+  try {
+    return await followUp();
+  } catch (error) {
+    console.error(`❌ Error ${description}:`, error);
+    return fallback;
+  }
+};
+
 module.exports = {
-  calculateAge
+  calculateAge,
+  toDate,
+  toIsoString,
+  joinNames,
+  runFollowUp
 };
\ No newline at end of file
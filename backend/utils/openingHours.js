@@ -0,0 +1,206 @@
+// Weekly opening hours and dated closures, evaluated in each park's IANA time zone.
+//
+// opening_hours: { mon: [{ open: '06:00', close: '22:00' }], tue: [...], ... } - a missing or
+//   empty day means closed all day; null/undefined opening_hours means always open.
+// closures: [{ date: '2026-12-25', reason: 'Maintenance' }] - whole local days the park is shut.
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_TIMEZONE = process.env.PARK_DEFAULT_TIMEZONE || 'UTC';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidClockTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Returns an error message for invalid opening hours, or null if they can be stored
+const validateOpeningHours = (hours) => {
+  if (hours === null) return null;
+  if (typeof hours !== 'object' || Array.isArray(hours)) {
+    return 'openingHours must be an object keyed by day (sun, mon, ... sat), or null for always open';
+  }
+
+  for (const [day, intervals] of Object.entries(hours)) {
+    if (!DAYS.includes(day)) {
+      return `Unknown day "${day}" in openingHours - use ${DAYS.join(', ')}`;
+    }
+    if (!Array.isArray(intervals)) {
+      return `openingHours.${day} must be an array of { open, close } times`;
+    }
+    for (const interval of intervals) {
+      if (!interval || !TIME_PATTERN.test(interval.open) || !TIME_PATTERN.test(interval.close)) {
+        return `openingHours.${day} times must be HH:MM (24-hour)`;
+      }
+      if (toMinutes(interval.close) <= toMinutes(interval.open)) {
+        return `openingHours.${day}: close must be after open`;
+      }
+    }
+  }
+  return null;
+};
+
+// Returns an error message for invalid closures, or null if they can be stored
+const validateClosures = (closures) => {
+  if (!Array.isArray(closures)) {
+    return 'closures must be an array of { date: "YYYY-MM-DD", reason }';
+  }
+  const invalid = closures.find(closure => !closure || !DATE_PATTERN.test(closure.date));
+  return invalid ? 'closures dates must be YYYY-MM-DD' : null;
+};
+
+// Wall-clock date, weekday and minutes since midnight at `date` in the time zone
+const localTime = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayIndex: DAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// The local calendar date `offset` days after the given YYYY-MM-DD
+const addDays = (localDate, offset) => {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+};
+
+const formatTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60) % 24).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const intervalsFor = (park, dayIndex) => {
+  return (park.opening_hours[DAYS[dayIndex]] || [])
+    .map(interval => ({ open: toMinutes(interval.open), close: toMinutes(interval.close) }))
+    .sort((a, b) => a.open - b.open);
+};
+
+const closureOn = (park, localDate) => (park.closures || []).find(closure => closure.date === localDate) || null;
+
+// Whether the park is open at `now`, when it next closes or opens, and why it's closed.
+// Instants are derived from the local wall-clock offset at `now`, so they can be an hour
+// out across a daylight-saving change - fine for "closes at" hints.
+const getOpenStatus = (park, now = new Date()) => {
+  const timezone = park.timezone || DEFAULT_TIMEZONE;
+  const today = localTime(now, timezone);
+  const instantAt = (dayOffset, minutes) => {
+    const startOfMinute = now.getTime() - now.getSeconds() * 1000 - now.getMilliseconds();
+    return new Date(startOfMinute + ((dayOffset * 24 * 60) + minutes - today.minutes) * 60 * 1000);
+  };
+
+  const closure = closureOn(park, today.date);
+  const hasHours = park.opening_hours && typeof park.opening_hours === 'object';
+
+  const status = {
+    isOpen: false,
+    closesAt: null,
+    closesAtLocal: null,
+    opensAt: null,
+    opensAtLocal: null,
+    closedReason: null,
+    timezone
+  };
+
+  if (!hasHours && !closure) {
+    return { ...status, isOpen: true };
+  }
+
+  if (!closure) {
+    const current = intervalsFor(park, today.dayIndex)
+      .find(interval => interval.open <= today.minutes && today.minutes < interval.close);
+    if (current) {
+      return {
+        ...status,
+        isOpen: true,
+        closesAt: instantAt(0, current.close).toISOString(),
+        closesAtLocal: formatTime(current.close)
+      };
+    }
+  }
+
+  // Closed - look up to a week ahead for the next opening
+  let next = null;
+  for (let offset = 0; offset <= 7 && !next; offset++) {
+    const dayIndex = (today.dayIndex + offset) % 7;
+    if (closureOn(park, addDays(today.date, offset))) continue;
+
+    const opening = hasHours
+      ? intervalsFor(park, dayIndex).find(interval => offset > 0 || interval.open > today.minutes)
+      : { open: 0 };
+    if (opening) {
+      next = { offset, dayIndex, minutes: opening.open };
+    }
+  }
+
+  return {
+    ...status,
+    opensAt: next ? instantAt(next.offset, next.minutes).toISOString() : null,
+    opensAtLocal: next
+      ? `${next.offset === 0 ? 'today' : next.offset === 1 ? 'tomorrow' : DAY_NAMES[next.dayIndex]} at ${formatTime(next.minutes)}`
+      : null,
+    closedReason: closure ? closure.reason || 'Closed today' : null
+  };
+};
+
+// Whether `now` falls in a daily HH:MM window in the time zone. Windows that end
+// before they start run past midnight (22:00-07:00).
+const isWithinDailyWindow = ({ start, end }, timeZone, now = new Date()) => {
+  const { minutes } = localTime(now, timeZone);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+};
+
+// A time window in the park's local time, e.g. "today 17:00–18:00" or "Saturday 09:30–10:30"
+const formatLocalWindow = (park, start, end, now = new Date()) => {
+  const timezone = park.timezone || DEFAULT_TIMEZONE;
+  const today = localTime(now, timezone);
+  const from = localTime(start, timezone);
+  const to = localTime(end, timezone);
+
+  const day = from.date === today.date ? 'today'
+    : from.date === addDays(today.date, 1) ? 'tomorrow'
+      : DAY_NAMES[from.dayIndex];
+  return `${day} ${formatTime(from.minutes)}–${formatTime(to.minutes)}`;
+};
+
+module.exports = {
+  DAYS,
+  DEFAULT_TIMEZONE,
+  isValidClockTime,
+  isValidTimeZone,
+  validateOpeningHours,
+  validateClosures,
+  getOpenStatus,
+  isWithinDailyWindow,
+  formatLocalWindow
+};
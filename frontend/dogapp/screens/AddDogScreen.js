@@ -23,6 +23,7 @@ export default function AddDogScreen({ navigation }) {
     breed: '',
     age: '',
     energyLevel: '',
+    size: '',
     playStyle: [],
     emoji: '🐕',
   });
@@ -49,6 +50,12 @@ export default function AddDogScreen({ navigation }) {
     "Very High - Extremely active"
   ];
 
+  const dogSizes = [
+    { value: 'small', label: 'Small - under 10kg' },
+    { value: 'medium', label: 'Medium - 10 to 25kg' },
+    { value: 'large', label: 'Large - over 25kg' }
+  ];
+
   const playStyles = [
     "Wrestle",
     "Chase", 
@@ -185,6 +192,7 @@ export default function AddDogScreen({ navigation }) {
         breed: dogData.breed.trim(),
         age: ageNumber,
         energyLevel: dogData.energyLevel,
+        size: dogData.size,
         playStyle: dogData.playStyle,
         emoji: dogData.emoji,
       };
@@ -354,6 +362,30 @@ export default function AddDogScreen({ navigation }) {
               </View>
             </View>
 
+            {/* Size */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>📏 Size</Text>
+              <View style={styles.energyLevelContainer}>
+                {dogSizes.map((size) => (
+                  <TouchableOpacity
+                    key={size.value}
+                    style={[
+                      styles.energyLevelButton,
+                      dogData.size === size.value && styles.selectedEnergyLevel,
+                    ]}
+                    onPress={() => updateField('size', size.value)}
+                  >
+                    <Text style={[
+                      styles.energyLevelText,
+                      dogData.size === size.value && styles.selectedEnergyLevelText
+                    ]}>
+                      {size.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
             {/* Play Style */}
             <View style={styles.inputGroup}>
               <Text style={styles.label}>🎭 Play Style (Select multiple)</Text>
@@ -19,7 +19,7 @@ import { useAlerts } from '../components/useCustomAlert';
 import config from '../config';
 
 export default function CheckInConfirmationScreen({ route, navigation }) {
-  const { park, checkedInDogs } = route.params;
+  const { park, checkedInDogs, expiresAt } = route.params;
   const { currentUser } = useAuth();
   const [loading, setLoading] = useState(false);
   const [otherDogs, setOtherDogs] = useState([]);
@@ -287,6 +287,11 @@ export default function CheckInConfirmationScreen({ route, navigation }) {
           <View style={styles.parkInfo}>
             <Text style={styles.parkName}>📍 {park.name}</Text>
             <Text style={styles.parkAddress}>{park.address}</Text>
+            {expiresAt && (
+              <Text style={styles.expiryText}>
+                ⏰ Auto check-out at {new Date(expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+              </Text>
+            )}
           </View>
 
           <View style={styles.dogsSection}>
@@ -511,6 +516,11 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  expiryText: {
+    fontSize: 14,
+    color: '#4A90E2',
+    marginTop: 8,
+  },
   dogsSection: {
     marginBottom: 10,
   },
@@ -6,15 +6,66 @@ import {
   SafeAreaView,
   ScrollView,
   TouchableOpacity,
+  TextInput,
   ActivityIndicator,
   Platform,
+  Linking,
 } from 'react-native';
 import DogParkService from '../services/DogParkService';
 import DogService from '../services/DogService';
+import * as Location from 'expo-location';
+import * as ImagePicker from 'expo-image-picker';
 import CustomAlert, { DogImage } from '../components/CustomAlert';
 import { useAlerts } from '../components/useCustomAlert';
 import { useAuth } from '../contexts/AuthContext';
 
+// How far around the device location to look for parks
+const NEARBY_RADIUS_KM = 25;
+
+// Visit lengths offered at check-in; dogs are checked out automatically once the time runs out
+const VISIT_DURATION_OPTIONS = [30, 60, 90, 120];
+
+// Roles allowed to add parks directly; everyone else sends a suggestion to the moderators
+const PARK_MANAGER_ROLES = ['moderator', 'admin'];
+const EMPTY_PARK_FORM = { name: '', address: '', notes: '' };
+
+const STAR_VALUES = [1, 2, 3, 4, 5];
+
+// Matches PHOTO_CATEGORIES on the backend
+const PHOTO_CATEGORIES = [
+  { id: 'entrance', label: '🚪 Entrance' },
+  { id: 'facilities', label: '🪑 Facilities' },
+  { id: 'conditions', label: '🌦️ Conditions' },
+  { id: 'other', label: '📷 Other' },
+];
+const EMPTY_REVIEW_FORM = { rating: 0, text: '' };
+const EMPTY_REPORT_FORM = { category: null, description: '', photoUri: null };
+
+// New events start from a date and time typed in device-local time, plus a length
+const EVENT_DURATION_OPTIONS = [30, 60, 90, 120];
+const EVENT_DOG_SIZES = ['small', 'medium', 'large'];
+const EMPTY_EVENT_FORM = { title: '', date: '', time: '', durationMinutes: 60, maxAttendees: '', sizes: [], maxAgeYears: '' };
+// Planned visits use the same date/time entry and lengths as events
+const EMPTY_PLAN_FORM = { date: '', time: '', durationMinutes: 60, note: '' };
+
+// What a moderator can do next with a condition report
+const REPORT_STATUS_ACTIONS = {
+  open: [{ status: 'acknowledged', label: 'Acknowledge' }, { status: 'resolved', label: 'Resolve' }],
+  acknowledged: [{ status: 'resolved', label: 'Resolve' }],
+  resolved: [{ status: 'open', label: 'Reopen' }],
+};
+
+// Device-local time for an ISO instant, e.g. "22:00", with the weekday when it isn't today
+const formatClockTime = (isoString) => {
+  const date = new Date(isoString);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString()
+    ? time
+    : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+};
+
+const renderStars = (rating) => STAR_VALUES.map(value => (value <= Math.round(rating) ? '★' : '☆')).join('');
+
 export default function DogParksScreen({ navigation }) {
   const { currentUser } = useAuth();
   const [parks, setParks] = useState([]);
@@ -23,14 +74,71 @@ export default function DogParksScreen({ navigation }) {
   const [showDogSelection, setShowDogSelection] = useState(false);
   const [selectedPark, setSelectedPark] = useState(null);
   const [selectedDogs, setSelectedDogs] = useState([]);
-  const [parksCheckedInDogs, setParksCheckedInDogs] = useState({});
+  const [visitMinutes, setVisitMinutes] = useState(null); // null = park default
+  // parkId -> { checkedInCount, capacity, spotsLeft, sizes, dogs }, kept live by the occupancy feed
+  const [parkOccupancy, setParkOccupancy] = useState({});
+  const [sortedByDistance, setSortedByDistance] = useState(false);
+  const [showParkForm, setShowParkForm] = useState(false);
+  const [parkForm, setParkForm] = useState(EMPTY_PARK_FORM);
+  const [submittingPark, setSubmittingPark] = useState(false);
+  const [reviewsPark, setReviewsPark] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [reviewsLoading, setReviewsLoading] = useState(false);
+  const [reviewForm, setReviewForm] = useState(EMPTY_REVIEW_FORM);
+  const [savingReview, setSavingReview] = useState(false);
+  const [photosPark, setPhotosPark] = useState(null);
+  const [photos, setPhotos] = useState([]);
+  const [coverPhotoId, setCoverPhotoId] = useState(null);
+  const [photosLoading, setPhotosLoading] = useState(false);
+  const [photoCategory, setPhotoCategory] = useState('other');
+  const [uploadingPhoto, setUploadingPhoto] = useState(false);
+  const [reportCategories, setReportCategories] = useState([]);
+  const [reportsPark, setReportsPark] = useState(null);
+  const [parkReports, setParkReports] = useState([]);
+  const [reportsLoading, setReportsLoading] = useState(false);
+  const [reportForm, setReportForm] = useState(EMPTY_REPORT_FORM);
+  const [submittingReport, setSubmittingReport] = useState(false);
+  const [eventsPark, setEventsPark] = useState(null);
+  const [parkEvents, setParkEvents] = useState([]);
+  const [eventsLoading, setEventsLoading] = useState(false);
+  const [eventDogIds, setEventDogIds] = useState([]);
+  const [showEventForm, setShowEventForm] = useState(false);
+  const [eventForm, setEventForm] = useState(EMPTY_EVENT_FORM);
+  const [savingEvent, setSavingEvent] = useState(false);
+  const [plannedPark, setPlannedPark] = useState(null);
+  const [plannedVisits, setPlannedVisits] = useState([]);
+  const [plannedLoading, setPlannedLoading] = useState(false);
+  const [planDogIds, setPlanDogIds] = useState([]);
+  const [planForm, setPlanForm] = useState(EMPTY_PLAN_FORM);
+  const [savingPlan, setSavingPlan] = useState(false);
+  const [amenityCatalog, setAmenityCatalog] = useState([]);
+  const [selectedAmenities, setSelectedAmenities] = useState([]);
+  const [openNowOnly, setOpenNowOnly] = useState(false);
+  const [favoriteParkIds, setFavoriteParkIds] = useState([]);
+  const [parkAlerts, setParkAlerts] = useState(null);
+  const [showParkAlerts, setShowParkAlerts] = useState(false);
+  const [alertSize, setAlertSize] = useState(null);
+  const [alertMoreThan, setAlertMoreThan] = useState('');
   const { alertState, hideAlert, showError, showSuccess, showInfo } = useAlerts();
 
   const unsubscribeRefs = useRef({});
+  // undefined until we've asked for the device location, then the location or null
+  const deviceLocationRef = useRef(undefined);
 
   useEffect(() => {
     loadParks();
     loadDogs();
+    loadAmenities();
+    loadFavoriteParks();
+
+    // One live feed keeps every park's dog count current, whichever parks are listed
+    unsubscribeRefs.current.occupancy = DogParkService.subscribeToParkOccupancy((result) => {
+      if (!result.success) {
+        return;
+      }
+      const entries = Object.fromEntries(result.parks.map(occupancy => [occupancy.parkId, occupancy]));
+      setParkOccupancy(prev => (result.replace ? entries : { ...prev, ...entries }));
+    });
 
     return () => {
       console.log('🧹 Component unmounting, cleaning up listeners...');
@@ -43,77 +151,136 @@ export default function DogParksScreen({ navigation }) {
     };
   }, []);
 
-  const loadParks = async () => {
+  // Returns { latitude, longitude } or null if permission is denied or location is unavailable
+  const getDeviceLocation = async () => {
     try {
-      setLoading(true);
-      console.log('🔄 Loading dog parks from Firestore...');
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        console.log('📍 Location permission not granted, showing all parks');
+        return null;
+      }
 
-      const unsubscribe = DogParkService.subscribeToAllParks((result) => {
-        if (result.success) {
-          console.log('✅ Parks updated via real-time listener:', result.parks.length, 'parks found');
-          setParks(result.parks);
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      return {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude
+      };
+    } catch (error) {
+      console.error('Error getting device location:', error);
+      return null;
+    }
+  };
 
-          result.parks.forEach(park => {
-            setupParkListener(park.id);
-          });
-        } else {
-          console.error('❌ Failed to load parks via real-time listener:', result.error);
-          showError(result.error || 'Failed to load dog parks');
-        }
-        setLoading(false);
-      });
+  const loadAmenities = async () => {
+    const result = await DogParkService.getAmenities();
+    if (result.success) {
+      setAmenityCatalog(result.amenities);
+    }
+  };
 
-      unsubscribeRefs.current.allParks = unsubscribe;
+  const loadFavoriteParks = async () => {
+    const result = await DogParkService.getFavoriteParks();
+    if (result.success) {
+      setFavoriteParkIds(result.parkIds);
+      setParkAlerts(result.alerts);
+    }
+  };
 
-    } catch (error) {
-      console.error('Error setting up parks listener:', error);
-      showError('Failed to load dog parks. Please try again.');
-      setLoading(false);
+  const toggleFavoritePark = async (park) => {
+    const isFavorite = favoriteParkIds.includes(park.id);
+    const result = isFavorite
+      ? await DogParkService.unfollowPark(park.id)
+      : await DogParkService.followPark(park.id);
+
+    if (result.success) {
+      setFavoriteParkIds(result.parkIds);
+    } else {
+      showError(result.error || 'Failed to update favourite parks');
     }
   };
 
-  const setupParkListener = (parkId) => {
-    // Check if we already have a listener for this park
-    if (unsubscribeRefs.current[`park_${parkId}`]) {
-      console.log(`⚠️ Listener already exists for park ${parkId}, skipping setup`);
+  const openParkAlerts = () => {
+    setAlertSize(parkAlerts?.sizeAlert?.size || null);
+    setAlertMoreThan(parkAlerts?.sizeAlert ? String(parkAlerts.sizeAlert.moreThan) : '');
+    setShowParkAlerts(true);
+  };
+
+  const saveParkAlerts = async (firstArrival = parkAlerts.firstArrival) => {
+    const moreThan = parseInt(alertMoreThan, 10);
+    if (alertSize && Number.isNaN(moreThan)) {
+      showError('How many dogs of that size should there be before we tell you?');
       return;
     }
 
-    console.log(`🎧 Setting up new park listener for ${parkId}`);
+    const result = await DogParkService.updateFavoriteParkAlerts({
+      firstArrival,
+      sizeAlert: alertSize ? { size: alertSize, moreThan } : null,
+    });
+    if (result.success) {
+      setParkAlerts(result.alerts);
+    } else {
+      showError(result.error || 'Failed to save park alerts');
+    }
+  };
+
+  const amenityLabel = (amenityId) => {
+    const amenity = amenityCatalog.find(item => item.id === amenityId);
+    return amenity ? `${amenity.emoji} ${amenity.label}` : amenityId;
+  };
 
-    const unsubscribe = DogParkService.subscribeToCheckedInDogs(parkId, (result) => {
-      console.log(`🔔 [DogParksScreen] Callback received for park ${parkId}:`, {
-        success: result.success,
-        dogCount: result.dogs?.length || 0,
-        dogNames: result.dogs?.map(d => d.name) || []
-      });
+  const toggleAmenityFilter = (amenityId) => {
+    const updated = selectedAmenities.includes(amenityId)
+      ? selectedAmenities.filter(id => id !== amenityId)
+      : [...selectedAmenities, amenityId];
+    setSelectedAmenities(updated);
+    loadParks({ amenities: updated, openNow: openNowOnly });
+  };
+
+  const toggleOpenNowFilter = () => {
+    setOpenNowOnly(!openNowOnly);
+    loadParks({ amenities: selectedAmenities, openNow: !openNowOnly });
+  };
+
+  const loadParks = async (filters = { amenities: selectedAmenities, openNow: openNowOnly }) => {
+    try {
+      setLoading(true);
+
+      // Only ask for the location once; filter changes reuse it
+      if (deviceLocationRef.current === undefined) {
+        deviceLocationRef.current = await getDeviceLocation();
+      }
+
+      // Closest parks first when we know where the user is
+      const location = deviceLocationRef.current;
+      if (location) {
+        const result = await DogParkService.getNearbyParks(location.latitude, location.longitude, NEARBY_RADIUS_KM, filters);
+
+        if (result.success && result.parks.length > 0) {
+          console.log('✅ Showing', result.parks.length, 'nearby parks sorted by distance');
+          setParks(result.parks);
+          setSortedByDistance(true);
+          setLoading(false);
+          return;
+        }
+      }
 
+      setSortedByDistance(false);
+      console.log('🔄 Loading dog parks...');
+
+      const result = await DogParkService.getParks(filters);
       if (result.success) {
-        console.log(`✅ Dogs updated for park ${parkId}:`, result.dogs.length, 'dogs checked in');
-        console.log(`📝 Dogs list:`, result.dogs.map(d => d.name));
-
-        // Force a new object reference to ensure state update triggers re-render
-        setParksCheckedInDogs(prev => {
-          const newState = { ...prev };
-          newState[parkId] = [...result.dogs]; // Create new array reference
-          console.log(`🔄 Updated state for park ${parkId}:`, newState[parkId].map(d => d.name));
-          console.log(`🔄 Total parks in state:`, Object.keys(newState).length);
-          return newState;
-        });
+        console.log('✅ Dog parks loaded successfully:', result.parks.length, 'parks found');
+        setParks(result.parks);
       } else {
-        console.error(`❌ Failed to get dogs for park ${parkId}:`, result.error);
-        
-        // On error, ensure we clear the dogs for this park
-        setParksCheckedInDogs(prev => {
-          const newState = { ...prev };
-          newState[parkId] = [];
-          return newState;
-        });
+        console.error('❌ Failed to load dog parks:', result.error);
+        showError(result.error || 'Failed to load dog parks');
       }
-    });
-
-    unsubscribeRefs.current[`park_${parkId}`] = unsubscribe;
-    console.log(`✅ Listener registered for park ${parkId}`);
+      setLoading(false);
+    } catch (error) {
+      console.error('Error loading dog parks:', error);
+      showError('Failed to load dog parks. Please try again.');
+      setLoading(false);
+    }
   };
 
   const loadDogs = async () => {
@@ -140,6 +307,7 @@ export default function DogParksScreen({ navigation }) {
 
     setSelectedPark(park);
     setSelectedDogs([]);
+    setVisitMinutes(null);
     setShowDogSelection(true);
   };
 
@@ -155,96 +323,1299 @@ export default function DogParksScreen({ navigation }) {
   const handleCheckInSubmit = async () => {
     try {
       const dogIds = selectedDogs.map(dog => dog.id);
-      const result = await DogParkService.checkInDogs(selectedPark.id, dogIds);
+      const result = await DogParkService.checkInDogs(selectedPark.id, dogIds, visitMinutes);
 
       if (result.success) {
         setShowDogSelection(false);
         setSelectedPark(null);
 
+        // All dogs checked in together share the same expiry time
         navigation.navigate('CheckInConfirmation', {
           park: selectedPark,
-          checkedInDogs: selectedDogs
+          checkedInDogs: selectedDogs,
+          expiresAt: result.visits[0]?.expires_at || null
         });
 
-        setSelectedDogs([]);
+        setSelectedDogs([]);
+
+        // Dogs still checked in at another park were moved here automatically
+        const movedFromNames = result.movedFrom.map(move => move.parkName).filter(Boolean);
+        if (movedFromNames.length > 0) {
+          showSuccess(`Dogs checked in successfully! 🎉 They were checked out of ${movedFromNames.join(', ')}.`);
+        } else {
+          showSuccess('Dogs checked in successfully! 🎉');
+        }
+      } else if (result.code === 'park-closed') {
+        setShowDogSelection(false);
+        showError(result.error, 'Park Closed 🔒');
+      } else if (result.code === 'park-full') {
+        // Offer a place in line instead of a dead end
+        const park = selectedPark;
+        setShowDogSelection(false);
+        showInfo(
+          `${result.error}. Join the waitlist and we'll notify you when a spot opens up.`,
+          'Park Full',
+          () => {
+            hideAlert();
+            handleJoinWaitlist(park, dogIds);
+          },
+          'Join Waitlist',
+          'Not Now'
+        );
+      } else {
+        showError(result.error || 'Failed to check in dogs');
+      }
+    } catch (error) {
+      console.error('Error during check-in:', error);
+      showError('Failed to check in dogs. Please try again.');
+    }
+  };
+
+  const handleJoinWaitlist = async (park, dogIds) => {
+    const result = await DogParkService.joinWaitlist(park.id, dogIds);
+
+    if (result.success) {
+      showSuccess(`You're #${result.position} in line at ${park.name}. We'll let you know when there's room.`, 'On the Waitlist ⏳');
+    } else {
+      showError(result.error || 'Failed to join the waitlist');
+    }
+  };
+
+  const canManageParks = PARK_MANAGER_ROLES.includes(currentUser?.role);
+
+  const openParkForm = () => {
+    setParkForm(EMPTY_PARK_FORM);
+    setShowParkForm(true);
+  };
+
+  const submitParkForm = async () => {
+    const name = parkForm.name.trim();
+    const address = parkForm.address.trim();
+    if (!name || !address) {
+      showError('Please enter the park name and address');
+      return;
+    }
+
+    setSubmittingPark(true);
+    const result = canManageParks
+      ? await DogParkService.addPark({ name, address })
+      : await DogParkService.suggestPark({ name, address, notes: parkForm.notes.trim() });
+    setSubmittingPark(false);
+
+    if (result.success) {
+      setShowParkForm(false);
+      if (canManageParks) {
+        showSuccess(`${name} has been added`, 'Park Added 🎉');
+      } else {
+        showSuccess(result.message || 'Thanks! A moderator will review your suggestion.', 'Suggestion Sent 💡');
+      }
+    } else {
+      showError(result.error || 'Failed to submit park');
+    }
+  };
+
+  const ownReview = reviews.find(review => review.userId === currentUser?.id);
+
+  const loadReviews = async (park) => {
+    setReviewsLoading(true);
+    const result = await DogParkService.getParkReviews(park.id);
+    setReviewsLoading(false);
+
+    if (!result.success) {
+      showError(result.error || 'Failed to load reviews');
+      return;
+    }
+
+    setReviews(result.reviews);
+    const mine = result.reviews.find(review => review.userId === currentUser?.id);
+    setReviewForm(mine ? { rating: mine.rating, text: mine.text } : EMPTY_REVIEW_FORM);
+  };
+
+  const openReviews = (park) => {
+    setReviews([]);
+    setReviewForm(EMPTY_REVIEW_FORM);
+    setReviewsPark(park);
+    loadReviews(park);
+  };
+
+  // Keep the rating shown on the park card in step with the reviews
+  const updateParkRating = (parkId, ratingAverage, reviewCount) => {
+    setParks(prev => prev.map(park => (
+      park.id === parkId ? { ...park, rating_average: ratingAverage, review_count: reviewCount } : park
+    )));
+  };
+
+  const submitReview = async () => {
+    if (!reviewForm.rating) {
+      showError('Please pick a star rating');
+      return;
+    }
+
+    setSavingReview(true);
+    const result = await DogParkService.saveParkReview(
+      reviewsPark.id,
+      { rating: reviewForm.rating, text: reviewForm.text.trim() },
+      ownReview?.id
+    );
+    setSavingReview(false);
+
+    if (result.success) {
+      updateParkRating(reviewsPark.id, result.ratingAverage, result.reviewCount);
+      loadReviews(reviewsPark);
+    } else {
+      showError(result.error || 'Failed to save your review');
+    }
+  };
+
+  const confirmDeleteReview = () => {
+    showInfo(
+      'Delete your review of this park?',
+      'Delete Review',
+      async () => {
+        const result = await DogParkService.deleteParkReview(reviewsPark.id, ownReview.id);
+        if (result.success) {
+          updateParkRating(reviewsPark.id, result.ratingAverage, result.reviewCount);
+          loadReviews(reviewsPark);
+        } else {
+          showError(result.error || 'Failed to delete your review');
+        }
+      },
+      'Delete',
+      'Cancel'
+    );
+  };
+
+  const loadPhotos = async (park) => {
+    setPhotosLoading(true);
+    const result = await DogParkService.getParkPhotos(park.id);
+    setPhotosLoading(false);
+
+    if (!result.success) {
+      showError(result.error || 'Failed to load photos');
+      return;
+    }
+
+    setPhotos(result.photos);
+    setCoverPhotoId(result.coverPhotoId);
+
+    // The cover changes when the first photo is added or the cover is deleted
+    const cover = result.photos.find(photo => photo.id === result.coverPhotoId);
+    setParks(prev => prev.map(item => (
+      item.id === park.id ? { ...item, coverPhotoUrl: cover ? cover.url : null } : item
+    )));
+  };
+
+  const openPhotos = (park) => {
+    setPhotos([]);
+    setCoverPhotoId(null);
+    setPhotoCategory('other');
+    setPhotosPark(park);
+    loadPhotos(park);
+  };
+
+  const pickAndUploadPhoto = async () => {
+    try {
+      const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (permission.status !== 'granted') {
+        showError('We need access to your photo library to add park photos.', 'Permission Required');
+        return;
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        allowsEditing: true,
+        aspect: [4, 3],
+        quality: 0.8,
+      });
+
+      if (result.canceled || !result.assets || result.assets.length === 0) {
+        return;
+      }
+
+      setUploadingPhoto(true);
+      const upload = await DogParkService.uploadParkPhoto(photosPark.id, result.assets[0].uri, { category: photoCategory });
+      setUploadingPhoto(false);
+
+      if (upload.success) {
+        loadPhotos(photosPark);
+      } else {
+        showError(upload.error || 'Failed to upload photo');
+      }
+    } catch (error) {
+      console.error('Error adding park photo:', error);
+      setUploadingPhoto(false);
+      showError('Failed to open photo library. Please try again.', 'Error');
+    }
+  };
+
+  const confirmDeletePhoto = (photo) => {
+    showInfo(
+      'Delete this photo?',
+      'Delete Photo',
+      async () => {
+        const result = await DogParkService.deleteParkPhoto(photosPark.id, photo.id);
+        if (result.success) {
+          loadPhotos(photosPark);
+        } else {
+          showError(result.error || 'Failed to delete photo');
+        }
+      },
+      'Delete',
+      'Cancel'
+    );
+  };
+
+  const makeCoverPhoto = async (photo) => {
+    const result = await DogParkService.setParkCoverPhoto(photosPark.id, photo.id);
+    if (result.success) {
+      loadPhotos(photosPark);
+    } else {
+      showError(result.error || 'Failed to set cover photo');
+    }
+  };
+
+  const reportCategoryLabel = (categoryId) => {
+    const category = reportCategories.find(item => item.id === categoryId);
+    return category ? category.label : categoryId;
+  };
+
+  const loadParkReports = async (park) => {
+    setReportsLoading(true);
+    const result = await DogParkService.getParkReports(park.id);
+    setReportsLoading(false);
+
+    if (result.success) {
+      setParkReports(result.reports);
+    } else {
+      showError(result.error || 'Failed to load reports');
+    }
+  };
+
+  const openReports = async (park) => {
+    setParkReports([]);
+    setReportForm(EMPTY_REPORT_FORM);
+    setReportsPark(park);
+    if (reportCategories.length === 0) {
+      const result = await DogParkService.getReportCategories();
+      if (result.success) {
+        setReportCategories(result.categories);
+      }
+    }
+    loadParkReports(park);
+  };
+
+  // Keep the warning on the park card in step with the reports
+  const updateParkActiveReports = (parkId, activeReports) => {
+    setParks(prev => prev.map(park => (
+      park.id === parkId ? { ...park, active_reports: activeReports } : park
+    )));
+  };
+
+  const pickReportPhoto = async () => {
+    try {
+      const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (permission.status !== 'granted') {
+        showError('We need access to your photo library to attach a photo.', 'Permission Required');
+        return;
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        allowsEditing: true,
+        aspect: [4, 3],
+        quality: 0.8,
+      });
+
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        setReportForm(prev => ({ ...prev, photoUri: result.assets[0].uri }));
+      }
+    } catch (error) {
+      console.error('Error opening image picker:', error);
+      showError('Failed to open photo library. Please try again.', 'Error');
+    }
+  };
+
+  const submitReport = async () => {
+    if (!reportForm.category || !reportForm.description.trim()) {
+      showError('Please pick what is wrong and describe it');
+      return;
+    }
+
+    setSubmittingReport(true);
+    const result = await DogParkService.reportParkCondition(
+      reportsPark.id,
+      { category: reportForm.category, description: reportForm.description.trim() },
+      reportForm.photoUri
+    );
+    setSubmittingReport(false);
+
+    if (result.success) {
+      setReportForm(EMPTY_REPORT_FORM);
+      const { report } = result;
+      updateParkActiveReports(reportsPark.id, [
+        ...(parks.find(park => park.id === reportsPark.id)?.active_reports || []),
+        { id: report.id, category: report.category, critical: report.critical, status: report.status, created_at: report.createdAt },
+      ]);
+      loadParkReports(reportsPark);
+      showSuccess(result.message, 'Report Filed 🚧');
+    } else {
+      showError(result.error || 'Failed to file report');
+    }
+  };
+
+  const changeReportStatus = async (report, status) => {
+    const result = await DogParkService.updateParkReportStatus(reportsPark.id, report.id, status);
+    if (result.success) {
+      updateParkActiveReports(reportsPark.id, result.activeReports);
+      loadParkReports(reportsPark);
+    } else {
+      showError(result.error || 'Failed to update report');
+    }
+  };
+
+  const loadParkEvents = async (park) => {
+    setEventsLoading(true);
+    const result = await DogParkService.getParkEvents(park.id);
+    setEventsLoading(false);
+
+    if (result.success) {
+      setParkEvents(result.events);
+    } else {
+      showError(result.error || 'Failed to load events');
+    }
+  };
+
+  const openEvents = (park) => {
+    setParkEvents([]);
+    setShowEventForm(false);
+    setEventForm(EMPTY_EVENT_FORM);
+    setEventDogIds(dogs.map(dog => dog.id));
+    setEventsPark(park);
+    loadParkEvents(park);
+  };
+
+  // Hands the webcal:// link to the device's calendar app
+  const subscribeToCalendar = async (webcalUrl) => {
+    try {
+      await Linking.openURL(webcalUrl);
+    } catch (error) {
+      console.error('Error opening calendar link:', error);
+      showInfo(webcalUrl, 'Add this link to your calendar');
+    }
+  };
+
+  const subscribeToMyEvents = async () => {
+    const result = await DogParkService.getCalendarFeedUrl();
+    if (result.success) {
+      subscribeToCalendar(result.webcalUrl);
+    } else {
+      showError(result.error || 'Failed to get calendar link');
+    }
+  };
+
+  const toggleEventDog = (dogId) => {
+    setEventDogIds(prev => (prev.includes(dogId) ? prev.filter(id => id !== dogId) : [...prev, dogId]));
+  };
+
+  const toggleEventSize = (size) => {
+    setEventForm(prev => ({
+      ...prev,
+      sizes: prev.sizes.includes(size) ? prev.sizes.filter(item => item !== size) : [...prev.sizes, size],
+    }));
+  };
+
+  const submitEvent = async () => {
+    const startsAt = new Date(`${eventForm.date.trim()}T${eventForm.time.trim()}`);
+    if (!eventForm.title.trim() || Number.isNaN(startsAt.getTime())) {
+      showError('Please enter a title, a date (YYYY-MM-DD) and a start time (HH:MM)');
+      return;
+    }
+
+    const maxAttendees = eventForm.maxAttendees.trim() ? parseInt(eventForm.maxAttendees, 10) : null;
+    const maxAgeYears = eventForm.maxAgeYears.trim() ? parseFloat(eventForm.maxAgeYears) : null;
+
+    setSavingEvent(true);
+    const result = await DogParkService.createParkEvent(eventsPark.id, {
+      title: eventForm.title.trim(),
+      startsAt: startsAt.toISOString(),
+      endsAt: new Date(startsAt.getTime() + eventForm.durationMinutes * 60 * 1000).toISOString(),
+      maxAttendees,
+      restrictions: {
+        sizes: eventForm.sizes.length > 0 ? eventForm.sizes : null,
+        maxAgeYears,
+      },
+    });
+    setSavingEvent(false);
+
+    if (result.success) {
+      setShowEventForm(false);
+      setEventForm(EMPTY_EVENT_FORM);
+      loadParkEvents(eventsPark);
+    } else {
+      showError(result.error || 'Failed to create event');
+    }
+  };
+
+  const rsvpToEvent = async (event) => {
+    if (eventDogIds.length === 0) {
+      showError('Pick which of your dogs are coming', 'No Dogs Selected');
+      return;
+    }
+
+    const result = await DogParkService.rsvpToParkEvent(eventsPark.id, event.id, eventDogIds);
+    if (result.success) {
+      loadParkEvents(eventsPark);
+    } else {
+      showError(result.error || 'Failed to RSVP', result.code === 'event-full' ? 'Event Full' : 'Error');
+    }
+  };
+
+  const withdrawFromEvent = async (event) => {
+    const result = await DogParkService.cancelParkEventRsvp(eventsPark.id, event.id);
+    if (result.success) {
+      loadParkEvents(eventsPark);
+    } else {
+      showError(result.error || 'Failed to cancel RSVP');
+    }
+  };
+
+  const confirmCancelEvent = (event) => {
+    showInfo(
+      `Cancel ${event.title}? Everyone who RSVP'd will be told.`,
+      'Cancel Event',
+      async () => {
+        const result = await DogParkService.cancelParkEvent(eventsPark.id, event.id);
+        if (result.success) {
+          loadParkEvents(eventsPark);
+        } else {
+          showError(result.error || 'Failed to cancel event');
+        }
+      },
+      'Cancel Event',
+      'Keep'
+    );
+  };
+
+  const loadPlannedVisits = async (park) => {
+    setPlannedLoading(true);
+    const result = await DogParkService.getPlannedVisits(park.id);
+    setPlannedLoading(false);
+
+    if (result.success) {
+      setPlannedVisits(result.plannedVisits);
+    } else {
+      showError(result.error || 'Failed to load planned visits');
+    }
+  };
+
+  const openPlannedVisits = (park) => {
+    setPlannedVisits([]);
+    setPlanForm(EMPTY_PLAN_FORM);
+    setPlanDogIds(dogs.map(dog => dog.id));
+    setPlannedPark(park);
+    loadPlannedVisits(park);
+  };
+
+  const togglePlanDog = (dogId) => {
+    setPlanDogIds(prev => (prev.includes(dogId) ? prev.filter(id => id !== dogId) : [...prev, dogId]));
+  };
+
+  const submitPlannedVisit = async () => {
+    const startsAt = new Date(`${planForm.date.trim()}T${planForm.time.trim()}`);
+    if (Number.isNaN(startsAt.getTime())) {
+      showError('Please enter a date (YYYY-MM-DD) and a time (HH:MM)');
+      return;
+    }
+    if (planDogIds.length === 0) {
+      showError('Pick which of your dogs are going', 'No Dogs Selected');
+      return;
+    }
+
+    setSavingPlan(true);
+    const result = await DogParkService.planParkVisit(
+      plannedPark.id,
+      planDogIds,
+      startsAt.toISOString(),
+      new Date(startsAt.getTime() + planForm.durationMinutes * 60 * 1000).toISOString(),
+      planForm.note.trim()
+    );
+    setSavingPlan(false);
+
+    if (result.success) {
+      setPlanForm(EMPTY_PLAN_FORM);
+      showSuccess(result.message, 'Visit Planned 🗓️');
+      loadPlannedVisits(plannedPark);
+    } else {
+      showError(result.error || 'Failed to plan visit');
+    }
+  };
+
+  const cancelPlannedVisit = async (plannedVisit) => {
+    const result = await DogParkService.cancelPlannedVisit(plannedPark.id, plannedVisit.id);
+    if (result.success) {
+      loadPlannedVisits(plannedPark);
+    } else {
+      showError(result.error || 'Failed to cancel planned visit');
+    }
+  };
+
+  const toggleDogSelection = (dog) => {
+    setSelectedDogs(prev => {
+      const isSelected = prev.find(d => d.id === dog.id);
+      if (isSelected) {
+        return prev.filter(d => d.id !== dog.id);
+      } else {
+        return [...prev, dog];
+      }
+    });
+  };
+
+  const DogSelectionModal = () => (
+    showDogSelection && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Select Dogs to Check In</Text>
+            <Text style={styles.modalSubtitle}>at {selectedPark?.name}</Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setShowDogSelection(false)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.dogsList} showsVerticalScrollIndicator={false}>
+            {dogs.map((dog) => {
+              const isSelected = selectedDogs.find(d => d.id === dog.id);
+              return (
+                <TouchableOpacity
+                  key={dog.id}
+                  style={[styles.dogItem, isSelected && styles.dogItemSelected]}
+                  onPress={() => toggleDogSelection(dog)}
+                >
+                  <View style={styles.dogItemContent}>
+                    <DogImage
+                      source={{ uri: dog.photo_url }}
+                      style={styles.dogPhoto}
+                      placeholder={dog.emoji || '🐕'}
+                    />
+                    <View style={styles.dogItemInfo}>
+                      <Text style={styles.dogItemName}>{dog.name}</Text>
+                      <Text style={styles.dogItemBreed}>{dog.breed}</Text>
+                    </View>
+                    <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
+                      {isSelected && <Text style={styles.checkmark}>✓</Text>}
+                    </View>
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <Text style={styles.durationLabel}>How long are you staying?</Text>
+          <View style={styles.durationOptions}>
+            <TouchableOpacity
+              style={[styles.durationChip, visitMinutes === null && styles.durationChipSelected]}
+              onPress={() => setVisitMinutes(null)}
+            >
+              <Text style={[styles.durationChipText, visitMinutes === null && styles.durationChipTextSelected]}>
+                {selectedPark?.default_visit_minutes ? `Default (${selectedPark.default_visit_minutes} min)` : 'Default'}
+              </Text>
+            </TouchableOpacity>
+            {VISIT_DURATION_OPTIONS.map((minutes) => (
+              <TouchableOpacity
+                key={minutes}
+                style={[styles.durationChip, visitMinutes === minutes && styles.durationChipSelected]}
+                onPress={() => setVisitMinutes(minutes)}
+              >
+                <Text style={[styles.durationChipText, visitMinutes === minutes && styles.durationChipTextSelected]}>
+                  {minutes} min
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={() => setShowDogSelection(false)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.confirmButton, selectedDogs.length === 0 && styles.confirmButtonDisabled]}
+              onPress={confirmCheckIn}
+            >
+              <Text style={styles.confirmButtonText}>
+                Check In ({selectedDogs.length})
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  // Rendered with a function call rather than as a component so the inputs keep focus while typing
+  const renderParkFormModal = () => (
+    showParkForm && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{canManageParks ? 'Add a Dog Park' : 'Suggest a Dog Park'}</Text>
+            <Text style={styles.modalSubtitle}>
+              {canManageParks ? 'It will appear for everyone right away' : 'A moderator will review it'}
+            </Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setShowParkForm(false)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TextInput
+            style={styles.formInput}
+            placeholder="Park name"
+            value={parkForm.name}
+            onChangeText={(value) => setParkForm(prev => ({ ...prev, name: value }))}
+          />
+          <TextInput
+            style={styles.formInput}
+            placeholder="Address"
+            value={parkForm.address}
+            onChangeText={(value) => setParkForm(prev => ({ ...prev, address: value }))}
+          />
+          {!canManageParks && (
+            <TextInput
+              style={[styles.formInput, styles.formTextArea]}
+              placeholder="Anything the moderators should know? (optional)"
+              value={parkForm.notes}
+              onChangeText={(value) => setParkForm(prev => ({ ...prev, notes: value }))}
+              multiline
+            />
+          )}
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={() => setShowParkForm(false)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.confirmButton, submittingPark && styles.confirmButtonDisabled]}
+              onPress={submitParkForm}
+              disabled={submittingPark}
+            >
+              <Text style={styles.confirmButtonText}>
+                {canManageParks ? 'Add Park' : 'Send'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  // Rendered with a function call for the same reason as the park form
+  const renderReviewsModal = () => (
+    reviewsPark && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Reviews</Text>
+            <Text style={styles.modalSubtitle}>{reviewsPark.name}</Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setReviewsPark(null)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {reviewsLoading ? (
+            <ActivityIndicator size="small" color="#4A90E2" />
+          ) : (
+            <ScrollView style={styles.reviewsList} showsVerticalScrollIndicator={false}>
+              {reviews.length === 0 && (
+                <Text style={styles.noReviewsText}>No reviews yet</Text>
+              )}
+              {reviews.map(review => (
+                <View key={review.id} style={styles.reviewItem}>
+                  <Text style={styles.reviewStars}>{renderStars(review.rating)}</Text>
+                  <Text style={styles.reviewAuthor}>
+                    {review.userId === currentUser?.id ? 'You' : review.authorName || 'Dog owner'}
+                  </Text>
+                  {!!review.text && <Text style={styles.reviewText}>{review.text}</Text>}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          <Text style={styles.durationLabel}>{ownReview ? 'Your review' : 'Rate this park'}</Text>
+          <View style={styles.starPicker}>
+            {STAR_VALUES.map(value => (
+              <TouchableOpacity key={value} onPress={() => setReviewForm(prev => ({ ...prev, rating: value }))}>
+                <Text style={styles.starPickerStar}>{value <= reviewForm.rating ? '★' : '☆'}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={[styles.formInput, styles.formTextArea]}
+            placeholder="How was it? (optional)"
+            value={reviewForm.text}
+            onChangeText={(value) => setReviewForm(prev => ({ ...prev, text: value }))}
+            multiline
+          />
+
+          <View style={styles.modalActions}>
+            {ownReview && (
+              <TouchableOpacity style={styles.cancelButton} onPress={confirmDeleteReview}>
+                <Text style={styles.cancelButtonText}>Delete</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.confirmButton, savingReview && styles.confirmButtonDisabled]}
+              onPress={submitReview}
+              disabled={savingReview}
+            >
+              <Text style={styles.confirmButtonText}>
+                {ownReview ? 'Update Review' : 'Post Review'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  const renderPhotosModal = () => (
+    photosPark && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Photos</Text>
+            <Text style={styles.modalSubtitle}>{photosPark.name}</Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setPhotosPark(null)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {photosLoading ? (
+            <ActivityIndicator size="small" color="#4A90E2" />
+          ) : (
+            <ScrollView style={styles.reviewsList} showsVerticalScrollIndicator={false}>
+              {photos.length === 0 && (
+                <Text style={styles.noReviewsText}>No photos yet</Text>
+              )}
+              {photos.map(photo => (
+                <View key={photo.id} style={styles.reviewItem}>
+                  <DogImage source={{ uri: photo.url }} style={styles.galleryPhoto} placeholder="📷" />
+                  <View style={styles.photoActions}>
+                    <Text style={styles.reviewAuthor}>
+                      {photo.id === coverPhotoId ? '⭐ Cover · ' : ''}
+                      {PHOTO_CATEGORIES.find(category => category.id === photo.category)?.label || photo.category}
+                    </Text>
+                    {canManageParks && photo.id !== coverPhotoId && (
+                      <TouchableOpacity onPress={() => makeCoverPhoto(photo)}>
+                        <Text style={styles.photoActionText}>Make cover</Text>
+                      </TouchableOpacity>
+                    )}
+                    {(canManageParks || photo.uploadedBy === currentUser?.id) && (
+                      <TouchableOpacity onPress={() => confirmDeletePhoto(photo)}>
+                        <Text style={styles.photoActionText}>Delete</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                  {!!photo.caption && <Text style={styles.reviewText}>{photo.caption}</Text>}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          <Text style={styles.durationLabel}>Add a photo of</Text>
+          <View style={styles.durationOptions}>
+            {PHOTO_CATEGORIES.map(category => {
+              const isSelected = photoCategory === category.id;
+              return (
+                <TouchableOpacity
+                  key={category.id}
+                  style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                  onPress={() => setPhotoCategory(category.id)}
+                >
+                  <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                    {category.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={[styles.confirmButton, uploadingPhoto && styles.confirmButtonDisabled]}
+              onPress={pickAndUploadPhoto}
+              disabled={uploadingPhoto}
+            >
+              <Text style={styles.confirmButtonText}>
+                {uploadingPhoto ? 'Uploading...' : '📸 Add Photo'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  const renderReportsModal = () => (
+    reportsPark && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Park Conditions</Text>
+            <Text style={styles.modalSubtitle}>{reportsPark.name}</Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setReportsPark(null)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {reportsLoading ? (
+            <ActivityIndicator size="small" color="#4A90E2" />
+          ) : (
+            <ScrollView style={styles.reviewsList} showsVerticalScrollIndicator={false}>
+              {parkReports.length === 0 && (
+                <Text style={styles.noReviewsText}>No open reports - all good here</Text>
+              )}
+              {parkReports.map(report => (
+                <View key={report.id} style={styles.reviewItem}>
+                  <Text style={[styles.reviewAuthor, report.critical && styles.criticalReportText]}>
+                    {report.critical ? '⚠️ ' : ''}{reportCategoryLabel(report.category)} · {report.status}
+                  </Text>
+                  <Text style={styles.reviewText}>{report.description}</Text>
+                  {!!report.photoUrl && (
+                    <DogImage source={{ uri: report.photoUrl }} style={styles.galleryPhoto} placeholder="📷" />
+                  )}
+                  {canManageParks && (
+                    <View style={styles.photoActions}>
+                      {REPORT_STATUS_ACTIONS[report.status].map(action => (
+                        <TouchableOpacity key={action.status} onPress={() => changeReportStatus(report, action.status)}>
+                          <Text style={styles.photoActionText}>{action.label}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          <Text style={styles.durationLabel}>Report a problem</Text>
+          <View style={styles.durationOptions}>
+            {reportCategories.map(category => {
+              const isSelected = reportForm.category === category.id;
+              return (
+                <TouchableOpacity
+                  key={category.id}
+                  style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                  onPress={() => setReportForm(prev => ({ ...prev, category: category.id }))}
+                >
+                  <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                    {category.critical ? '⚠️ ' : ''}{category.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <TextInput
+            style={[styles.formInput, styles.formTextArea]}
+            placeholder="What's wrong, and where in the park?"
+            value={reportForm.description}
+            onChangeText={(value) => setReportForm(prev => ({ ...prev, description: value }))}
+            multiline
+          />
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity style={styles.cancelButton} onPress={pickReportPhoto}>
+              <Text style={styles.cancelButtonText}>{reportForm.photoUri ? '📷 Photo added' : '📷 Add Photo'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.confirmButton, submittingReport && styles.confirmButtonDisabled]}
+              onPress={submitReport}
+              disabled={submittingReport}
+            >
+              <Text style={styles.confirmButtonText}>
+                {submittingReport ? 'Sending...' : 'Send Report'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  const renderEventForm = () => (
+    <View>
+      <TextInput
+        style={styles.formInput}
+        placeholder="Title, e.g. Puppy social"
+        value={eventForm.title}
+        onChangeText={(value) => setEventForm(prev => ({ ...prev, title: value }))}
+      />
+      <View style={styles.eventFormRow}>
+        <TextInput
+          style={[styles.formInput, styles.eventFormField]}
+          placeholder="YYYY-MM-DD"
+          value={eventForm.date}
+          onChangeText={(value) => setEventForm(prev => ({ ...prev, date: value }))}
+        />
+        <TextInput
+          style={[styles.formInput, styles.eventFormField]}
+          placeholder="HH:MM"
+          value={eventForm.time}
+          onChangeText={(value) => setEventForm(prev => ({ ...prev, time: value }))}
+        />
+      </View>
+      <View style={styles.durationOptions}>
+        {EVENT_DURATION_OPTIONS.map(minutes => {
+          const isSelected = eventForm.durationMinutes === minutes;
+          return (
+            <TouchableOpacity
+              key={minutes}
+              style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+              onPress={() => setEventForm(prev => ({ ...prev, durationMinutes: minutes }))}
+            >
+              <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+        {EVENT_DOG_SIZES.map(size => {
+          const isSelected = eventForm.sizes.includes(size);
+          return (
+            <TouchableOpacity
+              key={size}
+              style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+              onPress={() => toggleEventSize(size)}
+            >
+              <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                {size} dogs
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <View style={styles.eventFormRow}>
+        <TextInput
+          style={[styles.formInput, styles.eventFormField]}
+          placeholder="Max dogs (optional)"
+          value={eventForm.maxAttendees}
+          onChangeText={(value) => setEventForm(prev => ({ ...prev, maxAttendees: value }))}
+          keyboardType="number-pad"
+        />
+        <TextInput
+          style={[styles.formInput, styles.eventFormField]}
+          placeholder="Max age, years (optional)"
+          value={eventForm.maxAgeYears}
+          onChangeText={(value) => setEventForm(prev => ({ ...prev, maxAgeYears: value }))}
+          keyboardType="decimal-pad"
+        />
+      </View>
+    </View>
+  );
+
+  const renderEventsModal = () => (
+    eventsPark && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Events</Text>
+            <Text style={styles.modalSubtitle}>{eventsPark.name}</Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setEventsPark(null)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
+            </TouchableOpacity>
+          </View>
 
-        showSuccess('Dogs checked in successfully! 🎉');
-      } else {
-        showError(result.error || 'Failed to check in dogs');
-      }
-    } catch (error) {
-      console.error('Error during check-in:', error);
-      showError('Failed to check in dogs. Please try again.');
-    }
-  };
+          {showEventForm ? renderEventForm() : (
+            <>
+              <View style={styles.photoActions}>
+                <TouchableOpacity onPress={subscribeToMyEvents}>
+                  <Text style={styles.photoActionText}>📆 My events calendar</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => subscribeToCalendar(DogParkService.getParkCalendarUrl(eventsPark.id))}>
+                  <Text style={styles.photoActionText}>📆 This park's calendar</Text>
+                </TouchableOpacity>
+              </View>
+              {dogs.length > 1 && (
+                <View style={styles.durationOptions}>
+                  {dogs.map(dog => {
+                    const isSelected = eventDogIds.includes(dog.id);
+                    return (
+                      <TouchableOpacity
+                        key={dog.id}
+                        style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                        onPress={() => toggleEventDog(dog.id)}
+                      >
+                        <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                          {dog.emoji || '🐕'} {dog.name}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              )}
 
-  const toggleDogSelection = (dog) => {
-    setSelectedDogs(prev => {
-      const isSelected = prev.find(d => d.id === dog.id);
-      if (isSelected) {
-        return prev.filter(d => d.id !== dog.id);
-      } else {
-        return [...prev, dog];
-      }
-    });
-  };
+              {eventsLoading ? (
+                <ActivityIndicator size="small" color="#4A90E2" />
+              ) : (
+                <ScrollView style={styles.reviewsList} showsVerticalScrollIndicator={false}>
+                  {parkEvents.length === 0 && (
+                    <Text style={styles.noReviewsText}>No upcoming events - start one!</Text>
+                  )}
+                  {parkEvents.map(event => {
+                    const imGoing = event.attendees.some(attendee => attendee.ownerId === currentUser?.id);
+                    const canCancel = event.organizerId === currentUser?.id || canManageParks;
+                    return (
+                      <View key={event.id} style={styles.reviewItem}>
+                        <Text style={styles.reviewAuthor}>{event.title}</Text>
+                        <Text style={styles.reviewText}>
+                          📅 {formatClockTime(event.startsAt)} - {formatClockTime(event.endsAt)}
+                          {event.organizerName ? ` · by ${event.organizerName}` : ''}
+                        </Text>
+                        {(event.restrictions.sizes || event.restrictions.maxAgeYears !== null) && (
+                          <Text style={styles.reviewText}>
+                            {event.restrictions.sizes ? `${event.restrictions.sizes.join('/')} dogs` : 'All sizes'}
+                            {event.restrictions.maxAgeYears !== null ? ` · up to ${event.restrictions.maxAgeYears} years` : ''}
+                          </Text>
+                        )}
+                        <Text style={styles.reviewText}>
+                          🐕 {event.attendeeCount}{event.maxAttendees ? `/${event.maxAttendees}` : ''} going
+                          {event.attendees.length > 0 ? `: ${event.attendees.map(attendee => attendee.dogName).join(', ')}` : ''}
+                        </Text>
+                        <View style={styles.photoActions}>
+                          {imGoing ? (
+                            <TouchableOpacity onPress={() => withdrawFromEvent(event)}>
+                              <Text style={styles.photoActionText}>Can't make it</Text>
+                            </TouchableOpacity>
+                          ) : (
+                            <TouchableOpacity onPress={() => rsvpToEvent(event)}>
+                              <Text style={styles.photoActionText}>{event.spotsLeft === 0 ? 'Full' : "We're coming!"}</Text>
+                            </TouchableOpacity>
+                          )}
+                          {canCancel && (
+                            <TouchableOpacity onPress={() => confirmCancelEvent(event)}>
+                              <Text style={styles.photoActionText}>Cancel event</Text>
+                            </TouchableOpacity>
+                          )}
+                        </View>
+                      </View>
+                    );
+                  })}
+                </ScrollView>
+              )}
+            </>
+          )}
 
-  const DogSelectionModal = () => (
-    showDogSelection && (
+          <View style={styles.modalActions}>
+            {showEventForm && (
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setShowEventForm(false)}>
+                <Text style={styles.cancelButtonText}>Back</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.confirmButton, savingEvent && styles.confirmButtonDisabled]}
+              onPress={showEventForm ? submitEvent : () => setShowEventForm(true)}
+              disabled={savingEvent}
+            >
+              <Text style={styles.confirmButtonText}>
+                {showEventForm ? 'Create Event' : '📅 New Event'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  const renderPlannedVisitsModal = () => (
+    plannedPark && (
       <View style={styles.modalOverlay}>
         <View style={styles.modalContent}>
           <View style={styles.modalHeader}>
-            <Text style={styles.modalTitle}>Select Dogs to Check In</Text>
-            <Text style={styles.modalSubtitle}>at {selectedPark?.name}</Text>
+            <Text style={styles.modalTitle}>Who's Coming</Text>
+            <Text style={styles.modalSubtitle}>{plannedPark.name}</Text>
             <TouchableOpacity
               style={styles.modalCloseButton}
-              onPress={() => setShowDogSelection(false)}
+              onPress={() => setPlannedPark(null)}
             >
               <Text style={styles.modalCloseText}>✕</Text>
             </TouchableOpacity>
           </View>
 
-          <ScrollView style={styles.dogsList} showsVerticalScrollIndicator={false}>
-            {dogs.map((dog) => {
-              const isSelected = selectedDogs.find(d => d.id === dog.id);
+          {plannedLoading ? (
+            <ActivityIndicator size="small" color="#4A90E2" />
+          ) : (
+            <ScrollView style={styles.reviewsList} showsVerticalScrollIndicator={false}>
+              {plannedVisits.length === 0 && (
+                <Text style={styles.noReviewsText}>No visits planned yet - let your friends know when you'll be here!</Text>
+              )}
+              {plannedVisits.map(plannedVisit => (
+                <View key={plannedVisit.id} style={styles.reviewItem}>
+                  <Text style={styles.reviewAuthor}>
+                    {plannedVisit.dogs.map(dog => dog.dogName).join(', ')}
+                  </Text>
+                  <Text style={styles.reviewText}>
+                    🗓️ {formatClockTime(plannedVisit.startsAt)} - {formatClockTime(plannedVisit.endsAt)}
+                    {plannedVisit.ownerName ? ` · with ${plannedVisit.ownerName}` : ''}
+                  </Text>
+                  {!!plannedVisit.note && <Text style={styles.reviewText}>{plannedVisit.note}</Text>}
+                  {plannedVisit.ownerId === currentUser?.id && (
+                    <View style={styles.photoActions}>
+                      <TouchableOpacity onPress={() => cancelPlannedVisit(plannedVisit)}>
+                        <Text style={styles.photoActionText}>Plans changed</Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          <View style={styles.eventFormRow}>
+            <TextInput
+              style={[styles.formInput, styles.eventFormField]}
+              placeholder="YYYY-MM-DD"
+              value={planForm.date}
+              onChangeText={(value) => setPlanForm(prev => ({ ...prev, date: value }))}
+            />
+            <TextInput
+              style={[styles.formInput, styles.eventFormField]}
+              placeholder="HH:MM"
+              value={planForm.time}
+              onChangeText={(value) => setPlanForm(prev => ({ ...prev, time: value }))}
+            />
+          </View>
+          <View style={styles.durationOptions}>
+            {EVENT_DURATION_OPTIONS.map(minutes => {
+              const isSelected = planForm.durationMinutes === minutes;
+              return (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                  onPress={() => setPlanForm(prev => ({ ...prev, durationMinutes: minutes }))}
+                >
+                  <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                    {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+            {dogs.length > 1 && dogs.map(dog => {
+              const isSelected = planDogIds.includes(dog.id);
               return (
                 <TouchableOpacity
                   key={dog.id}
-                  style={[styles.dogItem, isSelected && styles.dogItemSelected]}
-                  onPress={() => toggleDogSelection(dog)}
+                  style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                  onPress={() => togglePlanDog(dog.id)}
                 >
-                  <View style={styles.dogItemContent}>
-                    <DogImage
-                      source={{ uri: dog.photo_url }}
-                      style={styles.dogPhoto}
-                      placeholder={dog.emoji || '🐕'}
-                    />
-                    <View style={styles.dogItemInfo}>
-                      <Text style={styles.dogItemName}>{dog.name}</Text>
-                      <Text style={styles.dogItemBreed}>{dog.breed}</Text>
-                    </View>
-                    <View style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
-                      {isSelected && <Text style={styles.checkmark}>✓</Text>}
-                    </View>
-                  </View>
+                  <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                    {dog.emoji || '🐕'} {dog.name}
+                  </Text>
                 </TouchableOpacity>
               );
             })}
-          </ScrollView>
+          </View>
+          <TextInput
+            style={styles.formInput}
+            placeholder="Note for friends (optional)"
+            value={planForm.note}
+            onChangeText={(value) => setPlanForm(prev => ({ ...prev, note: value }))}
+          />
 
           <View style={styles.modalActions}>
             <TouchableOpacity
-              style={styles.cancelButton}
-              onPress={() => setShowDogSelection(false)}
+              style={[styles.confirmButton, savingPlan && styles.confirmButtonDisabled]}
+              onPress={submitPlannedVisit}
+              disabled={savingPlan}
             >
-              <Text style={styles.cancelButtonText}>Cancel</Text>
+              <Text style={styles.confirmButtonText}>
+                {savingPlan ? 'Saving...' : '🗓️ Plan a Visit'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    )
+  );
+
+  const renderParkAlertsModal = () => (
+    showParkAlerts && parkAlerts && (
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>Favourite Park Alerts</Text>
+            <Text style={styles.modalSubtitle}>For the parks you follow ⭐</Text>
+            <TouchableOpacity
+              style={styles.modalCloseButton}
+              onPress={() => setShowParkAlerts(false)}
+            >
+              <Text style={styles.modalCloseText}>✕</Text>
             </TouchableOpacity>
+          </View>
+
+          <View style={styles.durationOptions}>
             <TouchableOpacity
-              style={[styles.confirmButton, selectedDogs.length === 0 && styles.confirmButtonDisabled]}
-              onPress={confirmCheckIn}
+              style={[styles.durationChip, parkAlerts.firstArrival && styles.durationChipSelected]}
+              onPress={() => saveParkAlerts(!parkAlerts.firstArrival)}
             >
+              <Text style={[styles.durationChipText, parkAlerts.firstArrival && styles.durationChipTextSelected]}>
+                🐕 When the first dogs arrive
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.durationLabel}>When there are more than this many dogs of a size</Text>
+          <View style={styles.durationOptions}>
+            {EVENT_DOG_SIZES.map(size => {
+              const isSelected = alertSize === size;
+              return (
+                <TouchableOpacity
+                  key={size}
+                  style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                  onPress={() => setAlertSize(isSelected ? null : size)}
+                >
+                  <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                    {size} dogs
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {!!alertSize && (
+            <TextInput
+              style={styles.formInput}
+              placeholder="More than how many? e.g. 3"
+              value={alertMoreThan}
+              onChangeText={setAlertMoreThan}
+              keyboardType="number-pad"
+            />
+          )}
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity style={styles.confirmButton} onPress={() => saveParkAlerts()}>
               <Text style={styles.confirmButtonText}>
-                Check In ({selectedDogs.length})
+                {parkAlerts.sizeAlert && !alertSize ? 'Turn Off Size Alert' : 'Save'}
               </Text>
             </TouchableOpacity>
           </View>
@@ -254,20 +1625,70 @@ export default function DogParksScreen({ navigation }) {
   );
 
   const ParkCard = ({ park }) => {
-    const checkedInDogs = parksCheckedInDogs[park.id] || [];
-    const dogCount = checkedInDogs.length;
+    const occupancy = parkOccupancy[park.id];
+    const dogCount = occupancy ? occupancy.checkedInCount : (park.checkedInDogs || []).length;
+    // e.g. "2 small · 1 large"; the polling fallback has no breakdown
+    const sizeBreakdown = occupancy && occupancy.sizes
+      ? EVENT_DOG_SIZES.filter(size => occupancy.sizes[size] > 0).map(size => `${occupancy.sizes[size]} ${size}`).join(' · ')
+      : '';
+    // The first few dogs here; the polling fallback has no dog details
+    const dogsPreview = (occupancy && occupancy.dogs) || [];
+    const activeReports = park.active_reports || [];
+    const hasCriticalReport = activeReports.some(report => report.critical);
 
     return (
       <View style={styles.parkCard}>
+        {!!park.coverPhotoUrl && (
+          <TouchableOpacity onPress={() => openPhotos(park)}>
+            <DogImage source={{ uri: park.coverPhotoUrl }} style={styles.coverPhoto} placeholder="🌳" />
+          </TouchableOpacity>
+        )}
         <View style={styles.parkHeader}>
           <View style={styles.parkInfo}>
             <Text style={styles.parkName}>{park.name}</Text>
             <Text style={styles.parkAddress}>{park.address}</Text>
+            {park.distanceKm !== undefined && (
+              <Text style={styles.parkDistance}>
+                📍 {park.distanceKm < 1 ? `${Math.round(park.distanceKm * 1000)} m` : `${park.distanceKm.toFixed(1)} km`} away
+              </Text>
+            )}
             <View style={styles.dogCountContainer}>
               <Text style={styles.dogCountText}>
-                🐕 {dogCount} {dogCount === 1 ? 'dog' : 'dogs'} currently here
+                {park.capacity
+                  ? `🐕 ${dogCount}/${park.capacity} dogs currently here${dogCount >= park.capacity ? ' · Full' : ''}`
+                  : `🐕 ${dogCount} ${dogCount === 1 ? 'dog' : 'dogs'} currently here`}
               </Text>
+              {!!sizeBreakdown && (
+                <Text style={styles.dogSizeText}>{sizeBreakdown}</Text>
+              )}
             </View>
+            {park.isOpen !== undefined && (
+              <Text style={[styles.openStatusText, !park.isOpen && styles.closedStatusText]}>
+                {park.isOpen
+                  ? `🟢 Open${park.closesAt ? ` · closes ${formatClockTime(park.closesAt)}` : ''}`
+                  : `🔴 Closed${park.closedReason ? ` (${park.closedReason})` : ''}${park.opensAt ? ` · opens ${formatClockTime(park.opensAt)}` : ''}`}
+              </Text>
+            )}
+            <TouchableOpacity onPress={() => openEvents(park)}>
+              <Text style={styles.eventsLinkText}>📅 Events & meetups</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => openPlannedVisits(park)}>
+              <Text style={styles.eventsLinkText}>🗓️ Who's coming later</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => openReports(park)}>
+              <Text style={[styles.reportStatusText, hasCriticalReport && styles.criticalReportText]}>
+                {activeReports.length > 0
+                  ? `${hasCriticalReport ? '⚠️' : '🚧'} ${activeReports.length} reported ${activeReports.length === 1 ? 'problem' : 'problems'}`
+                  : '🚧 Report a problem'}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => openReviews(park)}>
+              <Text style={styles.ratingText}>
+                {park.review_count
+                  ? `${renderStars(park.rating_average)} ${park.rating_average} · ${park.review_count} ${park.review_count === 1 ? 'review' : 'reviews'}`
+                  : '☆ No reviews yet · Be the first'}
+              </Text>
+            </TouchableOpacity>
           </View>
         </View>
 
@@ -276,17 +1697,17 @@ export default function DogParksScreen({ navigation }) {
           <View style={styles.amenitiesList}>
             {park.amenities.map((amenity, index) => (
               <View key={index} style={styles.amenityTag}>
-                <Text style={styles.amenityText}>{amenity}</Text>
+                <Text style={styles.amenityText}>{amenityLabel(amenity)}</Text>
               </View>
             ))}
           </View>
         </View>
 
-        {checkedInDogs.length > 0 && (
+        {dogsPreview.length > 0 && (
           <View style={styles.checkedInDogsContainer}>
             <Text style={styles.checkedInDogsTitle}>Dogs here now:</Text>
             <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.checkedInDogsList}>
-              {checkedInDogs.slice(0, 5).map((dog, index) => (
+              {dogsPreview.map((dog, index) => (
                 <View key={dog.id || index} style={styles.checkedInDogItem}>
                   <DogImage
                     source={{ uri: dog.photo_url }}
@@ -298,9 +1719,9 @@ export default function DogParksScreen({ navigation }) {
                   </Text>
                 </View>
               ))}
-              {checkedInDogs.length > 5 && (
+              {dogCount > dogsPreview.length && (
                 <View style={styles.moreDogsIndicator}>
-                  <Text style={styles.moreDogsText}>+{checkedInDogs.length - 5}</Text>
+                  <Text style={styles.moreDogsText}>+{dogCount - dogsPreview.length}</Text>
                 </View>
               )}
             </ScrollView>
@@ -322,6 +1743,18 @@ export default function DogParksScreen({ navigation }) {
           >
             <Text style={styles.directionsButtonText}>🗺️ Directions</Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.photosButton}
+            onPress={() => openPhotos(park)}
+          >
+            <Text style={styles.directionsButtonText}>📷</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.photosButton}
+            onPress={() => toggleFavoritePark(park)}
+          >
+            <Text style={styles.directionsButtonText}>{favoriteParkIds.includes(park.id) ? '⭐' : '☆'}</Text>
+          </TouchableOpacity>
         </View>
       </View>
     );
@@ -331,9 +1764,53 @@ export default function DogParksScreen({ navigation }) {
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Dog Parks Near You 🐕</Text>
-        <Text style={styles.subtitle}>Find the perfect spot for your furry friend</Text>
+        <Text style={styles.subtitle}>
+          {sortedByDistance ? 'Closest parks first' : 'Find the perfect spot for your furry friend'}
+        </Text>
+        <TouchableOpacity style={styles.addParkButton} onPress={openParkForm}>
+          <Text style={styles.addParkButtonText}>
+            {canManageParks ? '➕ Add Park' : '💡 Suggest a Park'}
+          </Text>
+        </TouchableOpacity>
+        {favoriteParkIds.length > 0 && (
+          <TouchableOpacity style={styles.addParkButton} onPress={openParkAlerts}>
+            <Text style={styles.addParkButtonText}>🔔 Favourite park alerts</Text>
+          </TouchableOpacity>
+        )}
       </View>
 
+      {amenityCatalog.length > 0 && (
+        <ScrollView
+          horizontal
+          style={styles.filterBar}
+          contentContainerStyle={styles.filterBarContent}
+          showsHorizontalScrollIndicator={false}
+        >
+          <TouchableOpacity
+            style={[styles.durationChip, openNowOnly && styles.durationChipSelected]}
+            onPress={toggleOpenNowFilter}
+          >
+            <Text style={[styles.durationChipText, openNowOnly && styles.durationChipTextSelected]}>
+              🕒 Open now
+            </Text>
+          </TouchableOpacity>
+          {amenityCatalog.map(amenity => {
+            const isSelected = selectedAmenities.includes(amenity.id);
+            return (
+              <TouchableOpacity
+                key={amenity.id}
+                style={[styles.durationChip, isSelected && styles.durationChipSelected]}
+                onPress={() => toggleAmenityFilter(amenity.id)}
+              >
+                <Text style={[styles.durationChipText, isSelected && styles.durationChipTextSelected]}>
+                  {amenity.emoji} {amenity.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
       {loading ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#4A90E2" />
@@ -342,7 +1819,16 @@ export default function DogParksScreen({ navigation }) {
       ) : (
         <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
           <View style={styles.parksContainer}>
-            {parks.map((park, index) => {
+            {parks.length === 0 && (
+              <Text style={styles.noParksText}>
+                {selectedAmenities.length > 0 || openNowOnly ? 'No parks match the selected filters' : 'No dog parks found'}
+              </Text>
+            )}
+            {/* Followed parks are pinned to the top, keeping the list's own order within each group */}
+            {[
+              ...parks.filter(park => favoriteParkIds.includes(park.id)),
+              ...parks.filter(park => !favoriteParkIds.includes(park.id)),
+            ].map((park) => {
               return <ParkCard key={park.id} park={park} />;
             })}
           </View>
@@ -351,6 +1837,13 @@ export default function DogParksScreen({ navigation }) {
       )}
 
       <DogSelectionModal />
+      {renderParkFormModal()}
+      {renderReviewsModal()}
+      {renderPhotosModal()}
+      {renderReportsModal()}
+      {renderEventsModal()}
+      {renderPlannedVisitsModal()}
+      {renderParkAlertsModal()}
 
       <CustomAlert
         visible={alertState.visible}
@@ -359,6 +1852,9 @@ export default function DogParksScreen({ navigation }) {
         type={alertState.type}
         onClose={hideAlert}
         confirmText={alertState.confirmText}
+        cancelText={alertState.cancelText}
+        showCancel={alertState.showCancel}
+        onConfirm={alertState.onConfirm}
       />
     </SafeAreaView>
   );
@@ -386,6 +1882,33 @@ const styles = StyleSheet.create({
     color: '#E8F4FD',
     textAlign: 'center',
   },
+  addParkButton: {
+    marginTop: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  addParkButtonText: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+  filterBar: {
+    flexGrow: 0,
+    backgroundColor: '#FFFFFF',
+  },
+  filterBarContent: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    gap: 8,
+  },
+  noParksText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 30,
+  },
   loadingContainer: {
     flex: 1,
     alignItems: 'center',
@@ -418,6 +1941,12 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
+  coverPhoto: {
+    width: '100%',
+    height: 160,
+    borderRadius: 10,
+    marginBottom: 15,
+  },
   parkHeader: {
     marginBottom: 15,
   },
@@ -435,6 +1964,11 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 3,
   },
+  parkDistance: {
+    fontSize: 13,
+    color: '#4A90E2',
+    marginBottom: 3,
+  },
   dogCountContainer: {
     marginTop: 5,
   },
@@ -442,6 +1976,45 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#4A90E2',
   },
+  dogSizeText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  openStatusText: {
+    fontSize: 14,
+    color: '#28A745',
+    marginTop: 5,
+  },
+  closedStatusText: {
+    color: '#DC3545',
+  },
+  eventsLinkText: {
+    fontSize: 14,
+    color: '#4A90E2',
+    marginTop: 5,
+  },
+  eventFormRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  eventFormField: {
+    flex: 1,
+  },
+  reportStatusText: {
+    fontSize: 14,
+    color: '#E67E22',
+    marginTop: 5,
+  },
+  criticalReportText: {
+    color: '#DC3545',
+    fontWeight: 'bold',
+  },
+  ratingText: {
+    fontSize: 14,
+    color: '#F5A623',
+    marginTop: 5,
+  },
   amenitiesContainer: {
     marginBottom: 15,
   },
@@ -537,6 +2110,13 @@ const styles = StyleSheet.create({
     flex: 1,
     alignItems: 'center',
   },
+  photosButton: {
+    backgroundColor: '#7B68EE',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
   directionsButtonText: {
     color: '#FFFFFF',
     fontWeight: 'bold',
@@ -668,6 +2248,107 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  formInput: {
+    backgroundColor: '#F8F9FA',
+    borderWidth: 2,
+    borderColor: '#E9ECEF',
+    borderRadius: 12,
+    padding: 15,
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 12,
+  },
+  formTextArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  reviewsList: {
+    maxHeight: 220,
+    marginBottom: 15,
+  },
+  noReviewsText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  reviewItem: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#E9ECEF',
+    paddingVertical: 10,
+  },
+  reviewStars: {
+    fontSize: 14,
+    color: '#F5A623',
+  },
+  reviewAuthor: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 2,
+  },
+  reviewText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  galleryPhoto: {
+    width: '100%',
+    height: 180,
+    borderRadius: 8,
+  },
+  photoActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 6,
+  },
+  photoActionText: {
+    fontSize: 13,
+    color: '#4A90E2',
+    fontWeight: '600',
+  },
+  starPicker: {
+    flexDirection: 'row',
+    gap: 6,
+    marginBottom: 12,
+  },
+  starPickerStar: {
+    fontSize: 28,
+    color: '#F5A623',
+  },
+  durationLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  durationOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  durationChip: {
+    backgroundColor: '#F8F9FA',
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#E9ECEF',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  durationChipSelected: {
+    backgroundColor: '#E8F4FD',
+    borderColor: '#4A90E2',
+  },
+  durationChipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  durationChipTextSelected: {
+    color: '#4A90E2',
+    fontWeight: 'bold',
+  },
   modalActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
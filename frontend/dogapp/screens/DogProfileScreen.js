@@ -10,11 +10,23 @@ import {
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import CustomAlert, { DogImage } from '../components/CustomAlert';
 import { useAlerts } from '../components/useCustomAlert';
+import DogParkService from '../services/DogParkService';
 
 export default function DogProfileScreen({ route, navigation }) {
   const { dog } = route.params;
   const { alertState, hideAlert, showError, showSuccess } = useAlerts();
   const [confirmDelete, setConfirmDelete] = React.useState(false);
+  const [visits, setVisits] = React.useState([]);
+
+  React.useEffect(() => {
+    const loadVisits = async () => {
+      const result = await DogParkService.getDogVisits(dog.id, 10);
+      if (result.success) {
+        setVisits(result.visits);
+      }
+    };
+    loadVisits();
+  }, [dog.id]);
 
   const deleteDog = async () => {
     setConfirmDelete(true);
@@ -55,6 +67,13 @@ export default function DogProfileScreen({ route, navigation }) {
     return date.toLocaleDateString();
   };
 
+  const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined) return 'Still there';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
@@ -127,6 +146,26 @@ export default function DogProfileScreen({ route, navigation }) {
           </View>
         )}
 
+        {/* Park History Section */}
+        {visits.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Park History</Text>
+            {visits.map(visit => (
+              <View key={visit.id} style={styles.visitCard}>
+                <View style={styles.visitInfo}>
+                  <Text style={styles.visitParkName}>🏞️ {visit.park_name || 'Dog park'}</Text>
+                  <Text style={styles.visitDate}>
+                    {new Date(visit.checked_in_at).toLocaleString()}
+                  </Text>
+                </View>
+                <Text style={[styles.visitDuration, visit.is_active && styles.visitActive]}>
+                  {formatDuration(visit.duration_seconds)}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Action Buttons */}
         <View style={styles.actionSection}>
           <TouchableOpacity
@@ -299,6 +338,45 @@ const styles = StyleSheet.create({
     color: '#333',
     lineHeight: 24,
   },
+  visitCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  visitInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  visitParkName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  visitDate: {
+    fontSize: 13,
+    color: '#666',
+  },
+  visitDuration: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#4A90E2',
+  },
+  visitActive: {
+    color: '#28A745',
+  },
   actionSection: {
     margin: 20,
     gap: 15,
@@ -20,6 +20,7 @@ export default function EditDogScreen({ route, navigation }) {
     breed: dog?.breed || '',
     age: dog?.age?.toString() || '',
     energyLevel: dog?.energyLevel || '',
+    size: dog?.size || '',
     playStyle: dog?.playStyle || [],
     emoji: dog?.emoji || '🐕',
   });
@@ -43,6 +44,12 @@ export default function EditDogScreen({ route, navigation }) {
     "Very High - Extremely active"
   ];
 
+  const dogSizes = [
+    { value: 'small', label: 'Small - under 10kg' },
+    { value: 'medium', label: 'Medium - 10 to 25kg' },
+    { value: 'large', label: 'Large - over 25kg' }
+  ];
+
   const playStyles = [
     "Wrestle",
     "Chase", 
@@ -142,6 +149,7 @@ export default function EditDogScreen({ route, navigation }) {
         breed: dogData.breed.trim(),
         age: ageNumber,
         energyLevel: dogData.energyLevel,
+        size: dogData.size,
         playStyle: dogData.playStyle,
         emoji: dogData.emoji,
       };
@@ -288,6 +296,30 @@ export default function EditDogScreen({ route, navigation }) {
             </View>
           </View>
 
+          {/* Size */}
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>📏 Size</Text>
+            <View style={styles.energyLevelContainer}>
+              {dogSizes.map((size) => (
+                <TouchableOpacity
+                  key={size.value}
+                  style={[
+                    styles.energyLevelButton,
+                    dogData.size === size.value && styles.selectedEnergyLevel,
+                  ]}
+                  onPress={() => updateField('size', size.value)}
+                >
+                  <Text style={[
+                    styles.energyLevelText,
+                    dogData.size === size.value && styles.selectedEnergyLevelText
+                  ]}>
+                    {size.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
           {/* Play Style */}
           <View style={styles.inputGroup}>
             <Text style={styles.label}>🎭 Play Style (Select multiple)</Text>
@@ -8,6 +8,8 @@ import {
   TouchableOpacity,
   Platform,
   RefreshControl,
+  Switch,
+  TextInput,
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import FriendService from '../services/FriendService';
@@ -20,6 +22,10 @@ export default function NotificationsScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [processingRequest, setProcessingRequest] = useState({});
+  const [friendArrivals, setFriendArrivals] = useState(null);
+  const [quietStart, setQuietStart] = useState('');
+  const [quietEnd, setQuietEnd] = useState('');
+  const [savingSettings, setSavingSettings] = useState(false);
   const { alertState, hideAlert, showError, showSuccess } = useAlerts();
 
   // Load notifications when screen comes into focus
@@ -27,6 +33,7 @@ export default function NotificationsScreen({ navigation }) {
     React.useCallback(() => {
       loadNotifications();
       loadPendingRequests();
+      loadFriendArrivalSettings();
     }, [])
   );
 
@@ -64,6 +71,35 @@ export default function NotificationsScreen({ navigation }) {
     }
   };
 
+  const loadFriendArrivalSettings = async () => {
+    const result = await FriendService.getNotificationPreferences();
+    if (result.success) {
+      const settings = result.preferences.friendArrivals;
+      setFriendArrivals(settings);
+      setQuietStart(settings.quietHours?.start || '');
+      setQuietEnd(settings.quietHours?.end || '');
+    }
+  };
+
+  // Quiet hours are kept in the device's time zone; leave both times empty for none
+  const saveFriendArrivalSettings = async (enabled = friendArrivals.enabled) => {
+    const hasQuietHours = quietStart.trim() || quietEnd.trim();
+    setSavingSettings(true);
+    const result = await FriendService.updateFriendArrivalPreferences({
+      enabled,
+      quietHours: hasQuietHours
+        ? { start: quietStart.trim(), end: quietEnd.trim(), timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+        : null,
+    });
+    setSavingSettings(false);
+
+    if (result.success) {
+      setFriendArrivals(result.preferences.friendArrivals);
+    } else {
+      showError(result.error || 'Failed to save settings');
+    }
+  };
+
   const handleRefresh = async () => {
     setRefreshing(true);
     await Promise.all([loadNotifications(), loadPendingRequests()]);
@@ -244,6 +280,50 @@ export default function NotificationsScreen({ navigation }) {
               </View>
             )}
 
+            {/* Friend Arrival Settings */}
+            {friendArrivals && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>🐾 Friends at the Park</Text>
+                <View style={styles.settingsCard}>
+                  <View style={styles.settingsRow}>
+                    <Text style={styles.settingsLabel}>Tell me when my dogs' friends arrive at a park</Text>
+                    <Switch
+                      value={friendArrivals.enabled}
+                      onValueChange={(value) => saveFriendArrivalSettings(value)}
+                      disabled={savingSettings}
+                    />
+                  </View>
+                  {friendArrivals.enabled && (
+                    <>
+                      <Text style={styles.settingsHint}>Quiet hours (optional)</Text>
+                      <View style={styles.settingsRow}>
+                        <TextInput
+                          style={styles.settingsInput}
+                          placeholder="22:00"
+                          value={quietStart}
+                          onChangeText={setQuietStart}
+                        />
+                        <Text style={styles.settingsHint}>to</Text>
+                        <TextInput
+                          style={styles.settingsInput}
+                          placeholder="07:00"
+                          value={quietEnd}
+                          onChangeText={setQuietEnd}
+                        />
+                        <TouchableOpacity
+                          style={[styles.acceptButton, savingSettings && styles.buttonDisabled]}
+                          onPress={() => saveFriendArrivalSettings()}
+                          disabled={savingSettings}
+                        >
+                          <Text style={styles.acceptButtonText}>{savingSettings ? 'Saving...' : 'Save'}</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </>
+                  )}
+                </View>
+              </View>
+            )}
+
             {/* All Notifications Section */}
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>
@@ -416,6 +496,36 @@ const styles = StyleSheet.create({
   buttonDisabled: {
     opacity: 0.6,
   },
+  settingsCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 15,
+    padding: 15,
+    gap: 10,
+  },
+  settingsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 10,
+  },
+  settingsLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  settingsHint: {
+    fontSize: 12,
+    color: '#666',
+  },
+  settingsInput: {
+    borderWidth: 1,
+    borderColor: '#DDD',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    width: 80,
+    fontSize: 14,
+  },
   notificationCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 12,
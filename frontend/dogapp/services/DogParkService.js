@@ -3,6 +3,8 @@ import { getApiUrl, getApiConfig } from '../config';
 import { makeAuthenticatedRequest } from './api';
 import { db } from '../firebase';
 import { doc, onSnapshot, collection, getDocs, getDoc } from 'firebase/firestore';
+import { io } from 'socket.io-client';
+import EventSource from 'react-native-sse';
 
 // Helper function to get auth token
 const getAuthToken = async () => {
@@ -24,218 +26,1036 @@ const getAuthToken = async () => {
 // Store active Firestore listeners to clean them up later
 const activeListeners = new Map();
 
+// One Socket.IO connection shared by every park subscription, opened on first use
+// and closed when the last subscription ends
+let parkSocket = null;
+let parkSocketSubscribers = 0;
+
+const getParkSocket = () => {
+  if (!parkSocket) {
+    parkSocket = io(getApiUrl(), {
+      // Read the token on every (re)connect so a fresh login is picked up
+      auth: (cb) => {
+        getAuthToken().then(token => cb({ token }));
+      },
+      transports: ['websocket'],
+    });
+  }
+  return parkSocket;
+};
+
+const releaseParkSocket = () => {
+  parkSocketSubscribers -= 1;
+  if (parkSocketSubscribers <= 0 && parkSocket) {
+    parkSocket.disconnect();
+    parkSocket = null;
+    parkSocketSubscribers = 0;
+  }
+};
+
+// Open one of the API's Server-Sent Events streams. React Native has no built-in
+// EventSource, so this uses react-native-sse, which also runs on web and can send the
+// token as a header. onData gets each parsed `data:` event; onClosed is called if the
+// stream is refused or drops. Returns a function that closes it.
+const openEventStream = (endpoint, label, onData, onClosed) => {
+  let eventSource = null;
+  let closed = false;
+
+  getAuthToken().then(token => {
+    if (closed) {
+      return;
+    }
+
+    console.log(`📡 Opening live stream: ${label}`);
+    eventSource = new EventSource(getApiUrl(endpoint), {
+      headers: { Authorization: `Bearer ${token || ''}` },
+    });
+
+    eventSource.addEventListener('message', (event) => {
+      try {
+        onData(JSON.parse(event.data));
+      } catch (error) {
+        console.error(`❌ Error reading live stream update (${label}):`, error);
+      }
+    });
+
+    // react-native-sse keeps retrying a refused stream and doesn't reconnect after a
+    // network error, so either way stop here and let the caller fall back
+    eventSource.addEventListener('error', (event) => {
+      if (closed) {
+        return;
+      }
+      console.warn(`⚠️ Live stream failed (${label}):`, event.xhrStatus || event.message);
+      closed = true;
+      eventSource.close();
+      if (onClosed) {
+        onClosed();
+      }
+    });
+  });
+
+  return () => {
+    closed = true;
+    if (eventSource) {
+      console.log(`🔕 Closing live stream: ${label}`);
+      eventSource.close();
+    }
+  };
+};
+
+// Query string for the park list filters, e.g. { amenities: ['fenced'], openNow: true } -> "amenities=fenced&openNow=true"
+const buildFilterQuery = (filters = {}) => {
+  const params = [];
+  if (filters.amenities && filters.amenities.length > 0) {
+    params.push(`amenities=${filters.amenities.map(encodeURIComponent).join(',')}`);
+  }
+  if (filters.openNow) {
+    params.push('openNow=true');
+  }
+  return params.join('&');
+};
+
 class DogParkService {
-  static async getParks() {
+  static async getParks(filters = {}) {
     try {
       console.log('🏞️ Fetching dog parks...');
-      const response = await makeAuthenticatedRequest('/api/dog-parks');
+      const query = buildFilterQuery(filters);
+      const response = await makeAuthenticatedRequest(`/api/dog-parks${query ? `?${query}` : ''}`);
+      
+      if (!response.ok) {
+        throw new Error(`Failed to fetch parks: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      console.error('❌ Error fetching parks:', error);
+      throw error;
+    }
+  }
+
+  // The amenity catalogue: [{ id, label, emoji }]
+  static async getAmenities() {
+    try {
+      const response = await makeAuthenticatedRequest('/api/dog-parks/amenities');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load amenities');
+      }
+
+      return { success: true, amenities: data.amenities };
+    } catch (error) {
+      console.error('❌ Error loading amenities:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Parks within radiusKm of the given coordinates, nearest first (each with distanceKm and occupancy)
+  static async getNearbyParks(latitude, longitude, radiusKm = 25, filters = {}) {
+    try {
+      console.log('📍 Fetching nearby dog parks...');
+      const query = buildFilterQuery(filters);
+      const response = await makeAuthenticatedRequest(
+        `/api/dog-parks/nearby?lat=${latitude}&lng=${longitude}&radiusKm=${radiusKm}${query ? `&${query}` : ''}`
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch nearby parks');
+      }
+
+      console.log('✅ Nearby parks loaded:', data.parks.length);
+      return { success: true, parks: data.parks };
+    } catch (error) {
+      console.error('❌ Error fetching nearby parks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async addPark(parkData) {
+    try {
+      console.log('🏞️ Adding new dog park via backend...');
+      const response = await makeAuthenticatedRequest('/api/dog-parks', {
+        method: 'POST',
+        body: JSON.stringify(parkData),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add park');
+      }
+
+      console.log('✅ Dog park added successfully with ID:', data.park.id);
+      return { success: true, id: data.park.id };
+    } catch (error) {
+      console.error('❌ Error adding dog park:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async updatePark(parkId, parkData) {
+    try {
+      console.log('🏞️ Updating dog park via backend...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}`, {
+        method: 'PUT',
+        body: JSON.stringify(parkData),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update park');
+      }
+
+      console.log('✅ Dog park updated successfully');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error updating dog park:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deletePark(parkId) {
+    try {
+      console.log('🏞️ Deleting dog park via backend...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete park');
+      }
+
+      console.log('✅ Dog park deleted successfully');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting dog park:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // expectedDurationMinutes is optional - the park's default visit length is used when omitted
+  static async checkInDogs(parkId, dogIds, expectedDurationMinutes = null) {
+    try {
+      console.log('🏞️ Checking in dogs to park via backend...');
+      
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/checkin`, {
+        method: 'POST',
+        body: JSON.stringify({ dogIds, expectedDurationMinutes }),
+      });
+
+      // Check if response is ok before trying to parse JSON
+      if (!response.ok) {
+        let errorMessage = 'Failed to check in dogs';
+        let errorData = null;
+        try {
+          errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (parseError) {
+          const textResponse = await response.text();
+          if (response.status === 401) {
+            errorMessage = 'Authentication required. Please log in again.';
+          } else if (response.status === 403) {
+            errorMessage = 'Access denied. Please check your permissions.';
+          } else {
+            errorMessage = `Server error (${response.status})`;
+          }
+        }
+
+        // The park is at capacity - the caller can offer the waitlist instead
+        if (errorData?.code === 'park-full') {
+          console.log('⛔ Park is full:', errorMessage);
+          return {
+            success: false,
+            error: errorMessage,
+            code: errorData.code,
+            capacity: errorData.capacity,
+            spotsLeft: errorData.spotsLeft
+          };
+        }
+
+        // Outside opening hours - errorMessage already says when it opens
+        if (errorData?.code === 'park-closed') {
+          console.log('🔒 Park is closed:', errorMessage);
+          return {
+            success: false,
+            error: errorMessage,
+            code: errorData.code,
+            opensAt: errorData.opensAt
+          };
+        }
+        throw new Error(errorMessage);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        console.error('Failed to parse response as JSON:', parseError);
+        throw new Error('Invalid response from server');
+      }
+
+      console.log('✅ Dogs checked in successfully');
+      return {
+        success: true,
+        checkedInDogs: data.checkedInDogs,
+        expectedDurationMinutes: data.expectedDurationMinutes,
+        visits: data.visits || [],
+        movedFrom: data.movedFrom || []
+      };
+    } catch (error) {
+      console.error('❌ Error checking in dogs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async checkOutDogs(parkId, dogIds) {
+    try {
+      console.log('🚪 Checking out dogs from park via backend...');
+      
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/checkout`, {
+        method: 'POST',
+        body: JSON.stringify({ dogIds }),
+      });
+
+      // Check if response is ok before trying to parse JSON
+      if (!response.ok) {
+        let errorMessage = 'Failed to check out dogs';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (parseError) {
+          const textResponse = await response.text();
+          if (response.status === 401) {
+            errorMessage = 'Authentication required. Please log in again.';
+          } else if (response.status === 403) {
+            errorMessage = 'Access denied. Please check your permissions.';
+          } else {
+            errorMessage = `Server error (${response.status})`;
+          }
+        }
+        throw new Error(errorMessage);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        console.error('Failed to parse response as JSON:', parseError);
+        throw new Error('Invalid response from server');
+      }
+
+      console.log('✅ Dogs checked out successfully');
+      return { success: true, checkedInDogs: data.checkedInDogs };
+    } catch (error) {
+      console.error('❌ Error checking out dogs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDogsInPark(parkId) {
+    try {
+      console.log('🐕 Getting dogs checked into park via backend...');
+      
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/dogs`);
       
+      // Check if response is ok before trying to parse JSON
+      if (!response.ok) {
+        // Try to get error message from response
+        let errorMessage = 'Failed to get dogs in park';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (parseError) {
+          // If JSON parsing fails, it might be an HTML error page
+          const textResponse = await response.text();
+          if (textResponse.includes('Cannot GET')) {
+            errorMessage = 'API endpoint not found';
+          } else if (response.status === 401) {
+            errorMessage = 'Authentication required. Please log in again.';
+          } else if (response.status === 403) {
+            errorMessage = 'Access denied. Please check your permissions.';
+          } else {
+            errorMessage = `Server error (${response.status})`;
+          }
+        }
+        throw new Error(errorMessage);
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (parseError) {
+        console.error('Failed to parse response as JSON:', parseError);
+        throw new Error('Invalid response from server');
+      }
+
+      console.log('✅ Dogs in park loaded successfully');
+      return { success: true, dogs: data.dogs };
+    } catch (error) {
+      console.error('❌ Error getting dogs in park:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getDogVisits(dogId, limit = 20) {
+    try {
+      console.log('📜 Getting park visit history for dog via backend...');
+      const response = await makeAuthenticatedRequest(`/api/dogs/${dogId}/visits?limit=${limit}`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to get visit history');
+      }
+
+      console.log('✅ Dog visit history loaded successfully');
+      return { success: true, visits: data.visits };
+    } catch (error) {
+      console.error('❌ Error getting dog visit history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getParkVisits(parkId, limit = 50) {
+    try {
+      console.log('📜 Getting visit history for park via backend...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/visits?limit=${limit}`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to get park visits');
+      }
+
+      console.log('✅ Park visit history loaded successfully');
+      return { success: true, visits: data.visits };
+    } catch (error) {
+      console.error('❌ Error getting park visit history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async joinWaitlist(parkId, dogIds) {
+    try {
+      console.log('⏳ Joining park waitlist via backend...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/waitlist`, {
+        method: 'POST',
+        body: JSON.stringify({ dogIds }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to join waitlist');
+      }
+
+      console.log('✅ Joined waitlist at position:', data.position);
+      return { success: true, entry: data.entry, position: data.position, message: data.message };
+    } catch (error) {
+      console.error('❌ Error joining waitlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getWaitlistStatus(parkId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/waitlist`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to get waitlist status');
+      }
+
+      return { success: true, waitingCount: data.waitingCount, entry: data.entry, position: data.position };
+    } catch (error) {
+      console.error('❌ Error getting waitlist status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async leaveWaitlist(parkId) {
+    try {
+      console.log('🚪 Leaving park waitlist via backend...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/waitlist`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to leave waitlist');
+      }
+
+      console.log('✅ Left waitlist');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error leaving waitlist:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getParkReviews(parkId, limit = 50) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/reviews?limit=${limit}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load reviews');
+      }
+
+      return {
+        success: true,
+        reviews: data.reviews,
+        ratingAverage: data.ratingAverage,
+        reviewCount: data.reviewCount
+      };
+    } catch (error) {
+      console.error('❌ Error loading park reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Creates the user's review, or updates it when reviewId is given
+  static async saveParkReview(parkId, { rating, text }, reviewId = null) {
+    try {
+      console.log('⭐ Saving park review via backend...');
+      const path = reviewId
+        ? `/api/dog-parks/${parkId}/reviews/${reviewId}`
+        : `/api/dog-parks/${parkId}/reviews`;
+      const response = await makeAuthenticatedRequest(path, {
+        method: reviewId ? 'PUT' : 'POST',
+        body: JSON.stringify({ rating, text }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save review');
+      }
+
+      console.log('✅ Park review saved');
+      return {
+        success: true,
+        review: data.review,
+        ratingAverage: data.ratingAverage,
+        reviewCount: data.reviewCount
+      };
+    } catch (error) {
+      console.error('❌ Error saving park review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteParkReview(parkId, reviewId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/reviews/${reviewId}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete review');
+      }
+
+      console.log('✅ Park review deleted');
+      return { success: true, ratingAverage: data.ratingAverage, reviewCount: data.reviewCount };
+    } catch (error) {
+      console.error('❌ Error deleting park review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getParkPhotos(parkId, limit = 50) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/photos?limit=${limit}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load photos');
+      }
+
+      return { success: true, photos: data.photos, coverPhotoId: data.coverPhotoId };
+    } catch (error) {
+      console.error('❌ Error loading park photos:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // category is one of entrance, facilities, conditions or other
+  static async uploadParkPhoto(parkId, photoUri, { caption, category } = {}) {
+    try {
+      console.log('📸 Uploading park photo...');
+      const formData = new FormData();
+      formData.append('photo', {
+        uri: photoUri,
+        type: 'image/jpeg',
+        name: 'park-photo.jpg',
+      });
+      if (caption) formData.append('caption', caption);
+      if (category) formData.append('category', category);
+
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/photos`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        body: formData,
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload photo');
+      }
+
+      console.log('✅ Park photo uploaded with ID:', data.photo.id);
+      return { success: true, photo: data.photo, isCover: data.isCover };
+    } catch (error) {
+      console.error('❌ Error uploading park photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteParkPhoto(parkId, photoId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/photos/${photoId}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete photo');
+      }
+
+      console.log('✅ Park photo deleted');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Error deleting park photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Moderators and admins only
+  static async setParkCoverPhoto(parkId, photoId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/cover-photo`, {
+        method: 'PUT',
+        body: JSON.stringify({ photoId }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to set cover photo');
+      }
+
+      return { success: true, coverPhotoId: data.coverPhotoId };
+    } catch (error) {
+      console.error('❌ Error setting cover photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getReportCategories() {
+    try {
+      const response = await makeAuthenticatedRequest('/api/dog-parks/report-categories');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load report categories');
+      }
+
+      return { success: true, categories: data.categories };
+    } catch (error) {
+      console.error('❌ Error loading report categories:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // status: 'active' (open and acknowledged), 'all', or a single status
+  static async getParkReports(parkId, status = 'active') {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/reports?status=${status}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load reports');
+      }
+
+      return { success: true, reports: data.reports };
+    } catch (error) {
+      console.error('❌ Error loading park reports:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Report a problem at a park, optionally with a photo of it
+  static async reportParkCondition(parkId, { category, description }, photoUri = null) {
+    try {
+      console.log('🚧 Filing park condition report...');
+      let options;
+      if (photoUri) {
+        const formData = new FormData();
+        formData.append('category', category);
+        formData.append('description', description);
+        formData.append('photo', {
+          uri: photoUri,
+          type: 'image/jpeg',
+          name: 'report-photo.jpg',
+        });
+        options = {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+          body: formData,
+        };
+      } else {
+        options = {
+          method: 'POST',
+          body: JSON.stringify({ category, description }),
+        };
+      }
+
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/reports`, options);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to file report');
+      }
+
+      console.log('✅ Condition report filed with ID:', data.report.id);
+      return { success: true, report: data.report, message: data.message };
+    } catch (error) {
+      console.error('❌ Error filing condition report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Moderators and admins only - status is 'open', 'acknowledged' or 'resolved'
+  static async updateParkReportStatus(parkId, reportId, status, note = '') {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/reports/${reportId}/status`, {
+        method: 'PUT',
+        body: JSON.stringify({ status, note }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update report');
+      }
+
+      return { success: true, report: data.report, activeReports: data.activeReports };
+    } catch (error) {
+      console.error('❌ Error updating condition report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Signed subscription URL for the user's own calendar feed (events they organised or RSVP'd to)
+  static async getCalendarFeedUrl() {
+    try {
+      const response = await makeAuthenticatedRequest('/api/calendar/feed-url');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to get calendar link');
+      }
+
+      return { success: true, url: data.url, webcalUrl: data.webcalUrl };
+    } catch (error) {
+      console.error('❌ Error getting calendar feed URL:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Public calendar feed of a park's upcoming events
+  static getParkCalendarUrl(parkId) {
+    return getApiUrl(`/api/calendar/parks/${parkId}.ics`).replace(/^https?:/, 'webcal:');
+  }
+
+  // Upcoming events at a park, soonest first
+  static async getParkEvents(parkId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/events`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load events');
+      }
+
+      return { success: true, events: data.events };
+    } catch (error) {
+      console.error('❌ Error loading park events:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // eventData: { title, description, startsAt, endsAt, maxAttendees, restrictions: { sizes, minAgeYears, maxAgeYears } }
+  static async createParkEvent(parkId, eventData) {
+    try {
+      console.log('📅 Creating park event...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/events`, {
+        method: 'POST',
+        body: JSON.stringify(eventData),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create event');
+      }
+
+      console.log('✅ Park event created with ID:', data.event.id);
+      return { success: true, event: data.event };
+    } catch (error) {
+      console.error('❌ Error creating park event:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async rsvpToParkEvent(parkId, eventId, dogIds) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/events/${eventId}/rsvp`, {
+        method: 'POST',
+        body: JSON.stringify({ dogIds }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        // Full or restricted events come back with a code the caller can show
+        return { success: false, error: data.error || 'Failed to RSVP', code: data.code };
+      }
+
+      return { success: true, event: data.event, message: data.message };
+    } catch (error) {
+      console.error('❌ Error sending RSVP:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Withdraws all of the user's dogs unless dogIds is given
+  static async cancelParkEventRsvp(parkId, eventId, dogIds = undefined) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/events/${eventId}/rsvp`, {
+        method: 'DELETE',
+        body: JSON.stringify({ dogIds }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel RSVP');
+      }
+
+      return { success: true, event: data.event };
+    } catch (error) {
+      console.error('❌ Error cancelling RSVP:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Organiser, moderators and admins only
+  static async cancelParkEvent(parkId, eventId, reason = '') {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/events/${eventId}/cancel`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+      });
+
+      const data = await response.json();
+
       if (!response.ok) {
-        throw new Error(`Failed to fetch parks: ${response.status}`);
+        throw new Error(data.error || 'Failed to cancel event');
       }
 
-      const data = await response.json();
-      return data;
+      console.log('✅ Park event cancelled');
+      return { success: true, event: data.event };
     } catch (error) {
-      console.error('❌ Error fetching parks:', error);
-      throw error;
+      console.error('❌ Error cancelling park event:', error);
+      return { success: false, error: error.message };
     }
   }
 
-  static async addPark(parkData) {
+  // The parks the user follows and their alert settings: { parkIds, alerts }
+  static async getFavoriteParks() {
     try {
-      console.log('🏞️ Adding new dog park via backend...');
-      const response = await makeAuthenticatedRequest('/api/dog-parks', {
-        method: 'POST',
-        body: JSON.stringify(parkData),
-      });
-
+      const response = await makeAuthenticatedRequest('/api/dog-parks/favorites');
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to add park');
+        throw new Error(data.error || 'Failed to load favourite parks');
       }
 
-      console.log('✅ Dog park added successfully with ID:', data.park.id);
-      return { success: true, id: data.park.id };
+      return { success: true, parkIds: data.parkIds, alerts: data.alerts };
     } catch (error) {
-      console.error('❌ Error adding dog park:', error);
+      console.error('❌ Error loading favourite parks:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async updatePark(parkId, parkData) {
+  static async followPark(parkId) {
     try {
-      console.log('🏞️ Updating dog park via backend...');
-      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}`, {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/favorite`, {
         method: 'PUT',
-        body: JSON.stringify(parkData),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to update park');
+        throw new Error(data.error || 'Failed to follow park');
       }
 
-      console.log('✅ Dog park updated successfully');
-      return { success: true };
+      return { success: true, parkIds: data.parkIds };
     } catch (error) {
-      console.error('❌ Error updating dog park:', error);
+      console.error('❌ Error following park:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async deletePark(parkId) {
+  static async unfollowPark(parkId) {
     try {
-      console.log('🏞️ Deleting dog park via backend...');
-      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}`, {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/favorite`, {
         method: 'DELETE',
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to delete park');
+        throw new Error(data.error || 'Failed to unfollow park');
       }
 
-      console.log('✅ Dog park deleted successfully');
-      return { success: true };
+      return { success: true, parkIds: data.parkIds };
     } catch (error) {
-      console.error('❌ Error deleting dog park:', error);
+      console.error('❌ Error unfollowing park:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async checkInDogs(parkId, dogIds) {
+  // alerts: { firstArrival, sizeAlert: { size, moreThan } | null }
+  static async updateFavoriteParkAlerts(alerts) {
     try {
-      console.log('🏞️ Checking in dogs to park via backend...');
-      
-      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/checkin`, {
-        method: 'POST',
-        body: JSON.stringify({ dogIds }),
+      const response = await makeAuthenticatedRequest('/api/notifications/preferences', {
+        method: 'PUT',
+        body: JSON.stringify({ favoriteParks: alerts }),
       });
 
-      // Check if response is ok before trying to parse JSON
+      const data = await response.json();
+
       if (!response.ok) {
-        let errorMessage = 'Failed to check in dogs';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (parseError) {
-          const textResponse = await response.text();
-          if (response.status === 401) {
-            errorMessage = 'Authentication required. Please log in again.';
-          } else if (response.status === 403) {
-            errorMessage = 'Access denied. Please check your permissions.';
-          } else {
-            errorMessage = `Server error (${response.status})`;
-          }
-        }
-        throw new Error(errorMessage);
+        throw new Error(data.error || 'Failed to save park alerts');
       }
 
-      let data;
-      try {
-        data = await response.json();
-      } catch (parseError) {
-        console.error('Failed to parse response as JSON:', parseError);
-        throw new Error('Invalid response from server');
+      return { success: true, alerts: data.preferences.favoriteParks };
+    } catch (error) {
+      console.error('❌ Error saving park alerts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getPlannedVisits(parkId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/planned`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load planned visits');
       }
 
-      console.log('✅ Dogs checked in successfully');
-      return { success: true, checkedInDogs: data.checkedInDogs };
+      return { success: true, plannedVisits: data.plannedVisits };
     } catch (error) {
-      console.error('❌ Error checking in dogs:', error);
+      console.error('❌ Error loading planned visits:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async checkOutDogs(parkId, dogIds) {
+  // Friends of the dogs are notified; checking in during the window marks the plan as kept
+  static async planParkVisit(parkId, dogIds, startsAt, endsAt, note = '') {
     try {
-      console.log('🚪 Checking out dogs from park via backend...');
-      
-      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/checkout`, {
+      console.log('🗓️ Planning park visit...');
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/planned`, {
         method: 'POST',
-        body: JSON.stringify({ dogIds }),
+        body: JSON.stringify({ dogIds, startsAt, endsAt, note }),
       });
 
-      // Check if response is ok before trying to parse JSON
+      const data = await response.json();
+
       if (!response.ok) {
-        let errorMessage = 'Failed to check out dogs';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (parseError) {
-          const textResponse = await response.text();
-          if (response.status === 401) {
-            errorMessage = 'Authentication required. Please log in again.';
-          } else if (response.status === 403) {
-            errorMessage = 'Access denied. Please check your permissions.';
-          } else {
-            errorMessage = `Server error (${response.status})`;
-          }
-        }
-        throw new Error(errorMessage);
+        return { success: false, error: data.error || 'Failed to plan visit', code: data.code };
       }
 
-      let data;
-      try {
-        data = await response.json();
-      } catch (parseError) {
-        console.error('Failed to parse response as JSON:', parseError);
-        throw new Error('Invalid response from server');
+      return { success: true, plannedVisit: data.plannedVisit, message: data.message };
+    } catch (error) {
+      console.error('❌ Error planning park visit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async cancelPlannedVisit(parkId, plannedVisitId) {
+    try {
+      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/planned/${plannedVisitId}`, {
+        method: 'DELETE',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel planned visit');
       }
 
-      console.log('✅ Dogs checked out successfully');
-      return { success: true, checkedInDogs: data.checkedInDogs };
+      return { success: true, plannedVisit: data.plannedVisit };
     } catch (error) {
-      console.error('❌ Error checking out dogs:', error);
+      console.error('❌ Error cancelling planned visit:', error);
       return { success: false, error: error.message };
     }
   }
 
-  static async getDogsInPark(parkId) {
+  // Regular users can't add parks directly - their suggestions go to a moderator
+  static async suggestPark(parkData) {
     try {
-      console.log('🐕 Getting dogs checked into park via backend...');
-      
-      const response = await makeAuthenticatedRequest(`/api/dog-parks/${parkId}/dogs`);
-      
-      // Check if response is ok before trying to parse JSON
+      console.log('💡 Suggesting dog park via backend...');
+      const response = await makeAuthenticatedRequest('/api/park-suggestions', {
+        method: 'POST',
+        body: JSON.stringify(parkData),
+      });
+
+      const data = await response.json();
+
       if (!response.ok) {
-        // Try to get error message from response
-        let errorMessage = 'Failed to get dogs in park';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (parseError) {
-          // If JSON parsing fails, it might be an HTML error page
-          const textResponse = await response.text();
-          if (textResponse.includes('Cannot GET')) {
-            errorMessage = 'API endpoint not found';
-          } else if (response.status === 401) {
-            errorMessage = 'Authentication required. Please log in again.';
-          } else if (response.status === 403) {
-            errorMessage = 'Access denied. Please check your permissions.';
-          } else {
-            errorMessage = `Server error (${response.status})`;
-          }
-        }
-        throw new Error(errorMessage);
+        throw new Error(data.error || 'Failed to suggest park');
       }
 
-      let data;
-      try {
-        data = await response.json();
-      } catch (parseError) {
-        console.error('Failed to parse response as JSON:', parseError);
-        throw new Error('Invalid response from server');
+      console.log('✅ Park suggestion submitted with ID:', data.suggestion.id);
+      return { success: true, suggestion: data.suggestion, message: data.message };
+    } catch (error) {
+      console.error('❌ Error suggesting dog park:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getMyParkSuggestions() {
+    try {
+      const response = await makeAuthenticatedRequest('/api/park-suggestions/mine');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load park suggestions');
       }
 
-      console.log('✅ Dogs in park loaded successfully');
-      return { success: true, dogs: data.dogs };
+      return { success: true, suggestions: data.suggestions };
     } catch (error) {
-      console.error('❌ Error getting dogs in park:', error);
+      console.error('❌ Error loading park suggestions:', error);
       return { success: false, error: error.message };
     }
   }
@@ -247,6 +1067,49 @@ class DogParkService {
    * @returns {function} Unsubscribe function
    */
   static subscribeToCheckedInDogs(parkId, callback) {
+    // Fallback function using API polling
+    const setupApiPolling = () => {
+      console.log(`🔄 Setting up API polling fallback for park ${parkId}`);
+      
+      const pollInterval = setInterval(async () => {
+        try {
+          const result = await this.getDogsInPark(parkId);
+          if (result.success) {
+            console.log(`📊 API polling update for park ${parkId}: ${result.dogs.length} dogs`);
+            callback({
+              success: true,
+              dogs: result.dogs,
+              parkData: { checkedInDogs: result.dogs }
+            });
+          }
+        } catch (error) {
+          console.error(`❌ API polling error for park ${parkId}:`, error);
+        }
+      }, 10000); // Poll every 10 seconds
+      
+      // Return cleanup function
+      return () => {
+        console.log(`🔕 Cleaning up API polling for park ${parkId}`);
+        clearInterval(pollInterval);
+      };
+    };
+    
+    // Follow the park's stream, and poll once the stream is refused or drops
+    const setupStreamOrPolling = () => {
+      let cleanup = this.subscribeToParkStream(parkId, callback, () => {
+        cleanup = setupApiPolling();
+      });
+      return () => cleanup();
+    };
+
+    // Without Firestore, use the backend's Socket.IO rooms, then its SSE stream, then polling
+    const setupApiFallback = () => {
+      let cleanup = this.subscribeToParkSocket(parkId, callback, () => {
+        cleanup = setupStreamOrPolling();
+      });
+      return () => cleanup();
+    };
+
     try {
       console.log(`🔔 Setting up Firestore listener for park: ${parkId}`);
       
@@ -284,33 +1147,6 @@ class DogParkService {
         currentDogData.clear();
       };
       
-      // Fallback function using API polling
-      const setupApiPolling = () => {
-        console.log(`🔄 Setting up API polling fallback for park ${parkId}`);
-        
-        const pollInterval = setInterval(async () => {
-          try {
-            const result = await this.getDogsInPark(parkId);
-            if (result.success) {
-              console.log(`📊 API polling update for park ${parkId}: ${result.dogs.length} dogs`);
-              callback({
-                success: true,
-                dogs: result.dogs,
-                parkData: { checkedInDogs: result.dogs }
-              });
-            }
-          } catch (error) {
-            console.error(`❌ API polling error for park ${parkId}:`, error);
-          }
-        }, 10000); // Poll every 10 seconds
-        
-        // Return cleanup function
-        return () => {
-          console.log(`🔕 Cleaning up API polling for park ${parkId}`);
-          clearInterval(pollInterval);
-        };
-      };
-      
       // Set up real-time listener for park document with better error handling
       let parkUnsubscribe;
       
@@ -483,7 +1319,7 @@ class DogParkService {
           
           // Fall back to API polling if Firestore fails
           console.log(`🔄 Firestore failed for park ${parkId}, falling back to API polling`);
-          const pollCleanup = setupApiPolling();
+          const pollCleanup = setupApiFallback();
           
           // Store the polling cleanup function
           activeListeners.set(`park_${parkId}_poll`, pollCleanup);
@@ -510,7 +1346,7 @@ class DogParkService {
         hasFirestoreError = true;
         
         // Fall back to API polling immediately
-        const pollCleanup = setupApiPolling();
+        const pollCleanup = setupApiFallback();
         activeListeners.set(`park_${parkId}_poll`, pollCleanup);
         
         // Initial API call
@@ -555,7 +1391,7 @@ class DogParkService {
       
       // Fall back to API polling
       console.log(`🔄 Setting up API polling fallback for park ${parkId} due to setup error`);
-      const pollCleanup = setupApiPolling();
+      const pollCleanup = setupApiFallback();
       activeListeners.set(`park_${parkId}_poll`, pollCleanup);
       
       // Initial API call
@@ -576,24 +1412,221 @@ class DogParkService {
   }
 
   /**
-   * Subscribe to real-time updates of all dog parks using the regular API (fallback)
-   * @param {function} callback - Callback function to handle updates
+   * Subscribe to a park's checked-in dogs through the backend's Socket.IO rooms. The server sends
+   * the dogs there when the park is joined, then dogArrived / dogLeft / dogUpdated changes.
+   * @param {string} parkId - The ID of the park to monitor
+   * @param {function} callback - Called with { success, dogs, parkData } on every change
+   * @param {function} onUnavailable - Called if the socket can't connect, e.g. on the Vercel deployment
    * @returns {function} Unsubscribe function
    */
-  static subscribeToAllParks(callback) {
-    // For all parks, we'll use the regular API call since SSE is park-specific
-    // This could be enhanced later with a general SSE endpoint for all parks
-    this.getParks().then(result => {
-      callback(result);
-    }).catch(error => {
+  static subscribeToParkSocket(parkId, callback, onUnavailable) {
+    const socket = getParkSocket();
+    parkSocketSubscribers += 1;
+
+    const dogs = new Map();
+    let unsubscribed = false;
+
+    const notify = () => {
+      const dogsArray = Array.from(dogs.values());
       callback({
-        success: false,
-        error: error.message
+        success: true,
+        dogs: dogsArray,
+        parkData: { checkedInDogs: dogsArray }
       });
-    });
+    };
+
+    // Rooms don't survive a reconnect, so join again every time the socket connects
+    const joinPark = () => {
+      socket.emit('joinPark', parkId, (result) => {
+        if (!result || !result.success) {
+          console.warn(`⚠️ Could not join park ${parkId} over Socket.IO:`, result && result.error);
+          return;
+        }
+        console.log(`📡 Joined park ${parkId} over Socket.IO: ${result.dogs.length} dogs`);
+        dogs.clear();
+        result.dogs.forEach(dog => dogs.set(dog.id, dog));
+        notify();
+      });
+    };
+
+    const onDogChanged = (change) => {
+      if (change.parkId !== parkId) {
+        return;
+      }
+      dogs.set(change.dog.id, change.dog);
+      notify();
+    };
+
+    const onDogLeft = (change) => {
+      if (change.parkId !== parkId) {
+        return;
+      }
+      dogs.delete(change.dogId);
+      notify();
+    };
+
+    const onParkDogs = (update) => {
+      if (update.parkId !== parkId) {
+        return;
+      }
+      dogs.clear();
+      update.dogs.forEach(dog => dogs.set(dog.id, dog));
+      notify();
+    };
+
+    const unsubscribe = () => {
+      if (unsubscribed) {
+        return;
+      }
+      unsubscribed = true;
+      socket.off('connect', joinPark);
+      socket.off('dogArrived', onDogChanged);
+      socket.off('dogUpdated', onDogChanged);
+      socket.off('dogLeft', onDogLeft);
+      socket.off('parkDogs', onParkDogs);
+      socket.off('connect_error', onConnectError);
+      if (socket.connected) {
+        socket.emit('leavePark', parkId);
+      }
+      releaseParkSocket();
+    };
+
+    // The server refused the token or doesn't run Socket.IO - hand over to the caller's fallback
+    function onConnectError(error) {
+      console.warn(`⚠️ Socket.IO unavailable for park ${parkId}:`, error.message);
+      unsubscribe();
+      if (onUnavailable) {
+        onUnavailable();
+      }
+    }
+
+    socket.on('connect', joinPark);
+    socket.on('dogArrived', onDogChanged);
+    socket.on('dogUpdated', onDogChanged);
+    socket.on('dogLeft', onDogLeft);
+    socket.on('parkDogs', onParkDogs);
+    socket.on('connect_error', onConnectError);
+    if (socket.connected) {
+      joinPark();
+    }
+
+    return unsubscribe;
+  }
+
+  /**
+   * Subscribe to a park's checked-in dogs over the API's Server-Sent Events stream
+   * @param {string} parkId - The ID of the park to monitor
+   * @param {function} callback - Called with { success, dogs, parkData } on every update
+   * @param {function} onClosed - Called if the server refuses the stream, e.g. an expired token
+   * @returns {function} Unsubscribe function
+   */
+  static subscribeToParkStream(parkId, callback, onClosed) {
+    return openEventStream(`/api/dog-parks/${parkId}/stream`, `park ${parkId}`, (update) => {
+      console.log(`📡 Stream update for park ${parkId}: ${update.dogs.length} dogs`);
+      callback({
+        success: true,
+        dogs: update.dogs,
+        parkData: { checkedInDogs: update.dogs }
+      });
+    }, onClosed);
+  }
+
+  /**
+   * Follow the occupancy of every park over one connection, for the park list. Uses the backend's
+   * Socket.IO room, then its SSE feed, then polling the park list (which has no size breakdown).
+   * @param {function} callback - Called with { success, parks, replace }. parks holds
+   *   { parkId, checkedInCount, capacity, spotsLeft, sizes: { small, medium, large } | null };
+   *   replace is true when it covers every park, false when only the parks that changed.
+   * @returns {function} Unsubscribe function
+   */
+  static subscribeToParkOccupancy(callback) {
+    const onSnapshot = (parks) => callback({ success: true, parks, replace: true });
+    const onUpdate = (parks) => callback({ success: true, parks, replace: false });
+
+    const setupPolling = () => {
+      console.log('🔄 Polling park occupancy');
+      const poll = async () => {
+        try {
+          const result = await this.getParks();
+          if (result.success) {
+            onSnapshot(result.parks.map(park => {
+              const checkedInCount = (park.checkedInDogs || []).length;
+              return {
+                parkId: park.id,
+                checkedInCount,
+                capacity: park.capacity || null,
+                spotsLeft: park.capacity ? Math.max(0, park.capacity - checkedInCount) : null,
+                sizes: null,
+                dogs: null
+              };
+            }));
+          }
+        } catch (error) {
+          console.error('❌ Park occupancy polling error:', error);
+        }
+      };
+      poll();
+      const pollInterval = setInterval(poll, 30000); // Poll every 30 seconds
+      return () => clearInterval(pollInterval);
+    };
+
+    const setupStreamOrPolling = () => {
+      let cleanup = openEventStream('/api/dog-parks/occupancy/stream', 'park occupancy', (event) => {
+        if (event.type === 'occupancy_snapshot') {
+          onSnapshot(event.parks);
+        } else {
+          onUpdate(event.parks);
+        }
+      }, () => {
+        cleanup = setupPolling();
+      });
+      return () => cleanup();
+    };
+
+    const socket = getParkSocket();
+    parkSocketSubscribers += 1;
+    let cleanup = null;
+
+    // Rooms don't survive a reconnect, so join again every time the socket connects
+    const joinOccupancy = () => {
+      socket.emit('joinOccupancy', (result) => {
+        if (result && result.success) {
+          console.log(`📡 Following occupancy of ${result.parks.length} parks over Socket.IO`);
+          onSnapshot(result.parks);
+        }
+      });
+    };
+    const onParkOccupancy = (update) => onUpdate(update.parks);
+
+    const leaveSocket = () => {
+      socket.off('connect', joinOccupancy);
+      socket.off('parkOccupancy', onParkOccupancy);
+      socket.off('connect_error', onConnectError);
+      if (socket.connected) {
+        socket.emit('leaveOccupancy');
+      }
+      releaseParkSocket();
+    };
+
+    // The server refused the token or doesn't run Socket.IO - fall back to the SSE feed
+    function onConnectError(error) {
+      console.warn('⚠️ Socket.IO unavailable for park occupancy:', error.message);
+      leaveSocket();
+      cleanup = setupStreamOrPolling();
+    }
+
+    socket.on('connect', joinOccupancy);
+    socket.on('parkOccupancy', onParkOccupancy);
+    socket.on('connect_error', onConnectError);
+    if (socket.connected) {
+      joinOccupancy();
+    }
+    cleanup = leaveSocket;
 
-    // Return empty unsubscribe function since this is a one-time call
-    return () => {};
+    return () => {
+      console.log('🔕 Unsubscribing from park occupancy');
+      cleanup();
+    };
   }
 
   /**
@@ -241,6 +241,70 @@ class FriendService {
     }
   }
 
+  // Get the user's notification settings
+  async getNotificationPreferences() {
+    try {
+      const token = await this.getAuthToken();
+      if (!token) {
+        throw new Error('No auth token found');
+      }
+
+      const response = await this.makeApiRequest('/api/notifications/preferences', {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return { success: true, preferences: data.preferences };
+      } else {
+        console.error('❌ Failed to get notification preferences:', data.error);
+        return { success: false, error: data.error };
+      }
+    } catch (error) {
+      console.error('❌ Network error getting notification preferences:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
+  // friendArrivals: { enabled, quietHours: { start: 'HH:MM', end: 'HH:MM', timezone } | null }
+  async updateFriendArrivalPreferences(friendArrivals) {
+    try {
+      console.log('🔔 Saving friend arrival settings via API');
+
+      const token = await this.getAuthToken();
+      if (!token) {
+        throw new Error('No auth token found');
+      }
+
+      const response = await this.makeApiRequest('/api/notifications/preferences', {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ friendArrivals }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        console.log('✅ Friend arrival settings saved');
+        return { success: true, preferences: data.preferences };
+      } else {
+        console.error('❌ Failed to save friend arrival settings:', data.error);
+        return { success: false, error: data.error };
+      }
+    } catch (error) {
+      console.error('❌ Network error saving friend arrival settings:', error);
+      return { success: false, error: 'Network error. Please try again.' };
+    }
+  }
+
   // Legacy method kept for backward compatibility - now sends a friend request instead
   async addFriend(dogId, friendDogId) {
     return this.sendFriendRequest(dogId, friendDogId);